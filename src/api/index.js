@@ -8,26 +8,57 @@ const morgan = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 const config = require('../config');
 const database = require('../queue/database');
-const { validate, errorHandler, asyncHandler } = require('./middleware');
+const logger = require('../logger');
+const {
+  validate,
+  bearerToken,
+  authenticate,
+  requireRole,
+  auditTrail,
+  errorHandler,
+  asyncHandler,
+} = require('./middleware');
 const BucketService = require('../services/bucket-service');
 const ServiceControlService = require('../services/service-control-service');
 const FileService = require('../services/file-service');
 const ScannerService = require('../services/scanner-service');
 const HealthService = require('../services/health-service');
+const AuthService = require('../services/auth-service');
+const AuditService = require('../services/audit-service');
+const HistoryService = require('../services/history-service');
 const {
   bucketParamsSchema,
   fileParamsSchema,
+  fileIdParamsSchema,
+  backupParamsSchema,
   statusParamsSchema,
   bucketStatusParamsSchema,
   bucketCreateSchema,
   bucketUpdateSchema,
   workerCountSchema,
+  bandwidthLimitSchema,
+  prioritySchema,
   conflictResolutionSchema,
   paginationSchema,
+  fileSearchQuerySchema,
   activityQuerySchema,
+  scanQuerySchema,
+  mirrorPreviewQuerySchema,
+  mirrorDeletionsQuerySchema,
+  mirrorApprovalSchema,
+  idParamsSchema,
+  loginSchema,
+  userCreateSchema,
+  userUpdateSchema,
+  tokenCreateSchema,
+  auditQuerySchema,
+  historyQuerySchema,
 } = require('../validation/schemas');
 
-function createServer(bucketManager) {
+const WS_REAUTH_INTERVAL_MS = 60000;
+const WS_UNAUTHORIZED_CODE = 4001;
+
+function createServer(bucketManager, options = {}) {
   const app = express();
 
   app.use(compression());
@@ -56,6 +87,10 @@ function createServer(bucketManager) {
   const fileService = new FileService();
   const scannerService = new ScannerService(bucketManager, broadcast);
   const healthService = new HealthService(bucketManager);
+  const authService = options.authService || new AuthService();
+  const auditService = new AuditService();
+  const historyService = new HistoryService(bucketManager);
+  const audit = auditTrail(auditService);
 
   const openApiSpec = require('./openapi.json');
   app.use(
@@ -72,6 +107,95 @@ function createServer(bucketManager) {
     res.status(statusCode).json(health);
   });
 
+  app.post(
+    '/api/auth/login',
+    audit('auth.login'),
+    validate(loginSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      const { username, password } = req.validated.body;
+      res.json(authService.login(username, password));
+    }),
+  );
+
+  app.use('/api', authenticate(authService));
+
+  app.get('/metrics', authenticate(authService), (_req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(healthService.renderPrometheus());
+  });
+
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ enabled: authService.enabled, user: req.user });
+  });
+
+  app.post('/api/auth/logout', audit('auth.logout'), (req, res) => {
+    res.json(authService.logout(bearerToken(req)));
+  });
+
+  app.get('/api/users', requireRole('admin'), (_req, res) => {
+    res.json(authService.getUsers());
+  });
+
+  app.post(
+    '/api/users',
+    audit('user.create'),
+    requireRole('admin'),
+    validate(userCreateSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      res.status(201).json(authService.createUser(req.validated.body));
+    }),
+  );
+
+  app.put(
+    '/api/users/:id',
+    audit('user.update'),
+    requireRole('admin'),
+    validate(idParamsSchema, 'params'),
+    validate(userUpdateSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      res.json(authService.updateUser(req.validated.params.id, req.validated.body));
+    }),
+  );
+
+  app.delete(
+    '/api/users/:id',
+    audit('user.delete'),
+    requireRole('admin'),
+    validate(idParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      res.json(authService.deleteUser(req.validated.params.id));
+    }),
+  );
+
+  app.get('/api/tokens', (req, res) => {
+    res.json(authService.getTokens(req.user));
+  });
+
+  app.post(
+    '/api/tokens',
+    audit('token.create'),
+    validate(tokenCreateSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      res.status(201).json(authService.createToken(req.user, req.validated.body));
+    }),
+  );
+
+  app.delete(
+    '/api/tokens/:id',
+    audit('token.revoke'),
+    validate(idParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      res.json(authService.revokeToken(req.user, req.validated.params.id));
+    }),
+  );
+
+  app.get('/api/audit', requireRole('admin'), validate(auditQuerySchema, 'query'), (req, res) => {
+    res.json(auditService.getEntries(req.validated.query));
+  });
+
+  app.get('/api/audit/export', requireRole('admin'), validate(auditQuerySchema, 'query'), (req, res) => {
+    sendAuditCsv(res, auditService.iterateEntries(req.validated.query));
+  });
+
   app.get('/api/metrics', (_req, res) => {
     res.json(healthService.getMetrics());
   });
@@ -90,6 +214,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets',
+    audit('bucket.create'),
+    requireRole('admin'),
     validate(bucketCreateSchema, 'body'),
     asyncHandler(async (req, res) => {
       const bucket = bucketService.createBucket(req.validated.body);
@@ -100,6 +226,8 @@ function createServer(bucketManager) {
 
   app.put(
     '/api/buckets/:id',
+    audit('bucket.update'),
+    requireRole('admin'),
     validate(bucketParamsSchema, 'params'),
     validate(bucketUpdateSchema, 'body'),
     asyncHandler(async (req, res) => {
@@ -111,6 +239,8 @@ function createServer(bucketManager) {
 
   app.delete(
     '/api/buckets/:id',
+    audit('bucket.delete'),
+    requireRole('admin'),
     validate(bucketParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const id = req.validated.params.id;
@@ -142,11 +272,23 @@ function createServer(bucketManager) {
     validate(paginationSchema, 'query'),
     asyncHandler(async (req, res) => {
       const { id, status } = req.validated.params;
-      const { limit, offset } = req.validated.query;
+      const { limit, offset, cursor } = req.validated.query;
+      if (cursor !== undefined) return res.json(bucketService.getFilesPage(id, status, cursor, limit));
       res.json(bucketService.getFiles(id, status, limit, offset));
     }),
   );
 
+  app.post(
+    '/api/buckets/:id/priority',
+    audit('file.priority'),
+    requireRole('operator'),
+    validate(bucketParamsSchema, 'params'),
+    validate(prioritySchema, 'body'),
+    asyncHandler(async (req, res) => {
+      res.json(bucketService.setPriority(req.validated.params.id, req.validated.body));
+    }),
+  );
+
   app.get(
     '/api/buckets/:id/activity',
     validate(bucketParamsSchema, 'params'),
@@ -156,6 +298,15 @@ function createServer(bucketManager) {
     }),
   );
 
+  app.get(
+    '/api/buckets/:id/history',
+    validate(bucketParamsSchema, 'params'),
+    validate(historyQuerySchema, 'query'),
+    asyncHandler(async (req, res) => {
+      res.json(historyService.getHistory(req.validated.params.id, req.validated.query));
+    }),
+  );
+
   app.get(
     '/api/buckets/:id/service',
     validate(bucketParamsSchema, 'params'),
@@ -166,6 +317,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets/:id/service/start',
+    audit('service.start'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const status = serviceControl.start(req.validated.params.id);
@@ -176,6 +329,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets/:id/service/pause',
+    audit('service.pause'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const status = serviceControl.pause(req.validated.params.id);
@@ -186,6 +341,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets/:id/service/resume',
+    audit('service.resume'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const status = serviceControl.resume(req.validated.params.id);
@@ -196,6 +353,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets/:id/service/stop',
+    audit('service.stop'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const status = await serviceControl.stop(req.validated.params.id);
@@ -206,6 +365,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets/:id/service/workers',
+    audit('service.workers'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     validate(workerCountSchema, 'body'),
     asyncHandler(async (req, res) => {
@@ -215,34 +376,129 @@ function createServer(bucketManager) {
     }),
   );
 
+  app.post(
+    '/api/buckets/:id/service/bandwidth',
+    audit('service.bandwidth'),
+    requireRole('operator'),
+    validate(bucketParamsSchema, 'params'),
+    validate(bandwidthLimitSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      const status = serviceControl.setBandwidthLimit(req.validated.params.id, req.validated.body.limit);
+      broadcast('service-update', status);
+      res.json(status);
+    }),
+  );
+
+  app.get('/api/service/bandwidth', (_req, res) => {
+    res.json(serviceControl.getGlobalBandwidth());
+  });
+
+  app.post(
+    '/api/service/bandwidth',
+    audit('service.global-bandwidth'),
+    requireRole('admin'),
+    validate(bandwidthLimitSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      const snapshot = serviceControl.setGlobalBandwidthLimit(req.validated.body.limit);
+      broadcast('bandwidth-update', snapshot);
+      res.json(snapshot);
+    }),
+  );
+
   app.post(
     '/api/buckets/:id/scan',
+    audit('scan.bucket'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
+    validate(scanQuerySchema, 'query'),
     asyncHandler(async (req, res) => {
+      if (req.validated.query.dryRun) return res.json(await scannerService.planBucket(req.validated.params.id));
       const result = scannerService.scanBucket(req.validated.params.id);
       res.status(202).json(result);
     }),
   );
 
+  app.get(
+    '/api/buckets/:id/mirror/preview',
+    validate(bucketParamsSchema, 'params'),
+    validate(mirrorPreviewQuerySchema, 'query'),
+    asyncHandler(async (req, res) => {
+      res.json(await scannerService.previewMirror(req.validated.params.id, req.validated.query.limit));
+    }),
+  );
+
+  app.get(
+    '/api/buckets/:id/mirror/deletions',
+    validate(bucketParamsSchema, 'params'),
+    validate(mirrorDeletionsQuerySchema, 'query'),
+    asyncHandler(async (req, res) => {
+      res.json(scannerService.listMirrorDeletions(req.validated.params.id, req.validated.query));
+    }),
+  );
+
+  app.post(
+    '/api/buckets/:id/mirror/approve',
+    audit('mirror.approve'),
+    requireRole('operator'),
+    validate(bucketParamsSchema, 'params'),
+    validate(mirrorApprovalSchema, 'body'),
+    asyncHandler(async (req, res) => {
+      res.json(scannerService.approveMirrorDeletions(req.validated.params.id, req.validated.body.fileIds));
+    }),
+  );
+
   app.post(
     '/api/buckets/:id/conflicts/:fileId/resolve',
+    audit('conflict.resolve'),
+    requireRole('operator'),
     validate(fileParamsSchema, 'params'),
     validate(conflictResolutionSchema, 'body'),
     asyncHandler(async (req, res) => {
       const { id, fileId } = req.validated.params;
-      const result = fileService.resolveConflictForBucket(id, fileId, req.validated.body.action);
+      const result = await fileService.resolveConflictForBucket(id, fileId, req.validated.body.action);
       broadcast('stats-update', database.getStatsByBucket(id));
       res.json({ changes: result.changes });
     }),
   );
 
+  app.get(
+    '/api/buckets/:id/files/:fileId/attempts',
+    validate(fileParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      const { id, fileId } = req.validated.params;
+      res.json(fileService.listAttempts(id, fileId));
+    }),
+  );
+
+  app.get(
+    '/api/buckets/:id/files/:fileId/backups',
+    validate(fileParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      const { id, fileId } = req.validated.params;
+      res.json(fileService.listBackups(id, fileId));
+    }),
+  );
+
+  app.post(
+    '/api/buckets/:id/files/:fileId/backups/:backupId/restore',
+    audit('backup.restore'),
+    requireRole('operator'),
+    validate(backupParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      const { id, fileId, backupId } = req.validated.params;
+      res.json(await fileService.restoreBackup(id, fileId, backupId));
+    }),
+  );
+
   app.post(
     '/api/buckets/:id/conflicts/resolve-all',
+    audit('conflict.resolve-all'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     validate(conflictResolutionSchema, 'body'),
     asyncHandler(async (req, res) => {
       const id = req.validated.params.id;
-      const result = fileService.resolveAllConflictsForBucket(id, req.validated.body.action);
+      const result = await fileService.resolveAllConflictsForBucket(id, req.validated.body.action);
       broadcast('stats-update', database.getStatsByBucket(id));
       res.json({ changes: result.changes });
     }),
@@ -250,6 +506,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/buckets/:id/errors/:fileId/retry',
+    audit('error.retry'),
+    requireRole('operator'),
     validate(fileParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const { id, fileId } = req.validated.params;
@@ -259,8 +517,18 @@ function createServer(bucketManager) {
     }),
   );
 
+  app.get(
+    '/api/buckets/:id/errors/summary',
+    validate(bucketParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      res.json(fileService.getErrorSummary(req.validated.params.id));
+    }),
+  );
+
   app.post(
     '/api/buckets/:id/errors/retry-all',
+    audit('error.retry-all'),
+    requireRole('operator'),
     validate(bucketParamsSchema, 'params'),
     asyncHandler(async (req, res) => {
       const id = req.validated.params.id;
@@ -284,33 +552,57 @@ function createServer(bucketManager) {
 
   app.get('/api/buckets-summary', (_req, res) => {
     const allBuckets = bucketService.getAllBuckets();
+    const rates = bucketManager.getThroughput();
     const summary = allBuckets.map((b) => {
       const stats = database.getStatsByBucket(b.id);
-      return { id: b.id, name: b.name, poolStatus: b.poolStatus, stats };
+      return { id: b.id, name: b.name, poolStatus: b.poolStatus, stats, rate: rates.buckets[b.id] || null };
     });
     res.json(summary);
   });
 
+  app.get('/api/history', validate(historyQuerySchema, 'query'), (req, res) => {
+    res.json(historyService.getHistory(null, req.validated.query));
+  });
+
   app.get('/api/stats', (_req, res) => {
     res.json(fileService.getGlobalStats());
   });
 
+  app.get(
+    '/api/files/:fileId(\\d+)',
+    validate(fileIdParamsSchema, 'params'),
+    asyncHandler(async (req, res) => {
+      res.json(await fileService.getFileDetail(req.validated.params.fileId));
+    }),
+  );
+
+  app.get(
+    '/api/files/search',
+    validate(fileSearchQuerySchema, 'query'),
+    asyncHandler(async (req, res) => {
+      res.json(fileService.searchFiles(req.validated.query));
+    }),
+  );
+
   app.get(
     '/api/files/:status',
     validate(statusParamsSchema, 'params'),
     validate(paginationSchema, 'query'),
     asyncHandler(async (req, res) => {
-      const { limit, offset } = req.validated.query;
+      const { limit, offset, cursor } = req.validated.query;
+      if (cursor !== undefined) return res.json(fileService.getFilesPage(req.validated.params.status, cursor, limit));
       res.json(fileService.getFilesByStatus(req.validated.params.status, limit, offset));
     }),
   );
 
   app.post(
     '/api/conflicts/:fileId/resolve',
+    audit('conflict.resolve'),
+    requireRole('operator'),
     validate(conflictResolutionSchema, 'body'),
     asyncHandler(async (req, res) => {
       const fileId = parseInt(req.params.fileId);
-      const result = fileService.resolveConflict(fileId, req.validated.body.action);
+      const result = await fileService.resolveConflict(fileId, req.validated.body.action);
       broadcast('stats-update-global', fileService.getGlobalStats());
       res.json({ changes: result.changes });
     }),
@@ -318,9 +610,11 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/conflicts/resolve-all',
+    audit('conflict.resolve-all'),
+    requireRole('operator'),
     validate(conflictResolutionSchema, 'body'),
     asyncHandler(async (req, res) => {
-      const result = fileService.resolveAllConflicts(req.validated.body.action);
+      const result = await fileService.resolveAllConflicts(req.validated.body.action);
       broadcast('stats-update-global', fileService.getGlobalStats());
       res.json({ changes: result.changes });
     }),
@@ -328,6 +622,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/errors/:fileId/retry',
+    audit('error.retry'),
+    requireRole('operator'),
     asyncHandler(async (req, res) => {
       const result = fileService.retryError(parseInt(req.params.fileId));
       broadcast('stats-update-global', fileService.getGlobalStats());
@@ -335,8 +631,17 @@ function createServer(bucketManager) {
     }),
   );
 
+  app.get(
+    '/api/errors/summary',
+    asyncHandler(async (_req, res) => {
+      res.json(fileService.getErrorSummary());
+    }),
+  );
+
   app.post(
     '/api/errors/retry-all',
+    audit('error.retry-all'),
+    requireRole('operator'),
     asyncHandler(async (_req, res) => {
       const result = fileService.retryAllErrors();
       broadcast('stats-update-global', fileService.getGlobalStats());
@@ -346,6 +651,8 @@ function createServer(bucketManager) {
 
   app.post(
     '/api/scan',
+    audit('scan.all'),
+    requireRole('operator'),
     asyncHandler(async (_req, res) => {
       const result = scannerService.scanAll();
       res.status(202).json(result);
@@ -387,9 +694,53 @@ function createServer(bucketManager) {
     res.end();
   }
 
+  function sendAuditCsv(res, iterator) {
+    const header = 'id;data;usuario;acao;metodo;rota;bucket_id;bucket;afetados;status_http;ip;payload';
+    const filename = `auditoria-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write('\uFEFF' + header + '\n');
+    for (const a of iterator) {
+      const row = [
+        a.id,
+        a.created_at,
+        a.actor || '',
+        a.action,
+        a.method,
+        a.path,
+        a.bucket_id || '',
+        (a.bucket_name || '').replace(/;/g, ','),
+        a.affected ?? '',
+        a.status_code ?? '',
+        a.ip || '',
+        (a.payload || '').replace(/;/g, ','),
+      ].join(';');
+      res.write(row + '\n');
+    }
+    res.end();
+  }
+
   app.use(errorHandler(broadcast));
 
   const wss = new WebSocketServer({ noServer: true });
+  const _socketTokens = new Map();
+
+  wss.on('connection', (ws, request) => {
+    _socketTokens.set(ws, upgradeToken(request));
+    ws.on('close', () => _socketTokens.delete(ws));
+  });
+
+  function reauthenticateSockets() {
+    if (!authService.enabled) return;
+    for (const [ws, token] of _socketTokens) {
+      if (!authService.isValid(token)) {
+        _socketTokens.delete(ws);
+        ws.close(WS_UNAUTHORIZED_CODE, 'Sessão expirada ou revogada');
+      }
+    }
+  }
+
+  authService.on('revoked', reauthenticateSockets);
 
   function broadcast(event, data) {
     const message = JSON.stringify({ event, data });
@@ -448,6 +799,18 @@ function createServer(bucketManager) {
     }
   });
 
+  bucketManager.on('files-queued', (data) => {
+    scheduleStatsBroadcast(data.bucketId);
+  });
+
+  bucketManager.on('scheduled-scan', (data) => {
+    try {
+      scannerService.scanBucket(data.bucketId);
+    } catch (err) {
+      logger.system(`Erro ao iniciar varredura agendada do bucket ${data.bucketId}: ${err.message}`);
+    }
+  });
+
   bucketManager.on('service-change', (data) => {
     if (data.bucketId) {
       try {
@@ -457,20 +820,43 @@ function createServer(bucketManager) {
   });
 
   let statsInterval = null;
+  let reauthInterval = null;
+  let _lastGlobalThroughput = 0;
+  let _lastRateActive = false;
 
   function startStatsTimer() {
     statsInterval = setInterval(() => {
+      const snapshot = bucketManager.getBandwidth();
+      if (snapshot.global.throughput > 0 || _lastGlobalThroughput > 0) {
+        broadcast('bandwidth-update', snapshot);
+      }
+      _lastGlobalThroughput = snapshot.global.throughput;
+
+      const rates = bucketManager.getThroughput();
+      const rateActive = rates.global.bytesPerSec > 0 || rates.global.filesPerSec > 0;
+      if (rateActive || _lastRateActive) {
+        broadcast('throughput-update', rates);
+      }
+      _lastRateActive = rateActive;
+
       if (!_statsDirty) return;
       _statsDirty = false;
       broadcast('stats-update-global', database.getStats());
     }, 2000);
+    reauthInterval = setInterval(reauthenticateSockets, WS_REAUTH_INTERVAL_MS);
   }
 
   function close() {
+    historyService.stop();
     if (statsInterval) {
       clearInterval(statsInterval);
       statsInterval = null;
     }
+    if (reauthInterval) {
+      clearInterval(reauthInterval);
+      reauthInterval = null;
+    }
+    authService.off('revoked', reauthenticateSockets);
     if (_flushStatsTimer) {
       clearTimeout(_flushStatsTimer);
       _flushStatsTimer = null;
@@ -483,7 +869,26 @@ function createServer(bucketManager) {
     wss.close();
   }
 
-  return { app, wss, broadcast, startStatsTimer, close };
+  function upgradeToken(request) {
+    const url = new URL(request.url, 'http://localhost');
+    return url.searchParams.get('token') || bearerToken(request);
+  }
+
+  function authenticateUpgrade(request) {
+    return authService.authenticate(upgradeToken(request));
+  }
+
+  return {
+    app,
+    wss,
+    authService,
+    historyService,
+    broadcast,
+    authenticateUpgrade,
+    reauthenticateSockets,
+    startStatsTimer,
+    close,
+  };
 }
 
 module.exports = { createServer };
@@ -1,4 +1,5 @@
-const { AppError, ValidationError } = require('../errors');
+const { AppError, ValidationError, UnauthorizedError, ForbiddenError } = require('../errors');
+const { hasRole } = require('../auth/credentials');
 
 function validate(schema, source = 'body') {
   return (req, _res, next) => {
@@ -16,6 +17,76 @@ function validate(schema, source = 'body') {
   };
 }
 
+function bearerToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+  return null;
+}
+
+function authenticate(authService) {
+  return (req, _res, next) => {
+    const user = authService.authenticate(bearerToken(req));
+    if (!user) return next(new UnauthorizedError());
+    req.user = user;
+    next();
+  };
+}
+
+function requireRole(role) {
+  return (req, _res, next) => {
+    if (!req.user) return next(new UnauthorizedError());
+    if (!hasRole(req.user.role, role)) {
+      return next(new ForbiddenError(`Requer papel ${role}`));
+    }
+    next();
+  };
+}
+
+const SECRET_KEYS = /password|token/i;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_KEYS.test(k) ? '***' : redact(v)]));
+}
+
+function affectedCount(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (Number.isInteger(body.changes)) return body.changes;
+  if (Number.isInteger(body.updated)) return body.updated;
+  return null;
+}
+
+function auditTrail(auditService) {
+  return (action) => (req, res, next) => {
+    const bucketId = req.path.startsWith('/api/buckets/') ? parseInt(req.params.id) || null : null;
+    const bucketName = auditService.getBucketName(bucketId);
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return json(body);
+    };
+    res.on('finish', () => {
+      const body = res.locals.auditBody;
+      const created = action === 'bucket.create' && body && body.id ? body : null;
+      const payload = req.body && Object.keys(req.body).length > 0 ? redact(req.body) : null;
+      auditService.record({
+        actor: req.user ? req.user.username : (req.body && req.body.username) || null,
+        action,
+        method: req.method,
+        path: req.originalUrl,
+        bucketId: created ? created.id : bucketId,
+        bucketName: created ? created.name : bucketName,
+        affected: affectedCount(body),
+        statusCode: res.statusCode,
+        ip: req.ip,
+        payload,
+      });
+    });
+    next();
+  };
+}
+
 function errorHandler(broadcast) {
   return (err, _req, res, _next) => {
     if (err instanceof AppError) {
@@ -40,4 +111,12 @@ function asyncHandler(fn) {
   };
 }
 
-module.exports = { validate, errorHandler, asyncHandler };
+module.exports = {
+  validate,
+  bearerToken,
+  authenticate,
+  requireRole,
+  auditTrail,
+  errorHandler,
+  asyncHandler,
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(role, required) {
+  const level = ROLES.indexOf(role);
+  return level !== -1 && level >= ROLES.indexOf(required);
+}
+
+function lowerRole(a, b) {
+  return ROLES.indexOf(a) <= ROLES.indexOf(b) ? a : b;
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, generateToken, hashToken, hasRole, lowerRole };
@@ -1,22 +1,45 @@
 const { EventEmitter } = require('events');
+const config = require('../config');
 const database = require('../queue/database');
 const WorkerPool = require('../workers');
+const bandwidth = require('../workers/bandwidth');
+const { tempPathFor, cleanupOrphanedTempFiles } = require('../workers/temp-files');
+const BucketWatcher = require('../watcher');
+const BucketScheduler = require('../scheduler');
+const { compilePriorityRules } = require('../scanner/priority');
 const logger = require('../logger');
 
 class BucketManager extends EventEmitter {
   constructor() {
     super();
     this.pools = new Map();
+    this.watchers = new Map();
+    this.schedulers = new Map();
   }
 
   init() {
+    const storedLimit = database.getServiceState('bandwidth_global_limit');
+    bandwidth.setGlobalLimit(storedLimit != null ? parseInt(storedLimit, 10) : config.bandwidth.globalLimit);
+
     const buckets = database.getAllBuckets();
     for (const bucket of buckets) {
       this._createPool(bucket);
+      this._syncWatcher(bucket);
+      this._syncScheduler(bucket);
     }
     logger.system(`BucketManager inicializado com ${buckets.length} bucket(s)`);
   }
 
+  async cleanupTempFiles() {
+    const folders = database.getAllBuckets().map((bucket) => bucket.destination_folder);
+    const keep = database.getResumablePartialPaths().map(tempPathFor);
+    const removed = await cleanupOrphanedTempFiles(folders, keep);
+    if (removed > 0) {
+      logger.system(`${removed} arquivo(s) temporario(s) orfao(s) removido(s) dos destinos`);
+    }
+    return removed;
+  }
+
   restoreState() {
     const buckets = database.getAllBuckets();
     for (const bucket of buckets) {
@@ -32,6 +55,7 @@ class BucketManager extends EventEmitter {
 
   _createPool(bucket) {
     const pool = new WorkerPool(bucket.id, bucket.worker_count);
+    bandwidth.setBucketLimit(bucket.id, bucket.bandwidth_limit || 0);
 
     pool.on('status-change', (data) => {
       this.emit('status-change', data);
@@ -49,9 +73,47 @@ class BucketManager extends EventEmitter {
     return pool;
   }
 
+  _syncWatcher(bucket) {
+    const existing = this.watchers.get(bucket.id);
+    if (existing) {
+      existing.removeAllListeners();
+      existing.stop();
+      this.watchers.delete(bucket.id);
+    }
+    if (!bucket.watch) return;
+
+    const watcher = new BucketWatcher(bucket);
+    watcher.on('files-queued', (data) => {
+      const pool = this.pools.get(bucket.id);
+      if (pool) pool.notifyNewWork();
+      this.emit('files-queued', data);
+    });
+    this.watchers.set(bucket.id, watcher);
+    watcher.start();
+  }
+
+  _syncScheduler(bucket) {
+    const existing = this.schedulers.get(bucket.id);
+    if (existing) {
+      existing.removeAllListeners();
+      existing.stop();
+      this.schedulers.delete(bucket.id);
+    }
+    if (!bucket.schedule || !bucket.schedule.scanCron) return;
+
+    const scheduler = new BucketScheduler(bucket);
+    scheduler.on('scan-due', (data) => {
+      this.emit('scheduled-scan', data);
+    });
+    this.schedulers.set(bucket.id, scheduler);
+    scheduler.start();
+  }
+
   createBucket(data) {
     const bucket = database.createBucket(data);
     this._createPool(bucket);
+    this._syncWatcher(bucket);
+    this._syncScheduler(bucket);
     this.emit('bucket-update', { action: 'created', bucket });
     logger.system(`Bucket criado: "${bucket.name}" (id=${bucket.id})`);
     return bucket;
@@ -71,6 +133,38 @@ class BucketManager extends EventEmitter {
       pool.workerCount = data.workerCount;
     }
 
+    if (data.priorityRules) {
+      database.reprioritizeFiles(id, compilePriorityRules(bucket.priority_rules));
+    }
+
+    if (
+      data.watch !== undefined ||
+      data.sourceFolders ||
+      data.destinationFolder ||
+      data.filters ||
+      data.priorityRules
+    ) {
+      this._syncWatcher(bucket);
+    }
+
+    if (data.schedule) {
+      this._syncScheduler(bucket);
+      if (pool) pool.applySchedule();
+    }
+
+    if (
+      (data.preserveMetadata ||
+        data.mode ||
+        data.conflictPolicy ||
+        data.keepBothPattern !== undefined ||
+        data.backup ||
+        data.pruneEmptyDirs !== undefined ||
+        data.trashFolder !== undefined) &&
+      pool
+    ) {
+      pool.applyBucketSettings();
+    }
+
     this.emit('bucket-update', { action: 'updated', bucket });
     logger.system(`Bucket atualizado: "${bucket.name}" (id=${bucket.id})`);
     return bucket;
@@ -88,6 +182,21 @@ class BucketManager extends EventEmitter {
       this.pools.delete(id);
     }
 
+    const watcher = this.watchers.get(id);
+    if (watcher) {
+      watcher.removeAllListeners();
+      watcher.stop();
+      this.watchers.delete(id);
+    }
+
+    const scheduler = this.schedulers.get(id);
+    if (scheduler) {
+      scheduler.removeAllListeners();
+      scheduler.stop();
+      this.schedulers.delete(id);
+    }
+
+    bandwidth.removeBucket(id);
     database.deleteBucket(id);
     this.emit('bucket-update', { action: 'deleted', bucketId: id });
     logger.system(`Bucket excluído: "${bucket ? bucket.name : id}" (id=${id})`);
@@ -125,24 +234,71 @@ class BucketManager extends EventEmitter {
     await pool.stop();
   }
 
+  notifyNewWork(id) {
+    const pool = this.pools.get(id);
+    if (pool) pool.notifyNewWork();
+  }
+
   setWorkerCount(id, n) {
     const pool = this.pools.get(id);
     if (!pool) throw new Error(`Bucket ${id} não encontrado`);
     return pool.setWorkerCount(n);
   }
 
+  setBandwidthLimit(id, bytesPerSecond) {
+    const pool = this.pools.get(id);
+    if (!pool) throw new Error(`Bucket ${id} não encontrado`);
+    return pool.setBandwidthLimit(bytesPerSecond);
+  }
+
+  setGlobalBandwidthLimit(bytesPerSecond) {
+    const limit = Math.max(0, bytesPerSecond);
+    bandwidth.setGlobalLimit(limit);
+    database.setServiceState('bandwidth_global_limit', limit);
+    logger.system(`Limite global de banda alterado para ${limit} bytes/s`);
+    return this.getBandwidth();
+  }
+
+  getBandwidth() {
+    return bandwidth.getSnapshot();
+  }
+
+  getThroughput() {
+    const buckets = {};
+    for (const id of this.pools.keys()) {
+      buckets[id] = {
+        ...bandwidth.getEstimate(id, database.getStatsByBucket(id).pending),
+        history: bandwidth.getHistory(id),
+      };
+    }
+    return {
+      global: { ...bandwidth.getEstimate(null, database.getStats().pending), history: bandwidth.getHistory(null) },
+      buckets,
+    };
+  }
+
   getBucketStatus(id) {
     const pool = this.pools.get(id);
     if (!pool) throw new Error(`Bucket ${id} não encontrado`);
     const bucket = database.getBucket(id);
+    const watcher = this.watchers.get(id);
+    const scheduler = this.schedulers.get(id);
     return {
       ...pool.getStatus(),
       name: bucket ? bucket.name : null,
+      watch: watcher ? watcher.getStatus() : { enabled: false },
+      schedule: scheduler ? scheduler.getStatus() : { enabled: false },
     };
   }
 
   async stopAll() {
     const promises = [];
+    for (const [, scheduler] of this.schedulers) {
+      scheduler.stop();
+    }
+    for (const [, watcher] of this.watchers) {
+      promises.push(watcher.stop());
+    }
     for (const [, pool] of this.pools) {
       promises.push(pool.stop());
     }
@@ -50,7 +50,27 @@ module.exports = {
     ignorePatterns: ['.DS_Store', 'Thumbs.db', '.gitkeep'],
   },
 
+  watcher: {
+    debounceMs: envInt('WATCH_DEBOUNCE_MS', 2000),
+    reconcileIntervalMs: envInt('WATCH_RECONCILE_INTERVAL_MS', 600000),
+  },
+
   copyBufferSize: envInt('COPY_BUFFER_SIZE', 524288),
+  copyCheckpointBytes: envInt('COPY_CHECKPOINT_BYTES', 67108864),
+
+  retry: {
+    maxAttempts: envInt('RETRY_MAX_ATTEMPTS', 5),
+    baseDelayMs: envInt('RETRY_BASE_DELAY_MS', 5000),
+    maxDelayMs: envInt('RETRY_MAX_DELAY_MS', 600000),
+  },
+
+  conflicts: {
+    keepBothPattern: env('KEEP_BOTH_PATTERN', '{name} ({n}){ext}'),
+  },
+
+  bandwidth: {
+    globalLimit: envInt('BANDWIDTH_GLOBAL_LIMIT', 0),
+  },
 
   rateLimit: {
     windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60000),
@@ -60,4 +80,17 @@ module.exports = {
   requestLog: {
     format: env('REQUEST_LOG_FORMAT', 'short'),
   },
+
+  auth: {
+    enabled: envBool('AUTH_ENABLED', false),
+    sessionTtlHours: envInt('AUTH_SESSION_TTL_HOURS', 12),
+    adminUser: env('AUTH_ADMIN_USER', 'admin'),
+    adminPassword: env('AUTH_ADMIN_PASSWORD', ''),
+  },
+
+  history: {
+    minuteRetentionHours: envInt('HISTORY_MINUTE_RETENTION_HOURS', 48),
+    hourRetentionDays: envInt('HISTORY_HOUR_RETENTION_DAYS', 365),
+    attemptRetentionDays: envInt('HISTORY_ATTEMPT_RETENTION_DAYS', 90),
+  },
 };
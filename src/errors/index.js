@@ -27,4 +27,16 @@ class ConflictError extends AppError {
   }
 }
 
-module.exports = { AppError, NotFoundError, ValidationError, ConflictError };
+class UnauthorizedError extends AppError {
+  constructor(message = 'Autenticação necessária', details = null) {
+    super(message, 401, 'UNAUTHORIZED', details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Permissão insuficiente', details = null) {
+    super(message, 403, 'FORBIDDEN', details);
+  }
+}
+
+module.exports = { AppError, NotFoundError, ValidationError, ConflictError, UnauthorizedError, ForbiddenError };
@@ -15,11 +15,34 @@ async function main() {
   const buckets = bucketManager.getAllBuckets();
   console.log(`Buckets carregados: ${buckets.length}`);
 
-  const { app, wss, startStatsTimer, close: closeApi } = createServer(bucketManager);
+  const {
+    app,
+    wss,
+    authService,
+    historyService,
+    authenticateUpgrade,
+    startStatsTimer,
+    close: closeApi,
+  } = createServer(bucketManager);
+
+  const admin = authService.bootstrap();
+  if (admin) {
+    logger.system(`Usuário administrador "${admin.user.username}" criado`);
+    if (admin.password) {
+      console.log(`Senha gerada para "${admin.user.username}": ${admin.password}`);
+      console.log('Defina AUTH_ADMIN_PASSWORD ou altere a senha via PUT /api/users/:id.');
+    }
+  }
+  console.log(`Autenticação: ${authService.enabled ? 'ativada' : 'desativada'}`);
 
   const server = http.createServer(app);
 
   server.on('upgrade', (request, socket, head) => {
+    if (!authenticateUpgrade(request)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit('connection', ws, request);
     });
@@ -34,6 +57,7 @@ async function main() {
   });
 
   startStatsTimer();
+  historyService.start();
 
   const maintenanceInterval = setInterval(
     () => {
@@ -47,6 +71,12 @@ async function main() {
     10 * 60 * 1000,
   );
 
+  try {
+    await bucketManager.cleanupTempFiles();
+  } catch (err) {
+    logger.system(`Erro ao limpar arquivos temporarios: ${err.message}`);
+  }
+
   bucketManager.restoreState();
 
   logger.system('Sistema pronto');
@@ -1,4 +1,6 @@
 const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
 const rfs = require('rotating-file-stream');
 const config = require('../config');
 
@@ -8,9 +10,14 @@ const STATUS_CHANNEL_MAP = {
   completed: 'finalizado',
   error: 'erro',
   conflict: 'conflito',
+  source_missing: 'ausente',
+  source_deleted: 'removido',
+  destination_deleted: 'removido',
 };
 
-const CHANNELS = ['geral', 'pendente', 'em_andamento', 'erro', 'conflito', 'finalizado'];
+const FIND_TAIL_BYTES = 8 * 1024 * 1024;
+
+const CHANNELS = ['geral', 'pendente', 'em_andamento', 'erro', 'conflito', 'finalizado', 'ausente', 'removido'];
 
 function formatSize(bytes) {
   if (bytes === 0) return '0 B';
@@ -81,6 +88,34 @@ class Logger {
     }
   }
 
+  async findLines(needles, limit = 50, maxBytes = FIND_TAIL_BYTES) {
+    const patterns = [].concat(needles);
+    const file = path.join(config.logging.directory, 'geral.log');
+    const found = [];
+    try {
+      const { size } = await fs.promises.stat(file);
+      const start = Math.max(0, size - maxBytes);
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { start, encoding: 'utf-8' }),
+        crlfDelay: Infinity,
+      });
+      let partial = start > 0;
+      for await (const line of lines) {
+        if (partial) {
+          partial = false;
+          continue;
+        }
+        if (!patterns.some((needle) => line.includes(needle))) continue;
+        found.push(line);
+        if (found.length > limit) found.shift();
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return found;
+  }
+
   system(message) {
     const timestamp = new Date().toISOString();
     const line = `[${timestamp}] [SYSTEM] ${message}\n`;
@@ -0,0 +1,209 @@
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+const SCAN_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  _key(labels = {}) {
+    const values = this.labelNames.map((name) => (labels[name] == null ? '' : labels[name]));
+    return { key: JSON.stringify(values), values };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    const { key, values } = this._key(labels);
+    const current = this.series.get(key);
+    if (current) current.value += value;
+    else this.series.set(key, { values, value });
+  }
+
+  render() {
+    const lines = this._header();
+    for (const { values, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+  }
+
+  set(labels, value) {
+    const { key, values } = this._key(labels);
+    this.series.set(key, { values, value });
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const { key, values } = this._key(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this._header();
+    for (const { values, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${le}"`)} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.flatMap((m) => m.render()).join('\n') + '\n';
+  }
+}
+
+const registry = new Registry();
+
+const filesProcessed = registry.counter(
+  'fcm_files_processed_total',
+  'Arquivos concluidos pelos workers, por resultado',
+  ['bucket', 'result'],
+);
+const attemptFailures = registry.counter(
+  'fcm_attempt_failures_total',
+  'Tentativas com falha, por resultado e codigo de erro',
+  ['bucket', 'result', 'code'],
+);
+const bytesCopied = registry.counter('fcm_bytes_copied_total', 'Bytes gravados no destino', ['bucket']);
+const copyDuration = registry.histogram(
+  'fcm_copy_duration_seconds',
+  'Duracao das copias concluidas (copia, verificacao e finalizacao)',
+  ['bucket'],
+);
+const hashBytes = registry.counter(
+  'fcm_hash_bytes_total',
+  'Bytes lidos nas passagens de hash de comparacao e verificacao',
+  ['bucket'],
+);
+const hashSeconds = registry.counter('fcm_hash_seconds_total', 'Tempo gasto nas passagens de hash', ['bucket']);
+const scanDuration = registry.histogram(
+  'fcm_scan_duration_seconds',
+  'Duracao das varreduras de bucket',
+  ['bucket', 'result'],
+  SCAN_BUCKETS,
+);
+
+const gauges = {
+  bucketInfo: registry.gauge('fcm_bucket_info', 'Buckets cadastrados (valor sempre 1)', [
+    'bucket',
+    'name',
+    'mode',
+    'status',
+  ]),
+  files: registry.gauge('fcm_files', 'Arquivos na fila por bucket e status', ['bucket', 'status']),
+  fileBytes: registry.gauge('fcm_files_bytes', 'Bytes na fila por bucket e status', ['bucket', 'status']),
+  workers: registry.gauge('fcm_workers', 'Workers configurados por bucket', ['bucket']),
+  workersActive: registry.gauge('fcm_workers_active', 'Workers copiando no momento', ['bucket']),
+  workerUtilization: registry.gauge('fcm_worker_utilization_ratio', 'Workers ativos / configurados', ['bucket']),
+  threads: registry.gauge('fcm_thread_pool_threads', 'Threads de copia no pool'),
+  threadPending: registry.gauge('fcm_thread_pool_pending', 'Tarefas aguardando ou em execucao por thread', ['thread']),
+  walBytes: registry.gauge('fcm_sqlite_wal_bytes', 'Tamanho do arquivo WAL do SQLite'),
+  databaseBytes: registry.gauge('fcm_sqlite_database_bytes', 'Tamanho do arquivo principal do SQLite'),
+  uptime: registry.gauge('fcm_uptime_seconds', 'Tempo desde o inicio do processo'),
+  residentMemory: registry.gauge('fcm_process_resident_memory_bytes', 'Memoria residente do processo'),
+};
+
+function recordAttempt(bucketId, result, durationMs) {
+  const bucket = String(bucketId);
+  if (result.result === 'error' || result.result === 'integrity_error') {
+    attemptFailures.inc({ bucket, result: result.result, code: result.code || 'unknown' });
+  }
+  if (result.result === 'copied') copyDuration.observe({ bucket }, durationMs / 1000);
+  if (result.hashBytes > 0) {
+    hashBytes.inc({ bucket }, result.hashBytes);
+    hashSeconds.inc({ bucket }, result.hashMs / 1000);
+  }
+}
+
+function recordCompleted(bucketId, result) {
+  const bucket = String(bucketId);
+  filesProcessed.inc({ bucket, result: result.result });
+  if (result.bytesTransferred > 0) bytesCopied.inc({ bucket }, result.bytesTransferred);
+}
+
+function recordScan(bucketId, durationMs, result) {
+  scanDuration.observe({ bucket: String(bucketId), result }, durationMs / 1000);
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, registry, gauges, recordAttempt, recordCompleted, recordScan };
@@ -0,0 +1,21 @@
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.id])).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const [id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (Number.isInteger(id)) return { id };
+  } catch (_) {
+    return null;
+  }
+  return null;
+}
+
+function toPage(rows, limit) {
+  const files = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(files[files.length - 1]) : null;
+  return { files, nextCursor };
+}
+
+module.exports = { encodeCursor, decodeCursor, toPage };
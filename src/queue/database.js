@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const Database = require('better-sqlite3');
 const config = require('../config');
+const { toPage } = require('./cursor');
+const { SEARCH_SORT_FIELDS } = require('../validation/schemas');
 
 class FileQueueDB {
   constructor() {
@@ -20,6 +22,7 @@ class FileQueueDB {
     this._globalStats = this._emptyStats();
     this._bucketStats = {};
     this._folderStatsCache = new Map();
+    this._variantStmts = new Map();
 
     this._createSchema();
     this._migrate();
@@ -35,6 +38,7 @@ class FileQueueDB {
       completed: { count: 0, totalSize: 0 },
       error: { count: 0, totalSize: 0 },
       conflict: { count: 0, totalSize: 0 },
+      source_missing: { count: 0, totalSize: 0 },
     };
   }
 
@@ -207,6 +211,320 @@ class FileQueueDB {
       `);
       this._setSchemaVersion(5);
     }
+
+    if (currentVersion < 6) {
+      if (!this._hasColumn('buckets', 'filters')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN filters TEXT NOT NULL DEFAULT '{}'`);
+      }
+      this._setSchemaVersion(6);
+    }
+
+    if (currentVersion < 7) {
+      const columns = {
+        source_mtime: 'INTEGER',
+        source_inode: 'INTEGER',
+        generation: 'INTEGER NOT NULL DEFAULT 1',
+        previous_destination_hash: 'TEXT',
+        last_seen_scan: 'INTEGER',
+      };
+      for (const [column, type] of Object.entries(columns)) {
+        if (!this._hasColumn('file_queue', column)) {
+          this.db.exec(`ALTER TABLE file_queue ADD COLUMN ${column} ${type}`);
+        }
+      }
+      this._setSchemaVersion(7);
+    }
+
+    if (currentVersion < 8) {
+      if (!this._hasColumn('buckets', 'watch')) {
+        this.db.exec('ALTER TABLE buckets ADD COLUMN watch INTEGER NOT NULL DEFAULT 0');
+      }
+      this._setSchemaVersion(8);
+    }
+
+    if (currentVersion < 9) {
+      if (!this._hasColumn('buckets', 'schedule')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN schedule TEXT NOT NULL DEFAULT '{}'`);
+      }
+      this._setSchemaVersion(9);
+    }
+
+    if (currentVersion < 10) {
+      if (!this._hasColumn('buckets', 'bandwidth_limit')) {
+        this.db.exec('ALTER TABLE buckets ADD COLUMN bandwidth_limit INTEGER NOT NULL DEFAULT 0');
+      }
+      this._setSchemaVersion(10);
+    }
+
+    if (currentVersion < 11) {
+      const columns = {
+        partial_offset: 'INTEGER NOT NULL DEFAULT 0',
+        partial_hash: 'TEXT',
+        partial_source_size: 'INTEGER',
+        partial_source_mtime: 'INTEGER',
+      };
+      for (const [column, type] of Object.entries(columns)) {
+        if (!this._hasColumn('file_queue', column)) {
+          this.db.exec(`ALTER TABLE file_queue ADD COLUMN ${column} ${type}`);
+        }
+      }
+      this._setSchemaVersion(11);
+    }
+
+    if (currentVersion < 12) {
+      if (!this._hasColumn('buckets', 'preserve_metadata')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN preserve_metadata TEXT NOT NULL DEFAULT '{}'`);
+      }
+      this._setSchemaVersion(12);
+    }
+
+    if (currentVersion < 13) {
+      if (!this._hasColumn('buckets', 'mode')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN mode TEXT NOT NULL DEFAULT 'copy'`);
+      }
+      if (!this._hasColumn('buckets', 'prune_empty_dirs')) {
+        this.db.exec('ALTER TABLE buckets ADD COLUMN prune_empty_dirs INTEGER NOT NULL DEFAULT 0');
+      }
+      if (!this._hasColumn('file_queue', 'source_deleted_at')) {
+        this.db.exec('ALTER TABLE file_queue ADD COLUMN source_deleted_at TEXT');
+      }
+      this._setSchemaVersion(13);
+    }
+
+    if (currentVersion < 14) {
+      if (!this._hasColumn('buckets', 'trash_folder')) {
+        this.db.exec('ALTER TABLE buckets ADD COLUMN trash_folder TEXT');
+      }
+      if (!this._hasColumn('file_queue', 'operation')) {
+        this.db.exec(`ALTER TABLE file_queue ADD COLUMN operation TEXT NOT NULL DEFAULT 'copy'`);
+      }
+      this._setSchemaVersion(14);
+    }
+
+    if (currentVersion < 15) {
+      if (!this._hasColumn('buckets', 'conflict_policy')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN conflict_policy TEXT NOT NULL DEFAULT 'ask'`);
+      }
+      if (!this._hasColumn('file_queue', 'resolved_destination_path')) {
+        this.db.exec('ALTER TABLE file_queue ADD COLUMN resolved_destination_path TEXT');
+      }
+      this._setSchemaVersion(15);
+    }
+
+    if (currentVersion < 16) {
+      if (!this._hasColumn('buckets', 'keep_both_pattern')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN keep_both_pattern TEXT NOT NULL DEFAULT '{name} ({n}){ext}'`);
+      }
+      this._setSchemaVersion(16);
+    }
+
+    if (currentVersion < 17) {
+      if (!this._hasColumn('buckets', 'backup')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN backup TEXT NOT NULL DEFAULT '{}'`);
+      }
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS destination_backups (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          file_id INTEGER NOT NULL,
+          bucket_id INTEGER NOT NULL,
+          original_path TEXT NOT NULL,
+          backup_path TEXT NOT NULL,
+          file_size INTEGER DEFAULT 0,
+          destination_hash TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_backups_file ON destination_backups(file_id);
+      `);
+      this._setSchemaVersion(17);
+    }
+
+    if (currentVersion < 18) {
+      if (!this._hasColumn('file_queue', 'attempt_count')) {
+        this.db.exec('ALTER TABLE file_queue ADD COLUMN attempt_count INTEGER NOT NULL DEFAULT 0');
+      }
+      if (!this._hasColumn('file_queue', 'next_attempt_at')) {
+        this.db.exec('ALTER TABLE file_queue ADD COLUMN next_attempt_at TEXT');
+      }
+      this._setSchemaVersion(18);
+    }
+
+    if (currentVersion < 19) {
+      if (!this._hasColumn('file_queue', 'error_code')) {
+        this.db.exec('ALTER TABLE file_queue ADD COLUMN error_code TEXT');
+      }
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS file_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          file_id INTEGER NOT NULL,
+          bucket_id INTEGER NOT NULL,
+          attempt INTEGER NOT NULL,
+          operation TEXT NOT NULL DEFAULT 'copy',
+          result TEXT NOT NULL,
+          error_code TEXT,
+          phase TEXT,
+          error_message TEXT,
+          worker_id INTEGER,
+          thread_id INTEGER,
+          duration_ms INTEGER NOT NULL DEFAULT 0,
+          bytes_transferred INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_attempts_file ON file_attempts(file_id);
+      `);
+      this._setSchemaVersion(19);
+    }
+
+    if (currentVersion < 20) {
+      this.db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS file_search USING fts5(
+          relative_path, error_message,
+          content='file_queue', content_rowid='id', tokenize='trigram'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS file_search_insert AFTER INSERT ON file_queue BEGIN
+          INSERT INTO file_search (rowid, relative_path, error_message)
+          VALUES (new.id, new.relative_path, new.error_message);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS file_search_delete AFTER DELETE ON file_queue BEGIN
+          INSERT INTO file_search (file_search, rowid, relative_path, error_message)
+          VALUES ('delete', old.id, old.relative_path, old.error_message);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS file_search_update AFTER UPDATE OF relative_path, error_message ON file_queue
+        WHEN old.relative_path IS NOT new.relative_path OR old.error_message IS NOT new.error_message BEGIN
+          INSERT INTO file_search (file_search, rowid, relative_path, error_message)
+          VALUES ('delete', old.id, old.relative_path, old.error_message);
+          INSERT INTO file_search (rowid, relative_path, error_message)
+          VALUES (new.id, new.relative_path, new.error_message);
+        END;
+
+        INSERT INTO file_search (file_search) VALUES ('rebuild');
+
+        CREATE INDEX IF NOT EXISTS idx_file_size ON file_queue(file_size);
+        CREATE INDEX IF NOT EXISTS idx_created ON file_queue(created_at);
+        CREATE INDEX IF NOT EXISTS idx_source_hash ON file_queue(source_hash);
+        CREATE INDEX IF NOT EXISTS idx_destination_hash ON file_queue(destination_hash);
+      `);
+      this._setSchemaVersion(20);
+    }
+
+    if (currentVersion < 21) {
+      this.db.exec(`
+        DROP INDEX IF EXISTS idx_status_updated;
+        DROP INDEX IF EXISTS idx_bucket_updated;
+        DROP INDEX IF EXISTS idx_updated;
+        CREATE INDEX IF NOT EXISTS idx_status_updated_id ON file_queue(status, updated_at DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS idx_bucket_updated_id ON file_queue(bucket_id, updated_at DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS idx_bucket_status_updated_id ON file_queue(bucket_id, status, updated_at DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS idx_updated_id ON file_queue(updated_at DESC, id DESC);
+      `);
+      this._setSchemaVersion(21);
+    }
+
+    if (currentVersion < 22) {
+      if (!this._hasColumn('file_queue', 'priority')) {
+        this.db.exec('ALTER TABLE file_queue ADD COLUMN priority INTEGER NOT NULL DEFAULT 0');
+      }
+      if (!this._hasColumn('buckets', 'priority_rules')) {
+        this.db.exec(`ALTER TABLE buckets ADD COLUMN priority_rules TEXT NOT NULL DEFAULT '[]'`);
+      }
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_bucket_status_folder_priority
+          ON file_queue(bucket_id, status, source_folder, priority DESC, id);
+      `);
+      this._setSchemaVersion(22);
+    }
+
+    if (currentVersion < 23) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'viewer',
+          created_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime'))
+        );
+        CREATE TABLE IF NOT EXISTS auth_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          kind TEXT NOT NULL DEFAULT 'api',
+          name TEXT,
+          role TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          expires_at TEXT,
+          last_used_at TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id);
+      `);
+      this._setSchemaVersion(23);
+    }
+
+    if (currentVersion < 24) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          actor TEXT,
+          action TEXT NOT NULL,
+          method TEXT NOT NULL,
+          path TEXT NOT NULL,
+          bucket_id INTEGER,
+          bucket_name TEXT,
+          affected INTEGER,
+          status_code INTEGER,
+          ip TEXT,
+          payload TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now', 'localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_bucket ON audit_log(bucket_id, created_at);
+      `);
+      this._setSchemaVersion(24);
+    }
+
+    if (currentVersion < 25) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS stats_history (
+          bucket_id INTEGER NOT NULL,
+          granularity TEXT NOT NULL,
+          period_start TEXT NOT NULL,
+          pending_count INTEGER NOT NULL DEFAULT 0,
+          pending_bytes INTEGER NOT NULL DEFAULT 0,
+          completed_count INTEGER NOT NULL DEFAULT 0,
+          completed_bytes INTEGER NOT NULL DEFAULT 0,
+          error_count INTEGER NOT NULL DEFAULT 0,
+          conflict_count INTEGER NOT NULL DEFAULT 0,
+          files_copied INTEGER NOT NULL DEFAULT 0,
+          bytes_copied INTEGER NOT NULL DEFAULT 0,
+          errors INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (bucket_id, granularity, period_start)
+        );
+        CREATE INDEX IF NOT EXISTS idx_history_period ON stats_history(granularity, period_start);
+        CREATE INDEX IF NOT EXISTS idx_attempts_bucket_created ON file_attempts(bucket_id, created_at);
+      `);
+      this._setSchemaVersion(25);
+    }
+
+    if (currentVersion < 26) {
+      this.db.exec(
+        `UPDATE file_queue SET status = 'awaiting_approval' WHERE operation = 'delete' AND status = 'pending'`,
+      );
+      this._setSchemaVersion(26);
+    }
+
+    if (currentVersion < 27) {
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_attempts_created ON file_attempts(created_at)');
+      this._setSchemaVersion(27);
+    }
+  }
+
+  _hasColumn(table, column) {
+    return this.db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .some((c) => c.name === column);
   }
 
   _getSchemaVersion() {
@@ -242,25 +560,102 @@ class FileQueueDB {
   _prepareStatements() {
     this._stmts = {
       insertFile: this.db.prepare(`
-        INSERT OR IGNORE INTO file_queue (bucket_id, source_path, source_folder, relative_path, destination_path, file_size, status, error_message)
-        VALUES (@bucketId, @sourcePath, @sourceFolder, @relativePath, @destinationPath, @fileSize, @status, @errorMessage)
+        INSERT OR IGNORE INTO file_queue (bucket_id, source_path, source_folder, relative_path, destination_path, file_size, status, error_message, source_mtime, source_inode, last_seen_scan, priority)
+        VALUES (@bucketId, @sourcePath, @sourceFolder, @relativePath, @destinationPath, @fileSize, @status, @errorMessage, @sourceMtime, @sourceInode, @lastSeenScan, @priority)
+      `),
+
+      getFileByKey: this.db.prepare(`
+        SELECT id, status, file_size, source_mtime, source_inode, source_deleted_at FROM file_queue
+        WHERE source_path = ? AND destination_path = ? AND bucket_id = ?
+      `),
+
+      touchScannedFile: this.db.prepare(`
+        UPDATE file_queue
+        SET last_seen_scan = @scanToken,
+            source_mtime = COALESCE(source_mtime, @sourceMtime),
+            source_inode = COALESCE(source_inode, @sourceInode)
+        WHERE id = @id
+      `),
+
+      requeueModifiedFile: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'pending', generation = generation + 1,
+            previous_destination_hash = CASE
+              WHEN status = 'completed' AND source_hash = destination_hash THEN destination_hash
+              ELSE previous_destination_hash
+            END,
+            file_size = @fileSize, source_mtime = @sourceMtime, source_inode = @sourceInode,
+            last_seen_scan = @scanToken, priority = @priority, source_hash = NULL, destination_hash = NULL,
+            partial_offset = 0, partial_hash = NULL, source_deleted_at = NULL,
+            error_message = NULL, worker_id = NULL, started_at = NULL, completed_at = NULL,
+            attempt_count = 0, next_attempt_at = NULL, error_code = NULL,
+            updated_at = datetime('now', 'localtime')
+        WHERE id = @id AND status != 'in_progress'
+      `),
+
+      restoreMissingFile: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'pending', last_seen_scan = @scanToken, priority = @priority,
+            error_message = NULL, worker_id = NULL, started_at = NULL,
+            updated_at = datetime('now', 'localtime')
+        WHERE id = @id AND status = 'source_missing'
+      `),
+
+      getUnseenFilesForFolder: this.db.prepare(`
+        SELECT id, source_path, status, file_size FROM file_queue
+        WHERE bucket_id = @bucketId AND source_folder = @sourceFolder
+          AND (last_seen_scan IS NULL OR last_seen_scan != @scanToken)
+          AND status NOT IN ('in_progress', 'source_missing')
+          AND source_deleted_at IS NULL
+          AND operation = 'copy'
+      `),
+
+      markSourceMissing: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'source_missing', worker_id = NULL, updated_at = datetime('now', 'localtime')
+        WHERE id = ? AND status NOT IN ('in_progress', 'source_missing')
       `),
 
       getNextPending: this.db.prepare(`
-        SELECT * FROM file_queue WHERE status = 'pending' ORDER BY id ASC LIMIT ?
+        SELECT * FROM file_queue WHERE status = 'pending' ORDER BY priority DESC, id ASC LIMIT ?
       `),
 
       getNextPendingForBucket: this.db.prepare(`
-        SELECT * FROM file_queue WHERE status = 'pending' AND bucket_id = ? ORDER BY id ASC LIMIT ?
+        SELECT * FROM file_queue
+        WHERE status = 'pending' AND bucket_id = ?
+          AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now', 'localtime'))
+        ORDER BY priority DESC, id ASC LIMIT ?
       `),
 
       getNextPendingForBucketAndFolder: this.db.prepare(`
-        SELECT * FROM file_queue WHERE status = 'pending' AND bucket_id = ? AND source_folder = ? ORDER BY id ASC LIMIT ?
+        SELECT * FROM file_queue
+        WHERE status = 'pending' AND bucket_id = ? AND source_folder = ?
+          AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now', 'localtime'))
+        ORDER BY priority DESC, id ASC LIMIT ?
+      `),
+
+      getPrioritizableFiles: this.db.prepare(`
+        SELECT id, relative_path, file_size, priority FROM file_queue
+        WHERE bucket_id = ? AND operation = 'copy' AND status != 'completed'
+      `),
+
+      updateFilePriority: this.db.prepare(`
+        UPDATE file_queue SET priority = ? WHERE id = ?
+      `),
+
+      getTopPendingPriority: this.db.prepare(`
+        SELECT COALESCE(MAX(priority), 0) as priority FROM file_queue WHERE bucket_id = ? AND status = 'pending'
       `),
 
       getActiveFolderCounts: this.db.prepare(`
         SELECT source_folder,
-          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+          SUM(CASE
+            WHEN status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now', 'localtime')) THEN 1
+            ELSE 0
+          END) as pending,
+          MAX(CASE
+            WHEN status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now', 'localtime')) THEN priority
+          END) as top_priority,
           SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress
         FROM file_queue
         WHERE bucket_id = ? AND status IN ('pending', 'in_progress')
@@ -270,23 +665,89 @@ class FileQueueDB {
       getStatsByBucketGroupedByFolder: this.db.prepare(`
         SELECT source_folder, status, COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
         FROM file_queue
-        WHERE bucket_id = ?
+        WHERE bucket_id = ? AND operation = 'copy'
         GROUP BY source_folder, status
       `),
 
+      getModifiedStatsByBucketGroupedByFolder: this.db.prepare(`
+        SELECT source_folder, COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
+        FROM file_queue
+        WHERE bucket_id = ? AND generation > 1 AND operation = 'copy'
+        GROUP BY source_folder
+      `),
+
       updateStatus: this.db.prepare(`
         UPDATE file_queue
         SET status = @status,
             source_hash = COALESCE(@sourceHash, source_hash),
             destination_hash = COALESCE(@destinationHash, destination_hash),
+            resolved_destination_path = COALESCE(@resolvedDestinationPath, resolved_destination_path),
             error_message = COALESCE(@errorMessage, error_message),
+            error_code = CASE WHEN @status = 'error' THEN @errorCode ELSE error_code END,
             worker_id = COALESCE(@workerId, worker_id),
             started_at = COALESCE(@startedAt, started_at),
             completed_at = CASE WHEN @completedAt IS NOT NULL THEN datetime('now', 'localtime') ELSE completed_at END,
+            partial_offset = CASE WHEN @status = 'completed' THEN 0 ELSE partial_offset END,
+            partial_hash = CASE WHEN @status = 'completed' THEN NULL ELSE partial_hash END,
+            attempt_count = COALESCE(@attemptCount, CASE WHEN @status = 'completed' THEN 0 ELSE attempt_count END),
+            next_attempt_at = CASE WHEN @status = 'pending' THEN next_attempt_at ELSE NULL END,
             updated_at = datetime('now', 'localtime')
         WHERE id = @id
       `),
 
+      scheduleRetry: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'pending', worker_id = NULL, started_at = NULL,
+            error_message = @errorMessage, error_code = @errorCode, attempt_count = @attemptCount,
+            next_attempt_at = datetime('now', 'localtime', @delay),
+            updated_at = datetime('now', 'localtime')
+        WHERE id = @id AND status = 'in_progress'
+      `),
+
+      saveCopyCheckpoint: this.db.prepare(`
+        UPDATE file_queue
+        SET partial_offset = @offset, partial_hash = @hash,
+            partial_source_size = @sourceSize, partial_source_mtime = @sourceMtime
+        WHERE id = @id AND status = 'in_progress'
+      `),
+
+      insertDeletion: this.db.prepare(`
+        INSERT OR IGNORE INTO file_queue (bucket_id, source_path, source_folder, relative_path, destination_path, file_size, status, operation, last_seen_scan)
+        VALUES (@bucketId, @destinationPath, @destinationFolder, @relativePath, @destinationPath, 0, 'awaiting_approval', 'delete', @scanToken)
+      `),
+
+      requeueDeletion: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'awaiting_approval', generation = generation + 1, last_seen_scan = @scanToken,
+            error_message = NULL, worker_id = NULL, started_at = NULL, completed_at = NULL,
+            updated_at = datetime('now', 'localtime')
+        WHERE id = @id AND status = 'completed'
+      `),
+
+      approveDeletions: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'pending', updated_at = datetime('now', 'localtime')
+        WHERE bucket_id = @bucketId AND operation = 'delete' AND status = 'awaiting_approval'
+          AND (@fileIds IS NULL OR id IN (SELECT value FROM json_each(@fileIds)))
+      `),
+
+      getDeletionsForBucket: this.db.prepare(`
+        SELECT * FROM file_queue
+        WHERE bucket_id = @bucketId AND operation = 'delete' AND (@status IS NULL OR status = @status)
+        ORDER BY updated_at DESC, id DESC LIMIT @limit OFFSET @offset
+      `),
+
+      markSourceDeleted: this.db.prepare(`
+        UPDATE file_queue
+        SET source_deleted_at = datetime('now', 'localtime'), updated_at = datetime('now', 'localtime')
+        WHERE id = ?
+      `),
+
+      getResumablePartials: this.db.prepare(`
+        SELECT COALESCE(resolved_destination_path, destination_path) AS destination_path
+        FROM file_queue WHERE partial_offset > 0
+      `),
+
       markInProgress: this.db.prepare(`
         UPDATE file_queue
         SET status = 'in_progress',
@@ -297,43 +758,44 @@ class FileQueueDB {
       `),
 
       getFileMeta: this.db.prepare(`
-        SELECT id, bucket_id, status, file_size FROM file_queue WHERE id = ?
+        SELECT id, bucket_id, status, file_size, operation FROM file_queue WHERE id = ?
       `),
 
       getStatsFromDB: this.db.prepare(`
         SELECT status, COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
-        FROM file_queue GROUP BY status
+        FROM file_queue WHERE operation = 'copy' GROUP BY status
       `),
 
       getStatsByBucketFromDB: this.db.prepare(`
         SELECT status, COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
-        FROM file_queue WHERE bucket_id = ? GROUP BY status
+        FROM file_queue WHERE bucket_id = ? AND operation = 'copy' GROUP BY status
       `),
 
       getFilesByStatus: this.db.prepare(`
         SELECT f.*, b.name as bucket_name FROM file_queue f
         LEFT JOIN buckets b ON f.bucket_id = b.id
-        WHERE f.status = @status
+        WHERE f.status = @status AND f.operation = 'copy'
         ORDER BY f.updated_at DESC LIMIT @limit OFFSET @offset
       `),
 
       getFilesByStatusForBucket: this.db.prepare(`
         SELECT f.*, b.name as bucket_name FROM file_queue f
         LEFT JOIN buckets b ON f.bucket_id = b.id
-        WHERE f.status = @status AND f.bucket_id = @bucketId
+        WHERE f.status = @status AND f.bucket_id = @bucketId AND f.operation = 'copy'
         ORDER BY f.updated_at DESC LIMIT @limit OFFSET @offset
       `),
 
       getAllFiles: this.db.prepare(`
         SELECT f.*, b.name as bucket_name FROM file_queue f
         LEFT JOIN buckets b ON f.bucket_id = b.id
+        WHERE f.operation = 'copy'
         ORDER BY f.updated_at DESC LIMIT @limit OFFSET @offset
       `),
 
       getAllFilesForBucket: this.db.prepare(`
         SELECT f.*, b.name as bucket_name FROM file_queue f
         LEFT JOIN buckets b ON f.bucket_id = b.id
-        WHERE f.bucket_id = @bucketId
+        WHERE f.bucket_id = @bucketId AND f.operation = 'copy'
         ORDER BY f.updated_at DESC LIMIT @limit OFFSET @offset
       `),
 
@@ -348,7 +810,8 @@ class FileQueueDB {
       resolveConflictOverwrite: this.db.prepare(`
         UPDATE file_queue
         SET status = 'pending', worker_id = NULL, started_at = NULL,
-            destination_hash = NULL, updated_at = datetime('now', 'localtime')
+            previous_destination_hash = destination_hash, destination_hash = NULL,
+            updated_at = datetime('now', 'localtime')
         WHERE id = ? AND status = 'conflict'
       `),
 
@@ -359,10 +822,40 @@ class FileQueueDB {
         WHERE id = ? AND status = 'conflict'
       `),
 
+      resolveConflictKeepBoth: this.db.prepare(`
+        UPDATE file_queue
+        SET status = 'pending', worker_id = NULL, started_at = NULL,
+            resolved_destination_path = @destinationPath, destination_hash = NULL,
+            previous_destination_hash = NULL, partial_offset = 0, partial_hash = NULL,
+            updated_at = datetime('now', 'localtime')
+        WHERE id = @id AND status = 'conflict'
+      `),
+
+      getConflictTarget: this.db.prepare(`
+        SELECT f.id, f.destination_path, f.resolved_destination_path, b.keep_both_pattern
+        FROM file_queue f JOIN buckets b ON b.id = f.bucket_id
+        WHERE f.id = ? AND f.status = 'conflict'
+      `),
+
+      getConflictTargets: this.db.prepare(`
+        SELECT f.id, f.destination_path, f.resolved_destination_path, b.keep_both_pattern
+        FROM file_queue f JOIN buckets b ON b.id = f.bucket_id
+        WHERE f.status = 'conflict'
+        ORDER BY f.id
+      `),
+
+      getConflictTargetsForBucket: this.db.prepare(`
+        SELECT f.id, f.destination_path, f.resolved_destination_path, b.keep_both_pattern
+        FROM file_queue f JOIN buckets b ON b.id = f.bucket_id
+        WHERE f.status = 'conflict' AND f.bucket_id = ?
+        ORDER BY f.id
+      `),
+
       resolveAllConflictsOverwrite: this.db.prepare(`
         UPDATE file_queue
         SET status = 'pending', worker_id = NULL, started_at = NULL,
-            destination_hash = NULL, updated_at = datetime('now', 'localtime')
+            previous_destination_hash = destination_hash, destination_hash = NULL,
+            updated_at = datetime('now', 'localtime')
         WHERE status = 'conflict'
       `),
 
@@ -376,7 +869,8 @@ class FileQueueDB {
       resolveAllConflictsOverwriteForBucket: this.db.prepare(`
         UPDATE file_queue
         SET status = 'pending', worker_id = NULL, started_at = NULL,
-            destination_hash = NULL, updated_at = datetime('now', 'localtime')
+            previous_destination_hash = destination_hash, destination_hash = NULL,
+            updated_at = datetime('now', 'localtime')
         WHERE status = 'conflict' AND bucket_id = ?
       `),
 
@@ -390,21 +884,24 @@ class FileQueueDB {
       retryError: this.db.prepare(`
         UPDATE file_queue
         SET status = 'pending', worker_id = NULL, started_at = NULL,
-            error_message = NULL, updated_at = datetime('now', 'localtime')
+            error_message = NULL, error_code = NULL, attempt_count = 0, next_attempt_at = NULL,
+            updated_at = datetime('now', 'localtime')
         WHERE id = ? AND status = 'error'
       `),
 
       retryAllErrors: this.db.prepare(`
         UPDATE file_queue
         SET status = 'pending', worker_id = NULL, started_at = NULL,
-            error_message = NULL, updated_at = datetime('now', 'localtime')
+            error_message = NULL, error_code = NULL, attempt_count = 0, next_attempt_at = NULL,
+            updated_at = datetime('now', 'localtime')
         WHERE status = 'error'
       `),
 
       retryAllErrorsForBucket: this.db.prepare(`
         UPDATE file_queue
         SET status = 'pending', worker_id = NULL, started_at = NULL,
-            error_message = NULL, updated_at = datetime('now', 'localtime')
+            error_message = NULL, error_code = NULL, attempt_count = 0, next_attempt_at = NULL,
+            updated_at = datetime('now', 'localtime')
         WHERE status = 'error' AND bucket_id = ?
       `),
 
@@ -419,8 +916,8 @@ class FileQueueDB {
       `),
 
       createBucket: this.db.prepare(`
-        INSERT INTO buckets (name, source_folders, destination_folder, worker_count)
-        VALUES (@name, @sourceFolders, @destinationFolder, @workerCount)
+        INSERT INTO buckets (name, source_folders, destination_folder, worker_count, filters, watch, schedule, preserve_metadata, mode, prune_empty_dirs, trash_folder, conflict_policy, keep_both_pattern, backup, priority_rules)
+        VALUES (@name, @sourceFolders, @destinationFolder, @workerCount, @filters, @watch, @schedule, @preserveMetadata, @mode, @pruneEmptyDirs, @trashFolder, @conflictPolicy, @keepBothPattern, @backup, @priorityRules)
       `),
 
       updateBucket: this.db.prepare(`
@@ -429,6 +926,18 @@ class FileQueueDB {
             source_folders = COALESCE(@sourceFolders, source_folders),
             destination_folder = COALESCE(@destinationFolder, destination_folder),
             worker_count = COALESCE(@workerCount, worker_count),
+            filters = COALESCE(@filters, filters),
+            watch = COALESCE(@watch, watch),
+            schedule = COALESCE(@schedule, schedule),
+            bandwidth_limit = COALESCE(@bandwidthLimit, bandwidth_limit),
+            preserve_metadata = COALESCE(@preserveMetadata, preserve_metadata),
+            mode = COALESCE(@mode, mode),
+            prune_empty_dirs = COALESCE(@pruneEmptyDirs, prune_empty_dirs),
+            trash_folder = CASE WHEN @clearTrashFolder = 1 THEN NULL ELSE COALESCE(@trashFolder, trash_folder) END,
+            conflict_policy = COALESCE(@conflictPolicy, conflict_policy),
+            keep_both_pattern = COALESCE(@keepBothPattern, keep_both_pattern),
+            backup = COALESCE(@backup, backup),
+            priority_rules = COALESCE(@priorityRules, priority_rules),
             updated_at = datetime('now', 'localtime')
         WHERE id = @id
       `),
@@ -441,28 +950,221 @@ class FileQueueDB {
 
       deleteFilesByBucket: this.db.prepare(`DELETE FROM file_queue WHERE bucket_id = ?`),
 
+      deleteBackupsByBucket: this.db.prepare(`DELETE FROM destination_backups WHERE bucket_id = ?`),
+
+      deleteAttemptsByBucket: this.db.prepare(`DELETE FROM file_attempts WHERE bucket_id = ?`),
+
+      deleteStatsHistoryByBucket: this.db.prepare(`DELETE FROM stats_history WHERE bucket_id = ?`),
+
+      attemptActivityByBucket: this.db.prepare(`
+        SELECT bucket_id,
+          SUM(CASE WHEN result = 'copied' THEN 1 ELSE 0 END) as files_copied,
+          COALESCE(SUM(bytes_transferred), 0) as bytes_copied,
+          SUM(CASE WHEN result IN ('error', 'integrity_error') THEN 1 ELSE 0 END) as errors
+        FROM file_attempts
+        WHERE created_at >= @from AND created_at < @to
+        GROUP BY bucket_id
+      `),
+
+      upsertStatsHistory: this.db.prepare(`
+        INSERT OR REPLACE INTO stats_history (bucket_id, granularity, period_start, pending_count, pending_bytes,
+          completed_count, completed_bytes, error_count, conflict_count, files_copied, bytes_copied, errors)
+        VALUES (@bucketId, 'minute', @periodStart, @pendingCount, @pendingBytes, @completedCount, @completedBytes,
+          @errorCount, @conflictCount, @filesCopied, @bytesCopied, @errors)
+      `),
+
+      rollupStatsHistoryHour: this.db.prepare(`
+        INSERT OR REPLACE INTO stats_history (bucket_id, granularity, period_start, pending_count, pending_bytes,
+          completed_count, completed_bytes, error_count, conflict_count, files_copied, bytes_copied, errors)
+        SELECT bucket_id, 'hour', @hourStart, pending_count, pending_bytes, completed_count, completed_bytes,
+          error_count, conflict_count, files_copied, bytes_copied, errors
+        FROM (
+          SELECT bucket_id, MAX(period_start), pending_count, pending_bytes, completed_count, completed_bytes,
+            error_count, conflict_count, SUM(files_copied) as files_copied, SUM(bytes_copied) as bytes_copied,
+            SUM(errors) as errors
+          FROM stats_history
+          WHERE bucket_id = @bucketId AND granularity = 'minute'
+            AND period_start >= @hourStart AND period_start < datetime(@hourStart, '+1 hour')
+          GROUP BY bucket_id
+        )
+      `),
+
+      pruneStatsHistory: this.db.prepare(`
+        DELETE FROM stats_history
+        WHERE granularity = @granularity AND period_start < datetime('now', 'localtime', @age)
+      `),
+
+      pruneAttempts: this.db.prepare(`
+        DELETE FROM file_attempts WHERE created_at < datetime('now', 'localtime', ?)
+      `),
+
+      addAttempt: this.db.prepare(`
+        INSERT INTO file_attempts (file_id, bucket_id, attempt, operation, result, error_code, phase, error_message,
+          worker_id, thread_id, duration_ms, bytes_transferred)
+        VALUES (@fileId, @bucketId, (SELECT COUNT(*) + 1 FROM file_attempts WHERE file_id = @fileId), @operation,
+          @result, @errorCode, @phase, @errorMessage, @workerId, @threadId, @durationMs, @bytesTransferred)
+      `),
+
+      getAttemptsForFile: this.db.prepare(`
+        SELECT * FROM file_attempts WHERE file_id = ? ORDER BY id DESC
+      `),
+
+      getErrorSummary: this.db.prepare(`
+        SELECT error_code AS code, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS totalSize,
+          MAX(error_message) AS example
+        FROM file_queue WHERE status = 'error'
+        GROUP BY error_code ORDER BY count DESC
+      `),
+
+      getErrorSummaryForBucket: this.db.prepare(`
+        SELECT error_code AS code, COUNT(*) AS count, COALESCE(SUM(file_size), 0) AS totalSize,
+          MAX(error_message) AS example
+        FROM file_queue WHERE status = 'error' AND bucket_id = ?
+        GROUP BY error_code ORDER BY count DESC
+      `),
+
+      getFile: this.db.prepare(`SELECT * FROM file_queue WHERE id = ?`),
+
+      addBackup: this.db.prepare(`
+        INSERT INTO destination_backups (file_id, bucket_id, original_path, backup_path, file_size, destination_hash)
+        VALUES (@fileId, @bucketId, @originalPath, @backupPath, @fileSize, @destinationHash)
+      `),
+
+      getBackupsForFile: this.db.prepare(`
+        SELECT * FROM destination_backups WHERE file_id = ? ORDER BY id DESC
+      `),
+
+      getBackup: this.db.prepare(`SELECT * FROM destination_backups WHERE id = ?`),
+
+      getBackupsOlderThan: this.db.prepare(`
+        SELECT * FROM destination_backups
+        WHERE bucket_id = ? AND created_at < datetime('now', 'localtime', ?)
+      `),
+
+      deleteBackup: this.db.prepare(`DELETE FROM destination_backups WHERE id = ?`),
+
+      getUser: this.db.prepare(`SELECT * FROM users WHERE id = ?`),
+
+      getUserByUsername: this.db.prepare(`SELECT * FROM users WHERE username = ?`),
+
+      getAllUsers: this.db.prepare(`SELECT * FROM users ORDER BY id`),
+
+      countUsersByRole: this.db.prepare(`SELECT COUNT(*) AS count FROM users WHERE role = ?`),
+
+      createUser: this.db.prepare(`
+        INSERT INTO users (username, password_hash, role) VALUES (@username, @passwordHash, @role)
+      `),
+
+      updateUser: this.db.prepare(`
+        UPDATE users
+        SET password_hash = COALESCE(@passwordHash, password_hash),
+            role = COALESCE(@role, role),
+            updated_at = datetime('now', 'localtime')
+        WHERE id = @id
+      `),
+
+      deleteUser: this.db.prepare(`DELETE FROM users WHERE id = ?`),
+
+      createToken: this.db.prepare(`
+        INSERT INTO auth_tokens (user_id, kind, name, role, token_hash, expires_at)
+        VALUES (@userId, @kind, @name, @role, @tokenHash, datetime('now', 'localtime', @expiresIn))
+      `),
+
+      getToken: this.db.prepare(`SELECT * FROM auth_tokens WHERE id = ?`),
+
+      getValidToken: this.db.prepare(`
+        SELECT t.id, t.kind, t.name, t.user_id, t.expires_at, t.role AS token_role,
+          u.username, u.role AS user_role
+        FROM auth_tokens t
+        JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = ?
+          AND (t.expires_at IS NULL OR t.expires_at > datetime('now', 'localtime'))
+      `),
+
+      getApiTokens: this.db.prepare(`
+        SELECT t.id, t.user_id, u.username, t.name, t.role, t.expires_at, t.last_used_at, t.created_at
+        FROM auth_tokens t
+        JOIN users u ON u.id = t.user_id
+        WHERE t.kind = 'api'
+        ORDER BY t.id
+      `),
+
+      touchToken: this.db.prepare(`
+        UPDATE auth_tokens SET last_used_at = datetime('now', 'localtime') WHERE id = ?
+      `),
+
+      deleteToken: this.db.prepare(`DELETE FROM auth_tokens WHERE id = ?`),
+
+      deleteTokenByHash: this.db.prepare(`DELETE FROM auth_tokens WHERE token_hash = ?`),
+
+      deleteTokensByUser: this.db.prepare(`DELETE FROM auth_tokens WHERE user_id = ?`),
+
+      deleteExpiredTokens: this.db.prepare(`
+        DELETE FROM auth_tokens
+        WHERE expires_at IS NOT NULL AND expires_at <= datetime('now', 'localtime')
+      `),
+
+      addAuditEntry: this.db.prepare(`
+        INSERT INTO audit_log (actor, action, method, path, bucket_id, bucket_name, affected, status_code, ip, payload)
+        VALUES (@actor, @action, @method, @path, @bucketId, @bucketName, @affected, @statusCode, @ip, @payload)
+      `),
+
       getBucket: this.db.prepare(`SELECT * FROM buckets WHERE id = ?`),
 
       getAllBuckets: this.db.prepare(`SELECT * FROM buckets ORDER BY id`),
 
       sumSizeByStatus: this.db.prepare(`
-        SELECT COALESCE(SUM(file_size), 0) as totalSize FROM file_queue WHERE status = ?
+        SELECT COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
+        FROM file_queue WHERE status = ? AND operation = 'copy'
       `),
 
       sumSizeByStatusForBucket: this.db.prepare(`
-        SELECT COALESCE(SUM(file_size), 0) as totalSize FROM file_queue WHERE status = ? AND bucket_id = ?
+        SELECT COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
+        FROM file_queue WHERE status = ? AND bucket_id = ? AND operation = 'copy'
       `),
 
       statsByBucketForDelete: this.db.prepare(`
         SELECT status, COUNT(*) as count, COALESCE(SUM(file_size), 0) as totalSize
-        FROM file_queue WHERE bucket_id = ? GROUP BY status
+        FROM file_queue WHERE bucket_id = ? AND operation = 'copy' GROUP BY status
       `),
     };
 
+    this._recordStatsSnapshotTransaction = this.db.transaction(({ periodStart, periodEnd, buckets }) => {
+      const activity = new Map();
+      for (const row of this._stmts.attemptActivityByBucket.all({ from: periodStart, to: periodEnd })) {
+        activity.set(row.bucket_id, row);
+      }
+      const hourStart = `${periodStart.slice(0, 13)}:00:00`;
+      for (const { bucketId, stats } of buckets) {
+        const done = activity.get(bucketId);
+        this._stmts.upsertStatsHistory.run({
+          bucketId,
+          periodStart,
+          pendingCount: stats.pending.count,
+          pendingBytes: stats.pending.totalSize,
+          completedCount: stats.completed.count,
+          completedBytes: stats.completed.totalSize,
+          errorCount: stats.error.count,
+          conflictCount: stats.conflict.count,
+          filesCopied: done ? done.files_copied : 0,
+          bytesCopied: done ? done.bytes_copied : 0,
+          errors: done ? done.errors : 0,
+        });
+        this._stmts.rollupStatsHistoryHour.run({ bucketId, hourStart });
+      }
+      return buckets.length;
+    });
+
     this._addFilesTransaction = this.db.transaction((files) => {
       let added = 0;
       for (const file of files) {
-        const result = this._stmts.insertFile.run(file);
+        const result = this._stmts.insertFile.run({
+          sourceMtime: null,
+          sourceInode: null,
+          lastSeenScan: null,
+          priority: 0,
+          ...file,
+        });
         if (result.changes > 0) {
           added++;
           this._adjustStats(file.bucketId, file.status || 'pending', 1, file.fileSize || 0);
@@ -471,13 +1173,97 @@ class FileQueueDB {
       return added;
     });
 
+    this._syncScannedFilesTransaction = this.db.transaction((bucketId, files, scanToken) => {
+      const result = { added: 0, modified: 0, restored: 0 };
+      for (const file of files) {
+        const existing = this._stmts.getFileByKey.get(file.sourcePath, file.destinationPath, bucketId);
+        if (!existing) {
+          const status = file.status || 'pending';
+          const inserted = this._stmts.insertFile.run({
+            ...file,
+            bucketId,
+            status,
+            errorMessage: file.errorMessage || null,
+            sourceMtime: file.sourceMtime != null ? file.sourceMtime : null,
+            sourceInode: file.sourceInode != null ? file.sourceInode : null,
+            lastSeenScan: scanToken,
+            priority: file.priority || 0,
+          });
+          if (inserted.changes > 0) {
+            result.added++;
+            this._adjustStats(bucketId, status, 1, file.fileSize || 0);
+          }
+          continue;
+        }
+
+        const params = {
+          id: existing.id,
+          fileSize: file.fileSize || 0,
+          sourceMtime: file.sourceMtime != null ? file.sourceMtime : null,
+          sourceInode: file.sourceInode != null ? file.sourceInode : null,
+          scanToken,
+        };
+        const requeueParams = { ...params, priority: file.priority || 0 };
+
+        if (
+          existing.status !== 'in_progress' &&
+          (existing.source_deleted_at != null || this._hasSourceChanged(existing, params))
+        ) {
+          this._stmts.requeueModifiedFile.run(requeueParams);
+          this._adjustStats(bucketId, existing.status, -1, -(existing.file_size || 0));
+          this._adjustStats(bucketId, 'pending', 1, params.fileSize);
+          result.modified++;
+        } else if (existing.status === 'source_missing') {
+          this._stmts.restoreMissingFile.run(requeueParams);
+          this._transitionStats(bucketId, 'source_missing', 'pending', existing.file_size);
+          result.restored++;
+        } else {
+          this._stmts.touchScannedFile.run(params);
+        }
+      }
+      return result;
+    });
+
+    this._queueDeletionsTransaction = this.db.transaction((bucketId, destinationFolder, orphans, scanToken) => {
+      let queued = 0;
+      for (const orphan of orphans) {
+        const existing = this._stmts.getFileByKey.get(orphan.destinationPath, orphan.destinationPath, bucketId);
+        if (!existing) {
+          const inserted = this._stmts.insertDeletion.run({
+            bucketId,
+            destinationFolder,
+            relativePath: orphan.relativePath,
+            destinationPath: orphan.destinationPath,
+            scanToken,
+          });
+          if (inserted.changes > 0) queued++;
+        } else if (existing.status === 'completed') {
+          this._stmts.requeueDeletion.run({ id: existing.id, scanToken });
+          queued++;
+        }
+      }
+      return queued;
+    });
+
+    this._markSourceMissingTransaction = this.db.transaction((bucketId, files) => {
+      let marked = 0;
+      for (const file of files) {
+        const result = this._stmts.markSourceMissing.run(file.id);
+        if (result.changes > 0) {
+          marked++;
+          this._transitionStats(bucketId, file.status, 'source_missing', file.file_size);
+        }
+      }
+      return marked;
+    });
+
     this._claimPendingTransaction = this.db.transaction((limit, workerId) => {
       const rows = this._stmts.getNextPending.all(limit);
       const claimed = [];
       for (const row of rows) {
         const result = this._stmts.markInProgress.run({ id: row.id, workerId });
         if (result.changes > 0) {
-          this._transitionStats(row.bucket_id, 'pending', 'in_progress', row.file_size);
+          if (row.operation === 'copy') this._transitionStats(row.bucket_id, 'pending', 'in_progress', row.file_size);
           row.status = 'in_progress';
           row.worker_id = workerId;
           claimed.push(row);
@@ -492,7 +1278,7 @@ class FileQueueDB {
       for (const row of rows) {
         const result = this._stmts.markInProgress.run({ id: row.id, workerId });
         if (result.changes > 0) {
-          this._transitionStats(row.bucket_id, 'pending', 'in_progress', row.file_size);
+          if (row.operation === 'copy') this._transitionStats(row.bucket_id, 'pending', 'in_progress', row.file_size);
           row.status = 'in_progress';
           row.worker_id = workerId;
           claimed.push(row);
@@ -501,13 +1287,32 @@ class FileQueueDB {
       return claimed;
     });
 
+    this._deleteBackupsTransaction = this.db.transaction((ids) => {
+      let changes = 0;
+      for (const id of ids) changes += this._stmts.deleteBackup.run(id).changes;
+      return changes;
+    });
+
+    this._resolveKeepBothTransaction = this.db.transaction((targets) => {
+      let changes = 0;
+      for (const { id, destinationPath } of targets) {
+        const meta = this._stmts.getFileMeta.get(id);
+        const result = this._stmts.resolveConflictKeepBoth.run({ id, destinationPath });
+        if (result.changes > 0 && meta) {
+          this._transitionStats(meta.bucket_id, 'conflict', 'pending', meta.file_size);
+          changes += result.changes;
+        }
+      }
+      return { changes };
+    });
+
     this._claimPendingForBucketAndFolderTransaction = this.db.transaction((bucketId, sourceFolder, limit, workerId) => {
       const rows = this._stmts.getNextPendingForBucketAndFolder.all(bucketId, sourceFolder, limit);
       const claimed = [];
       for (const row of rows) {
         const result = this._stmts.markInProgress.run({ id: row.id, workerId });
         if (result.changes > 0) {
-          this._transitionStats(row.bucket_id, 'pending', 'in_progress', row.file_size);
+          if (row.operation === 'copy') this._transitionStats(row.bucket_id, 'pending', 'in_progress', row.file_size);
           row.status = 'in_progress';
           row.worker_id = workerId;
           claimed.push(row);
@@ -523,6 +1328,17 @@ class FileQueueDB {
       sourceFolders: JSON.stringify(data.sourceFolders || []),
       destinationFolder: data.destinationFolder,
       workerCount: data.workerCount || config.workers.defaultCount,
+      filters: JSON.stringify(data.filters || {}),
+      watch: data.watch ? 1 : 0,
+      schedule: JSON.stringify(data.schedule || {}),
+      preserveMetadata: JSON.stringify(data.preserveMetadata || {}),
+      mode: data.mode || 'copy',
+      pruneEmptyDirs: data.pruneEmptyDirs ? 1 : 0,
+      trashFolder: data.trashFolder || null,
+      conflictPolicy: data.conflictPolicy || 'ask',
+      keepBothPattern: data.keepBothPattern || config.conflicts.keepBothPattern,
+      backup: JSON.stringify(data.backup || {}),
+      priorityRules: JSON.stringify(data.priorityRules || []),
     });
     const id = result.lastInsertRowid;
     this._bucketStats[id] = this._emptyStats();
@@ -536,6 +1352,19 @@ class FileQueueDB {
       sourceFolders: data.sourceFolders ? JSON.stringify(data.sourceFolders) : null,
       destinationFolder: data.destinationFolder || null,
       workerCount: data.workerCount || null,
+      filters: data.filters ? JSON.stringify(data.filters) : null,
+      watch: data.watch != null ? (data.watch ? 1 : 0) : null,
+      schedule: data.schedule ? JSON.stringify(data.schedule) : null,
+      bandwidthLimit: data.bandwidthLimit != null ? data.bandwidthLimit : null,
+      preserveMetadata: data.preserveMetadata ? JSON.stringify(data.preserveMetadata) : null,
+      mode: data.mode || null,
+      pruneEmptyDirs: data.pruneEmptyDirs != null ? (data.pruneEmptyDirs ? 1 : 0) : null,
+      trashFolder: data.trashFolder || null,
+      clearTrashFolder: data.trashFolder === null ? 1 : 0,
+      conflictPolicy: data.conflictPolicy || null,
+      keepBothPattern: data.keepBothPattern || null,
+      backup: data.backup ? JSON.stringify(data.backup) : null,
+      priorityRules: data.priorityRules ? JSON.stringify(data.priorityRules) : null,
     });
     return this.getBucket(id);
   }
@@ -546,22 +1375,36 @@ class FileQueueDB {
 
   deleteBucket(id) {
     this.deleteFilesByBucket(id);
+    this._stmts.deleteBackupsByBucket.run(id);
+    this._stmts.deleteAttemptsByBucket.run(id);
+    this._stmts.deleteStatsHistoryByBucket.run(id);
     const result = this._stmts.deleteBucket.run(id);
     delete this._bucketStats[id];
     return result;
   }
 
+  _parseBucketRow(row) {
+    row.source_folders = JSON.parse(row.source_folders);
+    row.filters = JSON.parse(row.filters);
+    row.watch = row.watch === 1;
+    row.schedule = JSON.parse(row.schedule);
+    row.preserve_metadata = JSON.parse(row.preserve_metadata);
+    row.backup = JSON.parse(row.backup);
+    row.priority_rules = JSON.parse(row.priority_rules);
+    row.prune_empty_dirs = row.prune_empty_dirs === 1;
+    return row;
+  }
+
   getBucket(id) {
     const row = this._stmts.getBucket.get(id);
     if (!row) return null;
-    row.source_folders = JSON.parse(row.source_folders);
-    return row;
+    return this._parseBucketRow(row);
   }
 
   getAllBuckets() {
     const rows = this._stmts.getAllBuckets.all();
     for (const row of rows) {
-      row.source_folders = JSON.parse(row.source_folders);
+      this._parseBucketRow(row);
     }
     return rows;
   }
@@ -584,6 +1427,35 @@ class FileQueueDB {
     return added;
   }
 
+  _hasSourceChanged(existing, scanned) {
+    if (existing.source_mtime == null) return false;
+    if ((existing.file_size || 0) !== scanned.fileSize) return true;
+    if (existing.source_mtime !== scanned.sourceMtime) return true;
+    return (
+      existing.source_inode != null && scanned.sourceInode != null && existing.source_inode !== scanned.sourceInode
+    );
+  }
+
+  syncScannedFilesForBucket(bucketId, files, scanToken) {
+    const result = this._syncScannedFilesTransaction(bucketId, files, scanToken);
+    if (result.added > 0 || result.modified > 0 || result.restored > 0) {
+      this._invalidateFolderStatsCache(bucketId);
+    }
+    return result;
+  }
+
+  getUnseenFilesForFolder(bucketId, sourceFolder, scanToken) {
+    return this._stmts.getUnseenFilesForFolder.all({ bucketId, sourceFolder, scanToken });
+  }
+
+  markSourceMissing(bucketId, files) {
+    const marked = this._markSourceMissingTransaction(bucketId, files);
+    if (marked > 0) {
+      this._invalidateFolderStatsCache(bucketId);
+    }
+    return marked;
+  }
+
   getNextPending(limit = 1, workerId = 0) {
     return this._claimPendingTransaction(limit, workerId);
   }
@@ -596,33 +1468,83 @@ class FileQueueDB {
     return this._claimPendingForBucketAndFolderTransaction(bucketId, sourceFolder, limit, workerId);
   }
 
+  setPriority(bucketId, target, priority = null) {
+    const where = [];
+    const params = { bucketId };
+    if (target.fileIds) {
+      where.push('id IN (SELECT value FROM json_each(@fileIds))');
+      params.fileIds = JSON.stringify(target.fileIds);
+    }
+    if (target.sourceFolder) {
+      where.push('source_folder = @sourceFolder');
+      params.sourceFolder = target.sourceFolder;
+    }
+    if (target.path) {
+      where.push('(relative_path = @path OR substr(relative_path, 1, length(@dir)) = @dir)');
+      params.path = target.path;
+      params.dir = `${target.path}/`;
+    }
+    if (where.length === 0) return { updated: 0, priority };
+
+    return this.db.transaction(() => {
+      params.priority = priority != null ? priority : this._stmts.getTopPendingPriority.get(bucketId).priority + 1;
+      const result = this.db
+        .prepare(
+          `UPDATE file_queue SET priority = @priority
+           WHERE bucket_id = @bucketId AND status != 'completed' AND ${where.join(' AND ')}`,
+        )
+        .run(params);
+      return { updated: result.changes, priority: params.priority };
+    })();
+  }
+
+  reprioritizeFiles(bucketId, priorityFor) {
+    return this.db.transaction(() => {
+      let updated = 0;
+      for (const row of this._stmts.getPrioritizableFiles.all(bucketId)) {
+        const priority = priorityFor(row.relative_path, row.file_size || 0);
+        if (priority === row.priority) continue;
+        this._stmts.updateFilePriority.run(priority, row.id);
+        updated++;
+      }
+      return updated;
+    })();
+  }
+
   getActiveFolderCounts(bucketId) {
     const rows = this._stmts.getActiveFolderCounts.all(bucketId);
     const result = {};
     for (const row of rows) {
-      result[row.source_folder] = { pending: row.pending, inProgress: row.in_progress };
+      result[row.source_folder] = { pending: row.pending, inProgress: row.in_progress, topPriority: row.top_priority };
     }
     return result;
   }
 
+  emptyFolderStats(sourceFolder) {
+    return {
+      source_folder: sourceFolder,
+      ...this._emptyStats(),
+      modified: { count: 0, totalSize: 0 },
+    };
+  }
+
   getStatsByBucketGroupedByFolder(bucketId) {
     const rows = this._stmts.getStatsByBucketGroupedByFolder.all(bucketId);
     const result = {};
     for (const row of rows) {
       if (!result[row.source_folder]) {
-        result[row.source_folder] = {
-          source_folder: row.source_folder,
-          pending: { count: 0, totalSize: 0 },
-          in_progress: { count: 0, totalSize: 0 },
-          completed: { count: 0, totalSize: 0 },
-          error: { count: 0, totalSize: 0 },
-          conflict: { count: 0, totalSize: 0 },
-        };
+        result[row.source_folder] = this.emptyFolderStats(row.source_folder);
       }
       if (result[row.source_folder][row.status]) {
         result[row.source_folder][row.status] = { count: row.count, totalSize: row.totalSize };
       }
     }
+    const modifiedRows = this._stmts.getModifiedStatsByBucketGroupedByFolder.all(bucketId);
+    for (const row of modifiedRows) {
+      if (result[row.source_folder]) {
+        result[row.source_folder].modified = { count: row.count, totalSize: row.totalSize };
+      }
+    }
     return result;
   }
 
@@ -633,13 +1555,16 @@ class FileQueueDB {
       status,
       sourceHash: extras.sourceHash || null,
       destinationHash: extras.destinationHash || null,
+      resolvedDestinationPath: extras.resolvedDestinationPath || null,
       errorMessage: extras.errorMessage || null,
+      errorCode: extras.errorCode || null,
+      attemptCount: extras.attemptCount != null ? extras.attemptCount : null,
       workerId: extras.workerId != null ? extras.workerId : null,
       startedAt: extras.startedAt || null,
       completedAt: extras.completedAt || null,
     });
     if (result.changes > 0 && meta && meta.status !== status) {
-      this._transitionStats(meta.bucket_id, meta.status, status, meta.file_size);
+      if (meta.operation === 'copy') this._transitionStats(meta.bucket_id, meta.status, status, meta.file_size);
       this._invalidateFolderStatsCache(meta.bucket_id);
     }
     return result;
@@ -669,6 +1594,87 @@ class FileQueueDB {
     return this._stmts.getFilesByStatusForBucket.all({ bucketId, status, limit, offset });
   }
 
+  getFilesPage({ status, bucketId, after, limit = 100 } = {}) {
+    const where = ["f.operation = 'copy'"];
+    const params = { limit: limit + 1 };
+    if (bucketId != null) {
+      where.push('f.bucket_id = @bucketId');
+      params.bucketId = bucketId;
+    }
+    if (status && status !== 'all') {
+      where.push('f.status = @status');
+      params.status = status;
+    }
+    if (after) {
+      where.push('f.id < @afterId');
+      params.afterId = after.id;
+    }
+    const rows = this._variantStatement(
+      `SELECT f.*, b.name as bucket_name FROM file_queue f
+       LEFT JOIN buckets b ON f.bucket_id = b.id
+       WHERE ${where.join(' AND ')}
+       ORDER BY f.id DESC
+       LIMIT @limit`,
+    ).all(params);
+    return toPage(rows, limit);
+  }
+
+  searchFiles(filters = {}) {
+    const where = ["f.operation = 'copy'"];
+    const params = { limit: filters.limit ?? 100, offset: filters.offset ?? 0 };
+    const add = (clause, values) => {
+      where.push(clause);
+      Object.assign(params, values);
+    };
+
+    if (filters.bucketId != null) add('f.bucket_id = @bucketId', { bucketId: filters.bucketId });
+    if (filters.status && filters.status !== 'all') add('f.status = @status', { status: filters.status });
+    if (filters.sourceFolder) add('f.source_folder = @sourceFolder', { sourceFolder: filters.sourceFolder });
+    if (filters.minSize != null) add('f.file_size >= @minSize', { minSize: filters.minSize });
+    if (filters.maxSize != null) add('f.file_size <= @maxSize', { maxSize: filters.maxSize });
+    if (filters.createdFrom) add('f.created_at >= @createdFrom', { createdFrom: filters.createdFrom });
+    if (filters.createdTo) add('f.created_at <= @createdTo', { createdTo: filters.createdTo });
+    if (filters.updatedFrom) add('f.updated_at >= @updatedFrom', { updatedFrom: filters.updatedFrom });
+    if (filters.updatedTo) add('f.updated_at <= @updatedTo', { updatedTo: filters.updatedTo });
+    if (filters.hash) {
+      add('(f.source_hash GLOB @hash OR f.destination_hash GLOB @hash)', { hash: `${filters.hash.toLowerCase()}*` });
+    }
+    if (filters.path) where.push(this._searchTextClause('relative_path', filters.path, 'path', params));
+    if (filters.error) where.push(this._searchTextClause('error_message', filters.error, 'error', params));
+
+    const sort = SEARCH_SORT_FIELDS.includes(filters.sort) ? filters.sort : 'updated_at';
+    const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+    return this._variantStatement(
+      `SELECT f.*, b.name as bucket_name FROM file_queue f
+       LEFT JOIN buckets b ON f.bucket_id = b.id
+       WHERE ${where.join(' AND ')}
+       ORDER BY f.${sort} ${order}, f.id ${order}
+       LIMIT @limit OFFSET @offset`,
+    ).all(params);
+  }
+
+  _variantStatement(sql) {
+    let stmt = this._variantStmts.get(sql);
+    if (!stmt) {
+      stmt = this.db.prepare(sql);
+      this._variantStmts.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  _searchTextClause(column, term, key, params) {
+    if (/[*?[]/.test(term)) {
+      params[key] = term;
+      return `f.id IN (SELECT rowid FROM file_search WHERE ${column} GLOB @${key})`;
+    }
+    if (term.length >= 3) {
+      params[key] = `${column} : "${term.replace(/"/g, '""')}"`;
+      return `f.id IN (SELECT rowid FROM file_search WHERE file_search MATCH @${key})`;
+    }
+    params[key] = term.toLowerCase();
+    return `instr(lower(f.${column}), @${key}) > 0`;
+  }
+
   getRecentActivity(limit = 50) {
     return this._stmts.getRecentActivity.all(limit);
   }
@@ -696,6 +1702,87 @@ class FileQueueDB {
     return result;
   }
 
+  getFile(id) {
+    return this._stmts.getFile.get(id);
+  }
+
+  addBackup(backup) {
+    const result = this._stmts.addBackup.run({
+      fileId: backup.fileId,
+      bucketId: backup.bucketId,
+      originalPath: backup.originalPath,
+      backupPath: backup.backupPath,
+      fileSize: backup.fileSize || 0,
+      destinationHash: backup.destinationHash || null,
+    });
+    return this._stmts.getBackup.get(result.lastInsertRowid);
+  }
+
+  getBackup(id) {
+    return this._stmts.getBackup.get(id);
+  }
+
+  addAttempt(attempt) {
+    return this._stmts.addAttempt.run({
+      fileId: attempt.fileId,
+      bucketId: attempt.bucketId,
+      operation: attempt.operation || 'copy',
+      result: attempt.result,
+      errorCode: attempt.errorCode || null,
+      phase: attempt.phase || null,
+      errorMessage: attempt.errorMessage || null,
+      workerId: attempt.workerId != null ? attempt.workerId : null,
+      threadId: attempt.threadId != null ? attempt.threadId : null,
+      durationMs: attempt.durationMs || 0,
+      bytesTransferred: attempt.bytesTransferred || 0,
+    });
+  }
+
+  getAttemptsForFile(fileId) {
+    return this._stmts.getAttemptsForFile.all(fileId);
+  }
+
+  getErrorSummary(bucketId = null) {
+    return bucketId != null ? this._stmts.getErrorSummaryForBucket.all(bucketId) : this._stmts.getErrorSummary.all();
+  }
+
+  getBackupsForFile(fileId) {
+    return this._stmts.getBackupsForFile.all(fileId);
+  }
+
+  getExpiredBackups(bucketId, fileId, retention = {}) {
+    const expired = new Map();
+    if (retention.maxVersions > 0) {
+      for (const backup of this._stmts.getBackupsForFile.all(fileId).slice(retention.maxVersions)) {
+        expired.set(backup.id, backup);
+      }
+    }
+    if (retention.maxAgeDays > 0) {
+      for (const backup of this._stmts.getBackupsOlderThan.all(bucketId, `-${retention.maxAgeDays} days`)) {
+        expired.set(backup.id, backup);
+      }
+    }
+    return [...expired.values()];
+  }
+
+  deleteBackups(ids) {
+    return this._deleteBackupsTransaction(ids);
+  }
+
+  getConflictTarget(id) {
+    return this._stmts.getConflictTarget.get(id);
+  }
+
+  getConflictTargets(bucketId = null) {
+    return bucketId != null
+      ? this._stmts.getConflictTargetsForBucket.all(bucketId)
+      : this._stmts.getConflictTargets.all();
+  }
+
+  resolveConflictsKeepBoth(targets) {
+    return this._resolveKeepBothTransaction(targets);
+  }
+
   resolveAllConflicts(action) {
     if (action !== 'overwrite' && action !== 'skip') {
       throw new Error(`Ação inválida: ${action}`);
@@ -744,18 +1831,18 @@ class FileQueueDB {
   retryError(id) {
     const meta = this._stmts.getFileMeta.get(id);
     const result = this._stmts.retryError.run(id);
-    if (result.changes > 0 && meta) {
+    if (result.changes > 0 && meta && meta.operation === 'copy') {
       this._transitionStats(meta.bucket_id, 'error', 'pending', meta.file_size);
     }
     return result;
   }
 
   retryAllErrors() {
-    const totalSize = this._stmts.sumSizeByStatus.get('error').totalSize;
+    const { count, totalSize } = this._stmts.sumSizeByStatus.get('error');
     const result = this._stmts.retryAllErrors.run();
     if (result.changes > 0) {
-      this._adjustStats(null, 'error', -result.changes, -totalSize);
-      this._adjustStats(null, 'pending', result.changes, totalSize);
+      this._adjustStats(null, 'error', -count, -totalSize);
+      this._adjustStats(null, 'pending', count, totalSize);
       for (const bucketId of Object.keys(this._bucketStats)) {
         const bs = this._bucketStats[bucketId];
         if (bs.error.count > 0) {
@@ -772,11 +1859,11 @@ class FileQueueDB {
   }
 
   retryAllErrorsForBucket(bucketId) {
-    const totalSize = this._stmts.sumSizeByStatusForBucket.get('error', bucketId).totalSize;
+    const { count, totalSize } = this._stmts.sumSizeByStatusForBucket.get('error', bucketId);
     const result = this._stmts.retryAllErrorsForBucket.run(bucketId);
     if (result.changes > 0) {
-      this._adjustStats(bucketId, 'error', -result.changes, -totalSize);
-      this._adjustStats(bucketId, 'pending', result.changes, totalSize);
+      this._adjustStats(bucketId, 'error', -count, -totalSize);
+      this._adjustStats(bucketId, 'pending', count, totalSize);
     }
     return result;
   }
@@ -811,18 +1898,66 @@ class FileQueueDB {
       status,
       sourceHash: extras.sourceHash || null,
       destinationHash: extras.destinationHash || null,
+      resolvedDestinationPath: extras.resolvedDestinationPath || null,
       errorMessage: extras.errorMessage || null,
+      errorCode: extras.errorCode || null,
+      attemptCount: extras.attemptCount != null ? extras.attemptCount : null,
       workerId: extras.workerId != null ? extras.workerId : null,
       startedAt: extras.startedAt || null,
       completedAt: extras.completedAt || null,
     });
     if (result.changes > 0 && oldStatus !== status) {
-      this._transitionStats(bucketId, oldStatus, status, fileSize);
+      if (extras.operation !== 'delete') this._transitionStats(bucketId, oldStatus, status, fileSize);
       this._invalidateFolderStatsCache(bucketId);
     }
     return result;
   }
 
+  scheduleRetry(id, bucketId, fileSize, { errorMessage, errorCode, attemptCount, delayMs, operation }) {
+    const result = this._stmts.scheduleRetry.run({
+      id,
+      errorMessage,
+      errorCode: errorCode || null,
+      attemptCount,
+      delay: `+${Math.ceil(delayMs / 1000)} seconds`,
+    });
+    if (result.changes > 0) {
+      if (operation !== 'delete') this._transitionStats(bucketId, 'in_progress', 'pending', fileSize);
+      this._invalidateFolderStatsCache(bucketId);
+    }
+    return result;
+  }
+
+  saveCopyCheckpoint(id, checkpoint) {
+    return this._stmts.saveCopyCheckpoint.run({
+      id,
+      offset: checkpoint.offset,
+      hash: checkpoint.hash,
+      sourceSize: checkpoint.sourceSize,
+      sourceMtime: checkpoint.sourceMtime,
+    });
+  }
+
+  queueMirrorDeletions(bucketId, destinationFolder, orphans, scanToken) {
+    return this._queueDeletionsTransaction(bucketId, destinationFolder, orphans, scanToken);
+  }
+
+  approveMirrorDeletions(bucketId, fileIds = null) {
+    return this._stmts.approveDeletions.run({ bucketId, fileIds: fileIds ? JSON.stringify(fileIds) : null });
+  }
+
+  getMirrorDeletions(bucketId, { status = null, limit = 100, offset = 0 } = {}) {
+    return this._stmts.getDeletionsForBucket.all({ bucketId, status, limit, offset });
+  }
+
+  markSourceDeleted(id) {
+    return this._stmts.markSourceDeleted.run(id);
+  }
+
+  getResumablePartialPaths() {
+    return this._stmts.getResumablePartials.all().map((row) => row.destination_path);
+  }
+
   getFolderStatsCached(bucketId) {
     const cached = this._folderStatsCache.get(bucketId);
     if (cached && Date.now() - cached.timestamp < 2000) {
@@ -846,7 +1981,7 @@ class FileQueueDB {
           .prepare(
             `SELECT f.*, b.name as bucket_name FROM file_queue f
              LEFT JOIN buckets b ON f.bucket_id = b.id
-             WHERE f.bucket_id = @bucketId
+             WHERE f.bucket_id = @bucketId AND f.operation = 'copy'
              ORDER BY f.updated_at DESC`,
           )
           .iterate({ bucketId });
@@ -855,7 +1990,7 @@ class FileQueueDB {
         .prepare(
           `SELECT f.*, b.name as bucket_name FROM file_queue f
            LEFT JOIN buckets b ON f.bucket_id = b.id
-           WHERE f.status = @status AND f.bucket_id = @bucketId
+           WHERE f.status = @status AND f.bucket_id = @bucketId AND f.operation = 'copy'
            ORDER BY f.updated_at DESC`,
         )
         .iterate({ status, bucketId });
@@ -865,6 +2000,7 @@ class FileQueueDB {
         .prepare(
           `SELECT f.*, b.name as bucket_name FROM file_queue f
            LEFT JOIN buckets b ON f.bucket_id = b.id
+           WHERE f.operation = 'copy'
            ORDER BY f.updated_at DESC`,
         )
         .iterate();
@@ -873,12 +2009,207 @@ class FileQueueDB {
       .prepare(
         `SELECT f.*, b.name as bucket_name FROM file_queue f
          LEFT JOIN buckets b ON f.bucket_id = b.id
-         WHERE f.status = @status
+         WHERE f.status = @status AND f.operation = 'copy'
          ORDER BY f.updated_at DESC`,
       )
       .iterate({ status });
   }
 
+  getUser(id) {
+    return this._stmts.getUser.get(id);
+  }
+
+  getUserByUsername(username) {
+    return this._stmts.getUserByUsername.get(username);
+  }
+
+  getAllUsers() {
+    return this._stmts.getAllUsers.all();
+  }
+
+  countUsersByRole(role) {
+    return this._stmts.countUsersByRole.get(role).count;
+  }
+
+  createUser(user) {
+    const result = this._stmts.createUser.run({
+      username: user.username,
+      passwordHash: user.passwordHash,
+      role: user.role,
+    });
+    return this._stmts.getUser.get(result.lastInsertRowid);
+  }
+
+  updateUser(id, data) {
+    this._stmts.updateUser.run({
+      id,
+      passwordHash: data.passwordHash || null,
+      role: data.role || null,
+    });
+    return this._stmts.getUser.get(id);
+  }
+
+  deleteUser(id) {
+    return this.db.transaction(() => {
+      this._stmts.deleteTokensByUser.run(id);
+      return this._stmts.deleteUser.run(id).changes;
+    })();
+  }
+
+  createToken(token) {
+    const result = this._stmts.createToken.run({
+      userId: token.userId,
+      kind: token.kind || 'api',
+      name: token.name || null,
+      role: token.role,
+      tokenHash: token.tokenHash,
+      expiresIn: token.expiresIn || null,
+    });
+    return this._stmts.getToken.get(result.lastInsertRowid);
+  }
+
+  getToken(id) {
+    return this._stmts.getToken.get(id);
+  }
+
+  getValidToken(tokenHash) {
+    return this._stmts.getValidToken.get(tokenHash);
+  }
+
+  getApiTokens(userId = null) {
+    const tokens = this._stmts.getApiTokens.all();
+    return userId == null ? tokens : tokens.filter((t) => t.user_id === userId);
+  }
+
+  touchToken(id) {
+    this._stmts.touchToken.run(id);
+  }
+
+  deleteToken(id) {
+    return this._stmts.deleteToken.run(id).changes;
+  }
+
+  deleteTokenByHash(tokenHash) {
+    return this._stmts.deleteTokenByHash.run(tokenHash).changes;
+  }
+
+  deleteTokensByUser(userId) {
+    return this._stmts.deleteTokensByUser.run(userId).changes;
+  }
+
+  deleteExpiredTokens() {
+    return this._stmts.deleteExpiredTokens.run().changes;
+  }
+
+  addAuditEntry(entry) {
+    return this._stmts.addAuditEntry.run({
+      actor: entry.actor || null,
+      action: entry.action,
+      method: entry.method,
+      path: entry.path,
+      bucketId: entry.bucketId || null,
+      bucketName: entry.bucketName || null,
+      affected: entry.affected ?? null,
+      statusCode: entry.statusCode ?? null,
+      ip: entry.ip || null,
+      payload: entry.payload ? JSON.stringify(entry.payload) : null,
+    }).lastInsertRowid;
+  }
+
+  getAuditLog(filters = {}) {
+    const params = { limit: filters.limit ?? 100, offset: filters.offset ?? 0 };
+    const where = this._auditWhere(filters, params);
+    return this.db
+      .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+      .all(params)
+      .map((row) => this._parseAuditRow(row));
+  }
+
+  iterateAuditLog(filters = {}) {
+    const params = {};
+    const where = this._auditWhere(filters, params);
+    return this.db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC`).iterate(params);
+  }
+
+  _auditWhere(filters, params) {
+    const where = [];
+    if (filters.actor) {
+      where.push('actor = @actor');
+      params.actor = filters.actor;
+    }
+    if (filters.action) {
+      where.push("(action = @action OR action LIKE @action || '.%')");
+      params.action = filters.action;
+    }
+    if (filters.bucketId != null) {
+      where.push('bucket_id = @bucketId');
+      params.bucketId = filters.bucketId;
+    }
+    if (filters.from) {
+      where.push('created_at >= @from');
+      params.from = filters.from;
+    }
+    if (filters.to) {
+      where.push('created_at <= @to');
+      params.to = filters.to;
+    }
+    return where.length ? `WHERE ${where.join(' AND ')}` : '';
+  }
+
+  _parseAuditRow(row) {
+    row.payload = row.payload ? JSON.parse(row.payload) : null;
+    return row;
+  }
+
+  recordStatsSnapshot(snapshot) {
+    return this._recordStatsSnapshotTransaction(snapshot);
+  }
+
+  getStatsHistory(filters) {
+    const granularity = filters.step === 'minute' ? 'minute' : 'hour';
+    const period = filters.step === 'day' ? "strftime('%Y-%m-%d 00:00:00', period_start)" : 'period_start';
+    const params = { granularity, from: filters.from, to: filters.to };
+    let bucketFilter = '';
+    if (filters.bucketId != null) {
+      bucketFilter = 'AND bucket_id = @bucketId';
+      params.bucketId = filters.bucketId;
+    }
+    return this._variantStatement(
+      `
+      SELECT period as period_start, SUM(pending_count) as pending_count, SUM(pending_bytes) as pending_bytes,
+        SUM(completed_count) as completed_count, SUM(completed_bytes) as completed_bytes,
+        SUM(error_count) as error_count, SUM(conflict_count) as conflict_count,
+        SUM(files_copied) as files_copied, SUM(bytes_copied) as bytes_copied, SUM(errors) as errors
+      FROM (
+        SELECT bucket_id, ${period} as period, MAX(period_start), pending_count, pending_bytes, completed_count,
+          completed_bytes, error_count, conflict_count, SUM(files_copied) as files_copied,
+          SUM(bytes_copied) as bytes_copied, SUM(errors) as errors
+        FROM stats_history
+        WHERE granularity = @granularity AND period_start >= @from AND period_start <= @to ${bucketFilter}
+        GROUP BY bucket_id, period
+      )
+      GROUP BY period
+      ORDER BY period
+    `,
+    ).all(params);
+  }
+
+  pruneStatsHistory(retention) {
+    const minutes = this._stmts.pruneStatsHistory.run({
+      granularity: 'minute',
+      age: `-${retention.minuteRetentionHours} hours`,
+    }).changes;
+    const hours = this._stmts.pruneStatsHistory.run({
+      granularity: 'hour',
+      age: `-${retention.hourRetentionDays} days`,
+    }).changes;
+    return minutes + hours;
+  }
+
+  pruneAttempts(retentionDays) {
+    return this._stmts.pruneAttempts.run(`-${retentionDays} days`).changes;
+  }
+
   runMaintenance() {
     this.db.exec('ANALYZE');
     this.db.pragma('wal_checkpoint(PASSIVE)');
@@ -0,0 +1,121 @@
+const path = require('path');
+
+const EMPTY_FILTERS = {
+  include: [],
+  exclude: [],
+  includeRegex: [],
+  excludeRegex: [],
+  minSize: null,
+  maxSize: null,
+  modifiedAfter: null,
+  modifiedBefore: null,
+};
+
+function toPosix(relativePath) {
+  return path.sep === '/' ? relativePath : relativePath.split(path.sep).join('/');
+}
+
+function globToRegExp(glob) {
+  let pattern = glob;
+  let dirOnly = false;
+  let anchored = false;
+
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  if (pattern.startsWith('/')) {
+    anchored = true;
+    pattern = pattern.replace(/^\/+/, '');
+  }
+  if (!anchored && !pattern.includes('/')) {
+    pattern = '**/' + pattern;
+  }
+
+  let re = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*') {
+      if (pattern[i + 1] === '*') {
+        if (pattern[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      braceDepth++;
+      re += '(?:';
+    } else if (c === '}' && braceDepth > 0) {
+      braceDepth--;
+      re += ')';
+    } else if (c === ',' && braceDepth > 0) {
+      re += '|';
+    } else if ('\\^$+.()|{}[]'.includes(c)) {
+      re += '\\' + c;
+    } else {
+      re += c;
+    }
+  }
+
+  return { regex: new RegExp('^' + re + '$'), dirOnly };
+}
+
+function normalizeFilters(filters) {
+  return { ...EMPTY_FILTERS, ...(filters || {}) };
+}
+
+function compileFilters(filters) {
+  const f = normalizeFilters(filters);
+  const include = f.include.map(globToRegExp);
+  const exclude = f.exclude.map(globToRegExp);
+  const includeRegex = f.includeRegex.map((r) => new RegExp(r));
+  const excludeRegex = f.excludeRegex.map((r) => new RegExp(r));
+  const modifiedAfter = f.modifiedAfter ? Date.parse(f.modifiedAfter) : null;
+  const modifiedBefore = f.modifiedBefore ? Date.parse(f.modifiedBefore) : null;
+  const hasInclude = include.length > 0 || includeRegex.length > 0;
+
+  function skipDirectory(relativePath) {
+    const rel = toPosix(relativePath);
+    if (exclude.some((g) => g.regex.test(rel) || g.regex.test(rel + '/'))) return true;
+    return excludeRegex.some((r) => r.test(rel + '/'));
+  }
+
+  function skipPath(relativePath) {
+    const rel = toPosix(relativePath);
+    if (exclude.some((g) => !g.dirOnly && g.regex.test(rel))) return true;
+    if (excludeRegex.some((r) => r.test(rel))) return true;
+    if (hasInclude) {
+      const included = include.some((g) => !g.dirOnly && g.regex.test(rel)) || includeRegex.some((r) => r.test(rel));
+      if (!included) return true;
+    }
+    return false;
+  }
+
+  function skipFile(relativePath) {
+    const parts = toPosix(relativePath).split('/');
+    for (let i = 1; i < parts.length; i++) {
+      if (skipDirectory(parts.slice(0, i).join('/'))) return true;
+    }
+    return skipPath(relativePath);
+  }
+
+  function skipStat(stat) {
+    if (f.minSize != null && stat.size < f.minSize) return true;
+    if (f.maxSize != null && stat.size > f.maxSize) return true;
+    if (modifiedAfter != null && stat.mtimeMs < modifiedAfter) return true;
+    if (modifiedBefore != null && stat.mtimeMs > modifiedBefore) return true;
+    return false;
+  }
+
+  return { skipDirectory, skipPath, skipFile, skipStat };
+}
+
+module.exports = { EMPTY_FILTERS, toPosix, globToRegExp, normalizeFilters, compileFilters };
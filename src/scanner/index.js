@@ -3,12 +3,18 @@ const path = require('path');
 const config = require('../config');
 const database = require('../queue/database');
 const logger = require('../logger');
+const { compileFilters } = require('./filters');
+const { compilePriorityRules } = require('./priority');
+const { isTempFileName } = require('../workers/temp-files');
+const metrics = require('../metrics');
 
 const BATCH_SIZE = 5000;
 const DIR_CONCURRENCY = 8;
+const STAT_CONCURRENCY = 16;
+const PLAN_TOP_DEFAULT = 20;
 
 function shouldIgnore(filename) {
-  return config.scanner.ignorePatterns.some((pattern) => filename === pattern);
+  return isTempFileName(filename) || config.scanner.ignorePatterns.some((pattern) => filename === pattern);
 }
 
 async function parallelMap(items, fn, concurrency) {
@@ -24,6 +30,33 @@ async function parallelMap(items, fn, concurrency) {
   return results;
 }
 
+async function destinationState(destinationPath, size) {
+  try {
+    const destStat = await fs.promises.stat(destinationPath);
+    return destStat.size === size ? 'synced' : 'different';
+  } catch (_) {
+    return 'missing';
+  }
+}
+
+async function buildFileRecord(fullPath, stat, sourceFolder, destinationFolder) {
+  const relativePath = path.relative(sourceFolder, fullPath);
+  const destinationPath = path.join(destinationFolder, relativePath);
+  const status = (await destinationState(destinationPath, stat.size)) === 'synced' ? 'completed' : 'pending';
+
+  return {
+    sourcePath: fullPath,
+    sourceFolder,
+    relativePath,
+    destinationPath,
+    fileSize: stat.size,
+    sourceMtime: Math.floor(stat.mtimeMs),
+    sourceInode: stat.ino,
+    status,
+    errorMessage: null,
+  };
+}
+
 async function scanDirectory(dirPath, sourceFolder, destinationFolder, ctx) {
   let entries;
   try {
@@ -42,10 +75,20 @@ async function scanDirectory(dirPath, sourceFolder, destinationFolder, ctx) {
 
   for (const entry of entries) {
     if (shouldIgnore(entry.name)) continue;
+    const fullPath = path.join(dirPath, entry.name);
+    const relativePath = path.relative(sourceFolder, fullPath);
     if (entry.isDirectory() && config.scanner.recursive) {
-      dirs.push(path.join(dirPath, entry.name));
+      if (ctx.filter.skipDirectory(relativePath)) {
+        ctx.filtered++;
+        continue;
+      }
+      dirs.push(fullPath);
     } else if (entry.isFile()) {
-      files.push(path.join(dirPath, entry.name));
+      if (ctx.filter.skipPath(relativePath)) {
+        ctx.filtered++;
+        continue;
+      }
+      files.push(fullPath);
     }
   }
 
@@ -62,47 +105,196 @@ async function scanDirectory(dirPath, sourceFolder, destinationFolder, ctx) {
       continue;
     }
 
-    const relativePath = path.relative(sourceFolder, fullPath);
-    const destinationPath = path.join(destinationFolder, relativePath);
+    if (ctx.filter.skipStat(stat)) {
+      ctx.filtered++;
+      continue;
+    }
 
-    let status = 'pending';
-    try {
-      const destStat = await fs.promises.stat(destinationPath);
-      if (destStat.size === stat.size) {
-        status = 'completed';
-        ctx.alreadySynced++;
+    await ctx.add(fullPath, stat, sourceFolder, destinationFolder);
+  }
+
+  if (dirs.length > 0) {
+    await parallelMap(dirs, (dir) => scanDirectory(dir, sourceFolder, destinationFolder, ctx), DIR_CONCURRENCY);
+  }
+}
+
+async function detectMissingFiles(bucket, sourceFolder, scanToken) {
+  const unseen = database.getUnseenFilesForFolder(bucket.id, sourceFolder, scanToken);
+  if (unseen.length === 0) return 0;
+
+  const missing = [];
+  await parallelMap(
+    unseen,
+    async (file) => {
+      try {
+        await fs.promises.stat(file.source_path);
+      } catch (err) {
+        if (err.code === 'ENOENT') missing.push(file);
       }
-    } catch (_) {}
+    },
+    STAT_CONCURRENCY,
+  );
+
+  if (missing.length === 0) return 0;
 
-    ctx.buffer.push({
-      sourcePath: fullPath,
+  const marked = database.markSourceMissing(bucket.id, missing);
+  for (const file of missing) {
+    logger.log('source_missing', {
+      bucketName: bucket.name,
+      sourcePath: file.source_path,
       sourceFolder,
-      relativePath,
-      destinationPath,
-      fileSize: stat.size,
-      status,
-      errorMessage: null,
+      fileSize: file.file_size,
+      message: 'Arquivo removido da origem',
+    });
+  }
+  return marked;
+}
+
+async function existsInAnySource(sourceFolders, relativePath) {
+  for (const folder of sourceFolders) {
+    try {
+      await fs.promises.lstat(path.join(folder, relativePath));
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') return true;
+    }
+  }
+  return false;
+}
+
+async function scanDestinationDirectory(dirPath, ctx) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+  } catch (err) {
+    logger.log('error', {
+      sourcePath: dirPath,
+      sourceFolder: ctx.destinationRoot,
+      message: `Erro ao ler diretorio de destino: ${err.message}`,
     });
+    return;
+  }
 
-    if (ctx.buffer.length >= BATCH_SIZE) {
-      ctx.flush();
+  const dirs = [];
+  const files = [];
+  for (const entry of entries) {
+    if (shouldIgnore(entry.name)) continue;
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory() && config.scanner.recursive) {
+      if (!ctx.excludedDirs.has(fullPath)) dirs.push(fullPath);
+    } else if (entry.isFile()) {
+      files.push(fullPath);
     }
   }
 
+  await parallelMap(
+    files,
+    async (fullPath) => {
+      const relativePath = path.relative(ctx.destinationRoot, fullPath);
+      if (await existsInAnySource(ctx.sourceFolders, relativePath)) return;
+      let stat;
+      try {
+        stat = await fs.promises.stat(fullPath);
+      } catch (_) {
+        return;
+      }
+      ctx.orphans.push({ destinationPath: fullPath, relativePath, fileSize: stat.size });
+    },
+    STAT_CONCURRENCY,
+  );
+
   if (dirs.length > 0) {
-    await parallelMap(dirs, (dir) => scanDirectory(dir, sourceFolder, destinationFolder, ctx), DIR_CONCURRENCY);
+    await parallelMap(dirs, (dir) => scanDestinationDirectory(dir, ctx), DIR_CONCURRENCY);
   }
 }
 
+async function findMirrorOrphans(bucket) {
+  const sourceFolders = bucket.source_folders.map((folder) => path.resolve(folder));
+  if (sourceFolders.length === 0) {
+    return { skipped: 'Bucket sem pastas de origem', orphans: [] };
+  }
+  for (const folder of sourceFolders) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(folder);
+    } catch (_) {
+      return { skipped: `Pasta de origem indisponivel: ${folder}`, orphans: [] };
+    }
+    if (entries.length === 0) {
+      return { skipped: `Pasta de origem vazia: ${folder}`, orphans: [] };
+    }
+  }
+
+  const destinationRoot = path.resolve(bucket.destination_folder);
+  const ctx = {
+    destinationRoot,
+    sourceFolders,
+    excludedDirs: new Set(
+      [bucket.trash_folder, bucket.backup && bucket.backup.folder].filter(Boolean).map((dir) => path.resolve(dir)),
+    ),
+    orphans: [],
+  };
+
+  try {
+    await fs.promises.access(destinationRoot);
+  } catch (_) {
+    return { skipped: null, orphans: [] };
+  }
+
+  await scanDestinationDirectory(destinationRoot, ctx);
+  ctx.orphans.sort((a, b) => a.destinationPath.localeCompare(b.destinationPath));
+  return { skipped: null, orphans: ctx.orphans };
+}
+
+async function syncMirrorDeletions(bucket, scanToken) {
+  const { skipped, orphans } = await findMirrorOrphans(bucket);
+  if (skipped) {
+    logger.system(`[Bucket:${bucket.name}] Espelhamento ignorado nesta varredura: ${skipped}`);
+    return 0;
+  }
+  if (orphans.length === 0) return 0;
+
+  const queued = database.queueMirrorDeletions(bucket.id, path.resolve(bucket.destination_folder), orphans, scanToken);
+  logger.system(
+    `[Bucket:${bucket.name}] Espelhamento: ${orphans.length} arquivo(s) no destino sem origem, ${queued} remocao(oes) aguardando aprovacao`,
+  );
+  return queued;
+}
+
 async function scanBucket(bucket, onBatch) {
+  const startedAt = Date.now();
+  try {
+    const result = await runBucketScan(bucket, onBatch);
+    metrics.recordScan(bucket.id, Date.now() - startedAt, 'ok');
+    return result;
+  } catch (err) {
+    metrics.recordScan(bucket.id, Date.now() - startedAt, 'error');
+    throw err;
+  }
+}
+
+async function runBucketScan(bucket, onBatch) {
   let totalFound = 0;
   let totalAdded = 0;
+  let totalModified = 0;
+  let totalMissing = 0;
 
   let totalSynced = 0;
+  const scanToken = Date.now();
 
   const ctx = {
     buffer: [],
     alreadySynced: 0,
+    filtered: 0,
+    filter: compileFilters(bucket.filters),
+    priorityFor: compilePriorityRules(bucket.priority_rules),
+    async add(fullPath, stat, sourceFolder, destinationFolder) {
+      const record = await buildFileRecord(fullPath, stat, sourceFolder, destinationFolder);
+      record.priority = ctx.priorityFor(record.relativePath, record.fileSize);
+      if (record.status === 'completed') ctx.alreadySynced++;
+      ctx.buffer.push(record);
+      if (ctx.buffer.length >= BATCH_SIZE) ctx.flush();
+    },
     flush() {
       const batch = ctx.buffer.splice(0);
       if (batch.length === 0) return;
@@ -110,16 +302,17 @@ async function scanBucket(bucket, onBatch) {
       const synced = ctx.alreadySynced;
       ctx.alreadySynced = 0;
 
-      const added = database.addFilesForBucket(bucket.id, batch);
+      const { added, modified, restored } = database.syncScannedFilesForBucket(bucket.id, batch, scanToken);
       totalFound += batch.length;
-      totalAdded += added;
+      totalAdded += added + restored;
+      totalModified += modified;
       totalSynced += synced;
 
       logger.system(
-        `[Bucket:${bucket.name}] Lote adicionado a fila: ${batch.length} encontrado(s), ${added} novo(s), ${synced} ja sincronizado(s)`,
+        `[Bucket:${bucket.name}] Lote adicionado a fila: ${batch.length} encontrado(s), ${added + restored} novo(s), ${modified} modificado(s), ${synced} ja sincronizado(s)`,
       );
 
-      if (onBatch) onBatch({ found: totalFound, added: totalAdded });
+      if (onBatch) onBatch({ found: totalFound, added: totalAdded, modified: totalModified });
     },
   };
 
@@ -134,15 +327,125 @@ async function scanBucket(bucket, onBatch) {
     }
 
     await scanDirectory(resolved, resolved, bucket.destination_folder, ctx);
+    ctx.flush();
+    totalMissing += await detectMissingFiles(bucket, resolved, scanToken);
   }
 
-  ctx.flush();
+  const totalDeletions = bucket.mode === 'mirror' ? await syncMirrorDeletions(bucket, scanToken) : 0;
 
   logger.system(
-    `[Bucket:${bucket.name}] Varredura concluida: ${totalFound} arquivo(s) encontrado(s), ${totalAdded} novo(s) adicionado(s) a fila, ${totalSynced} ja sincronizado(s)`,
+    `[Bucket:${bucket.name}] Varredura concluida: ${totalFound} arquivo(s) encontrado(s), ${totalAdded} novo(s) adicionado(s) a fila, ${totalModified} modificado(s), ${totalMissing} ausente(s) na origem, ${totalSynced} ja sincronizado(s), ${ctx.filtered} ignorado(s) por filtro`,
   );
 
-  return { found: totalFound, added: totalAdded, synced: totalSynced };
+  return {
+    found: totalFound,
+    added: totalAdded,
+    modified: totalModified,
+    missing: totalMissing,
+    synced: totalSynced,
+    filtered: ctx.filtered,
+    deletions: totalDeletions,
+  };
+}
+
+function keepLargest(list, item, limit) {
+  list.push(item);
+  if (list.length > limit * 2) {
+    list.sort((a, b) => b.fileSize - a.fileSize);
+    list.length = limit;
+  }
+}
+
+function addToDirectories(directories, sourceFolder, relativePath, size) {
+  let dir = path.dirname(relativePath);
+  while (dir !== '.') {
+    const key = path.join(sourceFolder, dir);
+    const entry = directories.get(key) || { path: key, count: 0, totalSize: 0 };
+    entry.count++;
+    entry.totalSize += size;
+    directories.set(key, entry);
+    dir = path.dirname(dir);
+  }
+}
+
+async function planBucket(bucket, options = {}) {
+  const top = options.top || PLAN_TOP_DEFAULT;
+  const summary = {
+    found: 0,
+    filtered: 0,
+    toCopy: { count: 0, totalSize: 0 },
+    synced: { count: 0, totalSize: 0 },
+    conflicts: { count: 0, totalSize: 0 },
+  };
+  const largestFiles = [];
+  const conflictFiles = [];
+  const directories = new Map();
+  const missingFolders = [];
+
+  const ctx = {
+    filtered: 0,
+    filter: compileFilters(bucket.filters),
+    async add(fullPath, stat, sourceFolder, destinationFolder) {
+      const relativePath = path.relative(sourceFolder, fullPath);
+      const destinationPath = path.join(destinationFolder, relativePath);
+      const state = await destinationState(destinationPath, stat.size);
+      const file = { sourcePath: fullPath, destinationPath, fileSize: stat.size };
+      summary.found++;
+
+      if (state === 'synced') {
+        summary.synced.count++;
+        summary.synced.totalSize += stat.size;
+        return;
+      }
+      if (state === 'different') {
+        summary.conflicts.count++;
+        summary.conflicts.totalSize += stat.size;
+        keepLargest(conflictFiles, file, top);
+        return;
+      }
+      summary.toCopy.count++;
+      summary.toCopy.totalSize += stat.size;
+      keepLargest(largestFiles, file, top);
+      addToDirectories(directories, sourceFolder, relativePath, stat.size);
+    },
+  };
+
+  for (const folder of bucket.source_folders) {
+    const resolved = path.resolve(folder);
+    try {
+      await fs.promises.access(resolved);
+    } catch {
+      missingFolders.push(resolved);
+      continue;
+    }
+    await scanDirectory(resolved, resolved, bucket.destination_folder, ctx);
+  }
+  summary.filtered = ctx.filtered;
+
+  const bySize = (a, b) => b.fileSize - a.fileSize;
+  const plan = {
+    bucketId: bucket.id,
+    dryRun: true,
+    ...summary,
+    missingFolders,
+    largestFiles: largestFiles.sort(bySize).slice(0, top),
+    largestDirectories: [...directories.values()].sort((a, b) => b.totalSize - a.totalSize).slice(0, top),
+    conflictFiles: conflictFiles.sort(bySize).slice(0, top),
+  };
+
+  if (bucket.mode === 'mirror') {
+    const { skipped, orphans } = await findMirrorOrphans(bucket);
+    plan.deletions = {
+      skipped,
+      count: orphans.length,
+      totalSize: orphans.reduce((sum, orphan) => sum + orphan.fileSize, 0),
+    };
+  }
+
+  logger.system(
+    `[Bucket:${bucket.name}] Simulacao de varredura: ${summary.toCopy.count} arquivo(s) a copiar, ${summary.synced.count} ja sincronizado(s), ${summary.conflicts.count} conflito(s)`,
+  );
+  return plan;
 }
 
 async function scanAll(onBatch) {
@@ -150,6 +453,8 @@ async function scanAll(onBatch) {
   const results = {};
   let totalFound = 0;
   let totalAdded = 0;
+  let totalModified = 0;
+  let totalMissing = 0;
   let totalSynced = 0;
 
   for (const bucket of buckets) {
@@ -157,14 +462,16 @@ async function scanAll(onBatch) {
     results[bucket.id] = { name: bucket.name, ...result };
     totalFound += result.found;
     totalAdded += result.added;
+    totalModified += result.modified || 0;
+    totalMissing += result.missing || 0;
     totalSynced += result.synced || 0;
   }
 
   logger.system(
-    `Varredura global concluida: ${buckets.length} bucket(s), ${totalFound} arquivo(s) encontrado(s), ${totalAdded} novo(s), ${totalSynced} ja sincronizado(s)`,
+    `Varredura global concluida: ${buckets.length} bucket(s), ${totalFound} arquivo(s) encontrado(s), ${totalAdded} novo(s), ${totalModified} modificado(s), ${totalMissing} ausente(s) na origem, ${totalSynced} ja sincronizado(s)`,
   );
 
-  return { buckets: results, totalFound, totalAdded, synced: totalSynced };
+  return { buckets: results, totalFound, totalAdded, totalModified, totalMissing, synced: totalSynced };
 }
 
-module.exports = { scanBucket, scanAll };
+module.exports = { scanBucket, scanAll, planBucket, shouldIgnore, buildFileRecord, findMirrorOrphans };
@@ -0,0 +1,41 @@
+const path = require('path');
+const { globToRegExp, toPosix } = require('./filters');
+
+function normalizeExtension(ext) {
+  const lower = ext.toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+function compilePriorityRules(rules) {
+  const compiled = (rules || []).map((rule) => ({
+    pattern: rule.pattern ? globToRegExp(rule.pattern) : null,
+    extensions: rule.extensions ? rule.extensions.map(normalizeExtension) : null,
+    minSize: rule.minSize != null ? rule.minSize : null,
+    maxSize: rule.maxSize != null ? rule.maxSize : null,
+    priority: rule.priority,
+  }));
+
+  function matchesPattern(pattern, rel) {
+    if (!pattern.dirOnly) return pattern.regex.test(rel);
+    const parts = rel.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      if (pattern.regex.test(parts.slice(0, i).join('/'))) return true;
+    }
+    return false;
+  }
+
+  return function priorityFor(relativePath, size) {
+    const rel = toPosix(relativePath);
+    const ext = path.extname(rel).toLowerCase();
+    for (const rule of compiled) {
+      if (rule.pattern && !matchesPattern(rule.pattern, rel)) continue;
+      if (rule.extensions && !rule.extensions.includes(ext)) continue;
+      if (rule.minSize != null && size < rule.minSize) continue;
+      if (rule.maxSize != null && size > rule.maxSize) continue;
+      return rule.priority;
+    }
+    return 0;
+  };
+}
+
+module.exports = { compilePriorityRules };
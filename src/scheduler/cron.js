@@ -0,0 +1,137 @@
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia do mes', min: 1, max: 31 },
+  { name: 'mes', min: 1, max: 12 },
+  { name: 'dia da semana', min: 0, max: 7 },
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseNumber(value, field) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Valor invalido "${value}" no campo ${field.name}`);
+  }
+  const n = parseInt(value, 10);
+  if (n < field.min || n > field.max) {
+    throw new Error(`Valor ${n} fora do intervalo ${field.min}-${field.max} no campo ${field.name}`);
+  }
+  return n;
+}
+
+function parseField(source, field) {
+  const values = new Set();
+  for (const part of source.split(',')) {
+    const pieces = part.split('/');
+    if (pieces.length > 2) throw new Error(`Passo invalido "${part}" no campo ${field.name}`);
+    const [range, stepText] = pieces;
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+        throw new Error(`Passo invalido "${part}" no campo ${field.name}`);
+      }
+      step = parseInt(stepText, 10);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      start = parseNumber(a, field);
+      end = parseNumber(b, field);
+      if (start > end) throw new Error(`Intervalo invalido "${range}" no campo ${field.name}`);
+    } else {
+      start = parseNumber(range, field);
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    for (let n = start; n <= end; n += step) {
+      values.add(n);
+    }
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Expressao cron vazia');
+  }
+  const trimmed = expression.trim();
+  const source = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Expressao cron deve ter 5 campos: "${expression}"`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+  const domRestricted = !parts[2].startsWith('*');
+  const dowRestricted = !parts[4].startsWith('*');
+
+  function dayMatches(date) {
+    const dom = daysOfMonth.has(date.getDate());
+    const dow = daysOfWeek.has(date.getDay());
+    if (domRestricted && dowRestricted) return dom || dow;
+    return dom && dow;
+  }
+
+  function matches(date) {
+    return (
+      minutes.has(date.getMinutes()) &&
+      hours.has(date.getHours()) &&
+      months.has(date.getMonth() + 1) &&
+      dayMatches(date)
+    );
+  }
+
+  function next(from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = from.getTime() + MAX_SEARCH_MS;
+
+    while (date.getTime() <= limit) {
+      if (!months.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!dayMatches(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+    return null;
+  }
+
+  return { expression: trimmed, matches, next };
+}
+
+module.exports = { parseCron };
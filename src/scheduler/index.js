@@ -0,0 +1,70 @@
+const { EventEmitter } = require('events');
+const logger = require('../logger');
+const { parseCron } = require('./cron');
+
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+class BucketScheduler extends EventEmitter {
+  constructor(bucket) {
+    super();
+    this.bucketId = bucket.id;
+    this.bucketName = bucket.name;
+    this.scanCron = bucket.schedule.scanCron;
+    this.active = false;
+    this.nextScanAt = null;
+    this.lastScanAt = null;
+    this._cron = parseCron(this.scanCron);
+    this._timer = null;
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this._arm();
+    logger.system(`[Bucket:${this.bucketName}] Varredura agendada: "${this.scanCron}"`);
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this.nextScanAt = null;
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      scanCron: this.scanCron,
+      nextScanAt: this.nextScanAt ? this.nextScanAt.toISOString() : null,
+      lastScanAt: this.lastScanAt,
+    };
+  }
+
+  _arm() {
+    if (!this.active) return;
+    const next = this._cron.next(new Date());
+    this.nextScanAt = next;
+    if (!next) return;
+
+    const delay = Math.min(Math.max(next.getTime() - Date.now(), 0), MAX_TIMER_MS);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (!this.active) return;
+      if (Date.now() >= next.getTime()) {
+        this._fire();
+      }
+      this._arm();
+    }, delay);
+  }
+
+  _fire() {
+    this.lastScanAt = new Date().toISOString();
+    logger.system(`[Bucket:${this.bucketName}] Iniciando varredura agendada`);
+    this.emit('scan-due', { bucketId: this.bucketId });
+  }
+}
+
+module.exports = BucketScheduler;
@@ -0,0 +1,48 @@
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+function parseTime(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function compileWindow(window) {
+  const days = window.days && window.days.length > 0 ? window.days : ALL_DAYS;
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+
+  return (date) => {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    if (start === end) return days.includes(day);
+    if (start < end) return days.includes(day) && minute >= start && minute < end;
+    const previousDay = (day + 6) % 7;
+    return (days.includes(day) && minute >= start) || (days.includes(previousDay) && minute < end);
+  };
+}
+
+function compileCopyWindows(windows) {
+  const compiled = (windows || []).map(compileWindow);
+  const unrestricted = compiled.length === 0;
+
+  function isOpen(date = new Date()) {
+    if (unrestricted) return true;
+    return compiled.some((test) => test(date));
+  }
+
+  function nextChange(from = new Date()) {
+    if (unrestricted) return null;
+    const current = isOpen(from);
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    for (let i = 0; i < MINUTES_PER_WEEK; i++) {
+      date.setMinutes(date.getMinutes() + 1);
+      if (isOpen(date) !== current) return date;
+    }
+    return null;
+  }
+
+  return { unrestricted, isOpen, nextChange };
+}
+
+module.exports = { compileCopyWindows };
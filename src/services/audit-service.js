@@ -0,0 +1,28 @@
+const database = require('../queue/database');
+const logger = require('../logger');
+
+class AuditService {
+  getBucketName(bucketId) {
+    if (!bucketId) return null;
+    const bucket = database.getBucket(bucketId);
+    return bucket ? bucket.name : null;
+  }
+
+  record(entry) {
+    try {
+      database.addAuditEntry(entry);
+    } catch (err) {
+      logger.system(`Erro ao gravar auditoria (${entry.action}): ${err.message}`);
+    }
+  }
+
+  getEntries(filters) {
+    return database.getAuditLog(filters);
+  }
+
+  iterateEntries(filters) {
+    return database.iterateAuditLog(filters);
+  }
+}
+
+module.exports = AuditService;
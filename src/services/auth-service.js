@@ -0,0 +1,177 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const database = require('../queue/database');
+const { NotFoundError, ConflictError, UnauthorizedError, ForbiddenError } = require('../errors');
+const { hashPassword, verifyPassword, generateToken, hashToken, hasRole, lowerRole } = require('../auth/credentials');
+
+const LOCAL_USER = Object.freeze({ id: null, username: null, role: 'admin' });
+const DUMMY_PASSWORD_HASH = hashPassword(generateToken());
+
+class AuthService extends EventEmitter {
+  constructor(options = config.auth) {
+    super();
+    this.options = options;
+  }
+
+  get enabled() {
+    return !!this.options.enabled;
+  }
+
+  bootstrap() {
+    if (!this.enabled || database.getAllUsers().length > 0) return null;
+    const generated = !this.options.adminPassword;
+    const password = this.options.adminPassword || generateToken().slice(0, 16);
+    const user = database.createUser({
+      username: this.options.adminUser,
+      passwordHash: hashPassword(password),
+      role: 'admin',
+    });
+    return { user: this._publicUser(user), password: generated ? password : null };
+  }
+
+  login(username, password) {
+    const user = database.getUserByUsername(username);
+    const valid = verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      throw new UnauthorizedError('Usuário ou senha inválidos');
+    }
+    database.deleteExpiredTokens();
+    const token = generateToken();
+    const session = database.createToken({
+      userId: user.id,
+      kind: 'session',
+      role: user.role,
+      tokenHash: hashToken(token),
+      expiresIn: `+${this.options.sessionTtlHours} hours`,
+    });
+    return { token, expiresAt: session.expires_at, user: this._publicUser(user) };
+  }
+
+  logout(token) {
+    if (token) database.deleteTokenByHash(hashToken(token));
+    this.emit('revoked');
+    return { loggedOut: true };
+  }
+
+  authenticate(token) {
+    if (!this.enabled) return LOCAL_USER;
+    if (!token) return null;
+    const row = database.getValidToken(hashToken(token));
+    if (!row) return null;
+    if (row.kind === 'api') database.touchToken(row.id);
+    return {
+      id: row.user_id,
+      username: row.username,
+      role: lowerRole(row.token_role, row.user_role),
+      tokenId: row.id,
+      tokenKind: row.kind,
+    };
+  }
+
+  isValid(token) {
+    if (!this.enabled) return true;
+    return !!token && !!database.getValidToken(hashToken(token));
+  }
+
+  getUsers() {
+    return database.getAllUsers().map((u) => this._publicUser(u));
+  }
+
+  createUser(data) {
+    if (database.getUserByUsername(data.username)) {
+      throw new ConflictError('Usuário já existe');
+    }
+    const user = database.createUser({
+      username: data.username,
+      passwordHash: hashPassword(data.password),
+      role: data.role,
+    });
+    return this._publicUser(user);
+  }
+
+  updateUser(id, data) {
+    const user = this._getUser(id);
+    if (data.role && data.role !== 'admin') this._assertNotLastAdmin(user);
+    const updated = database.updateUser(id, {
+      role: data.role,
+      passwordHash: data.password ? hashPassword(data.password) : null,
+    });
+    if (data.password) {
+      database.deleteTokensByUser(id);
+      this.emit('revoked');
+    }
+    return this._publicUser(updated);
+  }
+
+  deleteUser(id) {
+    const user = this._getUser(id);
+    this._assertNotLastAdmin(user);
+    database.deleteUser(id);
+    this.emit('revoked');
+    return { deleted: true };
+  }
+
+  getTokens(user) {
+    return database.getApiTokens(hasRole(user.role, 'admin') ? null : user.id);
+  }
+
+  createToken(user, data) {
+    if (user.id == null) throw new ConflictError('Autenticação desativada, tokens não são necessários');
+    const role = data.role || user.role;
+    if (!hasRole(user.role, role)) {
+      throw new ForbiddenError('Token não pode ter papel acima do usuário');
+    }
+    const token = generateToken();
+    const row = database.createToken({
+      userId: user.id,
+      kind: 'api',
+      name: data.name,
+      role,
+      tokenHash: hashToken(token),
+      expiresIn: data.expiresInDays ? `+${data.expiresInDays} days` : null,
+    });
+    return {
+      id: row.id,
+      name: row.name,
+      role: row.role,
+      expires_at: row.expires_at,
+      created_at: row.created_at,
+      token,
+    };
+  }
+
+  revokeToken(user, id) {
+    const token = database.getToken(id);
+    if (!token || token.kind !== 'api') throw new NotFoundError('Token não encontrado');
+    if (token.user_id !== user.id && !hasRole(user.role, 'admin')) {
+      throw new ForbiddenError('Token pertence a outro usuário');
+    }
+    database.deleteToken(id);
+    this.emit('revoked');
+    return { revoked: true };
+  }
+
+  _getUser(id) {
+    const user = database.getUser(id);
+    if (!user) throw new NotFoundError('Usuário não encontrado');
+    return user;
+  }
+
+  _assertNotLastAdmin(user) {
+    if (user.role === 'admin' && database.countUsersByRole('admin') <= 1) {
+      throw new ConflictError('Não é possível remover o último administrador');
+    }
+  }
+
+  _publicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      created_at: user.created_at,
+      updated_at: user.updated_at,
+    };
+  }
+}
+
+module.exports = AuthService;
@@ -69,16 +69,7 @@ class BucketService {
     const statsMap = database.getFolderStatsCached(id);
     return bucket.source_folders.map((f) => {
       const resolved = path.resolve(f);
-      return (
-        statsMap[resolved] || {
-          source_folder: resolved,
-          pending: { count: 0, totalSize: 0 },
-          in_progress: { count: 0, totalSize: 0 },
-          completed: { count: 0, totalSize: 0 },
-          error: { count: 0, totalSize: 0 },
-          conflict: { count: 0, totalSize: 0 },
-        }
-      );
+      return statsMap[resolved] || database.emptyFolderStats(resolved);
     });
   }
 
@@ -88,6 +79,22 @@ class BucketService {
     return database.getFilesByStatusForBucket(id, status, limit, offset);
   }
 
+  getFilesPage(id, status, cursor, limit) {
+    const bucket = this.bucketManager.getBucket(id);
+    if (!bucket) throw new NotFoundError('Bucket não encontrado');
+    return database.getFilesPage({ bucketId: id, status, after: cursor, limit });
+  }
+
+  setPriority(id, target) {
+    const bucket = this.bucketManager.getBucket(id);
+    if (!bucket) throw new NotFoundError('Bucket não encontrado');
+    const { priority, ...rest } = target;
+    if (rest.sourceFolder) rest.sourceFolder = path.resolve(rest.sourceFolder);
+    const result = database.setPriority(id, rest, priority);
+    if (result.updated > 0) this.bucketManager.notifyNewWork(id);
+    return result;
+  }
+
   getActivity(id, limit) {
     const bucket = this.bucketManager.getBucket(id);
     if (!bucket) throw new NotFoundError('Bucket não encontrado');
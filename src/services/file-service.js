@@ -1,4 +1,10 @@
+const fs = require('fs');
+const path = require('path');
 const database = require('../queue/database');
+const logger = require('../logger');
+const { NotFoundError, ConflictError } = require('../errors');
+const { availableCopyPath } = require('../workers/conflicts');
+const { backupDestination, restoreBackupFile } = require('../workers/backups');
 
 class FileService {
   getGlobalStats() {
@@ -9,22 +15,48 @@ class FileService {
     return database.getFilesByStatus(status, limit, offset);
   }
 
-  resolveConflict(fileId, action) {
+  getFilesPage(status, cursor, limit) {
+    return database.getFilesPage({ status, after: cursor, limit });
+  }
+
+  searchFiles(filters) {
+    return database.searchFiles(filters);
+  }
+
+  async resolveConflict(fileId, action) {
+    if (action === 'keep-both') {
+      const target = database.getConflictTarget(fileId);
+      return this._keepBoth(target ? [target] : []);
+    }
     return database.resolveConflict(fileId, action);
   }
 
-  resolveAllConflicts(action) {
+  async resolveAllConflicts(action) {
+    if (action === 'keep-both') return this._keepBoth(database.getConflictTargets());
     return database.resolveAllConflicts(action);
   }
 
-  resolveConflictForBucket(bucketId, fileId, action) {
-    return database.resolveConflict(fileId, action);
+  async resolveConflictForBucket(bucketId, fileId, action) {
+    return this.resolveConflict(fileId, action);
   }
 
-  resolveAllConflictsForBucket(bucketId, action) {
+  async resolveAllConflictsForBucket(bucketId, action) {
+    if (action === 'keep-both') return this._keepBoth(database.getConflictTargets(bucketId));
     return database.resolveAllConflictsForBucket(bucketId, action);
   }
 
+  async _keepBoth(targets) {
+    const reserved = new Set();
+    const resolved = [];
+    for (const target of targets) {
+      const current = target.resolved_destination_path || target.destination_path;
+      const destinationPath = await availableCopyPath(current, target.keep_both_pattern, reserved);
+      reserved.add(destinationPath);
+      resolved.push({ id: target.id, destinationPath });
+    }
+    return database.resolveConflictsKeepBoth(resolved);
+  }
+
   retryError(fileId) {
     return database.retryError(fileId);
   }
@@ -41,6 +73,95 @@ class FileService {
     return database.retryAllErrorsForBucket(bucketId);
   }
 
+  _getBucketFile(bucketId, fileId) {
+    const file = database.getFile(fileId);
+    if (!file || file.bucket_id !== bucketId) throw new NotFoundError('Arquivo não encontrado');
+    return file;
+  }
+
+  async getFileDetail(fileId) {
+    const file = database.getFile(fileId);
+    if (!file) throw new NotFoundError('Arquivo não encontrado');
+    const bucket = database.getBucket(file.bucket_id);
+    const attempts = database.getAttemptsForFile(fileId);
+    const lastTransfer = attempts.find((a) => a.bytes_transferred > 0 && a.duration_ms > 0);
+    return {
+      ...file,
+      bucket: bucket
+        ? {
+            id: bucket.id,
+            name: bucket.name,
+            destination_folder: bucket.destination_folder,
+            mode: bucket.mode,
+            conflict_policy: bucket.conflict_policy,
+          }
+        : null,
+      timings: {
+        createdAt: file.created_at,
+        startedAt: file.started_at,
+        completedAt: file.completed_at,
+        updatedAt: file.updated_at,
+        lastAttemptMs: attempts.length > 0 ? attempts[0].duration_ms : null,
+      },
+      throughput: lastTransfer ? Math.round((lastTransfer.bytes_transferred * 1000) / lastTransfer.duration_ms) : null,
+      attempts,
+      backups: database.getBackupsForFile(fileId),
+      logs: await logger.findLines([`Arquivo: ${file.source_path} |`, `Arquivo: ${file.destination_path} |`]),
+    };
+  }
+
+  getErrorSummary(bucketId = null) {
+    return database.getErrorSummary(bucketId);
+  }
+
+  listAttempts(bucketId, fileId) {
+    this._getBucketFile(bucketId, fileId);
+    return database.getAttemptsForFile(fileId);
+  }
+
+  listBackups(bucketId, fileId) {
+    this._getBucketFile(bucketId, fileId);
+    return database.getBackupsForFile(fileId);
+  }
+
+  async restoreBackup(bucketId, fileId, backupId) {
+    const file = this._getBucketFile(bucketId, fileId);
+    const backup = database.getBackup(backupId);
+    if (!backup || backup.file_id !== fileId) throw new NotFoundError('Backup não encontrado');
+    if (file.status === 'in_progress') {
+      throw new ConflictError('Arquivo em copia, aguarde a conclusao para restaurar');
+    }
+    if (!fs.existsSync(backup.backup_path)) {
+      throw new NotFoundError('Arquivo de backup não encontrado no disco');
+    }
+
+    const bucket = database.getBucket(bucketId);
+    const destinationPath = file.resolved_destination_path || file.destination_path;
+    let replaced = null;
+    if (bucket.backup.folder && fs.existsSync(destinationPath)) {
+      const saved = await backupDestination(destinationPath, {
+        backupFolder: path.resolve(bucket.backup.folder),
+        destinationFolder: path.resolve(bucket.destination_folder),
+      });
+      replaced = database.addBackup({
+        fileId,
+        bucketId,
+        originalPath: destinationPath,
+        backupPath: saved.backupPath,
+        fileSize: saved.fileSize,
+        destinationHash: file.destination_hash,
+      });
+    }
+
+    await restoreBackupFile(backup.backup_path, destinationPath);
+    database.deleteBackups([backup.id]);
+    if (backup.destination_hash) {
+      database.updateStatus(fileId, file.status, { destinationHash: backup.destination_hash });
+    }
+    logger.system(`[Bucket:${bucket.name}] Backup restaurado em ${destinationPath} (versao de ${backup.created_at})`);
+    return { restored: backup, replaced };
+  }
+
   exportFiles(status) {
     return database.getFilesByStatus(status, 100000, 0);
   }
@@ -1,4 +1,8 @@
+const fs = require('fs');
+const config = require('../config');
 const database = require('../queue/database');
+const threadPool = require('../workers/thread-pool');
+const metrics = require('../metrics');
 const pkg = require('../../package.json');
 
 class HealthService {
@@ -68,6 +72,48 @@ class HealthService {
       },
     };
   }
+
+  renderPrometheus() {
+    const { gauges } = metrics;
+    for (const gauge of Object.values(gauges)) gauge.reset();
+
+    for (const bucket of database.getAllBuckets()) {
+      const id = String(bucket.id);
+      const pool = this.bucketManager.pools.get(bucket.id);
+      gauges.bucketInfo.set(
+        { bucket: id, name: bucket.name, mode: bucket.mode, status: pool ? pool.status : 'stopped' },
+        1,
+      );
+      for (const [status, { count, totalSize }] of Object.entries(database.getStatsByBucket(bucket.id))) {
+        gauges.files.set({ bucket: id, status }, count);
+        gauges.fileBytes.set({ bucket: id, status }, totalSize);
+      }
+      if (pool) {
+        gauges.workers.set({ bucket: id }, pool.workerCount);
+        gauges.workersActive.set({ bucket: id }, pool.activeWorkers);
+        gauges.workerUtilization.set({ bucket: id }, pool.workerCount > 0 ? pool.activeWorkers / pool.workerCount : 0);
+      }
+    }
+
+    const threads = threadPool.getStats();
+    gauges.threads.set({}, threads.threads);
+    threads.pending.forEach((count, i) => gauges.threadPending.set({ thread: String(i) }, count));
+
+    gauges.walBytes.set({}, fileSize(`${config.database.path}-wal`));
+    gauges.databaseBytes.set({}, fileSize(config.database.path));
+    gauges.uptime.set({}, Math.floor((Date.now() - this.startTime) / 1000));
+    gauges.residentMemory.set({}, process.memoryUsage().rss);
+
+    return metrics.registry.render();
+  }
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (_) {
+    return 0;
+  }
 }
 
 module.exports = HealthService;
@@ -0,0 +1,85 @@
+const config = require('../config');
+const database = require('../queue/database');
+const logger = require('../logger');
+const { NotFoundError } = require('../errors');
+
+const MINUTE_MS = 60 * 1000;
+const STEP_SECONDS = { minute: 60, hour: 3600, day: 86400 };
+const DEFAULT_RANGE_MS = { minute: 2 * 3600 * 1000, hour: 48 * 3600 * 1000, day: 30 * 86400 * 1000 };
+
+function localTimestamp(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  );
+}
+
+class HistoryService {
+  constructor(bucketManager, options = config.history) {
+    this.bucketManager = bucketManager;
+    this.options = options;
+    this._timer = null;
+  }
+
+  start() {
+    if (this._timer) return;
+    this._arm();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  recordSnapshot(now = new Date()) {
+    const end = new Date(now);
+    end.setSeconds(0, 0);
+    const start = new Date(end.getTime() - MINUTE_MS);
+    const buckets = this.bucketManager.getAllBuckets().map((bucket) => ({
+      bucketId: bucket.id,
+      stats: database.getStatsByBucket(bucket.id),
+    }));
+    const recorded = database.recordStatsSnapshot({
+      periodStart: localTimestamp(start),
+      periodEnd: localTimestamp(end),
+      buckets,
+    });
+    database.pruneStatsHistory(this.options);
+    database.pruneAttempts(this.options.attemptRetentionDays);
+    return recorded;
+  }
+
+  getHistory(bucketId, query) {
+    if (bucketId != null && !this.bucketManager.getBucket(bucketId)) {
+      throw new NotFoundError('Bucket não encontrado');
+    }
+    const step = query.step || 'hour';
+    const from = query.from || localTimestamp(new Date(Date.now() - DEFAULT_RANGE_MS[step]));
+    const to = query.to || localTimestamp(new Date());
+    const points = database.getStatsHistory({ bucketId, step, from, to }).map((row) => ({
+      ...row,
+      bytes_per_sec: Math.round(row.bytes_copied / STEP_SECONDS[step]),
+    }));
+    return { bucketId, step, from, to, points };
+  }
+
+  _arm() {
+    const delay = MINUTE_MS - (Date.now() % MINUTE_MS) + 1000;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      try {
+        this.recordSnapshot();
+      } catch (err) {
+        logger.system(`Erro ao gravar historico de estatisticas: ${err.message}`);
+      }
+      this._arm();
+    }, delay);
+    this._timer.unref();
+  }
+}
+
+module.exports = HistoryService;
+module.exports.localTimestamp = localTimestamp;
@@ -1,4 +1,4 @@
-const { NotFoundError } = require('../errors');
+const { NotFoundError, ConflictError } = require('../errors');
 const scanner = require('../scanner');
 const database = require('../queue/database');
 const logger = require('../logger');
@@ -24,7 +24,14 @@ class ScannerService {
     scanner
       .scanBucket(bucket, onBatch)
       .then((result) => {
-        this.broadcast('scan-complete', { bucketId: id, found: result.found, added: result.added });
+        this.broadcast('scan-complete', {
+          bucketId: id,
+          found: result.found,
+          added: result.added,
+          modified: result.modified,
+          missing: result.missing,
+          deletions: result.deletions,
+        });
         this.broadcast('stats-update', database.getStatsByBucket(id));
       })
       .catch((err) => {
@@ -34,6 +41,46 @@ class ScannerService {
     return { status: 'scanning' };
   }
 
+  async planBucket(id) {
+    const bucket = this.bucketManager.getBucket(id);
+    if (!bucket) throw new NotFoundError('Bucket não encontrado');
+    return scanner.planBucket(bucket);
+  }
+
+  async previewMirror(id, limit) {
+    const bucket = this.bucketManager.getBucket(id);
+    if (!bucket) throw new NotFoundError('Bucket não encontrado');
+
+    const { skipped, orphans } = await scanner.findMirrorOrphans(bucket);
+    return {
+      bucketId: id,
+      mode: bucket.mode,
+      action: bucket.trash_folder ? 'trash' : 'delete',
+      trashFolder: bucket.trash_folder || null,
+      skipped,
+      count: orphans.length,
+      totalSize: orphans.reduce((sum, orphan) => sum + orphan.fileSize, 0),
+      files: orphans.slice(0, limit),
+    };
+  }
+
+  listMirrorDeletions(id, query) {
+    if (!this.bucketManager.getBucket(id)) throw new NotFoundError('Bucket não encontrado');
+    return database.getMirrorDeletions(id, query);
+  }
+
+  approveMirrorDeletions(id, fileIds) {
+    const bucket = this.bucketManager.getBucket(id);
+    if (!bucket) throw new NotFoundError('Bucket não encontrado');
+    if (bucket.mode !== 'mirror') throw new ConflictError('Bucket nao esta no modo mirror');
+
+    const result = database.approveMirrorDeletions(id, fileIds);
+    if (result.changes > 0) {
+      logger.system(`[Bucket:${bucket.name}] Espelhamento: ${result.changes} remocao(oes) aprovada(s)`);
+    }
+    return { changes: result.changes };
+  }
+
   scanAll() {
     let lastBroadcast = 0;
     const onBatch = (bucketId) => {
@@ -51,6 +98,8 @@ class ScannerService {
           bucketId: null,
           totalFound: result.totalFound,
           totalAdded: result.totalAdded,
+          totalModified: result.totalModified,
+          totalMissing: result.totalMissing,
         });
         this.broadcast('stats-update-global', database.getStats());
       })
@@ -62,6 +62,23 @@ class ServiceControlService {
       this._handleError(err);
     }
   }
+
+  setBandwidthLimit(id, limit) {
+    try {
+      this.bucketManager.setBandwidthLimit(id, limit);
+      return this.bucketManager.getBucketStatus(id);
+    } catch (err) {
+      this._handleError(err);
+    }
+  }
+
+  getGlobalBandwidth() {
+    return this.bucketManager.getBandwidth();
+  }
+
+  setGlobalBandwidthLimit(limit) {
+    return this.bucketManager.setGlobalBandwidthLimit(limit);
+  }
 }
 
 module.exports = ServiceControlService;
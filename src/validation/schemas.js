@@ -1,8 +1,15 @@
 const { z } = require('zod');
 const config = require('../config');
+const { parseCron } = require('../scheduler/cron');
+const { decodeCursor } = require('../queue/cursor');
+const { ROLES } = require('../auth/credentials');
 
-const VALID_STATUSES = ['pending', 'in_progress', 'completed', 'error', 'conflict'];
-const VALID_ACTIONS = ['overwrite', 'skip'];
+const VALID_STATUSES = ['pending', 'in_progress', 'completed', 'error', 'conflict', 'source_missing'];
+const VALID_ACTIONS = ['overwrite', 'skip', 'keep-both'];
+const SEARCH_SORT_FIELDS = ['updated_at', 'created_at', 'file_size', 'relative_path', 'id'];
+const HISTORY_STEPS = ['minute', 'hour', 'day'];
+const CONFLICT_POLICIES = ['ask', 'overwrite', 'skip', 'keep-newer', 'keep-larger', 'rename'];
+const DELETION_STATUSES = ['awaiting_approval', 'pending', 'in_progress', 'completed', 'error'];
 
 const bucketParamsSchema = z.object({
   id: z.coerce.number().int().positive(),
@@ -13,6 +20,16 @@ const fileParamsSchema = z.object({
   fileId: z.coerce.number().int().positive(),
 });
 
+const fileIdParamsSchema = z.object({
+  fileId: z.coerce.number().int().positive(),
+});
+
+const backupParamsSchema = z.object({
+  id: z.coerce.number().int().positive(),
+  fileId: z.coerce.number().int().positive(),
+  backupId: z.coerce.number().int().positive(),
+});
+
 const statusParamsSchema = z.object({
   status: z.enum([...VALID_STATUSES, 'all']),
 });
@@ -22,11 +39,121 @@ const bucketStatusParamsSchema = z.object({
   status: z.enum([...VALID_STATUSES, 'all']),
 });
 
+const regexString = z.string().refine(
+  (value) => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  },
+  { message: 'Expressao regular invalida' },
+);
+
+const dateString = z.string().refine((value) => !isNaN(Date.parse(value)), { message: 'Data invalida' });
+
+const bucketFiltersSchema = z
+  .object({
+    include: z.array(z.string().min(1)).optional().default([]),
+    exclude: z.array(z.string().min(1)).optional().default([]),
+    includeRegex: z.array(regexString).optional().default([]),
+    excludeRegex: z.array(regexString).optional().default([]),
+    minSize: z.number().int().min(0).nullable().optional().default(null),
+    maxSize: z.number().int().min(0).nullable().optional().default(null),
+    modifiedAfter: dateString.nullable().optional().default(null),
+    modifiedBefore: dateString.nullable().optional().default(null),
+  })
+  .refine((f) => f.minSize == null || f.maxSize == null || f.minSize <= f.maxSize, {
+    message: 'minSize deve ser menor ou igual a maxSize',
+    path: ['minSize'],
+  });
+
+const cronString = z.string().refine(
+  (value) => {
+    try {
+      parseCron(value);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  },
+  { message: 'Expressao cron invalida' },
+);
+
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Horario deve estar no formato HH:MM');
+
+const copyWindowSchema = z.object({
+  days: z.array(z.number().int().min(0).max(6)).min(1).optional(),
+  start: timeOfDay,
+  end: timeOfDay,
+});
+
+const bucketScheduleSchema = z.object({
+  scanCron: cronString.nullable().optional().default(null),
+  copyWindows: z.array(copyWindowSchema).optional().default([]),
+});
+
+const preserveMetadataSchema = z.object({
+  timestamps: z.boolean().optional().default(false),
+  mode: z.boolean().optional().default(false),
+  ownership: z.boolean().optional().default(false),
+  xattrs: z.boolean().optional().default(false),
+  compareMtime: z.boolean().optional().default(false),
+});
+
+const bucketModeSchema = z.enum(['copy', 'move', 'mirror'], {
+  errorMap: () => ({ message: 'mode deve ser "copy", "move" ou "mirror"' }),
+});
+
+const conflictPolicySchema = z.enum(CONFLICT_POLICIES, {
+  errorMap: () => ({ message: `conflictPolicy deve ser um de: ${CONFLICT_POLICIES.join(', ')}` }),
+});
+
+const keepBothPatternSchema = z
+  .string()
+  .min(1)
+  .refine((value) => value.includes('{n}') || value.includes('{timestamp}'), {
+    message: 'keepBothPattern deve conter {n} ou {timestamp}',
+  })
+  .refine((value) => !/[\\/]/.test(value), { message: 'keepBothPattern nao pode conter separadores de pasta' });
+
+const bucketBackupSchema = z.object({
+  folder: z.string().min(1).nullable().optional().default(null),
+  maxVersions: z.number().int().min(0).optional().default(0),
+  maxAgeDays: z.number().int().min(0).optional().default(0),
+});
+
+const priorityValueSchema = z.number().int().min(-1000).max(1000);
+
+const priorityRuleSchema = z
+  .object({
+    pattern: z.string().min(1).optional(),
+    extensions: z.array(z.string().min(1)).min(1).optional(),
+    minSize: z.number().int().min(0).optional(),
+    maxSize: z.number().int().min(0).optional(),
+    priority: priorityValueSchema,
+  })
+  .refine((r) => r.pattern || r.extensions || r.minSize != null || r.maxSize != null, {
+    message: 'Regra de prioridade precisa de pattern, extensions, minSize ou maxSize',
+  });
+
 const bucketCreateSchema = z.object({
   name: z.string().min(1, 'name é obrigatório'),
   sourceFolders: z.array(z.string().min(1)).min(1, 'sourceFolders deve conter ao menos 1 pasta').optional().default([]),
   destinationFolder: z.string().min(1, 'destinationFolder é obrigatório'),
   workerCount: z.number().int().min(1).max(config.workers.maxCount).optional(),
+  filters: bucketFiltersSchema.optional(),
+  watch: z.boolean().optional(),
+  schedule: bucketScheduleSchema.optional(),
+  preserveMetadata: preserveMetadataSchema.optional(),
+  mode: bucketModeSchema.optional(),
+  pruneEmptyDirs: z.boolean().optional(),
+  trashFolder: z.string().min(1).nullable().optional(),
+  conflictPolicy: conflictPolicySchema.optional(),
+  keepBothPattern: keepBothPatternSchema.optional(),
+  backup: bucketBackupSchema.optional(),
+  priorityRules: z.array(priorityRuleSchema).optional(),
 });
 
 const bucketUpdateSchema = z
@@ -35,6 +162,17 @@ const bucketUpdateSchema = z
     sourceFolders: z.array(z.string().min(1)).min(1).optional(),
     destinationFolder: z.string().min(1).optional(),
     workerCount: z.number().int().min(1).max(config.workers.maxCount).optional(),
+    filters: bucketFiltersSchema.optional(),
+    watch: z.boolean().optional(),
+    schedule: bucketScheduleSchema.optional(),
+    preserveMetadata: preserveMetadataSchema.optional(),
+    mode: bucketModeSchema.optional(),
+    pruneEmptyDirs: z.boolean().optional(),
+    trashFolder: z.string().min(1).nullable().optional(),
+    conflictPolicy: conflictPolicySchema.optional(),
+    keepBothPattern: keepBothPatternSchema.optional(),
+    backup: bucketBackupSchema.optional(),
+    priorityRules: z.array(priorityRuleSchema).optional(),
   })
   .refine((data) => Object.keys(data).length > 0, {
     message: 'Ao menos um campo deve ser informado',
@@ -44,30 +182,207 @@ const workerCountSchema = z.object({
   count: z.number().int().min(1).max(config.workers.maxCount),
 });
 
+const bandwidthLimitSchema = z.object({
+  limit: z.number().int().min(0, 'limit deve ser >= 0 (0 = sem limite)'),
+});
+
+const prioritySchema = z
+  .object({
+    fileIds: z.array(z.number().int().positive()).min(1).optional(),
+    sourceFolder: z.string().min(1).optional(),
+    path: z
+      .string()
+      .transform((value) => value.replace(/^\/+|\/+$/g, ''))
+      .pipe(z.string().min(1, 'path nao pode ser vazio'))
+      .optional(),
+    priority: priorityValueSchema.optional(),
+  })
+  .refine((data) => data.fileIds || data.sourceFolder || data.path, {
+    message: 'Informe fileIds, sourceFolder ou path',
+  });
+
 const conflictResolutionSchema = z.object({
-  action: z.enum(VALID_ACTIONS, { errorMap: () => ({ message: 'action deve ser "overwrite" ou "skip"' }) }),
+  action: z.enum(VALID_ACTIONS, {
+    errorMap: () => ({ message: 'action deve ser "overwrite", "skip" ou "keep-both"' }),
+  }),
 });
 
 const paginationSchema = z.object({
   limit: z.coerce.number().int().min(1).max(10000).default(100),
   offset: z.coerce.number().int().min(0).default(0),
+  cursor: z
+    .string()
+    .optional()
+    .transform((value, ctx) => {
+      if (value === undefined) return undefined;
+      if (value === '') return null;
+      const decoded = decodeCursor(value);
+      if (!decoded) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Cursor inválido' });
+        return z.NEVER;
+      }
+      return decoded;
+    }),
 });
 
+const searchDateSchema = (endOfDay) =>
+  z
+    .string()
+    .regex(
+      /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/,
+      'Data deve estar no formato AAAA-MM-DD ou AAAA-MM-DD HH:MM',
+    )
+    .transform((value) => {
+      const date = value.replace('T', ' ');
+      if (date.length === 10) return `${date} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+      return date.length === 16 ? `${date}:${endOfDay ? '59' : '00'}` : date;
+    })
+    .optional();
+
+const fileSearchQuerySchema = z
+  .object({
+    path: z.string().min(1).max(1024).optional(),
+    bucketId: z.coerce.number().int().positive().optional(),
+    status: z.enum([...VALID_STATUSES, 'all']).optional(),
+    sourceFolder: z.string().min(1).optional(),
+    minSize: z.coerce.number().int().min(0).optional(),
+    maxSize: z.coerce.number().int().min(0).optional(),
+    createdFrom: searchDateSchema(false),
+    createdTo: searchDateSchema(true),
+    updatedFrom: searchDateSchema(false),
+    updatedTo: searchDateSchema(true),
+    hash: z
+      .string()
+      .regex(/^[0-9a-fA-F]+$/, 'hash deve conter apenas caracteres hexadecimais')
+      .transform((value) => value.toLowerCase())
+      .optional(),
+    error: z.string().min(1).max(1024).optional(),
+    sort: z.enum(SEARCH_SORT_FIELDS).default('updated_at'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    limit: z.coerce.number().int().min(1).max(10000).default(100),
+    offset: z.coerce.number().int().min(0).default(0),
+  })
+  .refine((data) => data.minSize == null || data.maxSize == null || data.minSize <= data.maxSize, {
+    message: 'minSize deve ser menor ou igual a maxSize',
+    path: ['minSize'],
+  });
+
 const activityQuerySchema = z.object({
   limit: z.coerce.number().int().min(1).max(10000).default(50),
 });
 
+const scanQuerySchema = z.object({
+  dryRun: z
+    .enum(['true', 'false', '1', '0'])
+    .optional()
+    .transform((value) => value === 'true' || value === '1'),
+});
+
+const mirrorPreviewQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(10000).default(1000),
+});
+
+const mirrorDeletionsQuerySchema = z.object({
+  status: z.enum(DELETION_STATUSES).optional(),
+  limit: z.coerce.number().int().min(1).max(10000).default(100),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+const mirrorApprovalSchema = z.object({
+  fileIds: z.array(z.number().int().positive()).min(1).optional(),
+});
+
+const roleSchema = z.enum(ROLES, {
+  errorMap: () => ({ message: 'role deve ser "viewer", "operator" ou "admin"' }),
+});
+
+const passwordSchema = z.string().min(8, 'Senha deve ter pelo menos 8 caracteres').max(256);
+
+const idParamsSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+const loginSchema = z.object({
+  username: z.string().min(1, 'Usuário é obrigatório'),
+  password: z.string().min(1, 'Senha é obrigatória'),
+});
+
+const userCreateSchema = z.object({
+  username: z
+    .string()
+    .regex(/^[a-zA-Z0-9._-]{3,64}$/, 'Usuário deve ter de 3 a 64 letras, números, ponto, hífen ou sublinhado'),
+  password: passwordSchema,
+  role: roleSchema.default('viewer'),
+});
+
+const userUpdateSchema = z
+  .object({
+    password: passwordSchema.optional(),
+    role: roleSchema.optional(),
+  })
+  .refine((data) => data.password || data.role, {
+    message: 'Informe password ou role',
+  });
+
+const tokenCreateSchema = z.object({
+  name: z.string().min(1, 'Nome é obrigatório').max(100),
+  role: roleSchema.optional(),
+  expiresInDays: z.number().int().min(1).max(3650).optional(),
+});
+
+const auditQuerySchema = z.object({
+  actor: z.string().min(1).optional(),
+  action: z.string().min(1).max(100).optional(),
+  bucketId: z.coerce.number().int().positive().optional(),
+  from: searchDateSchema(false),
+  to: searchDateSchema(true),
+  limit: z.coerce.number().int().min(1).max(10000).default(100),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+const historyQuerySchema = z.object({
+  from: searchDateSchema(false),
+  to: searchDateSchema(true),
+  step: z.enum(HISTORY_STEPS).default('hour'),
+});
+
 module.exports = {
   VALID_STATUSES,
   VALID_ACTIONS,
+  CONFLICT_POLICIES,
+  SEARCH_SORT_FIELDS,
+  HISTORY_STEPS,
+  DELETION_STATUSES,
   bucketParamsSchema,
   fileParamsSchema,
+  fileIdParamsSchema,
+  backupParamsSchema,
   statusParamsSchema,
   bucketStatusParamsSchema,
+  bucketFiltersSchema,
+  bucketScheduleSchema,
+  preserveMetadataSchema,
+  bucketBackupSchema,
   bucketCreateSchema,
   bucketUpdateSchema,
   workerCountSchema,
+  bandwidthLimitSchema,
+  prioritySchema,
+  priorityRuleSchema,
   conflictResolutionSchema,
   paginationSchema,
+  fileSearchQuerySchema,
   activityQuerySchema,
+  scanQuerySchema,
+  mirrorPreviewQuerySchema,
+  mirrorDeletionsQuerySchema,
+  mirrorApprovalSchema,
+  roleSchema,
+  idParamsSchema,
+  loginSchema,
+  userCreateSchema,
+  userUpdateSchema,
+  tokenCreateSchema,
+  auditQuerySchema,
+  historyQuerySchema,
 };
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const database = require('../queue/database');
+const logger = require('../logger');
+const scanner = require('../scanner');
+const { compileFilters } = require('../scanner/filters');
+const { compilePriorityRules } = require('../scanner/priority');
+
+const FLUSH_DELAY_MS = 250;
+
+class BucketWatcher extends EventEmitter {
+  constructor(bucket, options = {}) {
+    super();
+    this.bucketId = bucket.id;
+    this.bucketName = bucket.name;
+    this.debounceMs = options.debounceMs != null ? options.debounceMs : config.watcher.debounceMs;
+    this.reconcileIntervalMs =
+      options.reconcileIntervalMs != null ? options.reconcileIntervalMs : config.watcher.reconcileIntervalMs;
+    this.active = false;
+    this.lastReconcileAt = null;
+    this._watchers = [];
+    this._pending = new Map();
+    this._buffer = [];
+    this._flushTimer = null;
+    this._reconcileTimer = null;
+    this._reconciling = null;
+    this._bucket = null;
+    this._filter = null;
+    this._priorityFor = null;
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this._bucket = database.getBucket(this.bucketId);
+    if (!this._bucket) return;
+    this._filter = compileFilters(this._bucket.filters);
+    this._priorityFor = compilePriorityRules(this._bucket.priority_rules);
+
+    for (const folder of this._bucket.source_folders) {
+      const resolved = path.resolve(folder);
+      try {
+        const watcher = fs.watch(resolved, { recursive: true }, (_eventType, filename) => {
+          this._onEvent(resolved, filename);
+        });
+        watcher.on('error', (err) => {
+          logger.system(`[Bucket:${this.bucketName}] Erro no monitoramento de ${resolved}: ${err.message}`);
+        });
+        this._watchers.push(watcher);
+      } catch (err) {
+        logger.system(`[Bucket:${this.bucketName}] Nao foi possivel monitorar ${resolved}: ${err.message}`);
+      }
+    }
+
+    if (this.reconcileIntervalMs > 0) {
+      this._reconcileTimer = setInterval(() => this.reconcile(), this.reconcileIntervalMs);
+    }
+    this.reconcile();
+
+    logger.system(`[Bucket:${this.bucketName}] Monitoramento iniciado (${this._watchers.length} pasta(s))`);
+  }
+
+  async stop() {
+    if (!this.active) return;
+    this.active = false;
+
+    for (const watcher of this._watchers) {
+      watcher.close();
+    }
+    this._watchers = [];
+
+    for (const entry of this._pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    this._pending.clear();
+
+    if (this._reconcileTimer) {
+      clearInterval(this._reconcileTimer);
+      this._reconcileTimer = null;
+    }
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    this._buffer = [];
+
+    if (this._reconciling) {
+      await this._reconciling;
+    }
+
+    logger.system(`[Bucket:${this.bucketName}] Monitoramento encerrado`);
+  }
+
+  getStatus() {
+    return {
+      enabled: true,
+      active: this.active,
+      watchedFolders: this._watchers.length,
+      pendingFiles: this._pending.size,
+      reconciling: this._reconciling !== null,
+      lastReconcileAt: this.lastReconcileAt,
+    };
+  }
+
+  reconcile() {
+    if (this._reconciling || !this.active) return this._reconciling;
+    const bucket = database.getBucket(this.bucketId);
+    if (!bucket) return null;
+
+    this._reconciling = scanner
+      .scanBucket(bucket)
+      .then((result) => {
+        this.lastReconcileAt = new Date().toISOString();
+        if (result.added > 0 || result.modified > 0 || result.deletions > 0) {
+          this.emit('files-queued', { bucketId: this.bucketId, added: result.added, modified: result.modified });
+        }
+      })
+      .catch((err) => {
+        logger.system(`[Bucket:${this.bucketName}] Erro na varredura de reconciliacao: ${err.message}`);
+      })
+      .finally(() => {
+        this._reconciling = null;
+      });
+    return this._reconciling;
+  }
+
+  _onEvent(sourceFolder, filename) {
+    if (!this.active) return;
+    if (!filename) {
+      this.reconcile();
+      return;
+    }
+    const fullPath = path.join(sourceFolder, filename.toString());
+    if (scanner.shouldIgnore(path.basename(fullPath))) return;
+    this._schedule(sourceFolder, fullPath);
+  }
+
+  _schedule(sourceFolder, fullPath) {
+    const existing = this._pending.get(fullPath);
+    if (existing) clearTimeout(existing.timer);
+    const entry = {
+      sourceFolder,
+      size: existing ? existing.size : null,
+      mtimeMs: existing ? existing.mtimeMs : null,
+      timer: null,
+    };
+    entry.timer = setTimeout(() => this._checkStable(fullPath), this.debounceMs);
+    this._pending.set(fullPath, entry);
+  }
+
+  async _checkStable(fullPath) {
+    const entry = this._pending.get(fullPath);
+    if (!entry || !this.active) return;
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(fullPath);
+    } catch (_) {
+      this._pending.delete(fullPath);
+      return;
+    }
+    if (!this.active || this._pending.get(fullPath) !== entry) return;
+
+    if (stat.isDirectory()) {
+      this._pending.delete(fullPath);
+      await this._scheduleDirectory(entry.sourceFolder, fullPath);
+      return;
+    }
+
+    if (!stat.isFile()) {
+      this._pending.delete(fullPath);
+      return;
+    }
+
+    if (entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs) {
+      entry.size = stat.size;
+      entry.mtimeMs = stat.mtimeMs;
+      entry.timer = setTimeout(() => this._checkStable(fullPath), this.debounceMs);
+      return;
+    }
+
+    this._pending.delete(fullPath);
+    await this._enqueue(entry.sourceFolder, fullPath, stat);
+  }
+
+  async _scheduleDirectory(sourceFolder, dirPath) {
+    const relativeDir = path.relative(sourceFolder, dirPath);
+    if (relativeDir && this._filter.skipDirectory(relativeDir)) return;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const entry of entries) {
+      if (scanner.shouldIgnore(entry.name)) continue;
+      if (entry.isFile() || entry.isDirectory()) {
+        this._schedule(sourceFolder, path.join(dirPath, entry.name));
+      }
+    }
+  }
+
+  async _enqueue(sourceFolder, fullPath, stat) {
+    const relativePath = path.relative(sourceFolder, fullPath);
+    if (this._filter.skipFile(relativePath) || this._filter.skipStat(stat)) return;
+
+    const record = await scanner.buildFileRecord(fullPath, stat, sourceFolder, this._bucket.destination_folder);
+    if (!this.active) return;
+    record.priority = this._priorityFor(relativePath, stat.size);
+    this._buffer.push(record);
+
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => this._flush(), FLUSH_DELAY_MS);
+    }
+  }
+
+  _flush() {
+    this._flushTimer = null;
+    const batch = this._buffer.splice(0);
+    if (batch.length === 0) return;
+
+    const { added, modified, restored } = database.syncScannedFilesForBucket(this.bucketId, batch, Date.now());
+    const queued = added + restored;
+    if (queued === 0 && modified === 0) return;
+
+    logger.system(
+      `[Bucket:${this.bucketName}] Monitoramento: ${queued} novo(s), ${modified} modificado(s) adicionado(s) a fila`,
+    );
+    this.emit('files-queued', { bucketId: this.bucketId, added: queued, modified });
+  }
+}
+
+module.exports = BucketWatcher;
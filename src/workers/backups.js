@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { availableCopyPath } = require('./conflicts');
+const { tempPathFor } = require('./temp-files');
+
+const BACKUP_NAME_PATTERN = '{name}.{timestamp}{ext}';
+
+function backupTargetFor(destinationPath, options) {
+  const relativePath = path.relative(options.destinationFolder, destinationPath);
+  const inside = relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+  return path.join(options.backupFolder, inside ? relativePath : path.basename(destinationPath));
+}
+
+async function backupDestination(destinationPath, options) {
+  const stat = await fs.promises.stat(destinationPath);
+  const backupPath = await availableCopyPath(backupTargetFor(destinationPath, options), BACKUP_NAME_PATTERN);
+  await fs.promises.mkdir(path.dirname(backupPath), { recursive: true });
+  try {
+    await fs.promises.link(destinationPath, backupPath);
+  } catch (_) {
+    await fs.promises.copyFile(destinationPath, backupPath, fs.constants.COPYFILE_EXCL);
+  }
+  return { backupPath, fileSize: stat.size };
+}
+
+async function replaceDestination(tempPath, destinationPath, options) {
+  let backup = null;
+  if (options.backupFolder && fs.existsSync(destinationPath)) {
+    try {
+      backup = await backupDestination(destinationPath, options);
+    } catch (err) {
+      throw Object.assign(new Error(`Falha ao criar backup do destino: ${err.message}`), { code: err.code });
+    }
+  }
+  try {
+    await fs.promises.rename(tempPath, destinationPath);
+  } catch (err) {
+    if (backup) await fs.promises.rm(backup.backupPath, { force: true });
+    throw err;
+  }
+  return backup;
+}
+
+async function restoreBackupFile(backupPath, destinationPath) {
+  const tempPath = tempPathFor(destinationPath);
+  await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+  await fs.promises.copyFile(backupPath, tempPath);
+  await fs.promises.rename(tempPath, destinationPath);
+  await fs.promises.unlink(backupPath);
+}
+
+async function removeBackupFiles(backups) {
+  let removed = 0;
+  for (const backup of backups) {
+    try {
+      await fs.promises.unlink(backup.backup_path);
+      removed++;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return removed;
+}
+
+module.exports = { backupTargetFor, backupDestination, replaceDestination, restoreBackupFile, removeBackupFiles };
@@ -0,0 +1,222 @@
+const RATE_WINDOW_MS = 2000;
+const SLOT_MS = 5000;
+const HISTORY_SLOTS = 60;
+const METER_WINDOW_MS = 60000;
+
+class TokenBucket {
+  constructor(rate) {
+    this.rate = 0;
+    this.tokens = 0;
+    this.updatedAt = Date.now();
+    this.setRate(rate);
+  }
+
+  setRate(rate) {
+    this._refill();
+    this.rate = rate > 0 ? rate : 0;
+    this.tokens = Math.min(this.tokens, this.rate);
+  }
+
+  reserve(bytes) {
+    if (!this.rate) return 0;
+    this._refill();
+    this.tokens -= bytes;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens * 1000) / this.rate);
+  }
+
+  _refill() {
+    const now = Date.now();
+    if (this.rate) {
+      this.tokens = Math.min(this.rate, this.tokens + ((now - this.updatedAt) * this.rate) / 1000);
+    }
+    this.updatedAt = now;
+  }
+}
+
+class BandwidthLimiter {
+  constructor() {
+    this._global = new TokenBucket(0);
+    this._buckets = new Map();
+    this._samples = new Map();
+    this._meters = new Map();
+  }
+
+  setGlobalLimit(bytesPerSecond) {
+    this._global.setRate(bytesPerSecond);
+  }
+
+  getGlobalLimit() {
+    return this._global.rate;
+  }
+
+  setBucketLimit(bucketId, bytesPerSecond) {
+    this._bucket(bucketId).setRate(bytesPerSecond);
+  }
+
+  getBucketLimit(bucketId) {
+    const bucket = this._buckets.get(bucketId);
+    return bucket ? bucket.rate : 0;
+  }
+
+  removeBucket(bucketId) {
+    this._buckets.delete(bucketId);
+    this._samples.delete(bucketId);
+    this._meters.delete(bucketId);
+  }
+
+  acquire(bucketId, bytes) {
+    const wait = Math.max(this._global.reserve(bytes), this._bucket(bucketId).reserve(bytes));
+    if (wait === 0) {
+      this._record(bucketId, bytes);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        this._record(bucketId, bytes);
+        resolve();
+      }, wait);
+    });
+  }
+
+  recordFile(bucketId) {
+    this._slot(bucketId).files++;
+  }
+
+  getThroughput(bucketId) {
+    const samples = this._samples.get(bucketId);
+    if (!samples) return 0;
+    this._trim(samples);
+    return Math.round((samples.reduce((sum, s) => sum + s.bytes, 0) * 1000) / RATE_WINDOW_MS);
+  }
+
+  getGlobalThroughput() {
+    let total = 0;
+    for (const bucketId of this._samples.keys()) {
+      total += this.getThroughput(bucketId);
+    }
+    return total;
+  }
+
+  getRate(bucketId) {
+    if (bucketId == null) return this._sumRates(Array.from(this._meters.keys()));
+    const meter = this._meters.get(bucketId);
+    if (!meter) return { bytesPerSec: 0, filesPerSec: 0 };
+
+    const now = Date.now();
+    const current = Math.floor(now / SLOT_MS);
+    const windowSlots = METER_WINDOW_MS / SLOT_MS;
+    let bytes = 0;
+    let files = 0;
+    for (const [index, slot] of meter.slots) {
+      if (index >= current - windowSlots) {
+        bytes += slot.bytes;
+        files += slot.files;
+      }
+    }
+    const windowMs = windowSlots * SLOT_MS + (now - current * SLOT_MS);
+    const elapsed = Math.max(1000, Math.min(windowMs, now - meter.since));
+    return {
+      bytesPerSec: Math.round((bytes * 1000) / elapsed),
+      filesPerSec: Math.round((files * 100000) / elapsed) / 100,
+    };
+  }
+
+  getHistory(bucketId) {
+    const meters = bucketId == null ? Array.from(this._meters.values()) : [this._meters.get(bucketId)];
+    const current = Math.floor(Date.now() / SLOT_MS);
+    const history = [];
+    for (let index = current - HISTORY_SLOTS; index < current; index++) {
+      let bytes = 0;
+      for (const meter of meters) {
+        const slot = meter && meter.slots.get(index);
+        if (slot) bytes += slot.bytes;
+      }
+      history.push(Math.round((bytes * 1000) / SLOT_MS));
+    }
+    return history;
+  }
+
+  getEstimate(bucketId, pending) {
+    const rate = this.getRate(bucketId);
+    const remainingFiles = pending ? pending.count : 0;
+    const remainingBytes = pending ? pending.totalSize : 0;
+    let etaSeconds = null;
+    if (remainingFiles === 0) etaSeconds = 0;
+    else if (remainingBytes > 0 && rate.bytesPerSec > 0) etaSeconds = Math.ceil(remainingBytes / rate.bytesPerSec);
+    else if (rate.filesPerSec > 0) etaSeconds = Math.ceil(remainingFiles / rate.filesPerSec);
+    return { ...rate, remainingFiles, remainingBytes, etaSeconds };
+  }
+
+  getSnapshot() {
+    const buckets = {};
+    for (const bucketId of new Set([...this._buckets.keys(), ...this._samples.keys()])) {
+      buckets[bucketId] = { limit: this.getBucketLimit(bucketId), throughput: this.getThroughput(bucketId) };
+    }
+    return {
+      global: { limit: this.getGlobalLimit(), throughput: this.getGlobalThroughput() },
+      buckets,
+    };
+  }
+
+  _bucket(bucketId) {
+    let bucket = this._buckets.get(bucketId);
+    if (!bucket) {
+      bucket = new TokenBucket(0);
+      this._buckets.set(bucketId, bucket);
+    }
+    return bucket;
+  }
+
+  _record(bucketId, bytes) {
+    let samples = this._samples.get(bucketId);
+    if (!samples) {
+      samples = [];
+      this._samples.set(bucketId, samples);
+    }
+    samples.push({ at: Date.now(), bytes });
+    this._trim(samples);
+    if (bytes > 0) this._slot(bucketId).bytes += bytes;
+  }
+
+  _trim(samples) {
+    const cutoff = Date.now() - RATE_WINDOW_MS;
+    let i = 0;
+    while (i < samples.length && samples[i].at < cutoff) i++;
+    if (i > 0) samples.splice(0, i);
+  }
+
+  _sumRates(bucketIds) {
+    const total = { bytesPerSec: 0, filesPerSec: 0 };
+    for (const bucketId of bucketIds) {
+      const rate = this.getRate(bucketId);
+      total.bytesPerSec += rate.bytesPerSec;
+      total.filesPerSec += rate.filesPerSec;
+    }
+    total.filesPerSec = Math.round(total.filesPerSec * 100) / 100;
+    return total;
+  }
+
+  _slot(bucketId) {
+    const now = Date.now();
+    let meter = this._meters.get(bucketId);
+    if (!meter) {
+      meter = { since: now, slots: new Map() };
+      this._meters.set(bucketId, meter);
+    }
+    const index = Math.floor(now / SLOT_MS);
+    let slot = meter.slots.get(index);
+    if (!slot) {
+      slot = { bytes: 0, files: 0 };
+      meter.slots.set(index, slot);
+      for (const key of meter.slots.keys()) {
+        if (key <= index - HISTORY_SLOTS) meter.slots.delete(key);
+      }
+    }
+    return slot;
+  }
+}
+
+module.exports = new BandwidthLimiter();
+module.exports.BandwidthLimiter = BandwidthLimiter;
+module.exports.TokenBucket = TokenBucket;
+module.exports.SLOT_MS = SLOT_MS;
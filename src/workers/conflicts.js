@@ -0,0 +1,47 @@
+const path = require('path');
+const config = require('../config');
+const { pathExists } = require('./mirror');
+
+function decideConflict(policy, conflict) {
+  switch (policy) {
+    case 'overwrite':
+    case 'skip':
+    case 'rename':
+      return policy;
+    case 'keep-newer':
+      return conflict.sourceMtime > conflict.destMtime ? 'overwrite' : 'skip';
+    case 'keep-larger':
+      return conflict.sourceSize > conflict.destSize ? 'overwrite' : 'skip';
+    default:
+      return 'ask';
+  }
+}
+
+function formatTimestamp(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+  );
+}
+
+function renderCopyName(pattern, parts) {
+  const fileName = pattern.replace(/\{(name|ext|n|timestamp)\}/g, (_, key) => parts[key]);
+  if (parts.n === 1 || pattern.includes('{n}')) return fileName;
+  const ext = path.extname(fileName);
+  return `${fileName.slice(0, fileName.length - ext.length)} (${parts.n})${ext}`;
+}
+
+async function availableCopyPath(destinationPath, pattern, reserved) {
+  const ext = path.extname(destinationPath);
+  const name = path.basename(destinationPath, ext);
+  const timestamp = formatTimestamp(new Date());
+  for (let n = 1; ; n++) {
+    const fileName = renderCopyName(pattern || config.conflicts.keepBothPattern, { name, ext, n, timestamp });
+    const candidate = path.join(path.dirname(destinationPath), fileName);
+    if (reserved && reserved.has(candidate)) continue;
+    if (!(await pathExists(candidate))) return candidate;
+  }
+}
+
+module.exports = { decideConflict, renderCopyName, availableCopyPath };
@@ -2,6 +2,11 @@ const { parentPort } = require('worker_threads');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { tempPathFor } = require('./temp-files');
+const { normalizeMetadataOptions, metadataDiffers, applyMetadata } = require('./metadata');
+const { removeSource } = require('./source-removal');
+const { removeOrphan } = require('./mirror');
+const { replaceDestination } = require('./backups');
 
 let xxhash = null;
 try {
@@ -10,6 +15,10 @@ try {
 
 let hashAlgorithm = 'xxhash64';
 let bufferSize = 524288;
+let checkpointBytes = 67108864;
+let grantCounter = 0;
+const grantWaiters = new Map();
+const cancelled = new Set();
 
 function createHasher() {
   const algo = hashAlgorithm;
@@ -32,12 +41,19 @@ function digestHasher(hasher) {
   return hasher.digest('hex');
 }
 
-function computeFileHash(filePath) {
+function computeFileHash(filePath, attempt) {
   return new Promise((resolve, reject) => {
     const hash = createHasher();
+    const startedAt = Date.now();
     const stream = fs.createReadStream(filePath, { highWaterMark: bufferSize });
-    stream.on('data', (chunk) => hash.update(chunk));
-    stream.on('end', () => resolve(digestHasher(hash)));
+    stream.on('data', (chunk) => {
+      hash.update(chunk);
+      if (attempt) attempt.hashBytes += chunk.length;
+    });
+    stream.on('end', () => {
+      if (attempt) attempt.hashMs += Date.now() - startedAt;
+      resolve(digestHasher(hash));
+    });
     stream.on('error', (err) => {
       stream.destroy();
       reject(err);
@@ -45,80 +61,226 @@ function computeFileHash(filePath) {
   });
 }
 
-function copyFileWithHash(id, sourcePath, destinationPath) {
-  const dir = path.dirname(destinationPath);
-  fs.mkdirSync(dir, { recursive: true });
+function requestGrant(id, bytes) {
+  return new Promise((resolve) => {
+    const grantId = ++grantCounter;
+    grantWaiters.set(grantId, resolve);
+    parentPort.postMessage({ id, type: 'throttle', grantId, bytes });
+  });
+}
 
-  return new Promise((resolve, reject) => {
-    const sourceHash = createHasher();
-    const readStream = fs.createReadStream(sourcePath, { highWaterMark: bufferSize });
-    const writeStream = fs.createWriteStream(destinationPath, { highWaterMark: bufferSize });
-    let destroyed = false;
-    let bytesCopied = 0;
-    let lastProgressSend = 0;
+function snapshotHash(hasher) {
+  if (typeof hasher.copy === 'function') return digestHasher(hasher.copy());
+  return digestHasher(hasher);
+}
 
-    function cleanup(err) {
-      if (destroyed) return;
-      destroyed = true;
-      readStream.destroy();
-      writeStream.destroy();
-      try {
-        fs.unlinkSync(destinationPath);
-      } catch (_) {}
-      reject(err);
+async function syncDirectory(dir) {
+  let handle;
+  try {
+    handle = await fs.promises.open(dir, 'r');
+    await handle.sync();
+  } catch (_) {
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+async function restorePartial(partialPath, resume, sourceStat) {
+  if (!resume || !resume.offset) return null;
+  if (resume.sourceSize !== sourceStat.size || resume.sourceMtime !== Math.floor(sourceStat.mtimeMs)) return null;
+
+  let partialStat;
+  try {
+    partialStat = await fs.promises.stat(partialPath);
+  } catch (_) {
+    return null;
+  }
+  if (partialStat.size < resume.offset) return null;
+
+  const hasher = createHasher();
+  await new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(partialPath, { start: 0, end: resume.offset - 1, highWaterMark: bufferSize });
+    stream.on('data', (chunk) => hasher.update(chunk));
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+  return snapshotHash(hasher) === resume.hash ? hasher : null;
+}
+
+async function copyFileWithHash(id, sourcePath, destinationPath, resume, attempt) {
+  const partialPath = tempPathFor(destinationPath);
+  attempt.phase = 'write';
+  await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+
+  attempt.phase = 'stat';
+  const sourceStat = await fs.promises.stat(sourcePath);
+  const sourceMtime = Math.floor(sourceStat.mtimeMs);
+  attempt.phase = 'hash';
+  let sourceHash = await restorePartial(partialPath, resume, sourceStat);
+  let position = sourceHash ? resume.offset : 0;
+  const resumedFrom = position;
+  if (!sourceHash) sourceHash = createHasher();
+
+  attempt.phase = 'read';
+  const source = await fs.promises.open(sourcePath, 'r');
+  let destination = null;
+  let lastCheckpoint = position;
+  try {
+    attempt.phase = 'write';
+    destination = await fs.promises.open(partialPath, position > 0 ? 'r+' : 'w');
+    if (position > 0) {
+      await destination.truncate(position);
+      parentPort.postMessage({ id, type: 'progress', bytesCopied: position });
     }
 
-    readStream.on('data', (chunk) => {
-      sourceHash.update(chunk);
-      bytesCopied += chunk.length;
+    const buffer = Buffer.allocUnsafe(bufferSize);
+    let lastProgressSend = 0;
+
+    for (;;) {
+      if (cancelled.has(id)) {
+        const err = new Error('Copia interrompida');
+        err.code = 'ECANCELLED';
+        throw err;
+      }
+
+      attempt.phase = 'read';
+      const { bytesRead } = await source.read(buffer, 0, bufferSize, position);
+      if (bytesRead === 0) break;
+      await requestGrant(id, bytesRead);
+      sourceHash.update(buffer.subarray(0, bytesRead));
+      attempt.phase = 'write';
+      await destination.write(buffer, 0, bytesRead, position);
+      position += bytesRead;
+      attempt.bytesTransferred = position - resumedFrom;
+
       const now = Date.now();
       if (now - lastProgressSend >= 500) {
         lastProgressSend = now;
-        parentPort.postMessage({ id, type: 'progress', bytesCopied });
+        parentPort.postMessage({ id, type: 'progress', bytesCopied: position });
       }
-    });
-    readStream.on('error', cleanup);
-    writeStream.on('error', cleanup);
-    readStream.pipe(writeStream);
-    writeStream.on('finish', () => {
-      if (!destroyed) {
-        resolve({ sourceHash: digestHasher(sourceHash) });
+
+      if (checkpointBytes > 0 && position - lastCheckpoint >= checkpointBytes) {
+        await destination.datasync();
+        lastCheckpoint = position;
+        parentPort.postMessage({
+          id,
+          type: 'checkpoint',
+          offset: position,
+          hash: snapshotHash(sourceHash),
+          sourceSize: sourceStat.size,
+          sourceMtime,
+        });
       }
+    }
+
+    attempt.phase = 'write';
+    await destination.sync();
+  } catch (err) {
+    if (lastCheckpoint === 0) {
+      await fs.promises.unlink(partialPath).catch(() => {});
+    }
+    throw err;
+  } finally {
+    await source.close();
+    if (destination) await destination.close();
+  }
+
+  return { sourceHash: digestHasher(sourceHash), resumedFrom, tempPath: partialPath, sourceStat };
+}
+
+async function finishMove(msg, sourceStat) {
+  if (msg.mode !== 'move') return {};
+  try {
+    const prunedDirs = await removeSource(msg.sourcePath, sourceStat, {
+      sourceFolder: msg.sourceFolder,
+      pruneEmptyDirs: msg.pruneEmptyDirs,
     });
-  });
+    return { sourceDeleted: true, prunedDirs };
+  } catch (err) {
+    return { sourceDeleted: false, sourceDeleteError: err.message };
+  }
+}
+
+async function processDeletion(msg) {
+  const { id, destinationPath, relativePath } = msg;
+  try {
+    const outcome = await removeOrphan(destinationPath, relativePath, {
+      sourceFolders: msg.sourceFolders,
+      trashFolder: msg.trashFolder,
+    });
+    parentPort.postMessage({ id, type: 'done', ...outcome });
+  } catch (err) {
+    parentPort.postMessage({ id, type: 'done', result: 'error', message: err.message, code: err.code, phase: 'write' });
+  }
 }
 
 async function processFile(msg) {
-  const { id, sourcePath, destinationPath, fileSize } = msg;
+  if (msg.operation === 'delete') return processDeletion(msg);
+
+  const { id, sourcePath, destinationPath, fileSize, previousDestinationHash, resume } = msg;
+  const metadata = normalizeMetadataOptions(msg.preserveMetadata);
+  const attempt = { phase: 'stat', bytesTransferred: 0, hashBytes: 0, hashMs: 0 };
+  const done = (outcome) =>
+    parentPort.postMessage({
+      id,
+      type: 'done',
+      bytesTransferred: attempt.bytesTransferred,
+      hashBytes: attempt.hashBytes,
+      hashMs: attempt.hashMs,
+      ...outcome,
+    });
 
   try {
     const destExists = fs.existsSync(destinationPath);
+    let replacedHash = null;
 
     if (destExists) {
-      const [sourceHash, destHash] = await Promise.all([computeFileHash(sourcePath), computeFileHash(destinationPath)]);
+      const sourceStat = await fs.promises.stat(sourcePath);
+      attempt.phase = 'hash';
+      const [sourceHash, destHash] = await Promise.all([
+        computeFileHash(sourcePath, attempt),
+        computeFileHash(destinationPath, attempt),
+      ]);
+      replacedHash = destHash;
 
+      attempt.phase = 'stat';
+      const destStat = await fs.promises.stat(destinationPath);
       if (sourceHash === destHash) {
-        parentPort.postMessage({
-          id,
-          type: 'done',
+        let metadataWarnings = [];
+        if (metadataDiffers(sourceStat, destStat, metadata)) {
+          attempt.phase = 'write';
+          metadataWarnings = await applyMetadata(sourcePath, sourceStat, destinationPath, metadata);
+        }
+        done({
           result: 'identical',
           sourceHash,
           destHash,
+          metadataWarnings,
+          ...(await finishMove(msg, sourceStat)),
+        });
+        return;
+      }
+      if (!previousDestinationHash || destHash !== previousDestinationHash) {
+        done({
+          result: 'conflict',
+          sourceHash,
+          destHash,
+          sourceSize: sourceStat.size,
+          sourceMtime: sourceStat.mtimeMs,
+          destSize: destStat.size,
+          destMtime: destStat.mtimeMs,
         });
         return;
       }
-
-      parentPort.postMessage({
-        id,
-        type: 'done',
-        result: 'conflict',
-        sourceHash,
-        destHash,
-      });
-      return;
     }
 
-    const { sourceHash } = await copyFileWithHash(id, sourcePath, destinationPath);
+    const { sourceHash, resumedFrom, tempPath, sourceStat } = await copyFileWithHash(
+      id,
+      sourcePath,
+      destinationPath,
+      resume,
+      attempt,
+    );
 
     parentPort.postMessage({
       id,
@@ -126,36 +288,42 @@ async function processFile(msg) {
       bytesCopied: fileSize || 0,
     });
 
-    const destHash = await computeFileHash(destinationPath);
+    attempt.phase = 'verify';
+    const destHash = await computeFileHash(tempPath, attempt);
 
     if (sourceHash !== destHash) {
       try {
-        fs.unlinkSync(destinationPath);
+        fs.unlinkSync(tempPath);
       } catch (_) {}
-      parentPort.postMessage({
-        id,
-        type: 'done',
-        result: 'integrity_error',
-        sourceHash,
-        destHash,
-      });
+      done({ result: 'integrity_error', sourceHash, destHash });
       return;
     }
 
-    parentPort.postMessage({
-      id,
-      type: 'done',
+    attempt.phase = 'write';
+    const metadataWarnings = await applyMetadata(sourcePath, sourceStat, tempPath, metadata);
+
+    const backup = await replaceDestination(tempPath, destinationPath, {
+      backupFolder: msg.backupFolder,
+      destinationFolder: msg.destinationFolder,
+    });
+    if (backup) backup.destinationHash = replacedHash;
+    await syncDirectory(path.dirname(destinationPath));
+
+    done({
       result: 'copied',
       sourceHash,
       destHash,
+      resumedFrom,
+      metadataWarnings,
+      backup,
+      ...(await finishMove(msg, sourceStat)),
     });
   } catch (err) {
-    parentPort.postMessage({
-      id,
-      type: 'done',
-      result: 'error',
-      message: err.message,
-    });
+    if (err.code === 'ECANCELLED') {
+      done({ result: 'cancelled' });
+      return;
+    }
+    done({ result: 'error', message: err.message, code: err.code, phase: attempt.phase });
   }
 }
 
@@ -163,9 +331,22 @@ parentPort.on('message', (msg) => {
   if (msg.type === 'init') {
     hashAlgorithm = msg.algorithm || 'xxhash64';
     bufferSize = msg.bufferSize || 524288;
+    if (msg.checkpointBytes != null) checkpointBytes = msg.checkpointBytes;
+    return;
+  }
+  if (msg.type === 'cancel') {
+    cancelled.add(msg.id);
+    return;
+  }
+  if (msg.type === 'grant') {
+    const resolve = grantWaiters.get(msg.grantId);
+    if (resolve) {
+      grantWaiters.delete(msg.grantId);
+      resolve();
+    }
     return;
   }
   if (msg.type === 'process') {
-    processFile(msg);
+    processFile(msg).finally(() => cancelled.delete(msg.id));
   }
 });
@@ -3,7 +3,17 @@ const { EventEmitter } = require('events');
 const config = require('../config');
 const database = require('../queue/database');
 const logger = require('../logger');
+const metrics = require('../metrics');
 const threadPool = require('./thread-pool');
+const bandwidth = require('./bandwidth');
+const { decideConflict, availableCopyPath } = require('./conflicts');
+const { removeBackupFiles } = require('./backups');
+const { retryDelayFor } = require('./retry');
+const { compileCopyWindows } = require('../scheduler/windows');
+
+const WINDOW_CHECK_MAX_MS = 60000;
+const INTEGRITY_ERROR_CODE = 'EINTEGRITY';
+const INTEGRITY_ERROR_MESSAGE = 'Falha de integridade: hash pos-copia nao confere';
 
 class WorkerPool extends EventEmitter {
   constructor(bucketId, workerCount) {
@@ -20,16 +30,32 @@ class WorkerPool extends EventEmitter {
     this._cachedFolderCounts = null;
     this._folderCountsTimestamp = 0;
     this._hadWorkLastLoop = false;
+    this.autoPaused = false;
+    this._copyWindows = compileCopyWindows([]);
+    this._nextWindowChange = undefined;
+    this._windowTimer = null;
   }
 
   _refreshBucketCache() {
     const bucket = database.getBucket(this.bucketId);
     this._cachedBucket = bucket;
     this._cachedBucketName = bucket ? bucket.name : String(this.bucketId);
+    this._copyWindows = compileCopyWindows(bucket && bucket.schedule ? bucket.schedule.copyWindows : []);
+    this._nextWindowChange = undefined;
+  }
+
+  _getNextWindowChange() {
+    const now = Date.now();
+    if (this._nextWindowChange === undefined || (this._nextWindowChange && this._nextWindowChange.getTime() <= now)) {
+      this._nextWindowChange = this._copyWindows.nextChange(new Date(now));
+    }
+    return this._nextWindowChange;
   }
 
   start() {
     if (this.status === 'running') return;
+    this._clearWindowTimer();
+    this.autoPaused = false;
     this.status = 'running';
     this._stopping = false;
     this._refreshBucketCache();
@@ -39,7 +65,9 @@ class WorkerPool extends EventEmitter {
   }
 
   pause() {
-    if (this.status !== 'running') return;
+    if (this.status !== 'running' && !this.autoPaused) return;
+    this._clearWindowTimer();
+    this.autoPaused = false;
     this.status = 'paused';
     database.updateBucketStatus(this.bucketId, 'paused');
     if (this._loopTimer) {
@@ -50,7 +78,7 @@ class WorkerPool extends EventEmitter {
   }
 
   resume() {
-    if (this.status !== 'paused') return;
+    if (this.status !== 'paused' || this.autoPaused) return;
     this.status = 'running';
     this._refreshBucketCache();
     database.updateBucketStatus(this.bucketId, 'running');
@@ -61,6 +89,8 @@ class WorkerPool extends EventEmitter {
   stop() {
     return new Promise((resolve) => {
       if (this.status === 'stopped') return resolve();
+      this._clearWindowTimer();
+      this.autoPaused = false;
       this.status = 'stopped';
       this._stopping = true;
       database.updateBucketStatus(this.bucketId, 'stopped');
@@ -72,6 +102,10 @@ class WorkerPool extends EventEmitter {
 
       this.emit('service-change', { bucketId: this.bucketId });
 
+      if (this.activeWorkers > 0) {
+        threadPool.cancelBucket(this.bucketId);
+      }
+
       const check = () => {
         if (this.activeWorkers === 0) return resolve();
         setTimeout(check, 100);
@@ -89,15 +123,92 @@ class WorkerPool extends EventEmitter {
     return count;
   }
 
+  setBandwidthLimit(bytesPerSecond) {
+    const limit = Math.max(0, bytesPerSecond);
+    bandwidth.setBucketLimit(this.bucketId, limit);
+    database.updateBucket(this.bucketId, { bandwidthLimit: limit });
+    this.emit('service-change', { bucketId: this.bucketId });
+    return limit;
+  }
+
+  notifyNewWork() {
+    this._cachedFolderCounts = null;
+    this._hadWorkLastLoop = true;
+  }
+
+  applyBucketSettings() {
+    this._refreshBucketCache();
+  }
+
+  applySchedule() {
+    this._refreshBucketCache();
+    if (this.autoPaused && this._copyWindows.isOpen()) {
+      this._leaveCopyWindowPause();
+    }
+  }
+
   getStatus() {
+    const nextChange = this._getNextWindowChange();
     return {
       bucketId: this.bucketId,
       status: this.status,
       workerCount: this.workerCount,
       activeWorkers: this.activeWorkers,
+      bandwidthLimit: bandwidth.getBucketLimit(this.bucketId),
+      throughput: bandwidth.getThroughput(this.bucketId),
+      rate: bandwidth.getEstimate(this.bucketId, database.getStatsByBucket(this.bucketId).pending),
+      autoPaused: this.autoPaused,
+      copyWindowOpen: this._copyWindows.isOpen(),
+      nextWindowChangeAt: nextChange ? nextChange.toISOString() : null,
     };
   }
 
+  _enterCopyWindowPause() {
+    this.status = 'paused';
+    this.autoPaused = true;
+    if (this._loopTimer) {
+      clearTimeout(this._loopTimer);
+      this._loopTimer = null;
+    }
+    logger.system(`[Bucket:${this._cachedBucketName}] Fora da janela de copia, servico pausado automaticamente`);
+    this._scheduleWindowCheck();
+    this.emit('service-change', { bucketId: this.bucketId });
+  }
+
+  _leaveCopyWindowPause() {
+    this._clearWindowTimer();
+    this.autoPaused = false;
+    this.status = 'running';
+    logger.system(`[Bucket:${this._cachedBucketName}] Janela de copia aberta, servico retomado automaticamente`);
+    this._scheduleLoop();
+    this.emit('service-change', { bucketId: this.bucketId });
+  }
+
+  _scheduleWindowCheck() {
+    this._clearWindowTimer();
+    const nextChange = this._getNextWindowChange();
+    const delay = nextChange
+      ? Math.min(Math.max(nextChange.getTime() - Date.now(), 1000), WINDOW_CHECK_MAX_MS)
+      : WINDOW_CHECK_MAX_MS;
+    this._windowTimer = setTimeout(() => {
+      this._windowTimer = null;
+      if (!this.autoPaused) return;
+      this._refreshBucketCache();
+      if (this._copyWindows.isOpen()) {
+        this._leaveCopyWindowPause();
+      } else {
+        this._scheduleWindowCheck();
+      }
+    }, delay);
+  }
+
+  _clearWindowTimer() {
+    if (this._windowTimer) {
+      clearTimeout(this._windowTimer);
+      this._windowTimer = null;
+    }
+  }
+
   _scheduleLoop() {
     if (this._loopTimer) return;
     const interval = this._hadWorkLastLoop || this.activeWorkers > 0 ? 200 : 1000;
@@ -110,6 +221,11 @@ class WorkerPool extends EventEmitter {
   _processLoop() {
     if (this.status !== 'running') return;
 
+    if (!this._copyWindows.isOpen()) {
+      this._enterCopyWindowPause();
+      return;
+    }
+
     const bucket = this._cachedBucket;
     if (!bucket || !bucket.source_folders || bucket.source_folders.length === 0) {
       this._hadWorkLastLoop = false;
@@ -124,13 +240,18 @@ class WorkerPool extends EventEmitter {
     }
     const activeCounts = this._cachedFolderCounts;
     let targetFolder = null;
+    let targetPriority = null;
 
-    for (const folder of bucket.source_folders) {
+    const folders =
+      bucket.mode === 'mirror' ? [...bucket.source_folders, bucket.destination_folder] : bucket.source_folders;
+    for (const folder of folders) {
       const resolved = path.resolve(folder);
       const counts = activeCounts[resolved];
-      if (counts && (counts.pending > 0 || counts.inProgress > 0)) {
+      if (!counts || (counts.pending === 0 && counts.inProgress === 0)) continue;
+      const priority = counts.pending > 0 ? counts.topPriority : 0;
+      if (targetFolder === null || (counts.pending > 0 && priority > targetPriority)) {
         targetFolder = resolved;
-        break;
+        targetPriority = priority;
       }
     }
 
@@ -168,6 +289,10 @@ class WorkerPool extends EventEmitter {
 
   async _processFile(file, workerId) {
     const bucketName = this._cachedBucketName || String(this.bucketId);
+    if (file.operation === 'delete') {
+      await this._processDeletion(file, workerId, bucketName);
+      return;
+    }
 
     this.emit('status-change', {
       bucketId: this.bucketId,
@@ -181,7 +306,10 @@ class WorkerPool extends EventEmitter {
       sourceFolder: file.source_folder,
       fileSize: file.file_size,
       workerId,
-      message: 'Inicio da copia',
+      message:
+        file.partial_offset > 0
+          ? `Retomando copia a partir de ${logger.formatSize(file.partial_offset)}`
+          : 'Inicio da copia',
     });
 
     const onProgress = (bytesCopied) => {
@@ -194,37 +322,89 @@ class WorkerPool extends EventEmitter {
       });
     };
 
+    const task = {
+      bucketId: this.bucketId,
+      sourcePath: file.source_path,
+      destinationPath: file.resolved_destination_path || file.destination_path,
+      fileSize: file.file_size,
+      previousDestinationHash: file.previous_destination_hash,
+      sourceFolder: file.source_folder,
+      preserveMetadata: this._cachedBucket ? this._cachedBucket.preserve_metadata : null,
+      mode: this._cachedBucket ? this._cachedBucket.mode : 'copy',
+      pruneEmptyDirs: this._cachedBucket ? this._cachedBucket.prune_empty_dirs : false,
+      destinationFolder: this._cachedBucket ? path.resolve(this._cachedBucket.destination_folder) : null,
+      backupFolder:
+        this._cachedBucket && this._cachedBucket.backup.folder ? path.resolve(this._cachedBucket.backup.folder) : null,
+      resume:
+        file.partial_offset > 0
+          ? {
+              offset: file.partial_offset,
+              hash: file.partial_hash,
+              sourceSize: file.partial_source_size,
+              sourceMtime: file.partial_source_mtime,
+            }
+          : null,
+    };
+    const runCopy = async (overrides = {}) => {
+      const startedAt = Date.now();
+      let result;
+      try {
+        result = await threadPool.processFile({ ...task, ...overrides }, onProgress, (checkpoint) =>
+          database.saveCopyCheckpoint(file.id, checkpoint),
+        );
+      } catch (err) {
+        this._recordAttempt(file, { result: 'error', message: err.message, code: err.code }, startedAt, workerId);
+        throw err;
+      }
+      this._recordAttempt(file, result, startedAt, workerId);
+      return result;
+    };
+
     try {
-      const result = await threadPool.processFile(
-        {
-          sourcePath: file.source_path,
-          destinationPath: file.destination_path,
-          fileSize: file.file_size,
-        },
-        onProgress,
-      );
+      let result = await runCopy();
+      let resolution = null;
 
-      if (result.result === 'error') {
-        database.updateStatusWithMeta(file.id, 'error', this.bucketId, 'in_progress', file.file_size, {
-          errorMessage: result.message,
-        });
+      if (result.result === 'conflict') {
+        const policy = this._cachedBucket ? this._cachedBucket.conflict_policy : 'ask';
+        const action = decideConflict(policy, result);
+        if (action === 'skip') {
+          this._skipConflict(file, result, policy, bucketName, workerId);
+          return;
+        }
+        if (action === 'overwrite') {
+          resolution = { policy, message: 'destino sobrescrito' };
+          result = await runCopy({ previousDestinationHash: result.destHash });
+        } else if (action === 'rename') {
+          const renamedPath = await availableCopyPath(task.destinationPath, this._cachedBucket.keep_both_pattern);
+          resolution = { policy, destinationPath: renamedPath, message: `copia gravada em ${renamedPath}` };
+          result = await runCopy({ destinationPath: renamedPath, resume: null });
+        }
+      }
+
+      if (result.result === 'cancelled') {
+        database.updateStatusWithMeta(file.id, 'pending', this.bucketId, 'in_progress', file.file_size);
         this.emit('status-change', {
           bucketId: this.bucketId,
           fileId: file.id,
-          status: 'error',
+          status: 'pending',
           sourcePath: file.source_path,
         });
-        logger.log('error', {
+        logger.log('pending', {
           bucketName,
           sourcePath: file.source_path,
           sourceFolder: file.source_folder,
           fileSize: file.file_size,
           workerId,
-          message: `Erro: ${result.message}`,
+          message: 'Copia interrompida, sera retomada do ultimo checkpoint',
         });
         return;
       }
 
+      if (result.result === 'error') {
+        this._failCopy(file, result.message, result.code, bucketName, workerId);
+        return;
+      }
+
       if (result.result === 'identical') {
         database.updateStatusWithMeta(file.id, 'completed', this.bucketId, 'in_progress', file.file_size, {
           sourceHash: result.sourceHash,
@@ -237,6 +417,7 @@ class WorkerPool extends EventEmitter {
           status: 'completed',
           sourcePath: file.source_path,
         });
+        this._recordCompleted(result);
         logger.log('completed', {
           bucketName,
           sourcePath: file.source_path,
@@ -244,8 +425,12 @@ class WorkerPool extends EventEmitter {
           fileSize: file.file_size,
           sourceHash: result.sourceHash,
           workerId,
-          message: 'Arquivo identico ja existe no destino',
+          message:
+            result.metadataWarnings && result.metadataWarnings.length > 0
+              ? `Arquivo identico ja existe no destino | Metadados nao preservados: ${result.metadataWarnings.join('; ')}`
+              : 'Arquivo identico ja existe no destino',
         });
+        this._handleSourceRemoval(file, result, bucketName, workerId);
         return;
       }
 
@@ -276,7 +461,9 @@ class WorkerPool extends EventEmitter {
         database.updateStatusWithMeta(file.id, 'error', this.bucketId, 'in_progress', file.file_size, {
           sourceHash: result.sourceHash,
           destinationHash: result.destHash,
-          errorMessage: 'Falha de integridade: hash pos-copia nao confere',
+          errorMessage: INTEGRITY_ERROR_MESSAGE,
+          errorCode: INTEGRITY_ERROR_CODE,
+          attemptCount: (file.attempt_count || 0) + 1,
         });
         this.emit('status-change', {
           bucketId: this.bucketId,
@@ -291,7 +478,7 @@ class WorkerPool extends EventEmitter {
           fileSize: file.file_size,
           sourceHash: result.sourceHash,
           workerId,
-          message: 'Falha de integridade: hash pos-copia nao confere',
+          message: INTEGRITY_ERROR_MESSAGE,
         });
         return;
       }
@@ -299,6 +486,7 @@ class WorkerPool extends EventEmitter {
       database.updateStatusWithMeta(file.id, 'completed', this.bucketId, 'in_progress', file.file_size, {
         sourceHash: result.sourceHash,
         destinationHash: result.destHash,
+        resolvedDestinationPath: resolution ? resolution.destinationPath : null,
         completedAt: new Date().toISOString(),
       });
       this.emit('status-change', {
@@ -307,6 +495,20 @@ class WorkerPool extends EventEmitter {
         status: 'completed',
         sourcePath: file.source_path,
       });
+      this._recordCompleted(result);
+      let message =
+        result.resumedFrom > 0
+          ? `Copia finalizada com sucesso (retomada a partir de ${logger.formatSize(result.resumedFrom)})`
+          : 'Copia finalizada com sucesso';
+      if (resolution) {
+        message += ` | Conflito resolvido pela politica "${resolution.policy}": ${resolution.message}`;
+      }
+      if (result.metadataWarnings && result.metadataWarnings.length > 0) {
+        message += ` | Metadados nao preservados: ${result.metadataWarnings.join('; ')}`;
+      }
+      if (result.backup) {
+        message += ` | Versao anterior do destino salva em ${result.backup.backupPath}`;
+      }
       logger.log('completed', {
         bucketName,
         sourcePath: file.source_path,
@@ -314,25 +516,223 @@ class WorkerPool extends EventEmitter {
         fileSize: file.file_size,
         sourceHash: result.sourceHash,
         workerId,
-        message: 'Copia finalizada com sucesso',
+        message,
       });
+      this._handleSourceRemoval(file, result, bucketName, workerId);
+      if (result.backup) await this._recordBackup(file, task.destinationPath, result.backup, bucketName, workerId);
     } catch (err) {
-      database.updateStatusWithMeta(file.id, 'error', this.bucketId, 'in_progress', file.file_size, {
-        errorMessage: err.message,
-      });
-      this.emit('status-change', {
+      this._failCopy(file, err.message, err.code, bucketName, workerId);
+    }
+  }
+
+  _failCopy(file, errorMessage, code, bucketName, workerId) {
+    const entry = {
+      bucketName,
+      sourcePath: file.source_path,
+      sourceFolder: file.source_folder,
+      fileSize: file.file_size,
+      workerId,
+    };
+    if (this._scheduleRetry(file, file.file_size, errorMessage, code, entry)) return;
+
+    database.updateStatusWithMeta(file.id, 'error', this.bucketId, 'in_progress', file.file_size, {
+      errorMessage,
+      errorCode: code,
+      attemptCount: (file.attempt_count || 0) + 1,
+    });
+    this.emit('status-change', {
+      bucketId: this.bucketId,
+      fileId: file.id,
+      status: 'error',
+      sourcePath: file.source_path,
+    });
+    logger.log('error', { ...entry, message: `Erro: ${errorMessage}` });
+  }
+
+  _recordAttempt(file, result, startedAt, workerId) {
+    const integrity = result.result === 'integrity_error';
+    const errorCode = integrity ? INTEGRITY_ERROR_CODE : result.code;
+    const durationMs = Date.now() - startedAt;
+    metrics.recordAttempt(this.bucketId, { ...result, code: errorCode }, durationMs);
+    database.addAttempt({
+      fileId: file.id,
+      bucketId: this.bucketId,
+      operation: file.operation,
+      result: result.result,
+      errorCode,
+      phase: integrity ? 'verify' : result.phase,
+      errorMessage: integrity ? INTEGRITY_ERROR_MESSAGE : result.message,
+      workerId,
+      threadId: result.threadId,
+      durationMs,
+      bytesTransferred: result.bytesTransferred,
+    });
+  }
+
+  _recordCompleted(result) {
+    bandwidth.recordFile(this.bucketId);
+    metrics.recordCompleted(this.bucketId, result);
+  }
+
+  _scheduleRetry(file, fileSize, errorMessage, code, entry) {
+    const attempt = (file.attempt_count || 0) + 1;
+    const delayMs = retryDelayFor(code, attempt, config.retry);
+    if (delayMs === null) return false;
+
+    database.scheduleRetry(file.id, this.bucketId, fileSize, {
+      errorMessage,
+      errorCode: code,
+      attemptCount: attempt,
+      delayMs,
+      operation: file.operation,
+    });
+    this.emit('status-change', {
+      bucketId: this.bucketId,
+      fileId: file.id,
+      status: 'pending',
+      sourcePath: file.source_path,
+    });
+    logger.log('pending', {
+      ...entry,
+      message: `Erro transitorio (${code}): ${errorMessage} | Nova tentativa ${attempt + 1}/${config.retry.maxAttempts} em ${Math.ceil(delayMs / 1000)}s`,
+    });
+    return true;
+  }
+
+  _skipConflict(file, result, policy, bucketName, workerId) {
+    database.updateStatusWithMeta(file.id, 'completed', this.bucketId, 'in_progress', file.file_size, {
+      sourceHash: result.sourceHash,
+      destinationHash: result.destHash,
+      completedAt: new Date().toISOString(),
+    });
+    this.emit('status-change', {
+      bucketId: this.bucketId,
+      fileId: file.id,
+      status: 'completed',
+      sourcePath: file.source_path,
+    });
+    this._recordCompleted(result);
+    logger.log('conflict', {
+      bucketName,
+      sourcePath: file.source_path,
+      sourceFolder: file.source_folder,
+      fileSize: file.file_size,
+      sourceHash: result.sourceHash,
+      workerId,
+      message: `Conflito resolvido pela politica "${policy}": destino mantido`,
+    });
+  }
+
+  async _processDeletion(file, workerId, bucketName) {
+    this.emit('status-change', {
+      bucketId: this.bucketId,
+      fileId: file.id,
+      status: 'in_progress',
+      sourcePath: file.source_path,
+    });
+
+    const bucket = this._cachedBucket;
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await threadPool.processFile({
         bucketId: this.bucketId,
-        fileId: file.id,
-        status: 'error',
+        operation: 'delete',
+        destinationPath: file.destination_path,
+        relativePath: file.relative_path,
+        sourceFolders: bucket ? bucket.source_folders.map((folder) => path.resolve(folder)) : [],
+        trashFolder: bucket && bucket.trash_folder ? path.resolve(bucket.trash_folder) : null,
+      });
+    } catch (err) {
+      result = { result: 'error', message: err.message, code: err.code };
+    }
+    this._recordAttempt(file, result, startedAt, workerId);
+
+    const entry = { bucketName, sourcePath: file.destination_path, sourceFolder: file.source_folder, workerId };
+    const failed = result.result === 'error';
+    if (failed && this._scheduleRetry(file, 0, result.message, result.code, entry)) return;
+
+    database.updateStatusWithMeta(file.id, failed ? 'error' : 'completed', this.bucketId, 'in_progress', 0, {
+      errorMessage: failed ? result.message : null,
+      errorCode: failed ? result.code : null,
+      attemptCount: failed ? (file.attempt_count || 0) + 1 : null,
+      completedAt: failed ? null : new Date().toISOString(),
+      operation: 'delete',
+    });
+    this.emit('status-change', {
+      bucketId: this.bucketId,
+      fileId: file.id,
+      status: failed ? 'error' : 'completed',
+      sourcePath: file.source_path,
+    });
+    if (!failed) metrics.recordCompleted(this.bucketId, result);
+
+    if (failed) {
+      logger.log('error', { ...entry, message: `Erro ao remover do destino (modo mirror): ${result.message}` });
+    } else if (result.result === 'trashed') {
+      logger.log('destination_deleted', { ...entry, message: `Movido para a lixeira: ${result.trashPath}` });
+    } else if (result.result === 'deleted') {
+      logger.log('destination_deleted', { ...entry, message: 'Removido do destino (modo mirror)' });
+    } else {
+      logger.log('completed', { ...entry, message: `Remocao ignorada: ${result.reason}` });
+    }
+  }
+
+  async _recordBackup(file, destinationPath, backup, bucketName, workerId) {
+    database.addBackup({
+      fileId: file.id,
+      bucketId: this.bucketId,
+      originalPath: destinationPath,
+      backupPath: backup.backupPath,
+      fileSize: backup.fileSize,
+      destinationHash: backup.destinationHash,
+    });
+    const retention = this._cachedBucket ? this._cachedBucket.backup : {};
+    const expired = database.getExpiredBackups(this.bucketId, file.id, retention);
+    if (expired.length === 0) return;
+    try {
+      await removeBackupFiles(expired);
+      database.deleteBackups(expired.map((b) => b.id));
+    } catch (err) {
+      logger.log('error', {
+        bucketName,
         sourcePath: file.source_path,
+        sourceFolder: file.source_folder,
+        workerId,
+        message: `Erro ao remover backups expirados: ${err.message}`,
       });
+    }
+  }
+
+  _handleSourceRemoval(file, result, bucketName, workerId) {
+    if (result.sourceDeleted) {
+      database.markSourceDeleted(file.id);
+      logger.log('source_deleted', {
+        bucketName,
+        sourcePath: file.source_path,
+        sourceFolder: file.source_folder,
+        fileSize: file.file_size,
+        sourceHash: result.sourceHash,
+        workerId,
+        message: 'Origem removida apos copia verificada (modo move)',
+      });
+      for (const dir of result.prunedDirs || []) {
+        logger.log('source_deleted', {
+          bucketName,
+          sourcePath: dir,
+          sourceFolder: file.source_folder,
+          workerId,
+          message: 'Pasta de origem vazia removida',
+        });
+      }
+    } else if (result.sourceDeleteError) {
       logger.log('error', {
         bucketName,
         sourcePath: file.source_path,
         sourceFolder: file.source_folder,
         fileSize: file.file_size,
         workerId,
-        message: `Erro: ${err.message}`,
+        message: `Origem nao removida (modo move): ${result.sourceDeleteError}`,
       });
     }
   }
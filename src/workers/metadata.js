@@ -0,0 +1,121 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const EMPTY_OPTIONS = {
+  timestamps: false,
+  mode: false,
+  ownership: false,
+  xattrs: false,
+  compareMtime: false,
+};
+
+function normalizeMetadataOptions(options) {
+  return { ...EMPTY_OPTIONS, ...(options || {}) };
+}
+
+function isRoot() {
+  return typeof process.getuid === 'function' && process.getuid() === 0;
+}
+
+function sameMtime(a, b) {
+  return Math.trunc(a.mtimeMs / 1000) === Math.trunc(b.mtimeMs / 1000);
+}
+
+function metadataDiffers(sourceStat, destStat, options) {
+  const opts = normalizeMetadataOptions(options);
+  if ((opts.compareMtime || opts.timestamps) && !sameMtime(sourceStat, destStat)) return true;
+  if (opts.mode && (sourceStat.mode & 0o7777) !== (destStat.mode & 0o7777)) return true;
+  if (opts.ownership && isRoot() && (sourceStat.uid !== destStat.uid || sourceStat.gid !== destStat.gid)) return true;
+  return false;
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        if (err.code === 'ENOENT') {
+          reject(new Error(`${command} nao encontrado (instale o pacote attr)`));
+          return;
+        }
+        reject(new Error((stderr || err.message).trim()));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+async function readXattrs(filePath) {
+  const match = isRoot() ? '-' : '^user\\.';
+  const stdout = await run('getfattr', ['--absolute-names', '-d', '-e', 'hex', '-m', match, '--', filePath]);
+  const attrs = [];
+  for (const line of stdout.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const idx = line.indexOf('=');
+    if (idx === -1) {
+      attrs.push({ name: line, value: null });
+    } else {
+      attrs.push({ name: line.slice(0, idx), value: line.slice(idx + 1) });
+    }
+  }
+  return attrs;
+}
+
+async function copyXattrs(sourcePath, targetPath) {
+  const attrs = await readXattrs(sourcePath);
+  for (const { name, value } of attrs) {
+    const args = ['-n', name];
+    if (value !== null) args.push('-v', value);
+    await run('setfattr', [...args, '--', targetPath]);
+  }
+  return attrs.length;
+}
+
+async function applyMetadata(sourcePath, sourceStat, targetPath, options) {
+  const opts = normalizeMetadataOptions(options);
+  const warnings = [];
+
+  if (opts.xattrs) {
+    try {
+      await copyXattrs(sourcePath, targetPath);
+    } catch (err) {
+      warnings.push(`atributos estendidos: ${err.message}`);
+    }
+  }
+
+  if (opts.ownership && isRoot()) {
+    try {
+      await fs.promises.chown(targetPath, sourceStat.uid, sourceStat.gid);
+    } catch (err) {
+      warnings.push(`dono/grupo: ${err.message}`);
+    }
+  }
+
+  if (opts.mode) {
+    try {
+      await fs.promises.chmod(targetPath, sourceStat.mode & 0o7777);
+    } catch (err) {
+      warnings.push(`permissoes: ${err.message}`);
+    }
+  }
+
+  if (opts.timestamps) {
+    try {
+      await fs.promises.utimes(targetPath, sourceStat.atimeMs / 1000, sourceStat.mtimeMs / 1000);
+    } catch (err) {
+      warnings.push(`datas: ${err.message}`);
+    }
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  EMPTY_OPTIONS,
+  normalizeMetadataOptions,
+  sameMtime,
+  metadataDiffers,
+  readXattrs,
+  copyXattrs,
+  applyMetadata,
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+async function pathExists(filePath) {
+  try {
+    await fs.promises.lstat(filePath);
+    return true;
+  } catch (err) {
+    return err.code !== 'ENOENT';
+  }
+}
+
+async function availableTrashPath(trashPath) {
+  if (!(await pathExists(trashPath))) return trashPath;
+  const ext = path.extname(trashPath);
+  const base = trashPath.slice(0, trashPath.length - ext.length);
+  for (let n = 1; ; n++) {
+    const candidate = `${base}.${Date.now()}${n > 1 ? `-${n}` : ''}${ext}`;
+    if (!(await pathExists(candidate))) return candidate;
+  }
+}
+
+async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+    await fs.promises.unlink(from);
+  }
+}
+
+async function removeOrphan(destinationPath, relativePath, options = {}) {
+  for (const folder of options.sourceFolders || []) {
+    if (await pathExists(path.join(folder, relativePath))) {
+      return { result: 'skipped', reason: 'Arquivo voltou a existir na origem' };
+    }
+  }
+  if (!(await pathExists(destinationPath))) {
+    return { result: 'skipped', reason: 'Arquivo ja nao existe no destino' };
+  }
+
+  if (options.trashFolder) {
+    const trashPath = await availableTrashPath(path.join(options.trashFolder, relativePath));
+    await moveFile(destinationPath, trashPath);
+    return { result: 'trashed', trashPath };
+  }
+
+  await fs.promises.unlink(destinationPath);
+  return { result: 'deleted' };
+}
+
+module.exports = { removeOrphan, availableTrashPath, pathExists, moveFile };
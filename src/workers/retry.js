@@ -0,0 +1,28 @@
+const TRANSIENT_CODES = new Set([
+  'EBUSY',
+  'EAGAIN',
+  'ETIMEDOUT',
+  'EIO',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'EHOSTDOWN',
+  'EHOSTUNREACH',
+  'ENETDOWN',
+  'ENETUNREACH',
+  'ESTALE',
+]);
+
+function isTransientError(code) {
+  return TRANSIENT_CODES.has(code);
+}
+
+function backoffDelay(attempt, options) {
+  return Math.min(options.baseDelayMs * 2 ** (attempt - 1), options.maxDelayMs);
+}
+
+function retryDelayFor(code, attempt, options) {
+  if (!isTransientError(code) || attempt >= options.maxAttempts) return null;
+  return backoffDelay(attempt, options);
+}
+
+module.exports = { TRANSIENT_CODES, isTransientError, backoffDelay, retryDelayFor };
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+async function pruneEmptyParents(dir, rootDir) {
+  const root = path.resolve(rootDir);
+  const removed = [];
+  let current = path.resolve(dir);
+  while (current !== root && current.startsWith(root + path.sep)) {
+    try {
+      await fs.promises.rmdir(current);
+    } catch (_) {
+      break;
+    }
+    removed.push(current);
+    current = path.dirname(current);
+  }
+  return removed;
+}
+
+async function removeSource(sourcePath, expectedStat, options = {}) {
+  const current = await fs.promises.stat(sourcePath);
+  if (current.size !== expectedStat.size || current.mtimeMs !== expectedStat.mtimeMs) {
+    throw new Error('Origem alterada durante a copia, arquivo mantido');
+  }
+  await fs.promises.unlink(sourcePath);
+  if (!options.pruneEmptyDirs || !options.sourceFolder) return [];
+  return pruneEmptyParents(path.dirname(sourcePath), options.sourceFolder);
+}
+
+module.exports = { pruneEmptyParents, removeSource };
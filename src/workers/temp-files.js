@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMP_SUFFIX = '.fcmpart';
+
+function tempPathFor(destinationPath) {
+  return path.join(path.dirname(destinationPath), '.' + path.basename(destinationPath) + TEMP_SUFFIX);
+}
+
+function isTempFileName(name) {
+  return name.startsWith('.') && name.endsWith(TEMP_SUFFIX);
+}
+
+async function cleanupOrphanedTempFiles(folders, keepPaths) {
+  const keep = new Set(Array.from(keepPaths, (p) => path.resolve(p)));
+  let removed = 0;
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile() && isTempFileName(entry.name) && !keep.has(fullPath)) {
+        try {
+          await fs.promises.unlink(fullPath);
+          removed++;
+        } catch (_) {}
+      }
+    }
+  }
+
+  for (const folder of new Set(Array.from(folders, (f) => path.resolve(f)))) {
+    await walk(folder);
+  }
+  return removed;
+}
+
+module.exports = { TEMP_SUFFIX, tempPathFor, isTempFileName, cleanupOrphanedTempFiles };
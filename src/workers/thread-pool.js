@@ -1,6 +1,7 @@
 const { Worker } = require('worker_threads');
 const path = require('path');
 const config = require('../config');
+const bandwidth = require('./bandwidth');
 
 const THREAD_SCRIPT = path.join(__dirname, 'file-thread.js');
 
@@ -25,6 +26,7 @@ class ThreadPool {
         type: 'init',
         algorithm: config.hashAlgorithm,
         bufferSize: config.copyBufferSize,
+        checkpointBytes: config.copyCheckpointBytes,
       });
 
       worker.on('message', (msg) => this._handleMessage(msg));
@@ -55,13 +57,33 @@ class ThreadPool {
       return;
     }
 
+    if (msg.type === 'checkpoint') {
+      if (entry.onCheckpoint) {
+        entry.onCheckpoint({
+          offset: msg.offset,
+          hash: msg.hash,
+          sourceSize: msg.sourceSize,
+          sourceMtime: msg.sourceMtime,
+        });
+      }
+      return;
+    }
+
+    if (msg.type === 'throttle') {
+      bandwidth.acquire(entry.bucketId, msg.bytes).then(() => {
+        const worker = this._workers[entry.workerId];
+        if (worker) worker.postMessage({ type: 'grant', grantId: msg.grantId });
+      });
+      return;
+    }
+
     if (msg.type === 'done') {
       this._pending.delete(msg.id);
-      entry.resolve(msg);
+      entry.resolve({ ...msg, threadId: entry.workerId });
     }
   }
 
-  processFile({ sourcePath, destinationPath, fileSize }, onProgress) {
+  processFile(task, onProgress, onCheckpoint) {
     if (!this._initialized) this.init();
 
     const id = ++this._requestId;
@@ -69,18 +91,39 @@ class ThreadPool {
     this._nextIndex = (this._nextIndex + 1) % this._workers.length;
 
     return new Promise((resolve, reject) => {
-      this._pending.set(id, { resolve, reject, onProgress, workerId: workerIndex });
+      this._pending.set(id, {
+        resolve,
+        reject,
+        onProgress,
+        onCheckpoint,
+        workerId: workerIndex,
+        bucketId: task.bucketId,
+      });
 
       this._workers[workerIndex].postMessage({
+        ...task,
         type: 'process',
         id,
-        sourcePath,
-        destinationPath,
-        fileSize,
       });
     });
   }
 
+  cancelBucket(bucketId) {
+    for (const [id, entry] of this._pending) {
+      if (entry.bucketId === bucketId) {
+        this._workers[entry.workerId].postMessage({ type: 'cancel', id });
+      }
+    }
+  }
+
+  getStats() {
+    const pending = this._workers.map(() => 0);
+    for (const entry of this._pending.values()) {
+      if (entry.workerId < pending.length) pending[entry.workerId]++;
+    }
+    return { threads: this._workers.length, pending };
+  }
+
   shutdown() {
     for (const worker of this._workers) {
       worker.terminate();
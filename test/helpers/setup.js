@@ -37,6 +37,10 @@ function createMockBucketManager() {
     resumeBucket: mock.fn(),
     stopBucket: mock.fn(async () => {}),
     setWorkerCount: mock.fn(),
+    setBandwidthLimit: mock.fn(),
+    setGlobalBandwidthLimit: mock.fn(),
+    getBandwidth: mock.fn(),
+    getThroughput: mock.fn(() => ({ global: {}, buckets: {} })),
     getBucketStatus: mock.fn(),
     on: mock.fn(),
     emit: mock.fn(),
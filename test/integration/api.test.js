@@ -2,6 +2,7 @@ const { describe, it, before, after, mock } = require('node:test');
 const assert = require('node:assert/strict');
 const { createTestDB } = require('../helpers/setup');
 const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
+const { createTempDir, populateTempDir, removeTempDir } = require('../helpers/tempdir');
 
 const database = require('../../src/queue/database');
 const logger = require('../../src/logger');
@@ -25,6 +26,9 @@ describe('API', () => {
     mock.method(database, 'getStatsByBucketGroupedByFolder', (id) => db.getStatsByBucketGroupedByFolder(id));
     mock.method(database, 'getFilesByStatus', (s, l, o) => db.getFilesByStatus(s, l, o));
     mock.method(database, 'getFilesByStatusForBucket', (id, s, l, o) => db.getFilesByStatusForBucket(id, s, l, o));
+    mock.method(database, 'searchFiles', (f) => db.searchFiles(f));
+    mock.method(database, 'getFilesPage', (o) => db.getFilesPage(o));
+    mock.method(database, 'setPriority', (id, t, p) => db.setPriority(id, t, p));
     mock.method(database, 'getRecentActivityForBucket', (id, l) => db.getRecentActivityForBucket(id, l));
     mock.method(database, 'addFilesForBucket', (id, f) => db.addFilesForBucket(id, f));
     mock.method(database, 'getActiveFolderCounts', () => ({}));
@@ -32,11 +36,25 @@ describe('API', () => {
     mock.method(database, 'resolveConflict', (id, a) => db.resolveConflict(id, a));
     mock.method(database, 'resolveAllConflicts', (a) => db.resolveAllConflicts(a));
     mock.method(database, 'resolveAllConflictsForBucket', (bid, a) => db.resolveAllConflictsForBucket(bid, a));
+    mock.method(database, 'getConflictTarget', (id) => db.getConflictTarget(id));
+    mock.method(database, 'getConflictTargets', (bid) => db.getConflictTargets(bid));
+    mock.method(database, 'resolveConflictsKeepBoth', (targets) => db.resolveConflictsKeepBoth(targets));
+    mock.method(database, 'getFile', (id) => db.getFile(id));
+    mock.method(database, 'getBackup', (id) => db.getBackup(id));
+    mock.method(database, 'getBackupsForFile', (id) => db.getBackupsForFile(id));
+    mock.method(database, 'getAttemptsForFile', (id) => db.getAttemptsForFile(id));
+    mock.method(database, 'getErrorSummary', (id) => db.getErrorSummary(id));
     mock.method(database, 'retryError', (id) => db.retryError(id));
     mock.method(database, 'retryAllErrors', () => db.retryAllErrors());
     mock.method(database, 'retryAllErrorsForBucket', (bid) => db.retryAllErrorsForBucket(bid));
     mock.method(database, 'getNextPendingForBucket', (bid, l, w) => db.getNextPendingForBucket(bid, l, w));
     mock.method(database, 'updateStatus', (id, s, e) => db.updateStatus(id, s, e));
+    mock.method(database, 'addAuditEntry', (e) => db.addAuditEntry(e));
+    mock.method(database, 'getAuditLog', (f) => db.getAuditLog(f));
+    mock.method(database, 'iterateAuditLog', (f) => db.iterateAuditLog(f));
+    mock.method(database, 'getStatsHistory', (f) => db.getStatsHistory(f));
+    mock.method(database, 'getMirrorDeletions', (id, q) => db.getMirrorDeletions(id, q));
+    mock.method(database, 'approveMirrorDeletions', (id, ids) => db.approveMirrorDeletions(id, ids));
     mock.method(logger, 'system', () => {});
     mock.method(logger, 'log', () => {});
 
@@ -69,6 +87,30 @@ describe('API', () => {
       assert.ok('queue' in res.body);
       assert.ok('workers' in res.body);
     });
+
+    it('GET /metrics returns Prometheus text exposition', async () => {
+      const res = await request.get('/metrics');
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+      assert.match(res.text, /^# TYPE fcm_files gauge$/m);
+      assert.match(res.text, /^# TYPE fcm_copy_duration_seconds histogram$/m);
+      assert.match(res.text, /^fcm_thread_pool_threads \d+$/m);
+    });
+  });
+
+  describe('Buckets summary', () => {
+    it('GET /api/buckets-summary includes rate and ETA per bucket', async () => {
+      const created = await request.post('/api/buckets').send(makeBucketData({ name: 'summary-rate' }));
+      const res = await request.get('/api/buckets-summary');
+      assert.equal(res.status, 200);
+      const item = res.body.find((b) => b.id === created.body.id);
+      assert.ok(item);
+      assert.equal(item.rate.bytesPerSec, 0);
+      assert.ok('etaSeconds' in item.rate);
+      assert.equal(item.rate.history.length, 60);
+      assert.ok('rate' in item.poolStatus);
+      await request.delete(`/api/buckets/${created.body.id}`);
+    });
   });
 
   describe('Bucket CRUD', () => {
@@ -157,6 +199,206 @@ describe('API', () => {
       assert.equal(res.status, 200);
       assert.ok(Array.isArray(res.body));
     });
+
+    it('POST /api/buckets/:id/priority bumps files to the front', async () => {
+      const [file] = db.getFilesByStatusForBucket(bucketId, 'pending', 1, 0);
+      const res = await request.post(`/api/buckets/${bucketId}/priority`).send({ fileIds: [file.id] });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { updated: 1, priority: 1 });
+    });
+
+    it('POST /api/buckets/:id/priority requires a target', async () => {
+      const res = await request.post(`/api/buckets/${bucketId}/priority`).send({ priority: 5 });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('Mirror preview', () => {
+    let tmpDir, bucketId;
+
+    before(async () => {
+      tmpDir = createTempDir('api-mirror-');
+      populateTempDir(tmpDir, { src: { 'a.txt': 'a' }, dst: { 'a.txt': 'a', 'b.txt': 'bb', 'c.txt': 'ccc' } });
+      const res = await request.post('/api/buckets').send(
+        makeBucketData({ sourceFolders: [`${tmpDir}/src`], destinationFolder: `${tmpDir}/dst` }),
+      );
+      bucketId = res.body.id;
+    });
+
+    after(() => {
+      removeTempDir(tmpDir);
+    });
+
+    it('GET /api/buckets/:id/mirror/preview lists deletions without queueing them', async () => {
+      const res = await request.get(`/api/buckets/${bucketId}/mirror/preview?limit=1`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.action, 'delete');
+      assert.equal(res.body.skipped, null);
+      assert.equal(res.body.count, 2);
+      assert.equal(res.body.totalSize, 5);
+      assert.equal(res.body.files.length, 1);
+      assert.equal(db.getStatsByBucket(bucketId).pending.count, 0);
+    });
+
+    it('GET /api/buckets/:id/mirror/preview returns 404 for unknown bucket', async () => {
+      const res = await request.get('/api/buckets/99999/mirror/preview');
+      assert.equal(res.status, 404);
+    });
+
+    it('POST /api/buckets/:id/mirror/approve returns 409 outside mirror mode', async () => {
+      const res = await request.post(`/api/buckets/${bucketId}/mirror/approve`).send({});
+      assert.equal(res.status, 409);
+    });
+
+    it('POST /api/buckets/:id/mirror/approve releases held deletions', async () => {
+      db.updateBucket(bucketId, { mode: 'mirror' });
+      const orphans = ['b.txt', 'c.txt'].map((name) => ({ destinationPath: `${tmpDir}/dst/${name}`, relativePath: name }));
+      db.queueMirrorDeletions(bucketId, `${tmpDir}/dst`, orphans, 1);
+
+      const held = await request.get(`/api/buckets/${bucketId}/mirror/deletions?status=awaiting_approval`);
+      assert.equal(held.status, 200);
+      assert.equal(held.body.length, 2);
+      assert.equal((await request.get(`/api/buckets/${bucketId}/files/all`)).body.length, 0);
+
+      const res = await request.post(`/api/buckets/${bucketId}/mirror/approve`).send({ fileIds: [held.body[0].id] });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.changes, 1);
+      assert.equal(db.getFile(held.body[0].id).status, 'pending');
+      assert.equal(db.getFile(held.body[1].id).status, 'awaiting_approval');
+      assert.equal(db.getStatsByBucket(bucketId).pending.count, 0);
+      assert.equal(db.getAuditLog({ action: 'mirror.approve' })[0].affected, 1);
+    });
+  });
+
+  describe('Scan dry run', () => {
+    let tmpDir, bucketId;
+
+    before(async () => {
+      tmpDir = createTempDir('api-plan-');
+      populateTempDir(tmpDir, { src: { 'a.txt': 'aaa', 'b.txt': 'b' }, dst: { 'b.txt': 'b' } });
+      const res = await request.post('/api/buckets').send(
+        makeBucketData({ sourceFolders: [`${tmpDir}/src`], destinationFolder: `${tmpDir}/dst` }),
+      );
+      bucketId = res.body.id;
+    });
+
+    after(() => {
+      removeTempDir(tmpDir);
+    });
+
+    it('POST /api/buckets/:id/scan?dryRun=true returns a plan without queueing files', async () => {
+      const res = await request.post(`/api/buckets/${bucketId}/scan?dryRun=true`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.deepEqual(res.body.toCopy, { count: 1, totalSize: 3 });
+      assert.deepEqual(res.body.synced, { count: 1, totalSize: 1 });
+      assert.equal(db.getStatsByBucket(bucketId).pending.count, 0);
+    });
+
+    it('POST /api/buckets/:id/scan rejects an invalid dryRun value', async () => {
+      const res = await request.post(`/api/buckets/${bucketId}/scan?dryRun=maybe`);
+      assert.equal(res.status, 400);
+    });
+
+    it('logs scheduled scans that fail to start', () => {
+      const bucketManager = require('../../src/buckets/manager');
+      const calls = logger.system.mock.callCount();
+      bucketManager.emit('scheduled-scan', { bucketId: 999999 });
+      assert.equal(logger.system.mock.callCount(), calls + 1);
+      assert.match(logger.system.mock.calls[calls].arguments[0], /varredura agendada do bucket 999999/);
+    });
+  });
+
+  describe('Error history', () => {
+    let bucketId, fileId;
+
+    before(async () => {
+      const res = await request.post('/api/buckets').send(makeBucketData());
+      bucketId = res.body.id;
+      db.addFilesForBucket(bucketId, makeFileRecords(1));
+      fileId = db.getNextPendingForBucket(bucketId, 1, 1)[0].id;
+      db.addAttempt({ fileId, bucketId, result: 'error', errorCode: 'EIO', phase: 'read', errorMessage: 'EIO' });
+      db.updateStatus(fileId, 'error', { errorMessage: 'EIO', errorCode: 'EIO' });
+    });
+
+    it('GET /api/buckets/:id/files/:fileId/attempts returns the attempt history', async () => {
+      const res = await request.get(`/api/buckets/${bucketId}/files/${fileId}/attempts`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].error_code, 'EIO');
+      assert.equal(res.body[0].phase, 'read');
+    });
+
+    it('GET /api/buckets/:id/files/:fileId/attempts returns 404 for files of another bucket', async () => {
+      const res = await request.get(`/api/buckets/${bucketId + 1000}/files/${fileId}/attempts`);
+      assert.equal(res.status, 404);
+    });
+
+    it('GET /api/buckets/:id/errors/summary groups errors by code', async () => {
+      const res = await request.get(`/api/buckets/${bucketId}/errors/summary`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, [{ code: 'EIO', count: 1, totalSize: 1024, example: 'EIO' }]);
+    });
+
+    it('GET /api/files/:fileId returns the full entry with its history', async () => {
+      const res = await request.get(`/api/files/${fileId}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, fileId);
+      assert.equal(res.body.status, 'error');
+      assert.equal(res.body.bucket.id, bucketId);
+      assert.equal(res.body.attempts.length, 1);
+      assert.ok(Array.isArray(res.body.logs));
+      assert.ok('timings' in res.body);
+    });
+
+    it('GET /api/files/:fileId returns 404 for unknown files', async () => {
+      const res = await request.get('/api/files/99999');
+      assert.equal(res.status, 404);
+    });
+
+    it('GET /api/errors/summary covers every bucket', async () => {
+      const res = await request.get('/api/errors/summary');
+      assert.equal(res.status, 200);
+      assert.ok(res.body.some((s) => s.code === 'EIO'));
+    });
+  });
+
+  describe('Destination backups', () => {
+    let bucketId, fileId;
+
+    before(async () => {
+      const res = await request.post('/api/buckets').send(makeBucketData({ backup: { folder: '/tmp/backups' } }));
+      bucketId = res.body.id;
+      db.addFilesForBucket(bucketId, makeFileRecords(1));
+      fileId = db.getNextPendingForBucket(bucketId, 1, 1)[0].id;
+      db.updateStatus(fileId, 'completed');
+      db.addBackup({
+        fileId,
+        bucketId,
+        originalPath: '/tmp/dest/a.pdf',
+        backupPath: '/tmp/backups/missing.pdf',
+        fileSize: 1,
+        destinationHash: 'h',
+      });
+    });
+
+    it('GET /api/buckets/:id/files/:fileId/backups lists backed-up versions', async () => {
+      const res = await request.get(`/api/buckets/${bucketId}/files/${fileId}/backups`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].backup_path, '/tmp/backups/missing.pdf');
+    });
+
+    it('GET /api/buckets/:id/files/:fileId/backups returns 404 for unknown files', async () => {
+      const res = await request.get(`/api/buckets/${bucketId}/files/99999/backups`);
+      assert.equal(res.status, 404);
+    });
+
+    it('POST .../backups/:backupId/restore returns 404 when the backup file is gone', async () => {
+      const [backup] = db.getBackupsForFile(fileId);
+      const res = await request.post(`/api/buckets/${bucketId}/files/${fileId}/backups/${backup.id}/restore`);
+      assert.equal(res.status, 404);
+    });
   });
 
   describe('Service control', () => {
@@ -193,6 +435,27 @@ describe('API', () => {
       const res = await request.post(`/api/buckets/${bucketId}/service/workers`).send({ count: 0 });
       assert.equal(res.status, 400);
     });
+
+    it('POST /api/buckets/:id/service/bandwidth sets the bucket limit', async () => {
+      const res = await request.post(`/api/buckets/${bucketId}/service/bandwidth`).send({ limit: 1048576 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.bandwidthLimit, 1048576);
+      assert.equal(db.getBucket(bucketId).bandwidth_limit, 1048576);
+    });
+
+    it('POST /api/buckets/:id/service/bandwidth returns 400 with negative limit', async () => {
+      const res = await request.post(`/api/buckets/${bucketId}/service/bandwidth`).send({ limit: -5 });
+      assert.equal(res.status, 400);
+    });
+
+    it('GET/POST /api/service/bandwidth manages the global limit', async () => {
+      const set = await request.post('/api/service/bandwidth').send({ limit: 2097152 });
+      assert.equal(set.status, 200);
+      assert.equal(set.body.global.limit, 2097152);
+      const get = await request.get('/api/service/bandwidth');
+      assert.equal(get.body.global.limit, 2097152);
+      await request.post('/api/service/bandwidth').send({ limit: 0 });
+    });
   });
 
   describe('Conflicts and Errors', () => {
@@ -215,6 +478,13 @@ describe('API', () => {
       assert.ok('changes' in res.body);
     });
 
+    it('POST /api/buckets/:id/conflicts/resolve-all accepts keep-both', async () => {
+      const created = await request.post('/api/buckets').send(makeBucketData());
+      const res = await request.post(`/api/buckets/${created.body.id}/conflicts/resolve-all`).send({ action: 'keep-both' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.changes, 0);
+    });
+
     it('POST /api/buckets/:id/errors/retry-all returns 200', async () => {
       const created = await request.post('/api/buckets').send(makeBucketData());
       const res = await request.post(`/api/buckets/${created.body.id}/errors/retry-all`);
@@ -241,6 +511,86 @@ describe('API', () => {
     });
   });
 
+  describe('History', () => {
+    it('GET /api/buckets/:id/history returns points for the step', async () => {
+      const created = await request.post('/api/buckets').send(makeBucketData());
+      db.db
+        .prepare(
+          "INSERT INTO stats_history (bucket_id, granularity, period_start, bytes_copied) VALUES (?, 'hour', ?, 86400)",
+        )
+        .run(created.body.id, '2025-03-10 10:00:00');
+      const res = await request.get(`/api/buckets/${created.body.id}/history?from=2025-03-10&to=2025-03-10&step=day`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.step, 'day');
+      assert.equal(res.body.from, '2025-03-10 00:00:00');
+      assert.deepEqual(
+        res.body.points.map((p) => [p.period_start, p.bytes_copied, p.bytes_per_sec]),
+        [['2025-03-10 00:00:00', 86400, 1]],
+      );
+      const all = await request.get('/api/history?from=2025-03-10&to=2025-03-10&step=hour');
+      assert.equal(all.status, 200);
+      assert.equal(all.body.points.length, 1);
+      await request.delete(`/api/buckets/${created.body.id}`);
+    });
+
+    it('GET /api/buckets/:id/history validates step and bucket', async () => {
+      assert.equal((await request.get('/api/buckets/1/history?step=week')).status, 400);
+      assert.equal((await request.get('/api/buckets/99999/history')).status, 404);
+    });
+  });
+
+  describe('Audit', () => {
+    it('records bucket create and delete with the bucket name', async () => {
+      const data = makeBucketData();
+      const created = await request.post('/api/buckets').send(data);
+      await request.delete(`/api/buckets/${created.body.id}`);
+      const res = await request.get(`/api/audit?bucketId=${created.body.id}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.map((a) => a.action), ['bucket.delete', 'bucket.create']);
+      assert.ok(res.body.every((a) => a.bucket_name === data.name));
+      assert.equal(res.body[1].payload.name, data.name);
+      assert.equal(res.body[1].status_code, 201);
+    });
+
+    it('records affected file count for bulk actions', async () => {
+      const created = await request.post('/api/buckets').send(makeBucketData());
+      db.addFilesForBucket(created.body.id, makeFileRecords(3));
+      const pending = db.getFilesByStatusForBucket(created.body.id, 'pending', 10, 0);
+      for (const f of pending) db.updateStatus(f.id, 'conflict');
+      await request.post(`/api/buckets/${created.body.id}/conflicts/resolve-all`).send({ action: 'skip' });
+      const res = await request.get(`/api/audit?action=conflict&bucketId=${created.body.id}`);
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].action, 'conflict.resolve-all');
+      assert.equal(res.body[0].affected, 3);
+      assert.deepEqual(res.body[0].payload, { action: 'skip' });
+    });
+
+    it('records failed requests with their status code', async () => {
+      await request.post('/api/buckets/999999/service/start');
+      const res = await request.get('/api/audit?action=service.start&bucketId=999999');
+      assert.equal(res.body[0].status_code, 404);
+    });
+
+    it('does not record read-only requests', async () => {
+      await request.get('/api/stats');
+      const res = await request.get('/api/audit?limit=1000');
+      assert.ok(res.body.every((a) => a.method !== 'GET'));
+    });
+
+    it('GET /api/audit/export returns CSV', async () => {
+      const res = await request.get('/api/audit/export?action=bucket');
+      assert.equal(res.status, 200);
+      assert.ok(res.headers['content-type'].includes('text/csv'));
+      assert.ok(res.text.includes('id;data;usuario;acao'));
+      assert.ok(res.text.includes('bucket.create'));
+    });
+
+    it('GET /api/audit rejects invalid filters', async () => {
+      const res = await request.get('/api/audit?from=ontem');
+      assert.equal(res.status, 400);
+    });
+  });
+
   describe('Validation', () => {
     it('invalid param id returns 400', async () => {
       const res = await request.get('/api/buckets/abc');
@@ -267,5 +617,40 @@ describe('API', () => {
       assert.equal(res.status, 200);
       assert.ok(Array.isArray(res.body));
     });
+
+    it('GET /api/files/:status pages with a cursor', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(3));
+      const first = await request.get(`/api/buckets/${bucket.id}/files/pending?limit=2&cursor=`);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.files.length, 2);
+      assert.ok(first.body.nextCursor);
+      const second = await request.get(
+        `/api/buckets/${bucket.id}/files/pending?limit=2&cursor=${first.body.nextCursor}`,
+      );
+      assert.equal(second.body.files.length, 1);
+      assert.equal(second.body.nextCursor, null);
+    });
+
+    it('GET /api/files/:status rejects an invalid cursor', async () => {
+      const res = await request.get('/api/files/all?cursor=invalido');
+      assert.equal(res.status, 400);
+    });
+
+    it('GET /api/files/search filters by path', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { relativePath: 'busca/relatorio-final.xlsx' }));
+      const res = await request.get(`/api/files/search?path=relatorio&bucketId=${bucket.id}&sort=file_size&order=asc`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.map((f) => f.relative_path),
+        ['busca/relatorio-final.xlsx'],
+      );
+    });
+
+    it('GET /api/files/search rejects invalid filters', async () => {
+      const res = await request.get('/api/files/search?hash=xyz&sort=name');
+      assert.equal(res.status, 400);
+    });
   });
 });
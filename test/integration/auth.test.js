@@ -0,0 +1,369 @@
+const { describe, it, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createTestDB, createMockBucketManager } = require('../helpers/setup');
+const { makeBucketData } = require('../helpers/fixtures');
+
+const database = require('../../src/queue/database');
+const logger = require('../../src/logger');
+const AuthService = require('../../src/services/auth-service');
+const { hashToken } = require('../../src/auth/credentials');
+
+const AUTH_METHODS = [
+  'getUser',
+  'getUserByUsername',
+  'getAllUsers',
+  'countUsersByRole',
+  'createUser',
+  'updateUser',
+  'deleteUser',
+  'createToken',
+  'getToken',
+  'getValidToken',
+  'getApiTokens',
+  'touchToken',
+  'deleteToken',
+  'deleteTokenByHash',
+  'deleteTokensByUser',
+  'deleteExpiredTokens',
+];
+
+let db;
+
+function mockDatabase() {
+  db = createTestDB();
+  for (const name of AUTH_METHODS) {
+    mock.method(database, name, (...args) => db[name](...args));
+  }
+}
+
+describe('AuthService', () => {
+  let auth;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mockDatabase();
+    auth = new AuthService({ enabled: true, sessionTtlHours: 1, adminUser: 'admin', adminPassword: 'senha-admin' });
+    auth.bootstrap();
+  });
+
+  it('bootstrap creates the admin only once', () => {
+    assert.equal(auth.bootstrap(), null);
+    const users = auth.getUsers();
+    assert.equal(users.length, 1);
+    assert.equal(users[0].username, 'admin');
+    assert.equal(users[0].role, 'admin');
+    assert.equal('password_hash' in users[0], false);
+  });
+
+  it('bootstrap generates a password when none is configured', () => {
+    mock.restoreAll();
+    mockDatabase();
+    const generated = new AuthService({ enabled: true, sessionTtlHours: 1, adminUser: 'root', adminPassword: '' });
+    const result = generated.bootstrap();
+    assert.equal(result.user.username, 'root');
+    assert.ok(result.password.length >= 16);
+    assert.equal(generated.login('root', result.password).user.role, 'admin');
+  });
+
+  it('login returns a session token that authenticates', () => {
+    const session = auth.login('admin', 'senha-admin');
+    assert.ok(session.token);
+    assert.ok(session.expiresAt);
+    const user = auth.authenticate(session.token);
+    assert.equal(user.username, 'admin');
+    assert.equal(user.role, 'admin');
+    assert.equal(user.tokenKind, 'session');
+  });
+
+  it('login rejects wrong credentials with 401', () => {
+    assert.throws(() => auth.login('admin', 'errada'), { statusCode: 401 });
+    assert.throws(() => auth.login('ninguem', 'senha-admin'), { statusCode: 401 });
+  });
+
+  it('login hashes the password even for unknown users', () => {
+    const scrypt = mock.method(crypto, 'scryptSync');
+    assert.throws(() => auth.login('ninguem', 'senha-admin'), { message: 'Usuário ou senha inválidos' });
+    assert.equal(scrypt.mock.callCount(), 1);
+    scrypt.mock.restore();
+  });
+
+  it('logout invalidates the session', () => {
+    const { token } = auth.login('admin', 'senha-admin');
+    auth.logout(token);
+    assert.equal(auth.authenticate(token), null);
+  });
+
+  it('expired tokens do not authenticate', () => {
+    const admin = db.getUserByUsername('admin');
+    db.createToken({
+      userId: admin.id,
+      kind: 'session',
+      role: 'admin',
+      tokenHash: hashToken('velho'),
+      expiresIn: '-1 minutes',
+    });
+    assert.equal(auth.authenticate('velho'), null);
+    assert.equal(db.deleteExpiredTokens(), 1);
+  });
+
+  it('api tokens are capped at the owner role', () => {
+    const operator = auth.createUser({ username: 'op', password: 'senha-op-123', role: 'operator' });
+    const owner = { id: operator.id, role: 'operator' };
+    assert.throws(() => auth.createToken(owner, { name: 'x', role: 'admin' }), { statusCode: 403 });
+    const created = auth.createToken(owner, { name: 'grafana', role: 'viewer', expiresInDays: 30 });
+    assert.ok(created.token);
+    assert.ok(created.expires_at);
+    assert.equal(auth.authenticate(created.token).role, 'viewer');
+    assert.equal(db.getToken(created.id).last_used_at !== null, true);
+  });
+
+  it('token role follows a later user downgrade', () => {
+    const operator = auth.createUser({ username: 'op', password: 'senha-op-123', role: 'operator' });
+    const { token } = auth.createToken({ id: operator.id, role: 'operator' }, { name: 'ci' });
+    auth.updateUser(operator.id, { role: 'viewer' });
+    assert.equal(auth.authenticate(token).role, 'viewer');
+  });
+
+  it('password change revokes existing tokens', () => {
+    const operator = auth.createUser({ username: 'op', password: 'senha-op-123', role: 'operator' });
+    const { token } = auth.login('op', 'senha-op-123');
+    auth.updateUser(operator.id, { password: 'nova-senha-456' });
+    assert.equal(auth.authenticate(token), null);
+    assert.ok(auth.login('op', 'nova-senha-456').token);
+  });
+
+  it('refuses to remove or demote the last admin', () => {
+    const admin = db.getUserByUsername('admin');
+    assert.throws(() => auth.deleteUser(admin.id), { statusCode: 409 });
+    assert.throws(() => auth.updateUser(admin.id, { role: 'viewer' }), { statusCode: 409 });
+    auth.createUser({ username: 'admin2', password: 'senha-admin-2', role: 'admin' });
+    assert.deepEqual(auth.deleteUser(admin.id), { deleted: true });
+  });
+
+  it('rejects duplicate usernames', () => {
+    assert.throws(() => auth.createUser({ username: 'admin', password: 'qualquer123', role: 'viewer' }), {
+      statusCode: 409,
+    });
+  });
+
+  it('non-admins only see and revoke their own tokens', () => {
+    const a = auth.createUser({ username: 'ana', password: 'senha-ana-123', role: 'operator' });
+    const b = auth.createUser({ username: 'bia', password: 'senha-bia-123', role: 'operator' });
+    const userA = { id: a.id, role: 'operator' };
+    const userB = { id: b.id, role: 'operator' };
+    const tokenA = auth.createToken(userA, { name: 'a' });
+    auth.createToken(userB, { name: 'b' });
+    assert.deepEqual(
+      auth.getTokens(userA).map((t) => t.name),
+      ['a'],
+    );
+    assert.equal(auth.getTokens({ id: 1, role: 'admin' }).length, 2);
+    assert.throws(() => auth.revokeToken(userB, tokenA.id), { statusCode: 403 });
+    assert.deepEqual(auth.revokeToken(userA, tokenA.id), { revoked: true });
+    assert.throws(() => auth.revokeToken(userA, tokenA.id), { statusCode: 404 });
+  });
+
+  it('authenticates everyone as admin when disabled', () => {
+    const disabled = new AuthService({ enabled: false });
+    assert.equal(disabled.bootstrap(), null);
+    assert.equal(disabled.authenticate(null).role, 'admin');
+  });
+});
+
+describe('API with authentication enabled', () => {
+  let request;
+  let server;
+  let tokens;
+
+  before(async () => {
+    mock.restoreAll();
+    mockDatabase();
+    mock.method(database, 'getAllBuckets', () => db.getAllBuckets());
+    mock.method(database, 'getStats', () => db.getStats());
+    mock.method(logger, 'system', () => {});
+    mock.method(logger, 'log', () => {});
+
+    const authService = new AuthService({
+      enabled: true,
+      sessionTtlHours: 1,
+      adminUser: 'admin',
+      adminPassword: 'senha-admin',
+    });
+    authService.bootstrap();
+    authService.createUser({ username: 'operador', password: 'senha-operador', role: 'operator' });
+    authService.createUser({ username: 'leitor', password: 'senha-leitor', role: 'viewer' });
+
+    const bucketManager = createMockBucketManager();
+    bucketManager.getBucket = mock.fn(() => null);
+    bucketManager.createBucket = mock.fn((data) => ({ id: 1, ...data }));
+
+    const { createServer } = require('../../src/api');
+    server = createServer(bucketManager, { authService });
+
+    const supertest = require('supertest');
+    request = supertest(server.app);
+
+    tokens = {};
+    for (const [username, password] of [
+      ['admin', 'senha-admin'],
+      ['operador', 'senha-operador'],
+      ['leitor', 'senha-leitor'],
+    ]) {
+      const res = await request.post('/api/auth/login').send({ username, password });
+      assert.equal(res.status, 200);
+      tokens[username] = res.body.token;
+    }
+  });
+
+  it('keeps /api/health public', async () => {
+    const res = await request.get('/api/health');
+    assert.notEqual(res.status, 401);
+  });
+
+  it('returns 401 without a token', async () => {
+    const res = await request.get('/api/stats');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'UNAUTHORIZED');
+  });
+
+  it('requires a token to scrape /metrics', async () => {
+    assert.equal((await request.get('/metrics')).status, 401);
+    const res = await request.get('/metrics').set('Authorization', `Bearer ${tokens.leitor}`);
+    assert.equal(res.status, 200);
+    assert.match(res.text, /^# TYPE fcm_files gauge$/m);
+  });
+
+  it('returns 401 for an unknown token', async () => {
+    const res = await request.get('/api/stats').set('Authorization', 'Bearer nao-existe');
+    assert.equal(res.status, 401);
+  });
+
+  it('returns 401 for bad credentials on login', async () => {
+    const res = await request.post('/api/auth/login').send({ username: 'admin', password: 'x' });
+    assert.equal(res.status, 401);
+  });
+
+  it('GET /api/auth/me returns the current user', async () => {
+    const res = await request.get('/api/auth/me').set('Authorization', `Bearer ${tokens.leitor}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.enabled, true);
+    assert.equal(res.body.user.username, 'leitor');
+    assert.equal(res.body.user.role, 'viewer');
+  });
+
+  it('viewer can read but not operate', async () => {
+    const auth = `Bearer ${tokens.leitor}`;
+    assert.equal((await request.get('/api/stats').set('Authorization', auth)).status, 200);
+    const res = await request.post('/api/errors/retry-all').set('Authorization', auth);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, 'FORBIDDEN');
+    assert.equal((await request.post('/api/buckets/1/mirror/approve').set('Authorization', auth)).status, 403);
+  });
+
+  it('operator can operate but not manage buckets', async () => {
+    const auth = `Bearer ${tokens.operador}`;
+    const start = await request.post('/api/buckets/1/service/start').set('Authorization', auth);
+    assert.notEqual(start.status, 401);
+    assert.notEqual(start.status, 403);
+    const create = await request
+      .post('/api/buckets')
+      .set('Authorization', auth)
+      .send(makeBucketData({ sourceFolders: ['/tmp/a'], destinationFolder: '/tmp/b' }));
+    assert.equal(create.status, 403);
+    assert.equal((await request.delete('/api/buckets/1').set('Authorization', auth)).status, 403);
+    assert.equal((await request.get('/api/users').set('Authorization', auth)).status, 403);
+  });
+
+  it('admin can manage users', async () => {
+    const auth = `Bearer ${tokens.admin}`;
+    const created = await request
+      .post('/api/users')
+      .set('Authorization', auth)
+      .send({ username: 'novo', password: 'senha-nova-1' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.role, 'viewer');
+
+    const updated = await request
+      .put(`/api/users/${created.body.id}`)
+      .set('Authorization', auth)
+      .send({ role: 'operator' });
+    assert.equal(updated.body.role, 'operator');
+
+    const invalid = await request.post('/api/users').set('Authorization', auth).send({ username: 'x', password: '1' });
+    assert.equal(invalid.status, 400);
+
+    const removed = await request.delete(`/api/users/${created.body.id}`).set('Authorization', auth);
+    assert.deepEqual(removed.body, { deleted: true });
+  });
+
+  it('API tokens authenticate requests with their own role', async () => {
+    const created = await request
+      .post('/api/tokens')
+      .set('Authorization', `Bearer ${tokens.operador}`)
+      .send({ name: 'script', role: 'viewer' });
+    assert.equal(created.status, 201);
+    const auth = `Bearer ${created.body.token}`;
+    assert.equal((await request.get('/api/stats').set('Authorization', auth)).status, 200);
+    assert.equal((await request.post('/api/errors/retry-all').set('Authorization', auth)).status, 403);
+
+    const list = await request.get('/api/tokens').set('Authorization', `Bearer ${tokens.operador}`);
+    assert.ok(list.body.some((t) => t.name === 'script' && !('token_hash' in t)));
+
+    await request.delete(`/api/tokens/${created.body.id}`).set('Authorization', `Bearer ${tokens.operador}`);
+    assert.equal((await request.get('/api/stats').set('Authorization', auth)).status, 401);
+  });
+
+  it('logout revokes the session token', async () => {
+    const { body } = await request.post('/api/auth/login').send({ username: 'leitor', password: 'senha-leitor' });
+    const auth = `Bearer ${body.token}`;
+    assert.equal((await request.post('/api/auth/logout').set('Authorization', auth)).status, 200);
+    assert.equal((await request.get('/api/stats').set('Authorization', auth)).status, 401);
+  });
+
+  it('closes WebSockets when the session is revoked, expires or its user is deleted', async () => {
+    const connect = (token) => {
+      const ws = new EventEmitter();
+      ws.close = mock.fn();
+      server.wss.emit('connection', ws, { url: `/?token=${token}`, headers: {} });
+      return ws;
+    };
+    const loginAs = async (username, password) =>
+      (await request.post('/api/auth/login').send({ username, password })).body.token;
+
+    const active = connect(tokens.leitor);
+    const session = await loginAs('leitor', 'senha-leitor');
+    const revoked = connect(session);
+    await request.post('/api/auth/logout').set('Authorization', `Bearer ${session}`);
+    assert.deepEqual(revoked.close.mock.calls[0].arguments, [4001, 'Sessão expirada ou revogada']);
+
+    const expiring = await loginAs('leitor', 'senha-leitor');
+    const expired = connect(expiring);
+    db.db
+      .prepare("UPDATE auth_tokens SET expires_at = datetime('now', 'localtime', '-1 minute') WHERE token_hash = ?")
+      .run(hashToken(expiring));
+    server.reauthenticateSockets();
+    assert.equal(expired.close.mock.callCount(), 1);
+
+    const user = await request
+      .post('/api/users')
+      .set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ username: 'temporario', password: 'senha-temporaria' });
+    const orphan = connect(await loginAs('temporario', 'senha-temporaria'));
+    await request.delete(`/api/users/${user.body.id}`).set('Authorization', `Bearer ${tokens.admin}`);
+    assert.equal(orphan.close.mock.callCount(), 1);
+
+    assert.equal(active.close.mock.callCount(), 0);
+    active.emit('close');
+  });
+
+  it('authenticates WebSocket upgrades by query token or header', () => {
+    assert.equal(server.authenticateUpgrade({ url: '/', headers: {} }), null);
+    assert.equal(server.authenticateUpgrade({ url: '/?token=invalido', headers: {} }), null);
+    const byQuery = server.authenticateUpgrade({ url: `/?token=${tokens.leitor}`, headers: {} });
+    assert.equal(byQuery.username, 'leitor');
+    const byHeader = server.authenticateUpgrade({ url: '/', headers: { authorization: `Bearer ${tokens.admin}` } });
+    assert.equal(byHeader.role, 'admin');
+  });
+});
@@ -0,0 +1,265 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTestDB } = require('../helpers/setup');
+const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
+const { createTempDir, removeTempDir } = require('../helpers/tempdir');
+
+const database = require('../../src/queue/database');
+const FileService = require('../../src/services/file-service');
+const { NotFoundError, ConflictError } = require('../../src/errors');
+const {
+  backupTargetFor,
+  backupDestination,
+  replaceDestination,
+  restoreBackupFile,
+  removeBackupFiles,
+} = require('../../src/workers/backups');
+
+describe('backups', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = createTempDir('backups-test-');
+  });
+
+  after(() => {
+    removeTempDir(tmpDir);
+  });
+
+  it('backupTargetFor mirrors the destination tree inside the backup folder', () => {
+    const options = { backupFolder: '/backups', destinationFolder: '/dst' };
+    assert.equal(backupTargetFor('/dst/a/b.txt', options), path.join('/backups', 'a', 'b.txt'));
+    assert.equal(backupTargetFor('/elsewhere/b.txt', options), path.join('/backups', 'b.txt'));
+  });
+
+  it('backupDestination keeps the file in place and saves it under a timestamped name', async () => {
+    const dst = path.join(tmpDir, 'move', 'dst');
+    const backupFolder = path.join(tmpDir, 'move', 'backups');
+    fs.mkdirSync(path.join(dst, 'sub'), { recursive: true });
+    const target = path.join(dst, 'sub', 'report.txt');
+    fs.writeFileSync(target, 'old');
+
+    const result = await backupDestination(target, { backupFolder, destinationFolder: dst });
+    assert.equal(result.fileSize, 3);
+    assert.match(result.backupPath, /report\.\d{8}-\d{6}\.txt$/);
+    assert.equal(path.dirname(result.backupPath), path.join(backupFolder, 'sub'));
+    assert.equal(fs.readFileSync(result.backupPath, 'utf-8'), 'old');
+    assert.equal(fs.readFileSync(target, 'utf-8'), 'old');
+  });
+
+  it('replaceDestination swaps in the new copy and returns the backup', async () => {
+    const dst = path.join(tmpDir, 'swap', 'dst');
+    const backupFolder = path.join(tmpDir, 'swap', 'backups');
+    fs.mkdirSync(dst, { recursive: true });
+    const target = path.join(dst, 'report.txt');
+    const tempPath = path.join(dst, '.report.txt.tmp');
+    fs.writeFileSync(target, 'old');
+    fs.writeFileSync(tempPath, 'new');
+
+    const backup = await replaceDestination(tempPath, target, { backupFolder, destinationFolder: dst });
+    assert.equal(fs.readFileSync(target, 'utf-8'), 'new');
+    assert.equal(fs.readFileSync(backup.backupPath, 'utf-8'), 'old');
+    assert.ok(!fs.existsSync(tempPath));
+  });
+
+  it('replaceDestination keeps the original and drops the backup when the rename fails', async () => {
+    const dst = path.join(tmpDir, 'failed-swap', 'dst');
+    const backupFolder = path.join(tmpDir, 'failed-swap', 'backups');
+    fs.mkdirSync(dst, { recursive: true });
+    const target = path.join(dst, 'report.txt');
+    fs.writeFileSync(target, 'old');
+
+    await assert.rejects(
+      () => replaceDestination(path.join(dst, '.missing.tmp'), target, { backupFolder, destinationFolder: dst }),
+      { code: 'ENOENT' },
+    );
+    assert.equal(fs.readFileSync(target, 'utf-8'), 'old');
+    assert.deepEqual(fs.readdirSync(backupFolder), []);
+  });
+
+  it('restoreBackupFile replaces the destination and removes the backup', async () => {
+    const backupPath = path.join(tmpDir, 'restore', 'a.bak');
+    const target = path.join(tmpDir, 'restore', 'dst', 'a.txt');
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.writeFileSync(backupPath, 'previous');
+
+    await restoreBackupFile(backupPath, target);
+    assert.equal(fs.readFileSync(target, 'utf-8'), 'previous');
+    assert.ok(!fs.existsSync(backupPath));
+  });
+
+  it('removeBackupFiles ignores files that are already gone', async () => {
+    const existing = path.join(tmpDir, 'gone.bak');
+    fs.writeFileSync(existing, 'x');
+    const removed = await removeBackupFiles([{ backup_path: existing }, { backup_path: path.join(tmpDir, 'missing') }]);
+    assert.equal(removed, 1);
+    assert.ok(!fs.existsSync(existing));
+  });
+
+  describe('database retention', () => {
+    let db, bucket, file;
+
+    beforeEach(() => {
+      db = createTestDB();
+      bucket = db.createBucket(makeBucketData({ backup: { folder: '/backups', maxVersions: 2, maxAgeDays: 0 } }));
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+    });
+
+    function addBackups(n) {
+      const rows = [];
+      for (let i = 0; i < n; i++) {
+        rows.push(
+          db.addBackup({
+            fileId: file.id,
+            bucketId: bucket.id,
+            originalPath: file.destination_path,
+            backupPath: `/backups/v${i}`,
+            fileSize: i,
+            destinationHash: `h${i}`,
+          }),
+        );
+      }
+      return rows;
+    }
+
+    it('stores the bucket backup settings', () => {
+      assert.deepEqual(db.getBucket(bucket.id).backup, { folder: '/backups', maxVersions: 2, maxAgeDays: 0 });
+    });
+
+    it('lists backups newest first', () => {
+      addBackups(3);
+      const backups = db.getBackupsForFile(file.id);
+      assert.deepEqual(
+        backups.map((b) => b.backup_path),
+        ['/backups/v2', '/backups/v1', '/backups/v0'],
+      );
+    });
+
+    it('expires versions beyond maxVersions', () => {
+      const rows = addBackups(3);
+      const expired = db.getExpiredBackups(bucket.id, file.id, { maxVersions: 2, maxAgeDays: 0 });
+      assert.deepEqual(
+        expired.map((b) => b.id),
+        [rows[0].id],
+      );
+      db.deleteBackups(expired.map((b) => b.id));
+      assert.equal(db.getBackupsForFile(file.id).length, 2);
+    });
+
+    it('expires versions older than maxAgeDays', () => {
+      const [old, recent] = addBackups(2);
+      db.db.prepare("UPDATE destination_backups SET created_at = datetime('now', '-10 days') WHERE id = ?").run(old.id);
+      const expired = db.getExpiredBackups(bucket.id, file.id, { maxVersions: 0, maxAgeDays: 7 });
+      assert.deepEqual(
+        expired.map((b) => b.id),
+        [old.id],
+      );
+      assert.ok(db.getBackup(recent.id));
+    });
+
+    it('keeps everything without retention limits', () => {
+      addBackups(5);
+      assert.equal(db.getExpiredBackups(bucket.id, file.id, { maxVersions: 0, maxAgeDays: 0 }).length, 0);
+    });
+
+    it('removes backup records with the bucket', () => {
+      addBackups(1);
+      db.deleteBucket(bucket.id);
+      assert.equal(db.getBackupsForFile(file.id).length, 0);
+    });
+  });
+
+  describe('FileService', () => {
+    let db, service, dir, bucket, file;
+
+    beforeEach(() => {
+      db = createTestDB();
+      for (const name of ['getFile', 'getBucket', 'getBackup', 'getBackupsForFile', 'addBackup', 'deleteBackups']) {
+        mock.method(database, name, (...args) => db[name](...args));
+      }
+      mock.method(database, 'updateStatus', (...args) => db.updateStatus(...args));
+      service = new FileService();
+
+      dir = fs.mkdtempSync(path.join(tmpDir, 'service-'));
+      const dst = path.join(dir, 'dst');
+      fs.mkdirSync(dst);
+      bucket = db.createBucket(
+        makeBucketData({ destinationFolder: dst, backup: { folder: path.join(dir, 'backups') } }),
+      );
+      db.addFilesForBucket(
+        bucket.id,
+        makeFileRecords(1, {
+          sourcePath: path.join(dir, 'src', 'a.txt'),
+          sourceFolder: path.join(dir, 'src'),
+          relativePath: 'a.txt',
+          destinationPath: path.join(dst, 'a.txt'),
+        }),
+      );
+      [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.updateStatus(file.id, 'completed', { destinationHash: 'current' });
+      fs.writeFileSync(file.destination_path, 'new');
+    });
+
+    function addBackup(content, hash) {
+      const backupPath = path.join(dir, 'backups', `a.${hash}.txt`);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.writeFileSync(backupPath, content);
+      return db.addBackup({
+        fileId: file.id,
+        bucketId: bucket.id,
+        originalPath: file.destination_path,
+        backupPath,
+        fileSize: content.length,
+        destinationHash: hash,
+      });
+    }
+
+    it('listBackups returns the file backups', () => {
+      addBackup('old', 'previous');
+      const backups = service.listBackups(bucket.id, file.id);
+      assert.equal(backups.length, 1);
+      assert.equal(backups[0].destination_hash, 'previous');
+    });
+
+    it('listBackups rejects files from another bucket', () => {
+      const other = db.createBucket(makeBucketData());
+      assert.throws(() => service.listBackups(other.id, file.id), NotFoundError);
+      assert.throws(() => service.listBackups(bucket.id, 9999), NotFoundError);
+    });
+
+    it('restoreBackup puts the old version back and keeps the current one as a backup', async () => {
+      const backup = addBackup('old', 'previous');
+      const result = await service.restoreBackup(bucket.id, file.id, backup.id);
+
+      assert.equal(fs.readFileSync(file.destination_path, 'utf-8'), 'old');
+      assert.ok(!fs.existsSync(backup.backup_path));
+      assert.equal(db.getBackup(backup.id), undefined);
+      assert.equal(fs.readFileSync(result.replaced.backup_path, 'utf-8'), 'new');
+      assert.equal(result.replaced.destination_hash, 'current');
+      assert.equal(db.getFile(file.id).destination_hash, 'previous');
+    });
+
+    it('restoreBackup rejects backups of other files', async () => {
+      const backup = addBackup('old', 'previous');
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const other = db.getNextPendingForBucket(bucket.id, 1, 1)[0];
+      await assert.rejects(service.restoreBackup(bucket.id, other.id, backup.id), NotFoundError);
+    });
+
+    it('restoreBackup refuses while the file is being copied', async () => {
+      const backup = addBackup('old', 'previous');
+      db.updateStatus(file.id, 'in_progress');
+      await assert.rejects(service.restoreBackup(bucket.id, file.id, backup.id), ConflictError);
+      assert.equal(fs.readFileSync(file.destination_path, 'utf-8'), 'new');
+    });
+
+    it('restoreBackup reports a missing backup file', async () => {
+      const backup = addBackup('old', 'previous');
+      fs.unlinkSync(backup.backup_path);
+      await assert.rejects(service.restoreBackup(bucket.id, file.id, backup.id), NotFoundError);
+    });
+  });
+});
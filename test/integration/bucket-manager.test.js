@@ -79,6 +79,36 @@ describe('BucketManager', () => {
     mgr.stopBucket(bucket.id);
   });
 
+  it('updateBucket applies keepBothPattern to a running pool', () => {
+    const mgr = createManager();
+    const bucket = db.createBucket(makeBucketData());
+    mgr.init();
+    mgr.startBucket(bucket.id);
+    const pool = mgr.pools.get(bucket.id);
+    mgr.updateBucket(bucket.id, { keepBothPattern: '{name}.{timestamp}{ext}' });
+    const pattern = pool._cachedBucket.keep_both_pattern;
+    mgr.stopBucket(bucket.id);
+    assert.equal(pattern, '{name}.{timestamp}{ext}');
+  });
+
+  it('updateBucket recomputes queued priorities when priorityRules change', () => {
+    mock.method(database, 'reprioritizeFiles', (id, priorityFor) => db.reprioritizeFiles(id, priorityFor));
+    const mgr = createManager();
+    const bucket = db.createBucket(makeBucketData());
+    db.addFilesForBucket(bucket.id, [
+      { sourcePath: '/tmp/src/a.jpg', sourceFolder: '/tmp/src', relativePath: 'a.jpg', destinationPath: '/tmp/dst/a.jpg', fileSize: 10 },
+      { sourcePath: '/tmp/src/b.pdf', sourceFolder: '/tmp/src', relativePath: 'b.pdf', destinationPath: '/tmp/dst/b.pdf', fileSize: 10 },
+    ]);
+    mgr.init();
+
+    mgr.updateBucket(bucket.id, { priorityRules: [{ extensions: ['jpg'], priority: 9 }] });
+    const priorities = db.db.prepare('SELECT relative_path, priority FROM file_queue ORDER BY id').all();
+    assert.deepEqual(priorities, [
+      { relative_path: 'a.jpg', priority: 9 },
+      { relative_path: 'b.pdf', priority: 0 },
+    ]);
+  });
+
   it('deleteBucket throws if pool is not stopped', () => {
     const mgr = createManager();
     const bucket = db.createBucket(makeBucketData());
@@ -167,5 +197,31 @@ describe('BucketManager', () => {
     assert.ok('workerCount' in status);
     assert.ok('activeWorkers' in status);
     assert.ok('name' in status);
+    assert.deepEqual(status.schedule, { enabled: false });
+  });
+
+  it('scanCron creates a scheduler and exposes next scan', async () => {
+    const mgr = createManager();
+    mgr.init();
+    const bucket = mgr.createBucket(makeBucketData({ schedule: { scanCron: '0 3 * * *', copyWindows: [] } }));
+    const status = mgr.getBucketStatus(bucket.id);
+    assert.equal(status.schedule.enabled, true);
+    assert.equal(status.schedule.scanCron, '0 3 * * *');
+    assert.equal(new Date(status.schedule.nextScanAt).getHours(), 3);
+
+    mgr.updateBucket(bucket.id, { schedule: { scanCron: null, copyWindows: [] } });
+    assert.equal(mgr.schedulers.has(bucket.id), false);
+    await mgr.stopAll();
+  });
+
+  it('scheduler scan-due is re-emitted as scheduled-scan', async () => {
+    const mgr = createManager();
+    mgr.init();
+    const bucket = mgr.createBucket(makeBucketData({ schedule: { scanCron: '* * * * *', copyWindows: [] } }));
+    const events = [];
+    mgr.on('scheduled-scan', (data) => events.push(data));
+    mgr.schedulers.get(bucket.id)._fire();
+    assert.deepEqual(events, [{ bucketId: bucket.id }]);
+    await mgr.stopAll();
   });
 });
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('../helpers/tempdir');
+
+const { decideConflict, renderCopyName, availableCopyPath } = require('../../src/workers/conflicts');
+
+describe('conflicts', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = createTempDir('conflicts-test-');
+  });
+
+  after(() => {
+    removeTempDir(tmpDir);
+  });
+
+  const conflict = { sourceSize: 10, sourceMtime: 2000, destSize: 20, destMtime: 1000 };
+
+  it('decideConflict maps fixed policies directly', () => {
+    assert.equal(decideConflict('ask', conflict), 'ask');
+    assert.equal(decideConflict('overwrite', conflict), 'overwrite');
+    assert.equal(decideConflict('skip', conflict), 'skip');
+    assert.equal(decideConflict('rename', conflict), 'rename');
+    assert.equal(decideConflict(undefined, conflict), 'ask');
+  });
+
+  it('keep-newer compares modification times and keeps the destination on ties', () => {
+    assert.equal(decideConflict('keep-newer', conflict), 'overwrite');
+    assert.equal(decideConflict('keep-newer', { ...conflict, sourceMtime: 1000 }), 'skip');
+  });
+
+  it('keep-larger compares sizes and keeps the destination on ties', () => {
+    assert.equal(decideConflict('keep-larger', conflict), 'skip');
+    assert.equal(decideConflict('keep-larger', { ...conflict, sourceSize: 20 }), 'skip');
+    assert.equal(decideConflict('keep-larger', { ...conflict, sourceSize: 21 }), 'overwrite');
+  });
+
+  it('renderCopyName fills the pattern placeholders', () => {
+    const parts = { name: 'report', ext: '.pdf', n: 1, timestamp: '20240102-030405' };
+    assert.equal(renderCopyName('{name} ({n}){ext}', parts), 'report (1).pdf');
+    assert.equal(renderCopyName('{name}.{timestamp}{ext}', parts), 'report.20240102-030405.pdf');
+    assert.equal(renderCopyName('{name}.{timestamp}{ext}', { ...parts, n: 2 }), 'report.20240102-030405 (2).pdf');
+  });
+
+  it('availableCopyPath skips reserved and existing paths', async () => {
+    const target = path.join(tmpDir, 'data.csv');
+    const reserved = new Set([path.join(tmpDir, 'data-1.csv')]);
+    assert.equal(await availableCopyPath(target, '{name}-{n}{ext}', reserved), path.join(tmpDir, 'data-2.csv'));
+  });
+
+  it('availableCopyPath numbers copies before the extension', async () => {
+    const target = path.join(tmpDir, 'report.pdf');
+    fs.writeFileSync(target, 'x');
+    assert.equal(await availableCopyPath(target), path.join(tmpDir, 'report (1).pdf'));
+    fs.writeFileSync(path.join(tmpDir, 'report (1).pdf'), 'x');
+    assert.equal(await availableCopyPath(target), path.join(tmpDir, 'report (2).pdf'));
+  });
+
+  it('availableCopyPath handles names without extension', async () => {
+    assert.equal(await availableCopyPath(path.join(tmpDir, 'README')), path.join(tmpDir, 'README (1)'));
+  });
+});
@@ -1,7 +1,8 @@
-const { describe, it, beforeEach } = require('node:test');
+const { describe, it, beforeEach, mock } = require('node:test');
 const assert = require('node:assert/strict');
 const { createTestDB } = require('../helpers/setup');
 const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
+const { decodeCursor } = require('../../src/queue/cursor');
 
 describe('FileQueueDB', () => {
   let db;
@@ -61,6 +62,48 @@ describe('FileQueueDB', () => {
       const row = db.db.prepare('SELECT status FROM file_queue WHERE id = ?').get(file.id);
       assert.equal(row.status, 'completed');
     });
+
+    it('keeps copy checkpoints when resetting in_progress files', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.saveCopyCheckpoint(file.id, { offset: 4096, hash: 'abc', sourceSize: 8192, sourceMtime: 1000 });
+
+      db._recoverCrash();
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.status, 'pending');
+      assert.equal(row.partial_offset, 4096);
+      assert.equal(row.partial_hash, 'abc');
+      assert.equal(row.partial_source_size, 8192);
+      assert.equal(row.partial_source_mtime, 1000);
+    });
+
+    it('saveCopyCheckpoint only applies to in_progress files', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const [file] = db.getFilesByStatusForBucket(bucket.id, 'pending', 1, 0);
+      const result = db.saveCopyCheckpoint(file.id, { offset: 4096, hash: 'abc', sourceSize: 8192, sourceMtime: 1000 });
+      assert.equal(result.changes, 0);
+    });
+
+    it('completing a file clears its checkpoint', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.saveCopyCheckpoint(file.id, { offset: 4096, hash: 'abc', sourceSize: 8192, sourceMtime: 1000 });
+      db.updateStatus(file.id, 'completed', { completedAt: 'now' });
+      const row = db.db.prepare('SELECT partial_offset, partial_hash FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.partial_offset, 0);
+      assert.equal(row.partial_hash, null);
+    });
+
+    it('getResumablePartialPaths lists destinations with a checkpoint', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(2, { sourceFolder: '/tmp/src' }));
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.saveCopyCheckpoint(file.id, { offset: 4096, hash: 'abc', sourceSize: 8192, sourceMtime: 1000 });
+      assert.deepEqual(db.getResumablePartialPaths(), [file.destination_path]);
+    });
   });
 
   describe('bucket CRUD', () => {
@@ -101,6 +144,81 @@ describe('FileQueueDB', () => {
       assert.equal(updated.destination_folder, bucket.destination_folder);
     });
 
+    it('createBucket stores filters and defaults to empty object', () => {
+      const plain = db.createBucket(makeBucketData());
+      assert.deepEqual(plain.filters, {});
+      const filtered = db.createBucket(makeBucketData({ filters: { exclude: ['*.tmp'] } }));
+      assert.deepEqual(db.getBucket(filtered.id).filters, { exclude: ['*.tmp'] });
+    });
+
+    it('updateBucket replaces filters only when provided', () => {
+      const bucket = db.createBucket(makeBucketData({ filters: { exclude: ['*.tmp'] } }));
+      const renamed = db.updateBucket(bucket.id, { name: 'renamed-filters' });
+      assert.deepEqual(renamed.filters, { exclude: ['*.tmp'] });
+      const updated = db.updateBucket(bucket.id, { filters: { include: ['*.pdf'] } });
+      assert.deepEqual(updated.filters, { include: ['*.pdf'] });
+    });
+
+    it('watch defaults to false and can be toggled', () => {
+      const bucket = db.createBucket(makeBucketData());
+      assert.equal(bucket.watch, false);
+      const enabled = db.updateBucket(bucket.id, { watch: true });
+      assert.equal(enabled.watch, true);
+      const renamed = db.updateBucket(bucket.id, { name: 'renamed-watch' });
+      assert.equal(renamed.watch, true);
+    });
+
+    it('bandwidth_limit defaults to 0 and accepts 0 on update', () => {
+      const bucket = db.createBucket(makeBucketData());
+      assert.equal(bucket.bandwidth_limit, 0);
+      assert.equal(db.updateBucket(bucket.id, { bandwidthLimit: 5000 }).bandwidth_limit, 5000);
+      assert.equal(db.updateBucket(bucket.id, { bandwidthLimit: 0 }).bandwidth_limit, 0);
+    });
+
+    it('schedule defaults to empty object and is replaced only when provided', () => {
+      const bucket = db.createBucket(makeBucketData());
+      assert.deepEqual(bucket.schedule, {});
+      const schedule = { scanCron: '0 2 * * *', copyWindows: [{ start: '19:00', end: '07:00' }] };
+      const updated = db.updateBucket(bucket.id, { schedule });
+      assert.deepEqual(updated.schedule, schedule);
+      const renamed = db.updateBucket(bucket.id, { name: 'renamed-schedule' });
+      assert.deepEqual(renamed.schedule, schedule);
+    });
+
+    it('mode defaults to copy and prune_empty_dirs to false', () => {
+      const bucket = db.createBucket(makeBucketData());
+      assert.equal(bucket.mode, 'copy');
+      assert.equal(bucket.prune_empty_dirs, false);
+      const updated = db.updateBucket(bucket.id, { mode: 'move', pruneEmptyDirs: true });
+      assert.equal(updated.mode, 'move');
+      assert.equal(updated.prune_empty_dirs, true);
+      assert.equal(db.updateBucket(bucket.id, { pruneEmptyDirs: false }).prune_empty_dirs, false);
+    });
+
+    it('trash_folder can be set and cleared', () => {
+      const bucket = db.createBucket(makeBucketData({ mode: 'mirror', trashFolder: '/tmp/trash' }));
+      assert.equal(bucket.mode, 'mirror');
+      assert.equal(bucket.trash_folder, '/tmp/trash');
+      assert.equal(db.updateBucket(bucket.id, { name: 'renamed-trash' }).trash_folder, '/tmp/trash');
+      assert.equal(db.updateBucket(bucket.id, { trashFolder: null }).trash_folder, null);
+    });
+
+    it('conflict_policy defaults to ask and persists updates', () => {
+      const bucket = db.createBucket(makeBucketData());
+      assert.equal(bucket.conflict_policy, 'ask');
+      assert.equal(db.updateBucket(bucket.id, { conflictPolicy: 'keep-newer' }).conflict_policy, 'keep-newer');
+      assert.equal(db.updateBucket(bucket.id, { name: 'renamed-policy' }).conflict_policy, 'keep-newer');
+    });
+
+    it('preserve_metadata defaults to empty object and persists updates', () => {
+      const bucket = db.createBucket(makeBucketData());
+      assert.deepEqual(bucket.preserve_metadata, {});
+      const preserveMetadata = { timestamps: true, mode: true, ownership: false, xattrs: false, compareMtime: true };
+      const updated = db.updateBucket(bucket.id, { preserveMetadata });
+      assert.deepEqual(updated.preserve_metadata, preserveMetadata);
+      assert.deepEqual(db.updateBucket(bucket.id, { name: 'renamed-meta' }).preserve_metadata, preserveMetadata);
+    });
+
     it('updateBucketStatus changes status', () => {
       const bucket = db.createBucket(makeBucketData());
       db.updateBucketStatus(bucket.id, 'running');
@@ -181,6 +299,183 @@ describe('FileQueueDB', () => {
     });
   });
 
+  describe('incremental sync', () => {
+    let bucket;
+
+    beforeEach(() => {
+      bucket = db.createBucket(makeBucketData());
+    });
+
+    function scanned(overrides = {}) {
+      return {
+        sourcePath: '/tmp/src/a.pdf',
+        sourceFolder: '/tmp/src',
+        relativePath: 'a.pdf',
+        destinationPath: '/tmp/dst/a.pdf',
+        fileSize: 10,
+        sourceMtime: 1000,
+        sourceInode: 42,
+        ...overrides,
+      };
+    }
+
+    it('syncScannedFilesForBucket inserts new files with metadata', () => {
+      const result = db.syncScannedFilesForBucket(bucket.id, [scanned()], 1);
+      assert.equal(result.added, 1);
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE bucket_id = ?').get(bucket.id);
+      assert.equal(row.source_mtime, 1000);
+      assert.equal(row.source_inode, 42);
+      assert.equal(row.generation, 1);
+      assert.equal(row.last_seen_scan, 1);
+    });
+
+    it('detects size, mtime and inode changes', () => {
+      db.syncScannedFilesForBucket(bucket.id, [scanned()], 1);
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.updateStatus(file.id, 'completed', { completedAt: 'now' });
+
+      assert.equal(db.syncScannedFilesForBucket(bucket.id, [scanned()], 2).modified, 0);
+      assert.equal(db.syncScannedFilesForBucket(bucket.id, [scanned({ sourceInode: 43 })], 3).modified, 1);
+      db.updateStatus(file.id, 'completed', { completedAt: 'now' });
+      assert.equal(db.syncScannedFilesForBucket(bucket.id, [scanned({ sourceInode: 43, fileSize: 20 })], 4).modified, 1);
+
+      const stats = db.getStatsByBucket(bucket.id);
+      assert.equal(stats.pending.count, 1);
+      assert.equal(stats.pending.totalSize, 20);
+      assert.equal(stats.completed.count, 0);
+    });
+
+    it('does not requeue files that are in progress', () => {
+      db.syncScannedFilesForBucket(bucket.id, [scanned()], 1);
+      db.getNextPendingForBucket(bucket.id, 1, 1);
+      const result = db.syncScannedFilesForBucket(bucket.id, [scanned({ sourceMtime: 2000 })], 2);
+      assert.equal(result.modified, 0);
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE bucket_id = ?').get(bucket.id);
+      assert.equal(row.status, 'in_progress');
+      assert.equal(row.source_mtime, 1000);
+    });
+
+    it('backfills metadata for rows without mtime', () => {
+      db.addFilesForBucket(bucket.id, [scanned({ sourceMtime: undefined, sourceInode: undefined })]);
+      const result = db.syncScannedFilesForBucket(bucket.id, [scanned()], 1);
+      assert.equal(result.modified, 0);
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE bucket_id = ?').get(bucket.id);
+      assert.equal(row.source_mtime, 1000);
+    });
+
+    it('getUnseenFilesForFolder and markSourceMissing', () => {
+      db.syncScannedFilesForBucket(bucket.id, [scanned(), scanned({ sourcePath: '/tmp/src/b.pdf', destinationPath: '/tmp/dst/b.pdf' })], 1);
+      db.syncScannedFilesForBucket(bucket.id, [scanned()], 2);
+      const unseen = db.getUnseenFilesForFolder(bucket.id, '/tmp/src', 2);
+      assert.equal(unseen.length, 1);
+      assert.equal(unseen[0].source_path, '/tmp/src/b.pdf');
+
+      assert.equal(db.markSourceMissing(bucket.id, unseen), 1);
+      const stats = db.getStatsByBucket(bucket.id);
+      assert.equal(stats.source_missing.count, 1);
+      assert.equal(stats.pending.count, 1);
+    });
+
+    it('moved files are not marked missing and are requeued if the source reappears', () => {
+      db.syncScannedFilesForBucket(bucket.id, [scanned()], 1);
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.updateStatus(file.id, 'completed', { completedAt: 'now' });
+      db.markSourceDeleted(file.id);
+
+      assert.equal(db.getUnseenFilesForFolder(bucket.id, '/tmp/src', 2).length, 0);
+
+      assert.equal(db.syncScannedFilesForBucket(bucket.id, [scanned()], 3).modified, 1);
+      const row = db.db.prepare('SELECT status, source_deleted_at FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.status, 'pending');
+      assert.equal(row.source_deleted_at, null);
+    });
+
+    it('requeued and restored files take the priority from the current scan', () => {
+      db.syncScannedFilesForBucket(bucket.id, [scanned(), scanned({ sourcePath: '/tmp/src/b.pdf', destinationPath: '/tmp/dst/b.pdf' })], 1);
+      const [modified, missing] = db.getNextPendingForBucket(bucket.id, 2, 1).sort((a, b) => a.id - b.id);
+      db.updateStatus(modified.id, 'completed', { completedAt: 'now' });
+      db.updateStatus(missing.id, 'pending');
+      db.markSourceMissing(bucket.id, [missing]);
+
+      const result = db.syncScannedFilesForBucket(
+        bucket.id,
+        [scanned({ sourceMtime: 2000, priority: 4 }), scanned({ sourcePath: '/tmp/src/b.pdf', destinationPath: '/tmp/dst/b.pdf', priority: 6 })],
+        2,
+      );
+      assert.equal(result.modified, 1);
+      assert.equal(result.restored, 1);
+      assert.equal(db.getFile(modified.id).priority, 4);
+      assert.equal(db.getFile(missing.id).priority, 6);
+    });
+
+    it('queueMirrorDeletions holds delete operations for approval and requeues completed ones', () => {
+      const orphan = { destinationPath: '/tmp/dst/orphan.pdf', relativePath: 'orphan.pdf', fileSize: 10 };
+      assert.equal(db.queueMirrorDeletions(bucket.id, '/tmp/dst', [orphan], 1), 1);
+      assert.equal(db.queueMirrorDeletions(bucket.id, '/tmp/dst', [orphan], 2), 0);
+
+      const row = db.db.prepare("SELECT * FROM file_queue WHERE operation = 'delete'").get();
+      assert.equal(row.status, 'awaiting_approval');
+      assert.equal(row.source_folder, '/tmp/dst');
+      assert.equal(row.file_size, 0);
+      assert.equal(db.getNextPendingForBucket(bucket.id, 10, 1).length, 0);
+
+      db.updateStatus(row.id, 'completed', { completedAt: 'now' });
+      assert.equal(db.queueMirrorDeletions(bucket.id, '/tmp/dst', [orphan], 3), 1);
+      assert.equal(db.getFile(row.id).status, 'awaiting_approval');
+      assert.equal(db.getStatsByBucket(bucket.id).pending.count, 0);
+    });
+
+    it('approveMirrorDeletions releases only the approved deletions', () => {
+      const orphans = ['a.pdf', 'b.pdf'].map((name) => ({ destinationPath: `/tmp/dst/${name}`, relativePath: name }));
+      db.queueMirrorDeletions(bucket.id, '/tmp/dst', orphans, 1);
+      const [first, second] = db.getMirrorDeletions(bucket.id, { status: 'awaiting_approval' }).sort((a, b) => a.id - b.id);
+
+      assert.equal(db.approveMirrorDeletions(bucket.id, [first.id]).changes, 1);
+      const claimed = db.getNextPendingForBucket(bucket.id, 10, 1);
+      assert.deepEqual(claimed.map((f) => f.id), [first.id]);
+      assert.equal(db.getFile(second.id).status, 'awaiting_approval');
+
+      assert.equal(db.approveMirrorDeletions(bucket.id).changes, 1);
+      assert.equal(db.approveMirrorDeletions(bucket.id).changes, 0);
+      assert.equal(db.getMirrorDeletions(bucket.id, { status: 'awaiting_approval' }).length, 0);
+    });
+
+    it('delete operations stay out of bucket counts and copy file lists', () => {
+      db.addFilesForBucket(bucket.id, makeFileRecords(1));
+      db.queueMirrorDeletions(bucket.id, '/tmp/dst', [{ destinationPath: '/tmp/dst/x.pdf', relativePath: 'x.pdf' }], 1);
+      db.approveMirrorDeletions(bucket.id);
+
+      for (const file of db.getNextPendingForBucket(bucket.id, 10, 1)) {
+        db.updateStatusWithMeta(file.id, 'completed', bucket.id, 'in_progress', file.file_size, {
+          operation: file.operation,
+        });
+      }
+      const stats = db.getStatsByBucket(bucket.id);
+      assert.equal(stats.pending.count, 0);
+      assert.equal(stats.completed.count, 1);
+      db._rebuildStatsCache();
+      assert.deepEqual(db.getStatsByBucket(bucket.id), stats);
+
+      assert.equal(db.getFilesByStatusForBucket(bucket.id, 'completed').length, 1);
+      assert.equal(db.getFilesPage({ bucketId: bucket.id }).files.length, 1);
+      assert.equal(db.searchFiles({ bucketId: bucket.id }).length, 1);
+      assert.equal(db.getMirrorDeletions(bucket.id, { status: 'completed' }).length, 1);
+    });
+
+    it('delete operations are never flagged as source_missing', () => {
+      db.queueMirrorDeletions(bucket.id, '/tmp/src', [{ destinationPath: '/tmp/src/x.pdf', relativePath: 'x.pdf' }], 1);
+      assert.equal(db.getUnseenFilesForFolder(bucket.id, '/tmp/src', 2).length, 0);
+    });
+
+    it('folder stats include modified counts', () => {
+      db.syncScannedFilesForBucket(bucket.id, [scanned()], 1);
+      db.updateStatus(db.getNextPendingForBucket(bucket.id, 1, 1)[0].id, 'completed', { completedAt: 'now' });
+      db.syncScannedFilesForBucket(bucket.id, [scanned({ sourceMtime: 5000 })], 2);
+      const folders = db.getStatsByBucketGroupedByFolder(bucket.id);
+      assert.equal(folders['/tmp/src'].modified.count, 1);
+    });
+  });
+
   describe('statistics', () => {
     it('getStats returns counters grouped by status', () => {
       const stats = db.getStats();
@@ -255,6 +550,103 @@ describe('FileQueueDB', () => {
       assert.equal(files.length, 2);
     });
 
+    it('getFilesPage walks every row once, newest first', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(7));
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = db.getFilesPage({ status: 'pending', after: cursor && decodeCursor(cursor), limit: 3 });
+        seen.push(...page.files.map((f) => f.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+      assert.equal(seen.length, 7);
+      assert.equal(new Set(seen).size, 7);
+      assert.deepEqual(seen, [...seen].sort((a, b) => b - a));
+    });
+
+    it('getFilesPage neither repeats nor skips rows updated while paging', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(4));
+      const first = db.getFilesPage({ bucketId: bucket.id, limit: 2 });
+      const touch = db.db.prepare("UPDATE file_queue SET updated_at = datetime('now', 'localtime', '+1 minute') WHERE id = ?");
+      touch.run(first.files[0].id);
+      touch.run(Math.min(...first.files.map((f) => f.id)) - 1);
+      const second = db.getFilesPage({ bucketId: bucket.id, after: decodeCursor(first.nextCursor), limit: 2 });
+      const ids = [...first.files, ...second.files].map((f) => f.id);
+      assert.equal(new Set(ids).size, 4);
+      assert.equal(second.nextCursor, null);
+    });
+
+    it('getFilesPage reuses the prepared statement across pages', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(5));
+      const prepare = mock.method(db.db, 'prepare');
+      const first = db.getFilesPage({ bucketId: bucket.id, limit: 2 });
+      db.getFilesPage({ bucketId: bucket.id, after: decodeCursor(first.nextCursor), limit: 2 });
+      db.getFilesPage({ bucketId: bucket.id, after: decodeCursor(first.nextCursor), limit: 2 });
+      assert.equal(prepare.mock.callCount(), 2);
+      prepare.mock.restore();
+    });
+
+    it('searchFiles matches path substrings case-insensitively and globs', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, [
+        ...makeFileRecords(1, { relativePath: 'fotos/Ferias-2023.JPG' }),
+        ...makeFileRecords(1, { relativePath: 'docs/contrato.pdf' }),
+      ]);
+      assert.deepEqual(db.searchFiles({ path: 'ferias' }).map((f) => f.relative_path), ['fotos/Ferias-2023.JPG']);
+      assert.deepEqual(db.searchFiles({ path: 'docs/*.pdf' }).map((f) => f.relative_path), ['docs/contrato.pdf']);
+      assert.equal(db.searchFiles({ path: 'PD' }).length, 1);
+      assert.equal(db.searchFiles({ path: 'fotos/*.jpg' }).length, 0);
+      assert.equal(db.searchFiles({ path: 'fotos/*.[jJ][pP][gG]' }).length, 1);
+    });
+
+    it('searchFiles filters by size, hash prefix, error text and bucket', () => {
+      const b1 = db.createBucket(makeBucketData());
+      const b2 = db.createBucket(makeBucketData());
+      db.addFilesForBucket(b1.id, makeFileRecords(3));
+      db.addFilesForBucket(b2.id, makeFileRecords(1));
+      const [first, second] = db.getFilesByStatusForBucket(b1.id, 'pending', 100, 0);
+      db.updateStatus(first.id, 'completed', { sourceHash: 'abcdef0123' });
+      db.updateStatus(second.id, 'error', { errorMessage: 'EACCES: permission denied' });
+
+      assert.deepEqual(db.searchFiles({ hash: 'ABCD' }).map((f) => f.id), [first.id]);
+      assert.deepEqual(db.searchFiles({ error: 'permission' }).map((f) => f.id), [second.id]);
+      assert.equal(db.searchFiles({ bucketId: b1.id }).length, 3);
+      assert.equal(db.searchFiles({ bucketId: b1.id, minSize: 2048 }).length, 2);
+      assert.equal(db.searchFiles({ bucketId: b1.id, minSize: 2048, maxSize: 2048 }).length, 1);
+
+      db.retryError(second.id);
+      assert.equal(db.searchFiles({ error: 'permission' }).length, 0);
+    });
+
+    it('searchFiles sorts and paginates', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(3));
+      const sizes = db.searchFiles({ sort: 'file_size', order: 'asc' }).map((f) => f.file_size);
+      assert.deepEqual(sizes, [1024, 2048, 3072]);
+      const page = db.searchFiles({ sort: 'file_size', order: 'desc', limit: 1, offset: 1 });
+      assert.equal(page[0].file_size, 2048);
+    });
+
+    it('searchFiles reuses one prepared statement per filter combination', () => {
+      const prepare = mock.method(db.db, 'prepare');
+      db.searchFiles({ path: 'foo', minSize: 1 });
+      db.searchFiles({ path: 'bar', minSize: 2 });
+      assert.equal(prepare.mock.callCount(), 1);
+      db.searchFiles({ path: 'foo', maxSize: 1 });
+      assert.equal(prepare.mock.callCount(), 2);
+      prepare.mock.restore();
+    });
+
+    it('searchFiles drops deleted files from the path index', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { relativePath: 'apagar/este.txt' }));
+      db.deleteBucket(bucket.id);
+      assert.equal(db.searchFiles({ path: 'apagar' }).length, 0);
+    });
+
     it('getRecentActivity ordered by updated_at DESC', () => {
       const bucket = db.createBucket(makeBucketData());
       db.addFilesForBucket(bucket.id, makeFileRecords(3, { sourceFolder: '/tmp/src' }));
@@ -295,6 +687,13 @@ describe('FileQueueDB', () => {
       assert.equal(found.destination_hash, null);
     });
 
+    it('resolveConflict overwrite accepts the conflicting destination version', () => {
+      const id = createConflict();
+      db.resolveConflict(id, 'overwrite');
+      const row = db.db.prepare('SELECT previous_destination_hash FROM file_queue WHERE id = ?').get(id);
+      assert.equal(row.previous_destination_hash, 'bbb');
+    });
+
     it('resolveConflict skip sets status to completed', () => {
       const id = createConflict();
       db.resolveConflict(id, 'skip');
@@ -370,6 +769,305 @@ describe('FileQueueDB', () => {
       const b2Stats = db.getStatsByBucket(b2.id);
       assert.equal(b2Stats.error.count, 1);
     });
+
+    describe('priority', () => {
+      function addFiles(records) {
+        db.addFilesForBucket(bucket.id, records);
+        return db.getFilesByStatusForBucket(bucket.id, 'pending', 100, 0).sort((a, b) => a.id - b.id);
+      }
+
+      it('claims higher priority files first, then by id', () => {
+        const files = addFiles([
+          ...makeFileRecords(2, { sourceFolder: '/tmp/src' }),
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', priority: 5 }),
+        ]);
+        const claimed = db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/src', 3, 1).map((f) => f.id);
+        assert.deepEqual(claimed, [files[2].id, files[0].id, files[1].id]);
+      });
+
+      it('setPriority without a value bumps files ahead of the queue', () => {
+        const files = addFiles(makeFileRecords(3, { sourceFolder: '/tmp/src', priority: 2 }));
+        const result = db.setPriority(bucket.id, { fileIds: [files[2].id] });
+        assert.deepEqual(result, { updated: 1, priority: 3 });
+        assert.equal(db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/src', 1, 1)[0].id, files[2].id);
+        assert.equal(db.getActiveFolderCounts(bucket.id)['/tmp/src'].topPriority, 2);
+      });
+
+      it('setPriority targets a subfolder and leaves completed files alone', () => {
+        const files = addFiles([
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', relativePath: 'fotos/a.jpg' }),
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', relativePath: 'fotos/2024/b.jpg' }),
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', relativePath: 'fotos-velhas/c.jpg' }),
+        ]);
+        db.updateStatus(files[0].id, 'completed');
+        const result = db.setPriority(bucket.id, { path: 'fotos' }, 7);
+        assert.deepEqual(result, { updated: 1, priority: 7 });
+        const priorities = db.db.prepare('SELECT id, priority FROM file_queue WHERE bucket_id = ? ORDER BY id').all(bucket.id);
+        assert.deepEqual(
+          priorities.map((r) => r.priority),
+          [0, 7, 0],
+        );
+      });
+
+      it('reprioritizeFiles recomputes priority for files that are not completed', () => {
+        const files = addFiles([
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', relativePath: 'a.pdf', priority: 3 }),
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', relativePath: 'b.jpg' }),
+          ...makeFileRecords(1, { sourceFolder: '/tmp/src', relativePath: 'c.jpg' }),
+        ]);
+        db.updateStatus(files[2].id, 'completed');
+
+        const updated = db.reprioritizeFiles(bucket.id, (relativePath) => (relativePath.endsWith('.jpg') ? 5 : 0));
+        assert.equal(updated, 2);
+        const priorities = db.db.prepare('SELECT priority FROM file_queue WHERE bucket_id = ? ORDER BY id').all(bucket.id);
+        assert.deepEqual(
+          priorities.map((r) => r.priority),
+          [0, 5, 0],
+        );
+      });
+    });
+
+    describe('scheduleRetry', () => {
+      function claim() {
+        db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+        return db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/src', 1, 1)[0];
+      }
+
+      function getRow(id) {
+        return db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(id);
+      }
+
+      it('returns the file to pending but holds it until the delay passes', () => {
+        const file = claim();
+        db.scheduleRetry(file.id, bucket.id, file.file_size, { errorMessage: 'busy', attemptCount: 1, delayMs: 60000 });
+        assert.equal(getRow(file.id).status, 'pending');
+        assert.equal(db.getStatsByBucket(bucket.id).pending.count, 1);
+        assert.equal(db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/src', 1, 1).length, 0);
+        assert.equal(db.getNextPendingForBucket(bucket.id, 1, 1).length, 0);
+        assert.deepEqual(db.getActiveFolderCounts(bucket.id)['/tmp/src'], { pending: 0, inProgress: 0, topPriority: null });
+
+        db.db.prepare("UPDATE file_queue SET next_attempt_at = datetime('now', 'localtime', '-1 seconds')").run();
+        assert.equal(db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/src', 1, 1)[0].id, file.id);
+      });
+
+      it('completion clears the attempt count', () => {
+        const file = claim();
+        db.scheduleRetry(file.id, bucket.id, file.file_size, { errorMessage: 'busy', attemptCount: 2, delayMs: 0 });
+        db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/src', 1, 1);
+        db.updateStatus(file.id, 'completed');
+        assert.equal(getRow(file.id).attempt_count, 0);
+      });
+
+      it('manual retry resets the attempt count and delay', () => {
+        const file = claim();
+        db.updateStatus(file.id, 'error', { errorMessage: 'busy', attemptCount: 5 });
+        db.retryError(file.id);
+        const row = getRow(file.id);
+        assert.equal(row.attempt_count, 0);
+        assert.equal(row.next_attempt_at, null);
+      });
+    });
+  });
+
+  describe('error history', () => {
+    let bucket;
+
+    beforeEach(() => {
+      bucket = db.createBucket(makeBucketData());
+    });
+
+    function failFiles(codes) {
+      db.addFilesForBucket(bucket.id, makeFileRecords(codes.length, { sourceFolder: '/tmp/src' }));
+      const files = db.getNextPendingForBucket(bucket.id, codes.length, 1);
+      files.forEach((file, i) =>
+        db.updateStatus(file.id, 'error', { errorMessage: `${codes[i]}: falha`, errorCode: codes[i] }),
+      );
+      return files;
+    }
+
+    it('numbers attempts per file', () => {
+      const [file] = failFiles(['EIO']);
+      db.addAttempt({ fileId: file.id, bucketId: bucket.id, result: 'error', errorCode: 'EIO', phase: 'read' });
+      db.addAttempt({ fileId: file.id, bucketId: bucket.id, result: 'copied', bytesTransferred: 10 });
+      const attempts = db.getAttemptsForFile(file.id);
+      assert.deepEqual(
+        attempts.map((a) => [a.attempt, a.result, a.phase]),
+        [
+          [2, 'copied', null],
+          [1, 'error', 'read'],
+        ],
+      );
+      assert.equal(attempts[0].operation, 'copy');
+    });
+
+    it('groups files in error by code', () => {
+      const other = db.createBucket(makeBucketData());
+      failFiles(['EACCES', 'EACCES', 'EIO']);
+      db.addFilesForBucket(other.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const [otherFile] = db.getNextPendingForBucket(other.id, 1, 1);
+      db.updateStatus(otherFile.id, 'error', { errorMessage: 'sem codigo' });
+
+      const summary = db.getErrorSummary(bucket.id);
+      assert.deepEqual(
+        summary.map((s) => [s.code, s.count]),
+        [
+          ['EACCES', 2],
+          ['EIO', 1],
+        ],
+      );
+      assert.equal(summary[0].example, 'EACCES: falha');
+      assert.equal(db.getErrorSummary().length, 3);
+    });
+
+    it('retrying clears the error code', () => {
+      const [file] = failFiles(['EACCES']);
+      db.retryError(file.id);
+      assert.equal(db.getErrorSummary(bucket.id).length, 0);
+      assert.equal(db.getFile(file.id).error_code, null);
+    });
+
+    it('removes attempts with the bucket', () => {
+      const [file] = failFiles(['EIO']);
+      db.addAttempt({ fileId: file.id, bucketId: bucket.id, result: 'error' });
+      db.deleteBucket(bucket.id);
+      assert.equal(db.getAttemptsForFile(file.id).length, 0);
+    });
+  });
+
+  describe('audit log', () => {
+    it('stores entries with parsed payload, newest first', () => {
+      db.addAuditEntry({ actor: 'ana', action: 'bucket.create', method: 'POST', path: '/api/buckets', payload: { name: 'x' } });
+      db.addAuditEntry({ actor: 'bia', action: 'service.start', method: 'POST', path: '/api/buckets/1/service/start', bucketId: 1 });
+      const entries = db.getAuditLog();
+      assert.deepEqual(entries.map((e) => e.action), ['service.start', 'bucket.create']);
+      assert.deepEqual(entries[1].payload, { name: 'x' });
+      assert.equal(entries[0].payload, null);
+      assert.ok(entries[0].created_at);
+    });
+
+    it('filters by actor, action group, bucket and date', () => {
+      db.addAuditEntry({ actor: 'ana', action: 'bucket.create', method: 'POST', path: '/a' });
+      db.addAuditEntry({ actor: 'ana', action: 'bucket.delete', method: 'DELETE', path: '/b', bucketId: 2 });
+      db.addAuditEntry({ actor: 'bia', action: 'bucketx.other', method: 'POST', path: '/c' });
+      assert.equal(db.getAuditLog({ actor: 'ana' }).length, 2);
+      assert.equal(db.getAuditLog({ action: 'bucket' }).length, 2);
+      assert.equal(db.getAuditLog({ action: 'bucket.delete' }).length, 1);
+      assert.equal(db.getAuditLog({ bucketId: 2 }).length, 1);
+      assert.equal(db.getAuditLog({ from: '2999-01-01 00:00:00' }).length, 0);
+      assert.equal(db.getAuditLog({ limit: 1, offset: 1 }).length, 1);
+      assert.equal([...db.iterateAuditLog({ actor: 'bia' })].length, 1);
+    });
+  });
+
+  describe('stats history', () => {
+    const { localTimestamp } = require('../../src/services/history-service');
+
+    function snapshot(bucketId, periodStart, periodEnd) {
+      return db.recordStatsSnapshot({
+        periodStart,
+        periodEnd,
+        buckets: [{ bucketId, stats: db.getStatsByBucket(bucketId) }],
+      });
+    }
+
+    it('records minute rows with queue counts and attempt activity', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(3));
+      db.addAttempt({ fileId: 1, bucketId: bucket.id, result: 'copied', bytesTransferred: 1000 });
+      db.addAttempt({ fileId: 2, bucketId: bucket.id, result: 'error', bytesTransferred: 200 });
+      db.addAttempt({ fileId: 3, bucketId: bucket.id, result: 'integrity_error' });
+
+      const now = Date.now();
+      snapshot(bucket.id, localTimestamp(new Date(now - 60000)), localTimestamp(new Date(now + 60000)));
+
+      const [minute] = db.db.prepare("SELECT * FROM stats_history WHERE granularity = 'minute'").all();
+      assert.equal(minute.pending_count, 3);
+      assert.equal(minute.pending_bytes, db.getStatsByBucket(bucket.id).pending.totalSize);
+      assert.equal(minute.files_copied, 1);
+      assert.equal(minute.bytes_copied, 1200);
+      assert.equal(minute.errors, 2);
+    });
+
+    it('rolls minutes up into the hour, keeping the latest counts', () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(2));
+      db.addAttempt({ fileId: 1, bucketId: bucket.id, result: 'copied', bytesTransferred: 500 });
+      snapshot(bucket.id, '2025-03-10 14:05:00', '2025-03-10 14:06:00');
+      db.db.prepare("UPDATE stats_history SET bytes_copied = 300, files_copied = 1").run();
+      db.addFilesForBucket(bucket.id, makeFileRecords(1));
+      snapshot(bucket.id, '2025-03-10 14:06:00', localTimestamp(new Date(Date.now() + 60000)));
+
+      const hour = db.db
+        .prepare("SELECT * FROM stats_history WHERE granularity = 'hour' AND period_start = '2025-03-10 14:00:00'")
+        .get();
+      assert.equal(hour.pending_count, 3);
+      assert.equal(hour.bytes_copied, 800);
+      assert.equal(hour.files_copied, 2);
+    });
+
+    it('aggregates by step and across buckets', () => {
+      const a = db.createBucket(makeBucketData());
+      const b = db.createBucket(makeBucketData());
+      const insert = db.db.prepare(`
+        INSERT INTO stats_history (bucket_id, granularity, period_start, pending_count, bytes_copied, files_copied)
+        VALUES (?, 'hour', ?, ?, ?, ?)
+      `);
+      insert.run(a.id, '2025-03-10 09:00:00', 10, 100, 1);
+      insert.run(a.id, '2025-03-10 10:00:00', 8, 200, 2);
+      insert.run(b.id, '2025-03-10 10:00:00', 5, 50, 1);
+      insert.run(a.id, '2025-03-11 10:00:00', 4, 400, 4);
+
+      const range = { from: '2025-03-10 00:00:00', to: '2025-03-11 23:59:59' };
+      const days = db.getStatsHistory({ ...range, step: 'day' });
+      assert.deepEqual(
+        days.map((d) => [d.period_start, d.pending_count, d.bytes_copied, d.files_copied]),
+        [
+          ['2025-03-10 00:00:00', 13, 350, 4],
+          ['2025-03-11 00:00:00', 4, 400, 4],
+        ],
+      );
+      const hours = db.getStatsHistory({ ...range, step: 'hour', bucketId: a.id });
+      assert.deepEqual(
+        hours.map((h) => h.bytes_copied),
+        [100, 200, 400],
+      );
+      assert.equal(db.getStatsHistory({ ...range, step: 'minute' }).length, 0);
+    });
+
+    it('reuses one prepared statement per step and bucket filter', () => {
+      const range = { from: '2025-03-10 00:00:00', to: '2025-03-11 23:59:59' };
+      const prepare = mock.method(db.db, 'prepare');
+      db.getStatsHistory({ ...range, step: 'hour' });
+      db.getStatsHistory({ ...range, step: 'hour' });
+      db.getStatsHistory({ ...range, step: 'hour', bucketId: 1 });
+      db.getStatsHistory({ ...range, step: 'hour', bucketId: 2 });
+      db.getStatsHistory({ ...range, step: 'day' });
+      assert.equal(prepare.mock.callCount(), 3);
+      prepare.mock.restore();
+    });
+
+    it('reads attempt activity through the created_at index', () => {
+      const plan = db.db
+        .prepare(`EXPLAIN QUERY PLAN ${db._stmts.attemptActivityByBucket.source}`)
+        .all({ from: '2025-03-10 00:00:00', to: '2025-03-10 00:01:00' });
+      assert.ok(plan.some((step) => step.detail.includes('idx_attempts_created')));
+    });
+
+    it('prunes rows past retention and drops them with the bucket', () => {
+      const bucket = db.createBucket(makeBucketData());
+      const insert = db.db.prepare(
+        'INSERT INTO stats_history (bucket_id, granularity, period_start) VALUES (?, ?, ?)',
+      );
+      insert.run(bucket.id, 'minute', '2000-01-01 00:00:00');
+      insert.run(bucket.id, 'hour', '2000-01-01 00:00:00');
+      insert.run(bucket.id, 'minute', localTimestamp(new Date()));
+      insert.run(bucket.id, 'hour', localTimestamp(new Date()));
+
+      assert.equal(db.pruneStatsHistory({ minuteRetentionHours: 48, hourRetentionDays: 365 }), 2);
+      assert.equal(db.db.prepare('SELECT COUNT(*) as n FROM stats_history').get().n, 2);
+      db.deleteBucket(bucket.id);
+      assert.equal(db.db.prepare('SELECT COUNT(*) as n FROM stats_history').get().n, 0);
+    });
   });
 
   describe('service state', () => {
@@ -5,6 +5,8 @@ const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
 
 const database = require('../../src/queue/database');
 const FileService = require('../../src/services/file-service');
+const logger = require('../../src/logger');
+const { NotFoundError } = require('../../src/errors');
 
 describe('FileService', () => {
   let db, service;
@@ -17,6 +19,14 @@ describe('FileService', () => {
     mock.method(database, 'resolveConflict', (id, a) => db.resolveConflict(id, a));
     mock.method(database, 'resolveAllConflicts', (a) => db.resolveAllConflicts(a));
     mock.method(database, 'resolveAllConflictsForBucket', (bid, a) => db.resolveAllConflictsForBucket(bid, a));
+    mock.method(database, 'getConflictTarget', (id) => db.getConflictTarget(id));
+    mock.method(database, 'getConflictTargets', (bid) => db.getConflictTargets(bid));
+    mock.method(database, 'resolveConflictsKeepBoth', (targets) => db.resolveConflictsKeepBoth(targets));
+    mock.method(database, 'getFile', (id) => db.getFile(id));
+    mock.method(database, 'getBucket', (id) => db.getBucket(id));
+    mock.method(database, 'getAttemptsForFile', (id) => db.getAttemptsForFile(id));
+    mock.method(database, 'getBackupsForFile', (id) => db.getBackupsForFile(id));
+    mock.method(logger, 'findLines', async () => ['linha']);
     mock.method(database, 'retryError', (id) => db.retryError(id));
     mock.method(database, 'retryAllErrors', () => db.retryAllErrors());
     mock.method(database, 'retryAllErrorsForBucket', (bid) => db.retryAllErrorsForBucket(bid));
@@ -37,35 +47,120 @@ describe('FileService', () => {
     assert.equal(result.length, 3);
   });
 
-  it('resolveConflict delegates with id and action', () => {
+  it('resolveConflict delegates with id and action', async () => {
     const bucket = db.createBucket(makeBucketData());
     db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
     const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
     db.updateStatus(file.id, 'conflict', { sourceHash: 'a', destinationHash: 'b' });
-    const result = service.resolveConflict(file.id, 'skip');
+    const result = await service.resolveConflict(file.id, 'skip');
     assert.ok(result.changes >= 1);
   });
 
-  it('resolveAllConflicts delegates with action', () => {
-    const result = service.resolveAllConflicts('overwrite');
+  it('resolveAllConflicts delegates with action', async () => {
+    const result = await service.resolveAllConflicts('overwrite');
     assert.ok('changes' in result);
   });
 
-  it('resolveConflictForBucket delegates', () => {
+  it('resolveConflictForBucket delegates', async () => {
     const bucket = db.createBucket(makeBucketData());
     db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
     const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
     db.updateStatus(file.id, 'conflict', { sourceHash: 'a', destinationHash: 'b' });
-    const result = service.resolveConflictForBucket(bucket.id, file.id, 'overwrite');
+    const result = await service.resolveConflictForBucket(bucket.id, file.id, 'overwrite');
     assert.ok(result.changes >= 1);
   });
 
-  it('resolveAllConflictsForBucket delegates with bucketId', () => {
+  it('resolveAllConflictsForBucket delegates with bucketId', async () => {
     const bucket = db.createBucket(makeBucketData());
-    const result = service.resolveAllConflictsForBucket(bucket.id, 'skip');
+    const result = await service.resolveAllConflictsForBucket(bucket.id, 'skip');
     assert.ok('changes' in result);
   });
 
+  describe('keep-both', () => {
+    function createConflicts(bucket, n) {
+      db.addFilesForBucket(bucket.id, makeFileRecords(n, { sourceFolder: '/tmp/src' }));
+      const files = db.getNextPendingForBucket(bucket.id, n, 1);
+      for (const file of files) db.updateStatus(file.id, 'conflict', { sourceHash: 'a', destinationHash: 'b' });
+      return files;
+    }
+
+    function getRow(id) {
+      return db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(id);
+    }
+
+    it('resolveConflict records a versioned destination and requeues the file', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      const [file] = createConflicts(bucket, 1);
+      const result = await service.resolveConflict(file.id, 'keep-both');
+      assert.equal(result.changes, 1);
+      const row = getRow(file.id);
+      assert.equal(row.status, 'pending');
+      assert.equal(row.destination_path, file.destination_path);
+      assert.equal(row.resolved_destination_path, file.destination_path.replace(/\.pdf$/, ' (1).pdf'));
+    });
+
+    it('uses the bucket pattern', async () => {
+      const bucket = db.createBucket(makeBucketData({ keepBothPattern: '{name}.{timestamp}{ext}' }));
+      const [file] = createConflicts(bucket, 1);
+      await service.resolveConflictForBucket(bucket.id, file.id, 'keep-both');
+      assert.match(getRow(file.id).resolved_destination_path, /\.\d{8}-\d{6}\.pdf$/);
+    });
+
+    it('resolveAllConflictsForBucket resolves only that bucket', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      const other = db.createBucket(makeBucketData());
+      const files = createConflicts(bucket, 2);
+      const [otherFile] = createConflicts(other, 1);
+      const result = await service.resolveAllConflictsForBucket(bucket.id, 'keep-both');
+      assert.equal(result.changes, 2);
+      assert.ok(files.every((f) => getRow(f.id).status === 'pending'));
+      assert.equal(getRow(otherFile.id).status, 'conflict');
+      assert.equal(db.getStatsByBucket(bucket.id).conflict.count, 0);
+    });
+
+    it('resolveAllConflicts resolves every bucket', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      createConflicts(bucket, 2);
+      const result = await service.resolveAllConflicts('keep-both');
+      assert.equal(result.changes, 2);
+    });
+
+    it('returns no changes for files that are not in conflict', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      assert.equal((await service.resolveConflict(file.id, 'keep-both')).changes, 0);
+    });
+  });
+
+  describe('getFileDetail', () => {
+    it('combines the row, bucket, attempts and log lines', async () => {
+      const bucket = db.createBucket(makeBucketData());
+      db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
+      const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+      db.addAttempt({ fileId: file.id, bucketId: bucket.id, result: 'copied', durationMs: 500, bytesTransferred: 1000 });
+      db.updateStatus(file.id, 'completed', { sourceHash: 'a', destinationHash: 'a', completedAt: 'now' });
+
+      const detail = await service.getFileDetail(file.id);
+      assert.equal(detail.id, file.id);
+      assert.equal(detail.source_hash, 'a');
+      assert.equal(detail.bucket.name, bucket.name);
+      assert.equal(detail.attempts.length, 1);
+      assert.equal(detail.throughput, 2000);
+      assert.equal(detail.timings.lastAttemptMs, 500);
+      assert.ok(detail.timings.completedAt);
+      assert.deepEqual(detail.logs, ['linha']);
+      assert.deepEqual(logger.findLines.mock.calls[0].arguments[0], [
+        `Arquivo: ${file.source_path} |`,
+        `Arquivo: ${file.destination_path} |`,
+      ]);
+    });
+
+    it('throws NotFoundError for unknown files', async () => {
+      await assert.rejects(service.getFileDetail(99999), NotFoundError);
+    });
+  });
+
   it('retryError delegates', () => {
     const bucket = db.createBucket(makeBucketData());
     db.addFilesForBucket(bucket.id, makeFileRecords(1, { sourceFolder: '/tmp/src' }));
@@ -1,6 +1,7 @@
 const { describe, it, beforeEach, mock } = require('node:test');
 const assert = require('node:assert/strict');
 const { createTestDB } = require('../helpers/setup');
+const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
 
 const database = require('../../src/queue/database');
 const HealthService = require('../../src/services/health-service');
@@ -94,4 +95,39 @@ describe('HealthService', () => {
       assert.equal(metrics.workers.utilization, 0);
     });
   });
+
+  describe('renderPrometheus', () => {
+    beforeEach(() => {
+      mock.method(database, 'getAllBuckets', () => db.getAllBuckets());
+      mock.method(database, 'getStatsByBucket', (id) => db.getStatsByBucket(id));
+    });
+
+    it('exposes per-bucket queue gauges and worker utilization', () => {
+      const bucket = db.createBucket(makeBucketData({ name: 'Fotos' }));
+      db.addFilesForBucket(bucket.id, makeFileRecords(3));
+      service.bucketManager.pools.set(bucket.id, createPoolMock('running', 4, 1));
+
+      const text = service.renderPrometheus();
+      const id = bucket.id;
+      assert.match(text, new RegExp(`^fcm_bucket_info\\{bucket="${id}",name="Fotos",mode="copy",status="running"\\} 1$`, 'm'));
+      assert.match(text, new RegExp(`^fcm_files\\{bucket="${id}",status="pending"\\} 3$`, 'm'));
+      assert.match(text, new RegExp(`^fcm_workers_active\\{bucket="${id}"\\} 1$`, 'm'));
+      assert.match(text, new RegExp(`^fcm_worker_utilization_ratio\\{bucket="${id}"\\} 0.25$`, 'm'));
+    });
+
+    it('includes process, thread pool and SQLite gauges', () => {
+      const text = service.renderPrometheus();
+      assert.match(text, /^fcm_thread_pool_threads \d+$/m);
+      assert.match(text, /^fcm_sqlite_wal_bytes \d+$/m);
+      assert.match(text, /^fcm_uptime_seconds \d+$/m);
+      assert.match(text, /^fcm_process_resident_memory_bytes \d+$/m);
+    });
+
+    it('drops series of removed buckets', () => {
+      const bucket = db.createBucket(makeBucketData({ name: 'Temp' }));
+      assert.ok(service.renderPrometheus().includes(`name="Temp"`));
+      db.deleteBucket(bucket.id);
+      assert.ok(!service.renderPrometheus().includes(`name="Temp"`));
+    });
+  });
 });
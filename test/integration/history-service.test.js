@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDB, createMockBucketManager } = require('../helpers/setup');
+const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
+
+const database = require('../../src/queue/database');
+const HistoryService = require('../../src/services/history-service');
+const { localTimestamp } = HistoryService;
+const { NotFoundError } = require('../../src/errors');
+
+describe('HistoryService', () => {
+  let db, service, mgr;
+
+  beforeEach(() => {
+    db = createTestDB();
+    mock.method(database, 'getStatsByBucket', (id) => db.getStatsByBucket(id));
+    mock.method(database, 'recordStatsSnapshot', (s) => db.recordStatsSnapshot(s));
+    mock.method(database, 'pruneStatsHistory', (r) => db.pruneStatsHistory(r));
+    mock.method(database, 'pruneAttempts', (days) => db.pruneAttempts(days));
+    mock.method(database, 'getStatsHistory', (f) => db.getStatsHistory(f));
+
+    mgr = createMockBucketManager();
+    mgr.getAllBuckets = mock.fn(() => db.getAllBuckets());
+    mgr.getBucket = mock.fn((id) => db.getBucket(id));
+    service = new HistoryService(mgr, { minuteRetentionHours: 48, hourRetentionDays: 365, attemptRetentionDays: 90 });
+  });
+
+  afterEach(() => {
+    service.stop();
+    mock.restoreAll();
+  });
+
+  it('localTimestamp formats local time like SQLite localtime', () => {
+    assert.equal(localTimestamp(new Date(2025, 2, 9, 7, 5, 3)), '2025-03-09 07:05:03');
+  });
+
+  it('recordSnapshot stores the previous minute for every bucket', () => {
+    const a = db.createBucket(makeBucketData());
+    const b = db.createBucket(makeBucketData());
+    db.addFilesForBucket(a.id, makeFileRecords(2));
+
+    const now = new Date();
+    const periodStart = new Date(now);
+    periodStart.setSeconds(0, 0);
+    periodStart.setMinutes(periodStart.getMinutes() - 1);
+    assert.equal(service.recordSnapshot(now), 2);
+
+    const rows = db.db.prepare("SELECT * FROM stats_history WHERE granularity = 'minute' ORDER BY bucket_id").all();
+    assert.deepEqual(
+      rows.map((r) => [r.bucket_id, r.period_start, r.pending_count]),
+      [
+        [a.id, localTimestamp(periodStart), 2],
+        [b.id, localTimestamp(periodStart), 0],
+      ],
+    );
+  });
+
+  it('recordSnapshot counts attempts finished in the last minute', () => {
+    const bucket = db.createBucket(makeBucketData());
+    db.addAttempt({ fileId: 1, bucketId: bucket.id, result: 'copied', bytesTransferred: 6000 });
+
+    service.recordSnapshot(new Date(Date.now() + 60000));
+    const history = service.getHistory(bucket.id, { step: 'minute' });
+    assert.equal(history.points.length, 1);
+    assert.equal(history.points[0].files_copied, 1);
+    assert.equal(history.points[0].bytes_copied, 6000);
+    assert.equal(history.points[0].bytes_per_sec, 100);
+  });
+
+  it('recordSnapshot prunes attempts past retention', () => {
+    const bucket = db.createBucket(makeBucketData());
+    db.addAttempt({ fileId: 1, bucketId: bucket.id, result: 'copied' });
+    db.addAttempt({ fileId: 2, bucketId: bucket.id, result: 'copied' });
+    db.db.prepare("UPDATE file_attempts SET created_at = '2000-01-01 00:00:00' WHERE file_id = 1").run();
+
+    service.recordSnapshot();
+    const rows = db.db.prepare('SELECT file_id FROM file_attempts').all();
+    assert.deepEqual(
+      rows.map((r) => r.file_id),
+      [2],
+    );
+  });
+
+  it('getHistory defaults the range by step and converts throughput', () => {
+    const bucket = db.createBucket(makeBucketData());
+    db.db
+      .prepare(
+        "INSERT INTO stats_history (bucket_id, granularity, period_start, bytes_copied) VALUES (?, 'hour', ?, 7200)",
+      )
+      .run(bucket.id, localTimestamp(new Date(Date.now() - 3600 * 1000)));
+
+    const hourly = service.getHistory(bucket.id, {});
+    assert.equal(hourly.step, 'hour');
+    assert.equal(hourly.points.length, 1);
+    assert.equal(hourly.points[0].bytes_per_sec, 2);
+
+    const daily = service.getHistory(null, { step: 'day' });
+    assert.equal(daily.bucketId, null);
+    assert.equal(daily.points[0].bytes_copied, 7200);
+
+    const old = service.getHistory(bucket.id, { from: '2000-01-01 00:00:00', to: '2000-01-31 23:59:59' });
+    assert.equal(old.points.length, 0);
+  });
+
+  it('getHistory throws NotFoundError for unknown buckets', () => {
+    assert.throws(() => service.getHistory(999, {}), NotFoundError);
+  });
+
+  it('start arms a single timer and stop clears it', () => {
+    service.start();
+    const timer = service._timer;
+    assert.ok(timer);
+    service.start();
+    assert.equal(service._timer, timer);
+    service.stop();
+    assert.equal(service._timer, null);
+  });
+});
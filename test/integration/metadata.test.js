@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('../helpers/tempdir');
+
+const { normalizeMetadataOptions, sameMtime, metadataDiffers, applyMetadata } = require('../../src/workers/metadata');
+
+describe('metadata', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = createTempDir('metadata-test-');
+  });
+
+  after(() => {
+    removeTempDir(tmpDir);
+  });
+
+  it('normalizeMetadataOptions fills missing keys with false', () => {
+    const opts = normalizeMetadataOptions({ timestamps: true });
+    assert.equal(opts.timestamps, true);
+    assert.equal(opts.mode, false);
+    assert.equal(opts.compareMtime, false);
+    assert.equal(normalizeMetadataOptions(null).xattrs, false);
+  });
+
+  it('sameMtime compares with second resolution', () => {
+    assert.ok(sameMtime({ mtimeMs: 1500000000250 }, { mtimeMs: 1500000000999 }));
+    assert.ok(!sameMtime({ mtimeMs: 1500000000250 }, { mtimeMs: 1500000001000 }));
+  });
+
+  it('metadataDiffers only checks the enabled options', () => {
+    const source = { mtimeMs: 1500000000000, mode: 0o100640, uid: 1, gid: 1 };
+    const dest = { mtimeMs: 1600000000000, mode: 0o100644, uid: 1, gid: 1 };
+    assert.equal(metadataDiffers(source, dest, {}), false);
+    assert.equal(metadataDiffers(source, dest, { compareMtime: true }), true);
+    assert.equal(metadataDiffers(source, dest, { timestamps: true }), true);
+    assert.equal(metadataDiffers(source, { ...dest, mtimeMs: source.mtimeMs }, { timestamps: true }), false);
+    assert.equal(metadataDiffers(source, { ...source, mode: 0o100644 }, { mode: true }), true);
+  });
+
+  it('applies timestamps and permission bits', async () => {
+    const src = path.join(tmpDir, 'src.txt');
+    const dst = path.join(tmpDir, 'dst.txt');
+    fs.writeFileSync(src, 'data');
+    fs.writeFileSync(dst, 'data');
+    fs.chmodSync(src, 0o640);
+    fs.utimesSync(src, 1600000000, 1500000000);
+
+    const warnings = await applyMetadata(src, fs.statSync(src), dst, { timestamps: true, mode: true });
+    assert.deepEqual(warnings, []);
+    const stat = fs.statSync(dst);
+    assert.equal(stat.mode & 0o777, 0o640);
+    assert.equal(stat.mtimeMs, 1500000000000);
+    assert.equal(stat.atimeMs, 1600000000000);
+  });
+
+  it('leaves metadata untouched when options are disabled', async () => {
+    const src = path.join(tmpDir, 'src-off.txt');
+    const dst = path.join(tmpDir, 'dst-off.txt');
+    fs.writeFileSync(src, 'data');
+    fs.writeFileSync(dst, 'data');
+    fs.utimesSync(src, 1500000000, 1500000000);
+
+    const warnings = await applyMetadata(src, fs.statSync(src), dst, {});
+    assert.deepEqual(warnings, []);
+    assert.notEqual(fs.statSync(dst).mtimeMs, 1500000000000);
+  });
+
+  it('reports failures as warnings instead of throwing', async () => {
+    const src = path.join(tmpDir, 'src-missing.txt');
+    fs.writeFileSync(src, 'data');
+    const warnings = await applyMetadata(src, fs.statSync(src), path.join(tmpDir, 'missing.txt'), {
+      timestamps: true,
+      mode: true,
+    });
+    assert.equal(warnings.length, 2);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, populateTempDir, removeTempDir } = require('../helpers/tempdir');
+
+const { removeOrphan, availableTrashPath } = require('../../src/workers/mirror');
+
+describe('removeOrphan', () => {
+  let tmpDir, src, dst, trash;
+
+  beforeEach(() => {
+    tmpDir = createTempDir('mirror-test-');
+    populateTempDir(tmpDir, {
+      src: { 'kept.txt': 'k' },
+      dst: { 'kept.txt': 'k', 'orphan.txt': 'o', sub: { 'deep.txt': 'd' } },
+    });
+    src = path.join(tmpDir, 'src');
+    dst = path.join(tmpDir, 'dst');
+    trash = path.join(tmpDir, 'trash');
+  });
+
+  afterEach(() => {
+    removeTempDir(tmpDir);
+  });
+
+  it('deletes the destination file when no trash folder is set', async () => {
+    const outcome = await removeOrphan(path.join(dst, 'orphan.txt'), 'orphan.txt', { sourceFolders: [src] });
+    assert.equal(outcome.result, 'deleted');
+    assert.ok(!fs.existsSync(path.join(dst, 'orphan.txt')));
+  });
+
+  it('moves the file into the trash tree keeping its relative path', async () => {
+    const rel = path.join('sub', 'deep.txt');
+    const outcome = await removeOrphan(path.join(dst, rel), rel, { sourceFolders: [src], trashFolder: trash });
+    assert.equal(outcome.result, 'trashed');
+    assert.equal(outcome.trashPath, path.join(trash, rel));
+    assert.equal(fs.readFileSync(path.join(trash, rel), 'utf-8'), 'd');
+  });
+
+  it('does not overwrite an earlier version in the trash', async () => {
+    populateTempDir(trash, { 'orphan.txt': 'older' });
+    const outcome = await removeOrphan(path.join(dst, 'orphan.txt'), 'orphan.txt', { trashFolder: trash });
+    assert.notEqual(outcome.trashPath, path.join(trash, 'orphan.txt'));
+    assert.equal(fs.readFileSync(path.join(trash, 'orphan.txt'), 'utf-8'), 'older');
+    assert.equal(fs.readFileSync(outcome.trashPath, 'utf-8'), 'o');
+  });
+
+  it('skips files that reappeared in a source folder', async () => {
+    const outcome = await removeOrphan(path.join(dst, 'kept.txt'), 'kept.txt', { sourceFolders: [src] });
+    assert.equal(outcome.result, 'skipped');
+    assert.ok(fs.existsSync(path.join(dst, 'kept.txt')));
+  });
+
+  it('skips files already gone from the destination', async () => {
+    const outcome = await removeOrphan(path.join(dst, 'gone.txt'), 'gone.txt', { sourceFolders: [src] });
+    assert.equal(outcome.result, 'skipped');
+  });
+
+  it('availableTrashPath keeps the extension when adding a suffix', async () => {
+    populateTempDir(trash, { 'a.txt': 'x' });
+    const candidate = await availableTrashPath(path.join(trash, 'a.txt'));
+    assert.match(path.basename(candidate), /^a\.\d+\.txt$/);
+  });
+});
@@ -28,12 +28,19 @@ describe('scanner', () => {
   beforeEach(() => {
     db = createTestDB();
     mock.method(database, 'addFilesForBucket', (bucketId, files) => db.addFilesForBucket(bucketId, files));
+    mock.method(database, 'syncScannedFilesForBucket', (bucketId, files, token) =>
+      db.syncScannedFilesForBucket(bucketId, files, token));
+    mock.method(database, 'getUnseenFilesForFolder', (bucketId, folder, token) =>
+      db.getUnseenFilesForFolder(bucketId, folder, token));
+    mock.method(database, 'markSourceMissing', (bucketId, files) => db.markSourceMissing(bucketId, files));
     mock.method(database, 'getAllBuckets', () => db.getAllBuckets());
     mock.method(database, 'createBucket', (data) => db.createBucket(data));
     mock.method(database, 'getBucket', (id) => db.getBucket(id));
+    mock.method(database, 'queueMirrorDeletions', (bucketId, folder, orphans, token) =>
+      db.queueMirrorDeletions(bucketId, folder, orphans, token));
   });
 
-  const { scanBucket, scanAll } = require('../../src/scanner');
+  const { scanBucket, scanAll, planBucket, findMirrorOrphans } = require('../../src/scanner');
 
   it('scanBucket finds files in source folders', async () => {
     const sourceDir = path.join(tmpDir, 'src-' + Date.now());
@@ -116,6 +123,276 @@ describe('scanner', () => {
     assert.ok(stats.pending.count >= 1);
   });
 
+  it('scanBucket applies exclude globs and skips excluded subtrees', async () => {
+    const sourceDir = path.join(tmpDir, 'filters-' + Date.now());
+    populateTempDir(sourceDir, {
+      '12345678.pdf': 'keep',
+      'scratch.tmp': 'drop',
+      node_modules: { 'pkg.pdf': 'drop' },
+      sub: { '87654321.pdf': 'keep', 'other.tmp': 'drop' },
+    });
+
+    const bucket = db.createBucket(makeBucketData({
+      sourceFolders: [sourceDir],
+      destinationFolder: destDir,
+      filters: { exclude: ['**/*.tmp', 'node_modules/'] },
+    }));
+    const result = await scanBucket(bucket);
+    assert.equal(result.found, 2);
+    assert.equal(result.filtered, 3);
+    const files = db.getFilesByStatusForBucket(bucket.id, 'all', 100, 0).map((f) => f.relative_path).sort();
+    assert.deepEqual(files, ['12345678.pdf', path.join('sub', '87654321.pdf')]);
+  });
+
+  it('scanBucket applies include globs and size limits', async () => {
+    const sourceDir = path.join(tmpDir, 'include-' + Date.now());
+    populateTempDir(sourceDir, {
+      'small.pdf': 'x',
+      'large.pdf': 'x'.repeat(100),
+      'large.txt': 'x'.repeat(100),
+    });
+
+    const bucket = db.createBucket(makeBucketData({
+      sourceFolders: [sourceDir],
+      destinationFolder: destDir,
+      filters: { include: ['*.pdf'], minSize: 10 },
+    }));
+    const result = await scanBucket(bucket);
+    assert.equal(result.found, 1);
+    const [file] = db.getFilesByStatusForBucket(bucket.id, 'all', 100, 0);
+    assert.equal(file.relative_path, 'large.pdf');
+  });
+
+  it('scanBucket assigns priority from the bucket rules', async () => {
+    const sourceDir = path.join(tmpDir, 'priority-' + Date.now());
+    populateTempDir(sourceDir, {
+      'urgente/a.pdf': 'x'.repeat(100),
+      'b.mov': 'x',
+      'c.pdf': 'x'.repeat(100),
+    });
+
+    const bucket = db.createBucket(makeBucketData({
+      sourceFolders: [sourceDir],
+      destinationFolder: destDir,
+      priorityRules: [
+        { pattern: 'urgente/', priority: 20 },
+        { extensions: ['mov'], priority: -1 },
+      ],
+    }));
+    await scanBucket(bucket);
+    const priorities = Object.fromEntries(
+      db.getFilesByStatusForBucket(bucket.id, 'all', 100, 0).map((f) => [f.relative_path, f.priority]),
+    );
+    assert.deepEqual(priorities, { [path.join('urgente', 'a.pdf')]: 20, 'b.mov': -1, 'c.pdf': 0 });
+  });
+
+  it('rescan re-queues modified files as a new generation', async () => {
+    const sourceDir = path.join(tmpDir, 'modified-' + Date.now());
+    fs.mkdirSync(sourceDir, { recursive: true });
+    const filePath = path.join(sourceDir, '12345678.pdf');
+    fs.writeFileSync(filePath, 'v1');
+
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+    await scanBucket(bucket);
+    const [file] = db.getNextPendingForBucket(bucket.id, 1, 1);
+    db.updateStatus(file.id, 'completed', { sourceHash: 'aaa', destinationHash: 'aaa', completedAt: 'now' });
+
+    fs.writeFileSync(filePath, 'version 2');
+    const result = await scanBucket(bucket);
+    assert.equal(result.modified, 1);
+    assert.equal(result.added, 0);
+
+    const row = db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(file.id);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.generation, 2);
+    assert.equal(row.file_size, 9);
+    assert.equal(row.previous_destination_hash, 'aaa');
+    assert.equal(row.source_hash, null);
+  });
+
+  it('rescan leaves unchanged files alone', async () => {
+    const sourceDir = path.join(tmpDir, 'unchanged-' + Date.now());
+    fs.mkdirSync(sourceDir, { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, '12345678.pdf'), 'same');
+
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+    await scanBucket(bucket);
+    const result = await scanBucket(bucket);
+    assert.equal(result.modified, 0);
+    assert.equal(result.missing, 0);
+  });
+
+  it('rescan flags deleted source files as source_missing', async () => {
+    const sourceDir = path.join(tmpDir, 'deleted-' + Date.now());
+    fs.mkdirSync(sourceDir, { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, '12345678.pdf'), 'a');
+    fs.writeFileSync(path.join(sourceDir, '87654321.pdf'), 'b');
+
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+    await scanBucket(bucket);
+    fs.unlinkSync(path.join(sourceDir, '87654321.pdf'));
+
+    const result = await scanBucket(bucket);
+    assert.equal(result.missing, 1);
+    const stats = db.getStatsByBucket(bucket.id);
+    assert.equal(stats.source_missing.count, 1);
+    assert.equal(stats.pending.count, 1);
+
+    const folders = db.getStatsByBucketGroupedByFolder(bucket.id);
+    assert.equal(folders[sourceDir].source_missing.count, 1);
+  });
+
+  it('rescan restores a reappeared file to pending', async () => {
+    const sourceDir = path.join(tmpDir, 'reappear-' + Date.now());
+    fs.mkdirSync(sourceDir, { recursive: true });
+    const filePath = path.join(sourceDir, '12345678.pdf');
+    fs.writeFileSync(filePath, 'a');
+
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+    await scanBucket(bucket);
+    fs.unlinkSync(filePath);
+    await scanBucket(bucket);
+    fs.writeFileSync(filePath, 'a');
+
+    await scanBucket(bucket);
+    const stats = db.getStatsByBucket(bucket.id);
+    assert.equal(stats.source_missing.count, 0);
+    assert.equal(stats.pending.count, 1);
+  });
+
+  it('files excluded by filters are not flagged as missing', async () => {
+    const sourceDir = path.join(tmpDir, 'excluded-' + Date.now());
+    fs.mkdirSync(sourceDir, { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, 'a.tmp'), 'a');
+
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+    await scanBucket(bucket);
+    const filtered = db.updateBucket(bucket.id, { filters: { exclude: ['*.tmp'] } });
+
+    const result = await scanBucket(filtered);
+    assert.equal(result.missing, 0);
+  });
+
+  describe('dry run', () => {
+    function planFixture(name) {
+      const base = path.join(tmpDir, name + '-' + Date.now());
+      populateTempDir(base, {
+        src: {
+          'synced.txt': 'same',
+          'conflict.txt': 'source version',
+          'new.txt': '12345',
+          big: { 'huge.bin': 'x'.repeat(100), deep: { 'mid.bin': 'y'.repeat(50) } },
+        },
+        dst: { 'synced.txt': 'same', 'conflict.txt': 'other' },
+      });
+      return { src: path.join(base, 'src'), dst: path.join(base, 'dst') };
+    }
+
+    it('planBucket summarizes the work without touching the queue', async () => {
+      const { src, dst } = planFixture('plan');
+      const bucket = db.createBucket(makeBucketData({ sourceFolders: [src], destinationFolder: dst }));
+      const plan = await planBucket(bucket);
+
+      assert.equal(plan.dryRun, true);
+      assert.equal(plan.found, 5);
+      assert.deepEqual(plan.toCopy, { count: 3, totalSize: 155 });
+      assert.deepEqual(plan.synced, { count: 1, totalSize: 4 });
+      assert.deepEqual(plan.conflicts, { count: 1, totalSize: 14 });
+      assert.equal(plan.conflictFiles[0].sourcePath, path.join(src, 'conflict.txt'));
+      assert.deepEqual(plan.largestFiles.map((f) => f.fileSize), [100, 50, 5]);
+      assert.deepEqual(plan.largestDirectories, [
+        { path: path.join(src, 'big'), count: 2, totalSize: 150 },
+        { path: path.join(src, 'big', 'deep'), count: 1, totalSize: 50 },
+      ]);
+      assert.equal(plan.deletions, undefined);
+      assert.equal(db.db.prepare('SELECT COUNT(*) AS n FROM file_queue').get().n, 0);
+    });
+
+    it('planBucket honours filters, the top limit and missing folders', async () => {
+      const { src, dst } = planFixture('plan-filters');
+      const missing = path.join(tmpDir, 'plan-missing-' + Date.now());
+      const bucket = db.createBucket(makeBucketData({
+        sourceFolders: [src, missing],
+        destinationFolder: dst,
+        filters: { exclude: ['big/**'] },
+      }));
+      const plan = await planBucket(bucket, { top: 1 });
+
+      assert.equal(plan.filtered, 1);
+      assert.deepEqual(plan.toCopy, { count: 1, totalSize: 5 });
+      assert.equal(plan.largestFiles.length, 1);
+      assert.deepEqual(plan.missingFolders, [missing]);
+    });
+
+    it('planBucket reports mirror deletions for mirror buckets', async () => {
+      const { src, dst } = planFixture('plan-mirror');
+      fs.writeFileSync(path.join(dst, 'orphan.txt'), 'abc');
+      const bucket = db.createBucket(makeBucketData({ sourceFolders: [src], destinationFolder: dst, mode: 'mirror' }));
+      const plan = await planBucket(bucket);
+      assert.deepEqual(plan.deletions, { skipped: null, count: 1, totalSize: 3 });
+      assert.equal(db.db.prepare('SELECT COUNT(*) AS n FROM file_queue').get().n, 0);
+    });
+  });
+
+  describe('mirror mode', () => {
+    function mirrorFixture(name) {
+      const base = path.join(tmpDir, name + '-' + Date.now());
+      populateTempDir(base, {
+        src: { 'keep.txt': 'k', sub: { 'nested.txt': 'n' } },
+        dst: { 'keep.txt': 'k', 'orphan.txt': 'o', sub: { 'nested.txt': 'n', 'old.txt': 'x' }, trash: { 'prev.txt': 'p' } },
+      });
+      return { src: path.join(base, 'src'), dst: path.join(base, 'dst') };
+    }
+
+    it('findMirrorOrphans lists destination files missing from every source', async () => {
+      const { src, dst } = mirrorFixture('orphans');
+      const bucket = db.createBucket(makeBucketData({
+        sourceFolders: [src],
+        destinationFolder: dst,
+        trashFolder: path.join(dst, 'trash'),
+      }));
+      const { skipped, orphans } = await findMirrorOrphans(bucket);
+      assert.equal(skipped, null);
+      assert.deepEqual(orphans.map((o) => o.relativePath).sort(), ['orphan.txt', path.join('sub', 'old.txt')]);
+    });
+
+    it('findMirrorOrphans refuses to run when a source folder is unavailable', async () => {
+      const { src, dst } = mirrorFixture('unavailable');
+      const bucket = db.createBucket(makeBucketData({
+        sourceFolders: [src, path.join(tmpDir, 'does-not-exist')],
+        destinationFolder: dst,
+      }));
+      const { skipped, orphans } = await findMirrorOrphans(bucket);
+      assert.ok(skipped);
+      assert.equal(orphans.length, 0);
+    });
+
+    it('findMirrorOrphans refuses to run when a source folder is empty', async () => {
+      const { dst } = mirrorFixture('empty');
+      const emptySource = path.join(tmpDir, 'empty-src-' + Date.now());
+      fs.mkdirSync(emptySource, { recursive: true });
+      const bucket = db.createBucket(makeBucketData({ sourceFolders: [emptySource], destinationFolder: dst }));
+      const { skipped } = await findMirrorOrphans(bucket);
+      assert.match(skipped, /vazia/);
+    });
+
+    it('scanBucket queues deletions only in mirror mode', async () => {
+      const { src, dst } = mirrorFixture('queue');
+      const copyBucket = db.createBucket(makeBucketData({ sourceFolders: [src], destinationFolder: dst }));
+      assert.equal((await scanBucket(copyBucket)).deletions, 0);
+
+      const mirrorBucket = db.updateBucket(copyBucket.id, { mode: 'mirror' });
+      const result = await scanBucket(mirrorBucket);
+      assert.equal(result.deletions, 3);
+      const rows = db.db.prepare("SELECT * FROM file_queue WHERE operation = 'delete'").all();
+      assert.equal(rows.length, 3);
+      assert.ok(rows.every((r) => r.status === 'awaiting_approval' && r.source_path === r.destination_path));
+      assert.equal(db.getStatsByBucket(mirrorBucket.id).pending.count, 0);
+
+      assert.equal((await scanBucket(mirrorBucket)).deletions, 0);
+    });
+  });
+
   it('scanAll scans all buckets', async () => {
     const src1 = path.join(tmpDir, 'all1-' + Date.now());
     const src2 = path.join(tmpDir, 'all2-' + Date.now());
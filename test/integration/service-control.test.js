@@ -55,6 +55,18 @@ describe('ServiceControlService', () => {
     assert.deepEqual(result, mockStatus);
   });
 
+  it('setBandwidthLimit calls setBandwidthLimit and returns status', () => {
+    const result = service.setBandwidthLimit(1, 1048576);
+    assert.deepEqual(mgr.setBandwidthLimit.mock.calls[0].arguments, [1, 1048576]);
+    assert.deepEqual(result, mockStatus);
+  });
+
+  it('setGlobalBandwidthLimit delegates to the manager', () => {
+    const snapshot = { global: { limit: 100, throughput: 0 }, buckets: {} };
+    mgr.setGlobalBandwidthLimit.mock.mockImplementation(() => snapshot);
+    assert.deepEqual(service.setGlobalBandwidthLimit(100), snapshot);
+  });
+
   it('throws NotFoundError when message contains "não encontrado"', () => {
     mgr.getBucketStatus.mock.mockImplementation(() => {
       throw new Error('Bucket 99 não encontrado');
@@ -0,0 +1,53 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, populateTempDir, removeTempDir } = require('../helpers/tempdir');
+
+const { pruneEmptyParents, removeSource } = require('../../src/workers/source-removal');
+
+describe('source removal', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = createTempDir('source-removal-test-');
+    populateTempDir(tmpDir, {
+      a: { b: { 'file.txt': 'data' }, 'other.txt': 'keep' },
+    });
+  });
+
+  afterEach(() => {
+    removeTempDir(tmpDir);
+  });
+
+  it('removeSource deletes the file when it is unchanged', async () => {
+    const file = path.join(tmpDir, 'a', 'b', 'file.txt');
+    const pruned = await removeSource(file, fs.statSync(file));
+    assert.deepEqual(pruned, []);
+    assert.ok(!fs.existsSync(file));
+    assert.ok(fs.existsSync(path.join(tmpDir, 'a', 'b')));
+  });
+
+  it('removeSource keeps the file when it changed after the copy started', async () => {
+    const file = path.join(tmpDir, 'a', 'b', 'file.txt');
+    const stat = fs.statSync(file);
+    fs.appendFileSync(file, 'more');
+    await assert.rejects(() => removeSource(file, stat), /alterada/);
+    assert.ok(fs.existsSync(file));
+  });
+
+  it('prunes empty parents up to the source folder', async () => {
+    const file = path.join(tmpDir, 'a', 'b', 'file.txt');
+    const pruned = await removeSource(file, fs.statSync(file), { sourceFolder: tmpDir, pruneEmptyDirs: true });
+    assert.deepEqual(pruned, [path.join(tmpDir, 'a', 'b')]);
+    assert.ok(fs.existsSync(path.join(tmpDir, 'a')));
+  });
+
+  it('never removes the source folder itself', async () => {
+    fs.rmSync(path.join(tmpDir, 'a'), { recursive: true });
+    fs.mkdirSync(path.join(tmpDir, 'x', 'y'), { recursive: true });
+    const pruned = await pruneEmptyParents(path.join(tmpDir, 'x', 'y'), tmpDir);
+    assert.equal(pruned.length, 2);
+    assert.ok(fs.existsSync(tmpDir));
+  });
+});
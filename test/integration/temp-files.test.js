@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, populateTempDir, removeTempDir } = require('../helpers/tempdir');
+
+const { tempPathFor, isTempFileName, cleanupOrphanedTempFiles } = require('../../src/workers/temp-files');
+
+describe('temp files', () => {
+  it('tempPathFor returns a hidden name in the same directory', () => {
+    const temp = tempPathFor(path.join('/dest', 'docs', 'report.pdf'));
+    assert.equal(temp, path.join('/dest', 'docs', '.report.pdf.fcmpart'));
+    assert.ok(isTempFileName(path.basename(temp)));
+  });
+
+  it('isTempFileName rejects regular files', () => {
+    assert.equal(isTempFileName('report.pdf'), false);
+    assert.equal(isTempFileName('report.pdf.fcmpart'), false);
+    assert.equal(isTempFileName('.hidden'), false);
+  });
+
+  describe('cleanupOrphanedTempFiles', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = createTempDir('tempfiles-test-');
+      populateTempDir(tmpDir, {
+        'a.txt': 'a',
+        '.a.txt.fcmpart': 'partial',
+        sub: { '.b.txt.fcmpart': 'partial', '.c.txt.fcmpart': 'resumable' },
+      });
+    });
+
+    afterEach(() => {
+      removeTempDir(tmpDir);
+    });
+
+    it('removes temp files recursively and keeps regular files', async () => {
+      const removed = await cleanupOrphanedTempFiles([tmpDir], []);
+      assert.equal(removed, 3);
+      assert.ok(fs.existsSync(path.join(tmpDir, 'a.txt')));
+      assert.ok(!fs.existsSync(path.join(tmpDir, '.a.txt.fcmpart')));
+      assert.ok(!fs.existsSync(path.join(tmpDir, 'sub', '.b.txt.fcmpart')));
+    });
+
+    it('keeps temp files that can still be resumed', async () => {
+      const keep = [tempPathFor(path.join(tmpDir, 'sub', 'c.txt'))];
+      const removed = await cleanupOrphanedTempFiles([tmpDir, tmpDir], keep);
+      assert.equal(removed, 2);
+      assert.ok(fs.existsSync(path.join(tmpDir, 'sub', '.c.txt.fcmpart')));
+    });
+
+    it('ignores missing folders', async () => {
+      const removed = await cleanupOrphanedTempFiles([path.join(tmpDir, 'missing')], []);
+      assert.equal(removed, 0);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createTempDir, removeTempDir } = require('../helpers/tempdir');
+const { createTestDB } = require('../helpers/setup');
+const { makeBucketData } = require('../helpers/fixtures');
+
+const database = require('../../src/queue/database');
+const logger = require('../../src/logger');
+const BucketWatcher = require('../../src/watcher');
+
+function waitFor(predicate, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timeout'));
+      setTimeout(tick, 25);
+    };
+    tick();
+  });
+}
+
+describe('BucketWatcher', () => {
+  let tmpDir, destDir, db, watcher;
+
+  before(() => {
+    tmpDir = createTempDir('watcher-test-');
+    destDir = createTempDir('watcher-dest-');
+
+    mock.method(logger, 'log', () => {});
+    mock.method(logger, 'system', () => {});
+  });
+
+  after(() => {
+    removeTempDir(tmpDir);
+    removeTempDir(destDir);
+  });
+
+  beforeEach(() => {
+    db = createTestDB();
+    mock.method(database, 'syncScannedFilesForBucket', (bucketId, files, token) =>
+      db.syncScannedFilesForBucket(bucketId, files, token));
+    mock.method(database, 'getUnseenFilesForFolder', (bucketId, folder, token) =>
+      db.getUnseenFilesForFolder(bucketId, folder, token));
+    mock.method(database, 'markSourceMissing', (bucketId, files) => db.markSourceMissing(bucketId, files));
+    mock.method(database, 'getBucket', (id) => db.getBucket(id));
+  });
+
+  afterEach(async () => {
+    if (watcher) await watcher.stop();
+    watcher = null;
+  });
+
+  function makeSource(name) {
+    const dir = path.join(tmpDir, name + '-' + Date.now());
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  function queuedPaths(bucketId) {
+    return db.getFilesByStatusForBucket(bucketId, 'pending', 100, 0).map((f) => f.relative_path);
+  }
+
+  it('initial reconcile queues existing files', async () => {
+    const sourceDir = makeSource('initial');
+    fs.writeFileSync(path.join(sourceDir, 'existing.pdf'), 'data');
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+
+    watcher = new BucketWatcher(bucket, { debounceMs: 50, reconcileIntervalMs: 0 });
+    watcher.start();
+    await watcher.reconcile();
+    assert.deepEqual(queuedPaths(bucket.id), ['existing.pdf']);
+    assert.ok(watcher.getStatus().lastReconcileAt);
+  });
+
+  it('queues files created after start once they are stable', async () => {
+    const sourceDir = makeSource('created');
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+
+    watcher = new BucketWatcher(bucket, { debounceMs: 50, reconcileIntervalMs: 0 });
+    const events = [];
+    watcher.on('files-queued', (data) => events.push(data));
+    watcher.start();
+    await watcher.reconcile();
+
+    fs.mkdirSync(path.join(sourceDir, 'sub'));
+    fs.writeFileSync(path.join(sourceDir, 'sub', 'new.pdf'), 'hello');
+
+    await waitFor(() => queuedPaths(bucket.id).length === 1);
+    assert.deepEqual(queuedPaths(bucket.id), [path.join('sub', 'new.pdf')]);
+    assert.equal(events.at(-1).bucketId, bucket.id);
+  });
+
+  it('respects bucket filters', async () => {
+    const sourceDir = makeSource('filtered');
+    const bucket = db.createBucket(makeBucketData({
+      sourceFolders: [sourceDir],
+      destinationFolder: destDir,
+      filters: { exclude: ['*.tmp'] },
+    }));
+
+    watcher = new BucketWatcher(bucket, { debounceMs: 50, reconcileIntervalMs: 0 });
+    watcher.start();
+    await watcher.reconcile();
+
+    fs.writeFileSync(path.join(sourceDir, 'skip.tmp'), 'x');
+    fs.writeFileSync(path.join(sourceDir, 'keep.pdf'), 'x');
+
+    await waitFor(() => queuedPaths(bucket.id).length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 400));
+    assert.deepEqual(queuedPaths(bucket.id), ['keep.pdf']);
+  });
+
+  it('stop clears pending work and reports inactive', async () => {
+    const sourceDir = makeSource('stop');
+    const bucket = db.createBucket(makeBucketData({ sourceFolders: [sourceDir], destinationFolder: destDir }));
+
+    watcher = new BucketWatcher(bucket, { debounceMs: 1000, reconcileIntervalMs: 0 });
+    watcher.start();
+    await watcher.reconcile();
+    fs.writeFileSync(path.join(sourceDir, 'late.pdf'), 'x');
+    await waitFor(() => watcher.getStatus().pendingFiles > 0);
+
+    await watcher.stop();
+    const status = watcher.getStatus();
+    assert.equal(status.active, false);
+    assert.equal(status.pendingFiles, 0);
+    assert.equal(status.watchedFolders, 0);
+  });
+});
@@ -1,9 +1,12 @@
-const { describe, it, beforeEach, mock } = require('node:test');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
 const assert = require('node:assert/strict');
 const { createTestDB } = require('../helpers/setup');
-const { makeBucketData } = require('../helpers/fixtures');
+const { makeBucketData, makeFileRecords } = require('../helpers/fixtures');
 
 const database = require('../../src/queue/database');
+const logger = require('../../src/logger');
+const threadPool = require('../../src/workers/thread-pool');
+const metrics = require('../../src/metrics');
 const WorkerPool = require('../../src/workers');
 
 describe('WorkerPool', () => {
@@ -115,6 +118,19 @@ describe('WorkerPool', () => {
     assert.equal(pool.status, 'stopped');
   });
 
+  it('stop cancels in-flight copies so they can resume later', async () => {
+    const threadPool = require('../../src/workers/thread-pool');
+    const cancel = mock.method(threadPool, 'cancelBucket', () => {});
+    const pool = new WorkerPool(bucket.id, 4);
+    pool.start();
+    pool.activeWorkers = 1;
+    const stopped = pool.stop();
+    assert.deepEqual(cancel.mock.calls[0].arguments, [bucket.id]);
+    pool.activeWorkers = 0;
+    await stopped;
+    cancel.mock.restore();
+  });
+
   it('stop when already stopped resolves immediately', async () => {
     const pool = new WorkerPool(bucket.id, 4);
     await pool.stop();
@@ -129,6 +145,15 @@ describe('WorkerPool', () => {
     assert.equal(result2, 16);
   });
 
+  it('setBandwidthLimit persists and clamps negative values', () => {
+    const pool = new WorkerPool(bucket.id, 4);
+    assert.equal(pool.setBandwidthLimit(-10), 0);
+    assert.equal(pool.setBandwidthLimit(1048576), 1048576);
+    assert.deepEqual(database.updateBucket.mock.calls.at(-1).arguments, [bucket.id, { bandwidthLimit: 1048576 }]);
+    assert.equal(pool.getStatus().bandwidthLimit, 1048576);
+    pool.setBandwidthLimit(0);
+  });
+
   it('getStatus returns correct shape', () => {
     const pool = new WorkerPool(bucket.id, 4);
     const status = pool.getStatus();
@@ -136,5 +161,401 @@ describe('WorkerPool', () => {
     assert.equal(status.status, 'stopped');
     assert.equal(status.workerCount, 4);
     assert.equal(status.activeWorkers, 0);
+    assert.equal(status.autoPaused, false);
+    assert.equal(status.copyWindowOpen, true);
+    assert.equal(status.rate.bytesPerSec, 0);
+    assert.equal(status.rate.remainingFiles, 0);
+    assert.equal(status.rate.etaSeconds, 0);
+  });
+
+  describe('conflict policies', () => {
+    const conflict = {
+      result: 'conflict',
+      sourceHash: 'a'.repeat(64),
+      destHash: 'b'.repeat(64),
+      sourceSize: 10,
+      sourceMtime: 2000,
+      destSize: 20,
+      destMtime: 1000,
+    };
+    const copied = { result: 'copied', sourceHash: 'a'.repeat(64), destHash: 'a'.repeat(64) };
+    let file;
+
+    beforeEach(() => {
+      mock.method(database, 'updateStatusWithMeta', (...args) => db.updateStatusWithMeta(...args));
+      mock.method(logger, 'log', () => {});
+      db.addFilesForBucket(bucket.id, makeFileRecords(1));
+      [file] = db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/source', 1, 1);
+    });
+
+    afterEach(() => {
+      logger.log.mock.restore();
+    });
+
+    it('ask leaves the file in conflict', async () => {
+      const processFile = mock.method(threadPool, 'processFile', async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.callCount(), 1);
+      assert.equal(db.db.prepare('SELECT status FROM file_queue WHERE id = ?').get(file.id).status, 'conflict');
+    });
+
+    it('overwrite copies again accepting the conflicting destination', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'overwrite' });
+      const processFile = mock.method(threadPool, 'processFile', async () => copied);
+      processFile.mock.mockImplementationOnce(async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.calls[1].arguments[0].previousDestinationHash, conflict.destHash);
+      assert.equal(db.db.prepare('SELECT status FROM file_queue WHERE id = ?').get(file.id).status, 'completed');
+      assert.match(logger.log.mock.calls.at(-1).arguments[1].message, /politica "overwrite"/);
+    });
+
+    it('skip completes without copying', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'skip' });
+      const processFile = mock.method(threadPool, 'processFile', async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.callCount(), 1);
+      assert.equal(db.db.prepare('SELECT status FROM file_queue WHERE id = ?').get(file.id).status, 'completed');
+      assert.equal(logger.log.mock.calls.at(-1).arguments[0], 'conflict');
+    });
+
+    it('keep-newer overwrites when the source is newer', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'keep-newer' });
+      const processFile = mock.method(threadPool, 'processFile', async () => copied);
+      processFile.mock.mockImplementationOnce(async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.callCount(), 2);
+    });
+
+    it('keep-newer keeps the destination when the source is older', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'keep-newer' });
+      const processFile = mock.method(threadPool, 'processFile', async () => ({ ...conflict, sourceMtime: 500 }));
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.callCount(), 1);
+      assert.equal(db.db.prepare('SELECT status FROM file_queue WHERE id = ?').get(file.id).status, 'completed');
+    });
+
+    it('keep-larger keeps the destination when the source is smaller', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'keep-larger' });
+      const processFile = mock.method(threadPool, 'processFile', async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.callCount(), 1);
+    });
+
+    it('keep-larger overwrites when the source is larger', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'keep-larger' });
+      const processFile = mock.method(threadPool, 'processFile', async () => copied);
+      processFile.mock.mockImplementationOnce(async () => ({ ...conflict, sourceSize: 30 }));
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(processFile.mock.callCount(), 2);
+    });
+
+    it('rename writes a numbered copy and records its path', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'rename' });
+      const processFile = mock.method(threadPool, 'processFile', async () => copied);
+      processFile.mock.mockImplementationOnce(async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      const expected = file.destination_path.replace(/\.pdf$/, ' (1).pdf');
+      const task = processFile.mock.calls[1].arguments[0];
+      assert.equal(task.destinationPath, expected);
+      assert.equal(task.resume, null);
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.status, 'completed');
+      assert.equal(row.destination_path, file.destination_path);
+      assert.equal(row.resolved_destination_path, expected);
+    });
+  });
+
+  describe('priority', () => {
+    function claimedFolder(counts) {
+      const folders = db.createBucket(makeBucketData({ sourceFolders: ['/tmp/lane-a', '/tmp/lane-b'] }));
+      mock.method(database, 'getActiveFolderCounts', () => counts);
+      const claim = mock.method(database, 'getNextPendingForBucketAndFolder', () => []);
+      const pool = new WorkerPool(folders.id, 2);
+      pool.status = 'running';
+      pool._refreshBucketCache();
+      pool._processLoop();
+      clearTimeout(pool._loopTimer);
+      pool._loopTimer = null;
+      return claim.mock.calls.length ? claim.mock.calls[0].arguments[1] : null;
+    }
+
+    it('keeps folder order when priorities are equal', () => {
+      const folder = claimedFolder({
+        '/tmp/lane-a': { pending: 3, inProgress: 0, topPriority: 0 },
+        '/tmp/lane-b': { pending: 3, inProgress: 0, topPriority: 0 },
+      });
+      assert.equal(folder, '/tmp/lane-a');
+    });
+
+    it('moves to a later folder holding higher priority work', () => {
+      const folder = claimedFolder({
+        '/tmp/lane-a': { pending: 3, inProgress: 1, topPriority: 0 },
+        '/tmp/lane-b': { pending: 1, inProgress: 0, topPriority: 5 },
+      });
+      assert.equal(folder, '/tmp/lane-b');
+    });
+
+    it('waits for in-progress copies of the current folder without higher priority elsewhere', () => {
+      const folder = claimedFolder({
+        '/tmp/lane-a': { pending: 0, inProgress: 2, topPriority: null },
+        '/tmp/lane-b': { pending: 3, inProgress: 0, topPriority: 0 },
+      });
+      assert.equal(folder, null);
+    });
+  });
+
+  describe('automatic retry', () => {
+    let file;
+
+    beforeEach(() => {
+      mock.method(database, 'updateStatusWithMeta', (...args) => db.updateStatusWithMeta(...args));
+      mock.method(database, 'scheduleRetry', (...args) => db.scheduleRetry(...args));
+      mock.method(logger, 'log', () => {});
+      db.addFilesForBucket(bucket.id, makeFileRecords(1));
+      [file] = db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/source', 1, 1);
+    });
+
+    afterEach(() => {
+      logger.log.mock.restore();
+    });
+
+    it('requeues transient errors with a delay', async () => {
+      const busy = { result: 'error', code: 'EBUSY', message: 'EBUSY: resource busy' };
+      const processFile = mock.method(threadPool, 'processFile', async () => busy);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.status, 'pending');
+      assert.equal(row.attempt_count, 1);
+      assert.ok(row.next_attempt_at);
+      assert.equal(row.error_message, 'EBUSY: resource busy');
+      const [event, entry] = logger.log.mock.calls.at(-1).arguments;
+      assert.equal(event, 'pending');
+      assert.match(entry.message, /Nova tentativa 2\/5 em 5s/);
+      assert.equal(db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/source', 1, 1).length, 0);
+    });
+
+    it('fails permanent errors immediately', async () => {
+      const missing = { result: 'error', code: 'ENOENT', message: 'ENOENT: no such file' };
+      const processFile = mock.method(threadPool, 'processFile', async () => missing);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.status, 'error');
+      assert.equal(row.attempt_count, 1);
+      assert.equal(row.next_attempt_at, null);
+      assert.equal(logger.log.mock.calls.at(-1).arguments[0], 'error');
+    });
+
+    it('gives up after the last attempt', async () => {
+      file.attempt_count = 4;
+      const timeout = { result: 'error', code: 'ETIMEDOUT', message: 'ETIMEDOUT' };
+      const processFile = mock.method(threadPool, 'processFile', async () => timeout);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      const row = db.db.prepare('SELECT * FROM file_queue WHERE id = ?').get(file.id);
+      assert.equal(row.status, 'error');
+      assert.equal(row.attempt_count, 5);
+    });
+  });
+
+  describe('attempt history', () => {
+    let file;
+
+    beforeEach(() => {
+      mock.method(database, 'updateStatusWithMeta', (...args) => db.updateStatusWithMeta(...args));
+      mock.method(database, 'scheduleRetry', (...args) => db.scheduleRetry(...args));
+      mock.method(database, 'addAttempt', (attempt) => db.addAttempt(attempt));
+      mock.method(logger, 'log', () => {});
+      db.addFilesForBucket(bucket.id, makeFileRecords(1));
+      [file] = db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/source', 1, 1);
+    });
+
+    afterEach(() => {
+      logger.log.mock.restore();
+    });
+
+    it('records the failing phase, code, thread and bytes', async () => {
+      const denied = { result: 'error', code: 'EACCES', phase: 'write', message: 'EACCES: denied' };
+      const processFile = mock.method(threadPool, 'processFile', async () => ({
+        ...denied,
+        threadId: 2,
+        bytesTransferred: 4096,
+      }));
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 7);
+      processFile.mock.restore();
+      assert.equal(db.db.prepare('SELECT error_code FROM file_queue WHERE id = ?').get(file.id).error_code, 'EACCES');
+      const attempts = db.getAttemptsForFile(file.id);
+      assert.equal(attempts.length, 1);
+      const [attempt] = attempts;
+      assert.equal(attempt.attempt, 1);
+      assert.equal(attempt.result, 'error');
+      assert.equal(attempt.error_code, 'EACCES');
+      assert.equal(attempt.phase, 'write');
+      assert.equal(attempt.error_message, 'EACCES: denied');
+      assert.equal(attempt.worker_id, 7);
+      assert.equal(attempt.thread_id, 2);
+      assert.equal(attempt.bytes_transferred, 4096);
+      assert.ok(attempt.duration_ms >= 0);
+    });
+
+    it('keeps every attempt across retries, newest first', async () => {
+      const busy = { result: 'error', code: 'EBUSY', phase: 'read', message: 'EBUSY' };
+      const processFile = mock.method(threadPool, 'processFile', async () => ({ result: 'copied', bytesTransferred: 10 }));
+      processFile.mock.mockImplementationOnce(async () => busy);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      assert.equal(db.db.prepare('SELECT error_code FROM file_queue WHERE id = ?').get(file.id).error_code, 'EBUSY');
+      db.db.prepare('UPDATE file_queue SET next_attempt_at = NULL').run();
+      const [retried] = db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/source', 1, 1);
+      await pool._processFile(retried, 1);
+      processFile.mock.restore();
+
+      assert.deepEqual(
+        db.getAttemptsForFile(file.id).map((a) => [a.attempt, a.result, a.error_code]),
+        [
+          [2, 'copied', null],
+          [1, 'error', 'EBUSY'],
+        ],
+      );
+    });
+
+    it('counts files in metrics only once they complete', async () => {
+      const completed = mock.method(metrics, 'recordCompleted', () => {});
+      const failed = mock.method(metrics, 'recordAttempt', () => {});
+      const busy = { result: 'error', code: 'EBUSY', phase: 'read', message: 'EBUSY', bytesTransferred: 100 };
+      const processFile = mock.method(threadPool, 'processFile', async () => ({
+        result: 'copied',
+        sourceHash: 'a',
+        destHash: 'a',
+        bytesTransferred: 10,
+      }));
+      processFile.mock.mockImplementationOnce(async () => busy);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      assert.equal(completed.mock.callCount(), 0);
+      assert.equal(failed.mock.calls[0].arguments[1].code, 'EBUSY');
+
+      db.db.prepare('UPDATE file_queue SET next_attempt_at = NULL').run();
+      const [retried] = db.getNextPendingForBucketAndFolder(bucket.id, '/tmp/source', 1, 1);
+      await pool._processFile(retried, 1);
+      processFile.mock.restore();
+      completed.mock.restore();
+      failed.mock.restore();
+      assert.equal(completed.mock.callCount(), 1);
+      assert.equal(completed.mock.calls[0].arguments[1].result, 'copied');
+    });
+
+    it('stores integrity failures with a dedicated code', async () => {
+      const mismatch = { result: 'integrity_error', sourceHash: 'a', destHash: 'b' };
+      const processFile = mock.method(threadPool, 'processFile', async () => mismatch);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.equal(db.db.prepare('SELECT error_code FROM file_queue WHERE id = ?').get(file.id).error_code, 'EINTEGRITY');
+      assert.equal(db.getAttemptsForFile(file.id)[0].phase, 'verify');
+    });
+
+    it('records each thread run of a conflict resolved by policy', async () => {
+      db.updateBucket(bucket.id, { conflictPolicy: 'overwrite' });
+      const conflict = { result: 'conflict', sourceHash: 'a', destHash: 'b', sourceSize: 1, sourceMtime: 1, destSize: 1, destMtime: 1 };
+      const processFile = mock.method(threadPool, 'processFile', async () => ({ result: 'copied', sourceHash: 'a', destHash: 'a' }));
+      processFile.mock.mockImplementationOnce(async () => conflict);
+      const pool = new WorkerPool(bucket.id, 1);
+      pool._refreshBucketCache();
+      await pool._processFile(file, 1);
+      processFile.mock.restore();
+      assert.deepEqual(
+        db.getAttemptsForFile(file.id).map((a) => a.result),
+        ['copied', 'conflict'],
+      );
+    });
+  });
+
+  describe('copy windows', () => {
+    const tomorrowOnly = () => ({ copyWindows: [{ days: [(new Date().getDay() + 1) % 7], start: '00:00', end: '00:00' }] });
+
+    it('auto-pauses outside the copy window', async () => {
+      const closed = db.createBucket(makeBucketData({ schedule: tomorrowOnly() }));
+      const pool = new WorkerPool(closed.id, 4);
+      pool.start();
+      pool._processLoop();
+      assert.equal(pool.status, 'paused');
+      assert.equal(pool.autoPaused, true);
+      assert.equal(pool.getStatus().copyWindowOpen, false);
+      assert.ok(pool.getStatus().nextWindowChangeAt);
+      await pool.stop();
+      assert.equal(pool.autoPaused, false);
+    });
+
+    it('auto-pause does not persist paused status', async () => {
+      const closed = db.createBucket(makeBucketData({ schedule: tomorrowOnly() }));
+      const pool = new WorkerPool(closed.id, 4);
+      pool.start();
+      pool._processLoop();
+      const statuses = database.updateBucketStatus.mock.calls.map((c) => c.arguments[1]);
+      assert.deepEqual(statuses, ['running']);
+      await pool.stop();
+    });
+
+    it('applySchedule resumes when the window opens', async () => {
+      const closed = db.createBucket(makeBucketData({ schedule: tomorrowOnly() }));
+      const pool = new WorkerPool(closed.id, 4);
+      pool.start();
+      pool._processLoop();
+      db.updateBucket(closed.id, { schedule: { copyWindows: [] } });
+      pool.applySchedule();
+      assert.equal(pool.status, 'running');
+      assert.equal(pool.autoPaused, false);
+      await pool.stop();
+    });
+
+    it('resume is ignored while auto-paused, manual pause takes over', async () => {
+      const closed = db.createBucket(makeBucketData({ schedule: tomorrowOnly() }));
+      const pool = new WorkerPool(closed.id, 4);
+      pool.start();
+      pool._processLoop();
+      pool.resume();
+      assert.equal(pool.autoPaused, true);
+      pool.pause();
+      assert.equal(pool.status, 'paused');
+      assert.equal(pool.autoPaused, false);
+      await pool.stop();
+    });
   });
 });
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  hasRole,
+  lowerRole,
+} = require('../../src/auth/credentials');
+
+describe('hashPassword / verifyPassword', () => {
+  it('verifies the original password', () => {
+    const stored = hashPassword('segredo123');
+    assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.equal(verifyPassword('segredo123', stored), true);
+  });
+
+  it('rejects a wrong password', () => {
+    assert.equal(verifyPassword('outra', hashPassword('segredo123')), false);
+  });
+
+  it('uses a random salt per hash', () => {
+    assert.notEqual(hashPassword('segredo123'), hashPassword('segredo123'));
+  });
+
+  it('rejects malformed stored hashes', () => {
+    assert.equal(verifyPassword('x', ''), false);
+    assert.equal(verifyPassword('x', 'md5$a$b'), false);
+    assert.equal(verifyPassword('x', null), false);
+  });
+});
+
+describe('generateToken / hashToken', () => {
+  it('generates distinct url-safe tokens', () => {
+    const a = generateToken();
+    assert.match(a, /^[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(a, generateToken());
+  });
+
+  it('hashes tokens deterministically', () => {
+    assert.equal(hashToken('abc'), hashToken('abc'));
+    assert.notEqual(hashToken('abc'), hashToken('abd'));
+  });
+});
+
+describe('hasRole / lowerRole', () => {
+  it('orders viewer < operator < admin', () => {
+    assert.equal(hasRole('admin', 'operator'), true);
+    assert.equal(hasRole('operator', 'operator'), true);
+    assert.equal(hasRole('viewer', 'operator'), false);
+    assert.equal(hasRole('unknown', 'viewer'), false);
+  });
+
+  it('returns the less privileged role', () => {
+    assert.equal(lowerRole('admin', 'viewer'), 'viewer');
+    assert.equal(lowerRole('operator', 'admin'), 'operator');
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BandwidthLimiter, TokenBucket, SLOT_MS } = require('../../src/workers/bandwidth');
+
+describe('TokenBucket', () => {
+  it('never waits when unlimited', () => {
+    const bucket = new TokenBucket(0);
+    assert.equal(bucket.reserve(10 * 1024 * 1024), 0);
+  });
+
+  it('waits proportionally to the debt', () => {
+    const bucket = new TokenBucket(1000);
+    const wait = bucket.reserve(500);
+    assert.ok(wait >= 490 && wait <= 500, `wait=${wait}`);
+    const wait2 = bucket.reserve(1000);
+    assert.ok(wait2 >= 1490 && wait2 <= 1500, `wait2=${wait2}`);
+  });
+
+  it('setRate to zero lifts the limit', () => {
+    const bucket = new TokenBucket(1000);
+    bucket.reserve(5000);
+    bucket.setRate(0);
+    assert.equal(bucket.reserve(5000), 0);
+  });
+});
+
+describe('BandwidthLimiter', () => {
+  it('acquire resolves immediately without limits and records throughput', async () => {
+    const limiter = new BandwidthLimiter();
+    await limiter.acquire(1, 4096);
+    await limiter.acquire(1, 4096);
+    assert.ok(limiter.getThroughput(1) > 0);
+    assert.equal(limiter.getGlobalThroughput(), limiter.getThroughput(1));
+  });
+
+  it('applies the stricter of bucket and global limits', async () => {
+    const limiter = new BandwidthLimiter();
+    limiter.setGlobalLimit(1000);
+    limiter.setBucketLimit(1, 100000);
+    const started = Date.now();
+    await limiter.acquire(1, 100);
+    assert.ok(Date.now() - started >= 90);
+  });
+
+  it('bucket limits are independent', () => {
+    const limiter = new BandwidthLimiter();
+    limiter.setBucketLimit(1, 1000);
+    assert.equal(limiter.getBucketLimit(1), 1000);
+    assert.equal(limiter.getBucketLimit(2), 0);
+    limiter.removeBucket(1);
+    assert.equal(limiter.getBucketLimit(1), 0);
+  });
+
+  it('getSnapshot reports global and per-bucket state', async () => {
+    const limiter = new BandwidthLimiter();
+    limiter.setGlobalLimit(5000000);
+    limiter.setBucketLimit(3, 1000000);
+    await limiter.acquire(3, 100);
+    const snapshot = limiter.getSnapshot();
+    assert.equal(snapshot.global.limit, 5000000);
+    assert.equal(snapshot.buckets[3].limit, 1000000);
+    assert.ok(snapshot.buckets[3].throughput > 0);
+  });
+});
+
+describe('BandwidthLimiter rate meter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1_000_000 * SLOT_MS;
+    mock.method(Date, 'now', () => now);
+    limiter = new BandwidthLimiter();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reports zero rates for unknown buckets', () => {
+    assert.deepEqual(limiter.getRate(1), { bytesPerSec: 0, filesPerSec: 0 });
+  });
+
+  it('averages bytes and files over the elapsed time', () => {
+    limiter.acquire(1, 10 * 1048576);
+    limiter.recordFile(1);
+    now += 10000;
+    limiter.acquire(1, 10 * 1048576);
+    limiter.recordFile(1);
+
+    const rate = limiter.getRate(1);
+    assert.equal(rate.bytesPerSec, 2 * 1048576);
+    assert.equal(rate.filesPerSec, 0.2);
+  });
+
+  it('drops samples older than the rolling window', () => {
+    limiter.acquire(1, 1000);
+    now += 120000;
+    limiter.acquire(1, 60000);
+    now += SLOT_MS;
+    assert.equal(limiter.getRate(1).bytesPerSec, 1000);
+  });
+
+  it('sums buckets for the global rate and history', () => {
+    limiter.acquire(1, 5000);
+    limiter.acquire(2, 5000);
+    now += SLOT_MS;
+
+    assert.equal(limiter.getRate(null).bytesPerSec, limiter.getRate(1).bytesPerSec * 2);
+    const history = limiter.getHistory(null);
+    assert.equal(history.length, 60);
+    assert.equal(history[history.length - 1], (10000 * 1000) / SLOT_MS);
+    assert.equal(limiter.getHistory(1)[history.length - 1], (5000 * 1000) / SLOT_MS);
+  });
+
+  it('estimates the time left from pending bytes', () => {
+    limiter.acquire(1, 10000);
+    now += 10000;
+    const estimate = limiter.getEstimate(1, { count: 5, totalSize: 50000 });
+    assert.equal(estimate.bytesPerSec, 1000);
+    assert.equal(estimate.remainingFiles, 5);
+    assert.equal(estimate.remainingBytes, 50000);
+    assert.equal(estimate.etaSeconds, 50);
+  });
+
+  it('falls back to the file rate when pending files have no size', () => {
+    limiter.recordFile(1);
+    now += 10000;
+    assert.equal(limiter.getEstimate(1, { count: 3, totalSize: 0 }).etaSeconds, 30);
+  });
+
+  it('leaves the estimate open without activity and zero when nothing is pending', () => {
+    assert.equal(limiter.getEstimate(1, { count: 3, totalSize: 300 }).etaSeconds, null);
+    assert.equal(limiter.getEstimate(1, { count: 0, totalSize: 0 }).etaSeconds, 0);
+  });
+
+  it('throughput reads the last 2s while the rate averages the minute', () => {
+    limiter.acquire(1, 10000);
+    now += 1000;
+    assert.equal(limiter.getThroughput(1), 5000);
+    now += 9000;
+    assert.equal(limiter.getThroughput(1), 0);
+    assert.equal(limiter.getSnapshot().buckets[1].throughput, 0);
+    assert.equal(limiter.getRate(1).bytesPerSec, 1000);
+  });
+
+  it('removeBucket forgets its samples', () => {
+    limiter.acquire(1, 1000);
+    limiter.removeBucket(1);
+    assert.equal(limiter.getRate(1).bytesPerSec, 0);
+    assert.ok(limiter.getHistory(null).every((v) => v === 0));
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { encodeCursor, decodeCursor, toPage } = require('../../src/queue/cursor');
+
+describe('cursor', () => {
+  it('round-trips the id of a row', () => {
+    const token = encodeCursor({ id: 42, updated_at: '2024-05-01 10:00:00', status: 'pending' });
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(token), { id: 42 });
+  });
+
+  it('rejects malformed tokens', () => {
+    assert.equal(decodeCursor('nao-e-um-cursor'), null);
+    assert.equal(decodeCursor(Buffer.from('{"a":1}').toString('base64url')), null);
+    assert.equal(decodeCursor(Buffer.from('["7"]').toString('base64url')), null);
+  });
+
+  it('toPage returns a next cursor only when there are more rows', () => {
+    const rows = [1, 2, 3].map((id) => ({ id, updated_at: '2024-01-01 00:00:00' }));
+    const page = toPage(rows, 2);
+    assert.deepEqual(
+      page.files.map((f) => f.id),
+      [1, 2],
+    );
+    assert.deepEqual(decodeCursor(page.nextCursor), { id: 2 });
+    assert.equal(toPage(rows, 3).nextCursor, null);
+  });
+});
@@ -1,6 +1,13 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { AppError, NotFoundError, ValidationError, ConflictError } = require('../../src/errors');
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require('../../src/errors');
 
 describe('AppError', () => {
   it('sets message correctly', () => {
@@ -115,3 +122,21 @@ describe('ConflictError', () => {
     assert.deepEqual(err.details, { key: 'val' });
   });
 });
+
+describe('UnauthorizedError', () => {
+  it('sets statusCode to 401 and code to UNAUTHORIZED', () => {
+    const err = new UnauthorizedError();
+    assert.equal(err.statusCode, 401);
+    assert.equal(err.code, 'UNAUTHORIZED');
+    assert.ok(err.message.length > 0);
+  });
+});
+
+describe('ForbiddenError', () => {
+  it('sets statusCode to 403 and code to FORBIDDEN', () => {
+    const err = new ForbiddenError('nope');
+    assert.equal(err.statusCode, 403);
+    assert.equal(err.code, 'FORBIDDEN');
+    assert.equal(err.message, 'nope');
+  });
+});
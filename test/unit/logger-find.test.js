@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { config } = require('../helpers/setup');
+const logger = require('../../src/logger');
+
+describe('logger.findLines', () => {
+  it('returns the most recent general log lines that contain the text', async () => {
+    const lines = [
+      '[t1] [IN_PROGRESS] [Worker:1] Arquivo: /src/a.txt | Origem: /src | Inicio da copia',
+      '[t2] [IN_PROGRESS] [Worker:1] Arquivo: /src/a.txt.bak | Origem: /src | Inicio da copia',
+      '[t3] [COMPLETED] [Worker:1] Arquivo: /src/a.txt | Origem: /src | Copia finalizada com sucesso',
+    ];
+    fs.appendFileSync(path.join(config.logging.directory, 'geral.log'), lines.join('\n') + '\n');
+
+    assert.deepEqual(await logger.findLines('Arquivo: /src/a.txt |'), [lines[0], lines[2]]);
+    assert.deepEqual(await logger.findLines('Arquivo: /src/a.txt |', 1), [lines[2]]);
+    assert.deepEqual(await logger.findLines('Arquivo: /src/none.txt |'), []);
+  });
+
+  it('matches any of several needles', async () => {
+    const lines = [
+      '[t1] [DESTINATION_DELETED] [Worker:1] Arquivo: /dst/b.txt | Origem: /dst | Removido do destino (modo mirror)',
+      '[t2] [COMPLETED] [Worker:1] Arquivo: /src/b.txt | Origem: /src | Copia finalizada com sucesso',
+    ];
+    fs.appendFileSync(path.join(config.logging.directory, 'geral.log'), lines.join('\n') + '\n');
+
+    assert.deepEqual(await logger.findLines(['Arquivo: /src/b.txt |', 'Arquivo: /dst/b.txt |']), lines);
+  });
+
+  it('reads only the tail of the file', async () => {
+    const file = path.join(config.logging.directory, 'geral.log');
+    const old = '[t1] [COMPLETED] [Worker:1] Arquivo: /src/c.txt | Origem: /src | antiga';
+    const recent = '[t2] [COMPLETED] [Worker:1] Arquivo: /src/c.txt | Origem: /src | recente';
+    fs.appendFileSync(file, `${old}\n${'x'.repeat(200)}\n${recent}\n`);
+
+    assert.deepEqual(await logger.findLines('Arquivo: /src/c.txt |', 50, recent.length + 150), [recent]);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Registry, registry, recordAttempt, recordCompleted, recordScan } = require('../../src/metrics');
+
+describe('Registry', () => {
+  it('renders counters with HELP and TYPE headers', () => {
+    const reg = new Registry();
+    const counter = reg.counter('test_total', 'Contador de teste', ['bucket']);
+    counter.inc({ bucket: '1' });
+    counter.inc({ bucket: '1' }, 2);
+    counter.inc({ bucket: '2' });
+
+    const text = reg.render();
+    assert.match(text, /^# HELP test_total Contador de teste$/m);
+    assert.match(text, /^# TYPE test_total counter$/m);
+    assert.match(text, /^test_total\{bucket="1"\} 3$/m);
+    assert.match(text, /^test_total\{bucket="2"\} 1$/m);
+  });
+
+  it('gauges overwrite values and can be reset', () => {
+    const reg = new Registry();
+    const gauge = reg.gauge('test_gauge', 'Gauge de teste');
+    gauge.set({}, 5);
+    gauge.set({}, 7);
+    assert.match(reg.render(), /^test_gauge 7$/m);
+    gauge.reset();
+    assert.doesNotMatch(reg.render(), /^test_gauge \d/m);
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const reg = new Registry();
+    const histogram = reg.histogram('test_seconds', 'Histograma de teste', [], [1, 5]);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+    histogram.observe({}, 10);
+
+    const text = reg.render();
+    assert.match(text, /^# TYPE test_seconds histogram$/m);
+    assert.match(text, /^test_seconds_bucket\{le="1"\} 1$/m);
+    assert.match(text, /^test_seconds_bucket\{le="5"\} 2$/m);
+    assert.match(text, /^test_seconds_bucket\{le="\+Inf"\} 3$/m);
+    assert.match(text, /^test_seconds_sum 13.5$/m);
+    assert.match(text, /^test_seconds_count 3$/m);
+  });
+
+  it('escapes label values', () => {
+    const reg = new Registry();
+    reg.gauge('test_info', 'Info', ['name']).set({ name: 'a"b\\c\nd' }, 1);
+    assert.ok(reg.render().includes('test_info{name="a\\"b\\\\c\\nd"} 1'));
+  });
+});
+
+describe('recordAttempt / recordCompleted / recordScan', () => {
+  it('updates worker and scan series in the default registry', () => {
+    const copied = { result: 'copied', bytesTransferred: 2048, hashBytes: 4096, hashMs: 500 };
+    recordAttempt(9001, copied, 1500);
+    recordCompleted(9001, copied);
+    recordAttempt(9001, { result: 'error', code: 'EIO', bytesTransferred: 512, hashBytes: 0, hashMs: 0 }, 10);
+    recordScan(9001, 2500, 'ok');
+
+    const text = registry.render();
+    assert.match(text, /^fcm_files_processed_total\{bucket="9001",result="copied"\} 1$/m);
+    assert.doesNotMatch(text, /^fcm_files_processed_total\{bucket="9001",result="error"\}/m);
+    assert.match(text, /^fcm_attempt_failures_total\{bucket="9001",result="error",code="EIO"\} 1$/m);
+    assert.match(text, /^fcm_bytes_copied_total\{bucket="9001"\} 2048$/m);
+    assert.match(text, /^fcm_copy_duration_seconds_count\{bucket="9001"\} 1$/m);
+    assert.match(text, /^fcm_hash_bytes_total\{bucket="9001"\} 4096$/m);
+    assert.match(text, /^fcm_hash_seconds_total\{bucket="9001"\} 0.5$/m);
+    assert.match(text, /^fcm_scan_duration_seconds_sum\{bucket="9001",result="ok"\} 2.5$/m);
+  });
+});
@@ -3,7 +3,7 @@ const assert = require('node:assert/strict');
 const { z } = require('zod');
 
 require('../helpers/setup');
-const { validate, errorHandler, asyncHandler } = require('../../src/api/middleware');
+const { validate, authenticate, requireRole, auditTrail, errorHandler, asyncHandler } = require('../../src/api/middleware');
 const { AppError, NotFoundError, ValidationError } = require('../../src/errors');
 
 function createRes() {
@@ -147,3 +147,88 @@ describe('asyncHandler()', () => {
     assert.equal(next.mock.calls[0].arguments[0], error);
   });
 });
+
+describe('authenticate()', () => {
+  it('sets req.user from the bearer token', () => {
+    const authService = { authenticate: mock.fn((token) => (token === 'abc' ? { id: 1, role: 'viewer' } : null)) };
+    const next = mock.fn();
+    const req = { headers: { authorization: 'Bearer abc' } };
+    authenticate(authService)(req, {}, next);
+    assert.deepEqual(req.user, { id: 1, role: 'viewer' });
+    assert.equal(next.mock.calls[0].arguments[0], undefined);
+  });
+
+  it('calls next with 401 when the token is missing or invalid', () => {
+    const authService = { authenticate: () => null };
+    const next = mock.fn();
+    authenticate(authService)({ headers: {} }, {}, next);
+    assert.equal(next.mock.calls[0].arguments[0].statusCode, 401);
+  });
+});
+
+describe('requireRole()', () => {
+  it('allows equal or higher roles', () => {
+    const next = mock.fn();
+    requireRole('operator')({ user: { role: 'admin' } }, {}, next);
+    requireRole('operator')({ user: { role: 'operator' } }, {}, next);
+    assert.equal(next.mock.calls[0].arguments[0], undefined);
+    assert.equal(next.mock.calls[1].arguments[0], undefined);
+  });
+
+  it('rejects lower roles with 403', () => {
+    const next = mock.fn();
+    requireRole('admin')({ user: { role: 'operator' } }, {}, next);
+    assert.equal(next.mock.calls[0].arguments[0].statusCode, 403);
+  });
+
+  it('rejects requests without user with 401', () => {
+    const next = mock.fn();
+    requireRole('viewer')({}, {}, next);
+    assert.equal(next.mock.calls[0].arguments[0].statusCode, 401);
+  });
+});
+
+describe('auditTrail()', () => {
+  const { EventEmitter } = require('node:events');
+
+  function run(action, req) {
+    const auditService = { getBucketName: mock.fn(() => 'bucket-a'), record: mock.fn() };
+    const res = Object.assign(new EventEmitter(), createRes(), { locals: {}, statusCode: 200 });
+    auditTrail(auditService)(action)(req, res, () => {});
+    res.json({ changes: 4 });
+    res.emit('finish');
+    return auditService.record.mock.calls[0].arguments[0];
+  }
+
+  it('records actor, bucket, affected count and payload on finish', () => {
+    const entry = run('conflict.resolve-all', {
+      method: 'POST',
+      path: '/api/buckets/3/conflicts/resolve-all',
+      originalUrl: '/api/buckets/3/conflicts/resolve-all',
+      params: { id: '3' },
+      body: { action: 'skip' },
+      user: { username: 'ana', role: 'operator' },
+      ip: '127.0.0.1',
+    });
+    assert.equal(entry.actor, 'ana');
+    assert.equal(entry.action, 'conflict.resolve-all');
+    assert.equal(entry.bucketId, 3);
+    assert.equal(entry.bucketName, 'bucket-a');
+    assert.equal(entry.affected, 4);
+    assert.equal(entry.statusCode, 200);
+    assert.deepEqual(entry.payload, { action: 'skip' });
+  });
+
+  it('redacts passwords and tokens from the payload', () => {
+    const entry = run('user.create', {
+      method: 'POST',
+      path: '/api/users',
+      originalUrl: '/api/users',
+      params: {},
+      body: { username: 'novo', password: 'segredo', nested: { token: 'x' } },
+      user: { username: 'admin', role: 'admin' },
+    });
+    assert.equal(entry.bucketId, null);
+    assert.deepEqual(entry.payload, { username: 'novo', password: '***', nested: { token: '***' } });
+  });
+});
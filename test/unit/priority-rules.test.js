@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compilePriorityRules } = require('../../src/scanner/priority');
+
+describe('compilePriorityRules', () => {
+  it('returns 0 without rules', () => {
+    assert.equal(compilePriorityRules([])('a.txt', 10), 0);
+    assert.equal(compilePriorityRules(undefined)('a.txt', 10), 0);
+  });
+
+  it('uses the first matching rule', () => {
+    const priorityFor = compilePriorityRules([
+      { pattern: 'urgente/', priority: 50 },
+      { extensions: ['MP4', '.mov'], priority: -5 },
+      { maxSize: 1024, priority: 10 },
+    ]);
+    assert.equal(priorityFor('clientes/urgente/video.mp4', 5e6), 50);
+    assert.equal(priorityFor('video.MP4', 100), -5);
+    assert.equal(priorityFor('clip.mov', 100), -5);
+    assert.equal(priorityFor('nota.txt', 100), 10);
+    assert.equal(priorityFor('nota.txt', 4096), 0);
+  });
+
+  it('requires every criterion of a rule to match', () => {
+    const priorityFor = compilePriorityRules([{ pattern: '*.pdf', minSize: 1000, maxSize: 2000, priority: 3 }]);
+    assert.equal(priorityFor('docs/a.pdf', 1500), 3);
+    assert.equal(priorityFor('docs/a.pdf', 500), 0);
+    assert.equal(priorityFor('docs/a.txt', 1500), 0);
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isTransientError, backoffDelay, retryDelayFor } = require('../../src/workers/retry');
+
+describe('retry', () => {
+  const options = { maxAttempts: 4, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+  it('classifies transient and permanent error codes', () => {
+    for (const code of ['EBUSY', 'EAGAIN', 'ETIMEDOUT', 'EIO']) assert.ok(isTransientError(code), code);
+    for (const code of ['ENOENT', 'EACCES', 'EPERM', undefined]) assert.ok(!isTransientError(code), code);
+  });
+
+  it('doubles the delay on each attempt up to the maximum', () => {
+    assert.deepEqual(
+      [1, 2, 3, 4].map((attempt) => backoffDelay(attempt, options)),
+      [1000, 2000, 4000, 5000],
+    );
+  });
+
+  it('retryDelayFor stops at maxAttempts and never retries permanent errors', () => {
+    assert.equal(retryDelayFor('EBUSY', 1, options), 1000);
+    assert.equal(retryDelayFor('EBUSY', 3, options), 4000);
+    assert.equal(retryDelayFor('EBUSY', 4, options), null);
+    assert.equal(retryDelayFor('EACCES', 1, options), null);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { globToRegExp, compileFilters, normalizeFilters } = require('../../src/scanner/filters');
+
+describe('globToRegExp', () => {
+  it('pattern without slash matches basename at any depth', () => {
+    const { regex } = globToRegExp('*.tmp');
+    assert.ok(regex.test('a.tmp'));
+    assert.ok(regex.test('dir/sub/a.tmp'));
+    assert.ok(!regex.test('a.tmp.pdf'));
+  });
+
+  it('** matches zero or more directories', () => {
+    const { regex } = globToRegExp('**/*.tmp');
+    assert.ok(regex.test('a.tmp'));
+    assert.ok(regex.test('x/y/a.tmp'));
+  });
+
+  it('single * does not cross directories', () => {
+    const { regex } = globToRegExp('docs/*.pdf');
+    assert.ok(regex.test('docs/a.pdf'));
+    assert.ok(!regex.test('docs/sub/a.pdf'));
+  });
+
+  it('leading slash anchors to source root', () => {
+    const { regex } = globToRegExp('/cache');
+    assert.ok(regex.test('cache'));
+    assert.ok(!regex.test('sub/cache'));
+  });
+
+  it('trailing slash marks directory-only pattern', () => {
+    const result = globToRegExp('node_modules/');
+    assert.equal(result.dirOnly, true);
+    assert.ok(result.regex.test('node_modules'));
+    assert.ok(result.regex.test('pkg/node_modules'));
+  });
+
+  it('supports ? and brace alternatives', () => {
+    const { regex } = globToRegExp('file?.{tmp,bak}');
+    assert.ok(regex.test('file1.tmp'));
+    assert.ok(regex.test('fileA.bak'));
+    assert.ok(!regex.test('file12.tmp'));
+  });
+
+  it('escapes regex metacharacters', () => {
+    const { regex } = globToRegExp('a+b(1).pdf');
+    assert.ok(regex.test('a+b(1).pdf'));
+    assert.ok(!regex.test('aab1.pdf'));
+  });
+});
+
+describe('normalizeFilters', () => {
+  it('fills missing keys with defaults', () => {
+    const f = normalizeFilters({ include: ['*.pdf'] });
+    assert.deepEqual(f.include, ['*.pdf']);
+    assert.deepEqual(f.exclude, []);
+    assert.equal(f.minSize, null);
+  });
+
+  it('accepts null', () => {
+    const f = normalizeFilters(null);
+    assert.deepEqual(f.includeRegex, []);
+  });
+});
+
+describe('compileFilters', () => {
+  it('empty filters skip nothing', () => {
+    const filter = compileFilters({});
+    assert.equal(filter.skipDirectory('any'), false);
+    assert.equal(filter.skipPath('any/file.pdf'), false);
+    assert.equal(filter.skipStat({ size: 10, mtimeMs: Date.now() }), false);
+  });
+
+  it('exclude glob skips matching files', () => {
+    const filter = compileFilters({ exclude: ['**/*.tmp'] });
+    assert.equal(filter.skipPath('a/b.tmp'), true);
+    assert.equal(filter.skipPath('a/b.pdf'), false);
+  });
+
+  it('directory exclude skips whole subtree', () => {
+    const filter = compileFilters({ exclude: ['node_modules/'] });
+    assert.equal(filter.skipDirectory('node_modules'), true);
+    assert.equal(filter.skipDirectory('app/node_modules'), true);
+    assert.equal(filter.skipDirectory('src'), false);
+    assert.equal(filter.skipPath('node_modules'), false);
+  });
+
+  it('dir/** pattern prunes the directory itself', () => {
+    const filter = compileFilters({ exclude: ['build/**'] });
+    assert.equal(filter.skipDirectory('build'), true);
+  });
+
+  it('include globs require a match for files', () => {
+    const filter = compileFilters({ include: ['*.pdf'] });
+    assert.equal(filter.skipPath('a/doc.pdf'), false);
+    assert.equal(filter.skipPath('a/doc.txt'), true);
+    assert.equal(filter.skipDirectory('a'), false);
+  });
+
+  it('exclude wins over include', () => {
+    const filter = compileFilters({ include: ['*.pdf'], exclude: ['drafts/'] });
+    assert.equal(filter.skipDirectory('drafts'), true);
+    const filter2 = compileFilters({ include: ['*.pdf'], exclude: ['*-draft.pdf'] });
+    assert.equal(filter2.skipPath('a-draft.pdf'), true);
+  });
+
+  it('regex rules apply to relative path', () => {
+    const filter = compileFilters({ includeRegex: ['^\\d{8}\\.pdf$'], excludeRegex: ['^tmp/'] });
+    assert.equal(filter.skipPath('12345678.pdf'), false);
+    assert.equal(filter.skipPath('abc.pdf'), true);
+    assert.equal(filter.skipDirectory('tmp'), true);
+  });
+
+  it('skipFile checks every ancestor directory', () => {
+    const filter = compileFilters({ exclude: ['node_modules/'] });
+    assert.equal(filter.skipFile('app/node_modules/pkg/index.js'), true);
+    assert.equal(filter.skipFile('app/src/index.js'), false);
+  });
+
+  it('size limits', () => {
+    const filter = compileFilters({ minSize: 10, maxSize: 100 });
+    assert.equal(filter.skipStat({ size: 5, mtimeMs: 0 }), true);
+    assert.equal(filter.skipStat({ size: 50, mtimeMs: 0 }), false);
+    assert.equal(filter.skipStat({ size: 500, mtimeMs: 0 }), true);
+  });
+
+  it('mtime limits', () => {
+    const filter = compileFilters({ modifiedAfter: '2024-01-01T00:00:00Z', modifiedBefore: '2024-12-31T00:00:00Z' });
+    assert.equal(filter.skipStat({ size: 1, mtimeMs: Date.parse('2023-06-01T00:00:00Z') }), true);
+    assert.equal(filter.skipStat({ size: 1, mtimeMs: Date.parse('2024-06-01T00:00:00Z') }), false);
+    assert.equal(filter.skipStat({ size: 1, mtimeMs: Date.parse('2025-06-01T00:00:00Z') }), true);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron } = require('../../src/scheduler/cron');
+const { compileCopyWindows } = require('../../src/scheduler/windows');
+
+describe('parseCron', () => {
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron(''));
+    assert.throws(() => parseCron('* * * *'));
+    assert.throws(() => parseCron('60 * * * *'));
+    assert.throws(() => parseCron('5-1 * * * *'));
+    assert.throws(() => parseCron('*/0 * * * *'));
+    assert.throws(() => parseCron('a * * * *'));
+  });
+
+  it('matches lists, ranges and steps', () => {
+    const cron = parseCron('*/15 8-18 * * 1,3,5');
+    assert.ok(cron.matches(new Date(2024, 0, 1, 8, 30)));
+    assert.ok(!cron.matches(new Date(2024, 0, 1, 8, 31)));
+    assert.ok(!cron.matches(new Date(2024, 0, 2, 8, 30)));
+    assert.ok(!cron.matches(new Date(2024, 0, 1, 19, 0)));
+  });
+
+  it('treats day-of-week 7 as sunday', () => {
+    const cron = parseCron('0 0 * * 7');
+    assert.ok(cron.matches(new Date(2024, 0, 7, 0, 0)));
+  });
+
+  it('uses OR when both day fields are restricted', () => {
+    const cron = parseCron('0 0 1 * 1');
+    assert.ok(cron.matches(new Date(2024, 0, 1, 0, 0)));
+    assert.ok(cron.matches(new Date(2024, 0, 8, 0, 0)));
+    assert.ok(!cron.matches(new Date(2024, 0, 9, 0, 0)));
+  });
+
+  it('next returns the following matching minute', () => {
+    const cron = parseCron('30 2 * * *');
+    assert.deepEqual(cron.next(new Date(2024, 0, 1, 1, 0)), new Date(2024, 0, 1, 2, 30));
+    assert.deepEqual(cron.next(new Date(2024, 0, 1, 2, 30)), new Date(2024, 0, 2, 2, 30));
+  });
+
+  it('next skips to matching months and leap days', () => {
+    assert.deepEqual(parseCron('@monthly').next(new Date(2024, 0, 15)), new Date(2024, 1, 1, 0, 0));
+    assert.deepEqual(parseCron('0 0 29 2 *').next(new Date(2024, 2, 1)), new Date(2028, 1, 29, 0, 0));
+  });
+});
+
+describe('compileCopyWindows', () => {
+  it('no windows means always open', () => {
+    const windows = compileCopyWindows([]);
+    assert.equal(windows.unrestricted, true);
+    assert.equal(windows.isOpen(new Date()), true);
+    assert.equal(windows.nextChange(new Date()), null);
+  });
+
+  it('same-day window', () => {
+    const windows = compileCopyWindows([{ start: '09:00', end: '17:00' }]);
+    assert.equal(windows.isOpen(new Date(2024, 0, 1, 8, 59)), false);
+    assert.equal(windows.isOpen(new Date(2024, 0, 1, 9, 0)), true);
+    assert.equal(windows.isOpen(new Date(2024, 0, 1, 17, 0)), false);
+  });
+
+  it('overnight window belongs to the starting day', () => {
+    const windows = compileCopyWindows([{ days: [5], start: '22:00', end: '06:00' }]);
+    assert.equal(windows.isOpen(new Date(2024, 0, 5, 23, 0)), true);
+    assert.equal(windows.isOpen(new Date(2024, 0, 6, 5, 59)), true);
+    assert.equal(windows.isOpen(new Date(2024, 0, 6, 23, 0)), false);
+    assert.equal(windows.isOpen(new Date(2024, 0, 5, 5, 0)), false);
+  });
+
+  it('equal start and end covers the whole day', () => {
+    const windows = compileCopyWindows([{ days: [0, 6], start: '00:00', end: '00:00' }]);
+    assert.equal(windows.isOpen(new Date(2024, 0, 6, 12, 0)), true);
+    assert.equal(windows.isOpen(new Date(2024, 0, 8, 12, 0)), false);
+  });
+
+  it('nextChange finds the next transition', () => {
+    const windows = compileCopyWindows([{ start: '19:00', end: '07:00' }]);
+    assert.deepEqual(windows.nextChange(new Date(2024, 0, 1, 12, 0)), new Date(2024, 0, 1, 19, 0));
+    assert.deepEqual(windows.nextChange(new Date(2024, 0, 1, 20, 0)), new Date(2024, 0, 2, 7, 0));
+  });
+});
@@ -9,23 +9,28 @@ const {
   fileParamsSchema,
   statusParamsSchema,
   bucketStatusParamsSchema,
+  bucketFiltersSchema,
+  bucketScheduleSchema,
+  preserveMetadataSchema,
   bucketCreateSchema,
   bucketUpdateSchema,
   workerCountSchema,
+  bandwidthLimitSchema,
   conflictResolutionSchema,
   paginationSchema,
   activityQuerySchema,
+  historyQuerySchema,
 } = require('../../src/validation/schemas');
 
 describe('VALID_STATUSES', () => {
   it('contains expected statuses', () => {
-    assert.deepEqual(VALID_STATUSES, ['pending', 'in_progress', 'completed', 'error', 'conflict']);
+    assert.deepEqual(VALID_STATUSES, ['pending', 'in_progress', 'completed', 'error', 'conflict', 'source_missing']);
   });
 });
 
 describe('VALID_ACTIONS', () => {
-  it('contains overwrite and skip', () => {
-    assert.deepEqual(VALID_ACTIONS, ['overwrite', 'skip']);
+  it('contains overwrite, skip and keep-both', () => {
+    assert.deepEqual(VALID_ACTIONS, ['overwrite', 'skip', 'keep-both']);
   });
 });
 
@@ -173,7 +178,135 @@ describe('bucketCreateSchema', () => {
   });
 });
 
+describe('bucketFiltersSchema', () => {
+  it('fills defaults for empty object', () => {
+    const result = bucketFiltersSchema.safeParse({});
+    assert.ok(result.success);
+    assert.deepEqual(result.data.include, []);
+    assert.deepEqual(result.data.excludeRegex, []);
+    assert.equal(result.data.minSize, null);
+  });
+
+  it('accepts globs, regex and limits', () => {
+    const result = bucketFiltersSchema.safeParse({
+      include: ['**/*.pdf'],
+      exclude: ['node_modules/'],
+      excludeRegex: ['^tmp/'],
+      minSize: 1,
+      maxSize: 1024,
+      modifiedAfter: '2024-01-01T00:00:00Z',
+    });
+    assert.ok(result.success);
+  });
+
+  it('rejects invalid regex', () => {
+    const result = bucketFiltersSchema.safeParse({ includeRegex: ['(unclosed'] });
+    assert.ok(!result.success);
+  });
+
+  it('rejects invalid date', () => {
+    const result = bucketFiltersSchema.safeParse({ modifiedBefore: 'not-a-date' });
+    assert.ok(!result.success);
+  });
+
+  it('rejects minSize greater than maxSize', () => {
+    const result = bucketFiltersSchema.safeParse({ minSize: 100, maxSize: 10 });
+    assert.ok(!result.success);
+  });
+});
+
+describe('bucketScheduleSchema', () => {
+  it('fills defaults for empty object', () => {
+    const result = bucketScheduleSchema.safeParse({});
+    assert.ok(result.success);
+    assert.equal(result.data.scanCron, null);
+    assert.deepEqual(result.data.copyWindows, []);
+  });
+
+  it('accepts cron and copy windows', () => {
+    const result = bucketScheduleSchema.safeParse({
+      scanCron: '0 2 * * 1-5',
+      copyWindows: [{ days: [1, 2, 3, 4, 5], start: '19:00', end: '07:00' }],
+    });
+    assert.ok(result.success);
+  });
+
+  it('rejects invalid cron', () => {
+    const result = bucketScheduleSchema.safeParse({ scanCron: '99 * * * *' });
+    assert.ok(!result.success);
+  });
+
+  it('rejects malformed window times and days', () => {
+    assert.ok(!bucketScheduleSchema.safeParse({ copyWindows: [{ start: '7:00', end: '08:00' }] }).success);
+    assert.ok(!bucketScheduleSchema.safeParse({ copyWindows: [{ start: '24:00', end: '08:00' }] }).success);
+    assert.ok(!bucketScheduleSchema.safeParse({ copyWindows: [{ days: [7], start: '07:00', end: '08:00' }] }).success);
+  });
+});
+
+describe('bucket mode', () => {
+  it('accepts copy and move', () => {
+    assert.ok(bucketUpdateSchema.safeParse({ mode: 'move', pruneEmptyDirs: true }).success);
+    assert.ok(bucketCreateSchema.safeParse({ name: 'a', sourceFolders: ['/s'], destinationFolder: '/d', mode: 'copy' }).success);
+  });
+
+  it('accepts mirror with a trash folder that can be cleared', () => {
+    assert.ok(bucketUpdateSchema.safeParse({ mode: 'mirror', trashFolder: '/trash' }).success);
+    assert.ok(bucketUpdateSchema.safeParse({ trashFolder: null }).success);
+    assert.ok(!bucketUpdateSchema.safeParse({ trashFolder: '' }).success);
+  });
+
+  it('rejects unknown modes', () => {
+    assert.ok(!bucketUpdateSchema.safeParse({ mode: 'sync' }).success);
+  });
+
+  it('accepts every conflict policy and rejects unknown ones', () => {
+    for (const conflictPolicy of ['ask', 'overwrite', 'skip', 'keep-newer', 'keep-larger', 'rename']) {
+      assert.ok(bucketUpdateSchema.safeParse({ conflictPolicy }).success, conflictPolicy);
+    }
+    assert.ok(!bucketUpdateSchema.safeParse({ conflictPolicy: 'newest' }).success);
+  });
+
+  it('validates the keep-both pattern', () => {
+    assert.ok(bucketUpdateSchema.safeParse({ keepBothPattern: '{name} ({n}){ext}' }).success);
+    assert.ok(bucketUpdateSchema.safeParse({ keepBothPattern: '{name}.{timestamp}{ext}' }).success);
+    assert.ok(!bucketUpdateSchema.safeParse({ keepBothPattern: '{name}-copy{ext}' }).success);
+    assert.ok(!bucketUpdateSchema.safeParse({ keepBothPattern: 'old/{name} ({n}){ext}' }).success);
+  });
+
+  it('applies backup defaults and rejects negative retention', () => {
+    const result = bucketUpdateSchema.safeParse({ backup: { folder: '/backups' } });
+    assert.ok(result.success);
+    assert.deepEqual(result.data.backup, { folder: '/backups', maxVersions: 0, maxAgeDays: 0 });
+    assert.ok(bucketUpdateSchema.safeParse({ backup: { folder: null } }).success);
+    assert.ok(!bucketUpdateSchema.safeParse({ backup: { folder: '/b', maxVersions: -1 } }).success);
+    assert.ok(!bucketUpdateSchema.safeParse({ backup: { folder: '/b', maxAgeDays: 1.5 } }).success);
+  });
+});
+
+describe('preserveMetadataSchema', () => {
+  it('defaults every option to false', () => {
+    const result = preserveMetadataSchema.safeParse({});
+    assert.ok(result.success);
+    assert.deepEqual(result.data, {
+      timestamps: false,
+      mode: false,
+      ownership: false,
+      xattrs: false,
+      compareMtime: false,
+    });
+  });
+
+  it('rejects non-boolean values', () => {
+    assert.ok(!preserveMetadataSchema.safeParse({ timestamps: 'yes' }).success);
+  });
+});
+
 describe('bucketUpdateSchema', () => {
+  it('accepts filters only', () => {
+    const result = bucketUpdateSchema.safeParse({ filters: { exclude: ['*.tmp'] } });
+    assert.ok(result.success);
+  });
+
   it('accepts name only', () => {
     const result = bucketUpdateSchema.safeParse({ name: 'new' });
     assert.ok(result.success);
@@ -222,6 +355,21 @@ describe('workerCountSchema', () => {
   });
 });
 
+describe('bandwidthLimitSchema', () => {
+  it('accepts zero as unlimited', () => {
+    assert.ok(bandwidthLimitSchema.safeParse({ limit: 0 }).success);
+  });
+
+  it('accepts bytes per second', () => {
+    assert.ok(bandwidthLimitSchema.safeParse({ limit: 10485760 }).success);
+  });
+
+  it('rejects negative and fractional values', () => {
+    assert.ok(!bandwidthLimitSchema.safeParse({ limit: -1 }).success);
+    assert.ok(!bandwidthLimitSchema.safeParse({ limit: 1.5 }).success);
+  });
+});
+
 describe('conflictResolutionSchema', () => {
   it('accepts overwrite', () => {
     const result = conflictResolutionSchema.safeParse({ action: 'overwrite' });
@@ -233,6 +381,11 @@ describe('conflictResolutionSchema', () => {
     assert.ok(result.success);
   });
 
+  it('accepts keep-both', () => {
+    const result = conflictResolutionSchema.safeParse({ action: 'keep-both' });
+    assert.ok(result.success);
+  });
+
   it('rejects other action', () => {
     const result = conflictResolutionSchema.safeParse({ action: 'delete' });
     assert.ok(!result.success);
@@ -302,3 +455,23 @@ describe('activityQuerySchema', () => {
     assert.ok(!result.success);
   });
 });
+
+describe('historyQuerySchema', () => {
+  it('defaults step to hour', () => {
+    const result = historyQuerySchema.safeParse({});
+    assert.ok(result.success);
+    assert.equal(result.data.step, 'hour');
+  });
+
+  it('expands dates to the start and end of the day', () => {
+    const result = historyQuerySchema.safeParse({ from: '2025-03-01', to: '2025-03-31', step: 'day' });
+    assert.ok(result.success);
+    assert.equal(result.data.from, '2025-03-01 00:00:00');
+    assert.equal(result.data.to, '2025-03-31 23:59:59');
+  });
+
+  it('rejects unknown steps', () => {
+    const result = historyQuerySchema.safeParse({ step: 'week' });
+    assert.ok(!result.success);
+  });
+});